@@ -2,8 +2,15 @@
 // ABOUTME: Contains app instance, middleware, and route registrations
 import express from 'express';
 import cors from 'cors';
-import { getFlow as dbGetFlow, saveFlow as dbSaveFlow } from './db.js';
-import { pushSnapshot } from './historyService.js';
+import {
+  getFlow as dbGetFlow,
+  getFlowRecord as dbGetFlowRecord,
+  saveFlow as dbSaveFlow,
+  stageFlow as dbStageFlow,
+  getWriteBehindDelay
+} from './db.js';
+import { pushSnapshot, tagSnapshot } from './historyService.js';
+import { DEFAULT_USER_ID, DEFAULT_FLOW_NAME } from './workspaceService.js';
 import { registerRoutes } from './routes/index.js';
 
 // ==================== APP SETUP ====================
@@ -15,20 +22,44 @@ app.use(express.json());
 
 // ==================== CORE DATA ACCESS ====================
 
-export async function readFlow() {
-  return await dbGetFlow();
+export async function readFlow(flowName = DEFAULT_FLOW_NAME) {
+  return await dbGetFlow(DEFAULT_USER_ID, flowName);
 }
 
-export async function writeFlow(flowData, skipSnapshot = false, origin = null) {
-  await dbSaveFlow(flowData);
+// Flow plus its revision, for read-modify-write paths that save with an expected revision
+export async function readFlowRecord(flowName = DEFAULT_FLOW_NAME) {
+  return await dbGetFlowRecord(DEFAULT_USER_ID, flowName);
+}
+
+// Origins whose rapid writes (drag storms) write-behind may coalesce into one save plus snapshot
+const COALESCED_ORIGINS = new Set(['ui.node.update', 'ui.batch']);
+
+// Returns the new revision, or null (nothing saved, no snapshot) when expectedRevision is stale
+export async function writeFlow(
+  flowData,
+  skipSnapshot = false,
+  origin = null,
+  flowName = DEFAULT_FLOW_NAME,
+  expectedRevision = null
+) {
+  if (!skipSnapshot && COALESCED_ORIGINS.has(origin) && getWriteBehindDelay() > 0) {
+    return await dbStageFlow(flowData, tagSnapshot(flowData, origin), DEFAULT_USER_ID, flowName, expectedRevision);
+  }
+
+  const revision = await dbSaveFlow(flowData, DEFAULT_USER_ID, flowName, expectedRevision);
+  if (revision === null) {
+    return null;
+  }
 
   if (!skipSnapshot) {
-    await pushSnapshot(flowData, origin);
+    await pushSnapshot(flowData, origin, flowName);
   }
+
+  return revision;
 }
 
 // ==================== REGISTER ROUTES ====================
 
-registerRoutes(app, { readFlow, writeFlow });
+registerRoutes(app, { readFlow, readFlowRecord, writeFlow });
 
 export default app;
@@ -0,0 +1,101 @@
+// ABOUTME: Service for named checkpoints of a flow (e.g. "before reorg")
+// ABOUTME: Checkpoints live outside the rolling undo window, so pruning never removes them
+import {
+  getFlow,
+  saveCheckpoint,
+  listCheckpoints as dbListCheckpoints,
+  getCheckpoint,
+  deleteCheckpoint as dbDeleteCheckpoint
+} from './db.js';
+import { DEFAULT_USER_ID, DEFAULT_FLOW_NAME } from './workspaceService.js';
+import { diffFlows } from '../shared/flowUtils/flowDiff.js';
+
+const MAX_CHECKPOINT_NAME_LENGTH = 64;
+const CHECKPOINT_NAME_PATTERN = /^[\w][\w .-]*$/;
+
+/**
+ * Validate a checkpoint name
+ * Returns an error message, or null when the name is usable
+ */
+export function validateCheckpointName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Checkpoint name is required and must be a string';
+  }
+  if (name !== name.trim()) {
+    return 'Checkpoint name cannot start or end with whitespace';
+  }
+  if (name.length > MAX_CHECKPOINT_NAME_LENGTH) {
+    return `Checkpoint name must be at most ${MAX_CHECKPOINT_NAME_LENGTH} characters`;
+  }
+  if (!CHECKPOINT_NAME_PATTERN.test(name)) {
+    return 'Checkpoint name may only contain letters, numbers, spaces, dots, dashes and underscores';
+  }
+  return null;
+}
+
+// Maps a stored checkpoint row to the API shape
+function toCheckpoint(row) {
+  return { id: row.id, name: row.name, createdAt: row.created_at };
+}
+
+/**
+ * List a flow's checkpoints, oldest first
+ */
+export async function listCheckpoints(flowName = DEFAULT_FLOW_NAME) {
+  const rows = await dbListCheckpoints(DEFAULT_USER_ID, flowName);
+  return rows.map(toCheckpoint);
+}
+
+/**
+ * Save the flow's current state as a named checkpoint
+ */
+export async function createCheckpoint(name, flowName = DEFAULT_FLOW_NAME) {
+  const error = validateCheckpointName(name);
+  if (error) {
+    return { success: false, status: 400, error };
+  }
+
+  const flow = await getFlow(DEFAULT_USER_ID, flowName);
+  const row = await saveCheckpoint(name, flow, DEFAULT_USER_ID, flowName);
+  if (!row) {
+    return { success: false, status: 409, error: `Checkpoint "${name}" already exists` };
+  }
+
+  return { success: true, checkpoint: toCheckpoint(row) };
+}
+
+/**
+ * Load the flow state stored in a checkpoint
+ * Restoring it is left to the caller, which saves it as a new undoable step
+ */
+export async function getCheckpointFlow(name, flowName = DEFAULT_FLOW_NAME) {
+  const row = await getCheckpoint(name, DEFAULT_USER_ID, flowName);
+  if (!row) {
+    return { success: false, status: 404, error: `Checkpoint "${name}" not found` };
+  }
+
+  return { success: true, checkpoint: toCheckpoint(row), flow: row.snapshot };
+}
+
+/**
+ * Compare a checkpoint with the flow's current state (checkpoint is the "before" side)
+ */
+export async function diffCheckpoint(name, flowName = DEFAULT_FLOW_NAME) {
+  const result = await getCheckpointFlow(name, flowName);
+  if (!result.success) return result;
+
+  const current = await getFlow(DEFAULT_USER_ID, flowName);
+  return { success: true, checkpoint: result.checkpoint, diff: diffFlows(result.flow, current) };
+}
+
+/**
+ * Delete a checkpoint
+ */
+export async function deleteCheckpoint(name, flowName = DEFAULT_FLOW_NAME) {
+  const deleted = await dbDeleteCheckpoint(name, DEFAULT_USER_ID, flowName);
+  if (!deleted) {
+    return { success: false, status: 404, error: `Checkpoint "${name}" not found` };
+  }
+
+  return { success: true, name };
+}
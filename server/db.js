@@ -1,517 +1,441 @@
-// ABOUTME: Supabase database connection and query helpers
-// ABOUTME: Provides async wrappers around Supabase client for flow persistence
+// ABOUTME: Database access layer for flows, conversation, undo history and checkpoints
+// ABOUTME: Delegates every call to the configured storage adapter (Supabase or local file)
 
-import { supabase } from './supabase-client.js';
+import { getStorageAdapter } from './storage/index.js';
+import { emptyUndoStatus, sanitizeFlowData } from './storage/helpers.js';
+import { createFlowCache } from './storage/flowCache.js';
 
-// ==================== Helper Functions ====================
+// ==================== Flow Cache ====================
+// Flow reads are served from an in-process cache; saves refresh it, and a save
+// rejected for a stale revision drops the entry (another process changed the flow).
+// FLOW_CACHE=off disables it, e.g. when several server processes share one database.
+//
+// With FLOW_WRITE_BEHIND_MS set, stageFlow() updates the cache at once and persists
+// after that delay, coalescing the writes in between into one save plus one snapshot.
 
-/**
- * Stable JSON stringify for comparing JSONB objects
- * PostgreSQL JSONB stores properties in alphabetical order,
- * so we sort keys recursively before stringifying
- */
-function stableStringify(obj) {
-  if (obj === null) return 'null';
-  if (typeof obj !== 'object') return JSON.stringify(obj);
-  if (Array.isArray(obj)) {
-    return '[' + obj.map(item => stableStringify(item)).join(',') + ']';
-  }
-  const sorted = {};
-  Object.keys(obj).sort().forEach(key => {
-    sorted[key] = stableStringify(obj[key]);
-  });
-  return JSON.stringify(sorted);
-}
+const flowCache = createFlowCache();
+let cacheAdapter = null;
 
-// ==================== Flow Operations ====================
+// Write-behind saves waiting for their timer: key -> {timer, snapshot, origin}
+const pendingWrites = new Map();
+// Write-behind saves being persisted: key -> promise
+const activeFlushes = new Map();
 
-/**
- * Get flow by user_id and name
- * Returns default empty flow if not found
- */
-function sanitizeFlowData(flowData) {
-  if (!flowData || typeof flowData !== 'object') {
-    return { nodes: [], edges: [] };
-  }
+const flowKey = (userId, name) => JSON.stringify([userId, name]);
 
-  const { nodes = [], edges = [] } = flowData;
-  return { nodes, edges };
-}
-
-export async function getFlow(userId = 'default', name = 'main') {
-  const { data, error } = await supabase
-    .from('flows')
-    .select('data')
-    .eq('user_id', userId)
-    .eq('name', name)
-    .maybeSingle();
-
-  if (error && error.code !== 'PGRST116') {
-    throw error;
-  }
-
-  if (!data) {
-    return { nodes: [], edges: [] };
-  }
-
-  return sanitizeFlowData(data.data);
+function isFlowCacheEnabled() {
+  return process.env.FLOW_CACHE?.trim().toLowerCase() !== 'off';
 }
 
 /**
- * Save flow data (upsert)
- * Creates new flow or updates existing one
+ * Milliseconds write-behind waits to coalesce writes, or 0 when it is disabled
  */
-export async function saveFlow(flowData, userId = 'default', name = 'main') {
-  const sanitized = sanitizeFlowData(flowData);
-
-  const { error } = await supabase
-    .from('flows')
-    .upsert(
-      {
-        user_id: userId,
-        name: name,
-        data: sanitized,
-        updated_at: new Date().toISOString()
-      },
-      {
-        onConflict: 'user_id,name'
-      }
-    );
-
-  if (error) {
-    throw error;
+export function getWriteBehindDelay() {
+  const delay = Number(process.env.FLOW_WRITE_BEHIND_MS);
+  return isFlowCacheEnabled() && Number.isFinite(delay) && delay > 0 ? delay : 0;
+}
+
+// The configured storage adapter; the cache is dropped whenever the adapter changes
+function storage() {
+  const adapter = getStorageAdapter();
+  if (adapter !== cacheAdapter) {
+    resetFlowCache();
+    cacheAdapter = adapter;
   }
+  return adapter;
 }
 
 /**
- * Get flow ID for user+name (used by undo/redo)
+ * Drop every cached flow and pending write-behind save (without persisting it)
+ * For tests and tools that change storage behind the server's back
  */
-export async function getFlowId(userId = 'default', name = 'main') {
-  const { data, error } = await supabase
-    .from('flows')
-    .select('id')
-    .eq('user_id', userId)
-    .eq('name', name)
-    .maybeSingle();
-
-  if (error && error.code !== 'PGRST116') {
-    throw error;
-  }
-
-  return data ? data.id : null;
+export function resetFlowCache() {
+  pendingWrites.forEach(({ timer }) => clearTimeout(timer));
+  pendingWrites.clear();
+  flowCache.clear();
 }
 
-// ==================== Conversation Operations ====================
+// Save a staged flow and push its snapshot; the revision jumps by the number of coalesced writes
+async function persistStagedFlow(userId, name, pending) {
+  const entry = flowCache.peek(userId, name);
+  if (!entry || entry.persistedRevision >= entry.revision) return;
 
-/**
- * Add message to conversation history
- */
-export async function addConversationMessage(role, content, toolCalls = null) {
-  const { error } = await supabase
-    .from('conversation_history')
-    .insert({
-      role,
-      content,
-      tool_calls: toolCalls || null
-    });
-
-  if (error) {
-    throw error;
+  const { flow, revision, persistedRevision } = entry;
+  const saved = await storage().saveFlow(flow, userId, name, persistedRevision, revision - persistedRevision);
+
+  if (saved === null) {
+    // Another process changed the flow, so the staged writes no longer apply on top of it
+    flowCache.invalidate(userId, name);
+    throw new Error(`Flow "${name}" changed in storage while writes were pending; staged writes dropped`);
   }
+
+  flowCache.markPersisted(userId, name, saved);
+  await pushSnapshotNow(pending.snapshot, userId, name);
 }
 
 /**
- * Get conversation history
- * If limit provided, returns last N interaction pairs (limit * 2 messages)
+ * Persist a flow's pending write-behind save (and its undo snapshot) now
+ * Saves and history operations call this first, so they never miss a staged write
  */
-export async function getConversationHistory(limit = null) {
-  const { data: allRows, error } = await supabase
-    .from('conversation_history')
-    .select('*')
-    .order('id', { ascending: true });
+export async function flushStagedFlow(userId = 'default', name = 'main') {
+  const key = flowKey(userId, name);
+  await activeFlushes.get(key);
 
-  if (error) {
-    throw error;
-  }
+  const pending = pendingWrites.get(key);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  pendingWrites.delete(key);
 
-  // Apply limit (limit is interaction pairs, so multiply by 2 for messages)
-  let rows = allRows;
-  if (limit) {
-    const messageLimit = limit * 2;
-    if (allRows.length > messageLimit) {
-      rows = allRows.slice(-messageLimit);
+  const flush = persistStagedFlow(userId, name, pending);
+  const settled = flush.catch(() => {});
+  activeFlushes.set(key, settled);
+
+  try {
+    await flush;
+  } finally {
+    if (activeFlushes.get(key) === settled) {
+      activeFlushes.delete(key);
     }
   }
-
-  return rows.map(row => ({
-    role: row.role,
-    content: row.content,
-    toolCalls: row.tool_calls || [],
-    timestamp: row.timestamp
-  }));
 }
 
 /**
- * Clear all conversation history
+ * Persist every pending write-behind save (e.g. before shutting down)
  */
-export async function clearConversationHistory() {
-  const { error } = await supabase
-    .from('conversation_history')
-    .delete()
-    .neq('id', 0); // Delete all rows
-
-  if (error) {
-    throw error;
+export async function flushAllStagedFlows() {
+  const keys = [...pendingWrites.keys()];
+  for (const key of keys) {
+    const [userId, name] = JSON.parse(key);
+    await flushStagedFlow(userId, name);
   }
 }
 
-// ==================== Undo/Redo Operations ====================
-
 /**
- * Push snapshot to undo history
- * Handles deduplication and truncation
+ * Save a flow with write-behind
+ *
+ * The cache takes the new state and revision at once; storage gets it, together
+ * with `snapshot`, after getWriteBehindDelay() ms. Writes staged within that
+ * window coalesce into the one save and snapshot. A write whose snapshot has a
+ * different origin persists the pending one first. Saves straight away when
+ * write-behind is disabled.
+ *
+ * @param {Object} snapshot - Undo snapshot to push with the save (flow state plus _meta)
+ * @returns {Promise<number|null>} New revision, or null on a revision conflict
  */
-export async function pushUndoSnapshot(flowData) {
-  const cleanState = flowData;
-
-  // Get current state
-  const { data: stateRow, error: stateError } = await supabase
-    .from('undo_state')
-    .select('current_snapshot_time')
-    .eq('id', 1)
-    .single();
-
-  if (stateError) {
-    throw stateError;
-  }
-
-  const currentTime = stateRow.current_snapshot_time;
-
-  // Get last snapshot if exists
-  let lastSnapshot = null;
-  if (currentTime !== null) {
-    const { data: lastRow, error: lastError } = await supabase
-      .from('undo_history')
-      .select('snapshot')
-      .eq('created_at', currentTime)
-      .maybeSingle();
-
-    if (lastError && lastError.code !== 'PGRST116') {
-      throw lastError;
-    }
+export async function stageFlow(flowData, snapshot, userId = 'default', name = 'main', expectedRevision = null) {
+  const key = flowKey(userId, name);
+  const delay = getWriteBehindDelay();
+  const origin = snapshot._meta?.origin ?? null;
 
-    lastSnapshot = lastRow ? lastRow.snapshot : null;
+  if (delay === 0 || pendingWrites.get(key)?.origin !== origin) {
+    await flushStagedFlow(userId, name);
   }
 
-  // Skip if identical to last snapshot (compare flow state, not metadata)
-  if (lastSnapshot) {
-    const lastData = lastSnapshot;
-    const currentData = flowData;
+  await getFlowRecord(userId, name);
+  const entry = delay > 0 ? flowCache.peek(userId, name) : null;
 
-    // Remove metadata for comparison
-    const { _meta: lastMeta, ...lastFlow } = lastData;
-    const { _meta: currentMeta, ...currentFlow } = currentData;
-
-    // Use stable JSON stringify to handle JSONB property reordering
-    const lastStr = stableStringify(lastFlow);
-    const currentStr = stableStringify(currentFlow);
-
-    if (lastStr === currentStr) {
-      return;
+  if (!entry) {
+    const revision = await saveFlow(flowData, userId, name, expectedRevision);
+    if (revision !== null) {
+      await pushSnapshotNow(snapshot, userId, name);
     }
+    return revision;
   }
 
-  // If we're not at the end, truncate future states
-  if (currentTime !== null) {
-    // Check if there are any snapshots after current time
-    const { data: futureSnapshots, error: futureError } = await supabase
-      .from('undo_history')
-      .select('id')
-      .gt('created_at', currentTime)
-      .limit(1);
-
-    if (futureError) {
-      throw futureError;
-    }
-
-    if (futureSnapshots && futureSnapshots.length > 0) {
-      const { error: deleteError } = await supabase
-        .from('undo_history')
-        .delete()
-        .gt('created_at', currentTime);
-
-      if (deleteError) {
-        throw deleteError;
-      }
-    }
+  if (expectedRevision !== null && expectedRevision !== entry.revision) {
+    return null;
   }
 
-  // Add new snapshot
-  const { data: insertResult, error: insertError } = await supabase
-    .from('undo_history')
-    .insert({ snapshot: cleanState })
-    .select('id, created_at')
-    .single();
-
-  if (insertError) {
-    throw insertError;
+  const revision = entry.revision + 1;
+  flowCache.store(userId, name, { flow: sanitizeFlowData(flowData), revision }, entry.persistedRevision);
+
+  const pending = pendingWrites.get(key);
+  if (pending) {
+    pending.snapshot = snapshot;
+  } else {
+    const timer = setTimeout(() => {
+      flushStagedFlow(userId, name).catch(error => {
+        console.error('Error persisting staged flow:', error);
+      });
+    }, delay);
+    timer.unref?.();
+    pendingWrites.set(key, { timer, snapshot, origin });
   }
 
-  const newTimestamp = insertResult.created_at;
-
-  // Update current snapshot time
-  const { error: updateError } = await supabase
-    .from('undo_state')
-    .update({ current_snapshot_time: newTimestamp })
-    .eq('id', 1)
-    .select();
+  return revision;
+}
 
-  if (updateError) {
-    throw updateError;
-  }
+// ==================== Flow Operations ====================
 
-  // Limit to 50 snapshots
-  const { count, error: countError } = await supabase
-    .from('undo_history')
-    .select('*', { count: 'exact', head: true });
+/**
+ * Get flow by user_id and name
+ * Returns default empty flow if not found
+ */
+export async function getFlow(userId = 'default', name = 'main') {
+  return (await getFlowRecord(userId, name)).flow;
+}
 
-  if (countError) {
-    throw countError;
+/**
+ * Get flow data with its revision: {flow, revision}
+ * Returns an empty flow at revision 0 if not found
+ */
+export async function getFlowRecord(userId = 'default', name = 'main') {
+  const adapter = storage();
+  if (!isFlowCacheEnabled()) {
+    return await adapter.getFlowRecord(userId, name);
   }
 
-  if (count > 50) {
-    // Get timestamps to keep (last 50 by time)
-    const { data: keepRows, error: keepError } = await supabase
-      .from('undo_history')
-      .select('created_at, id')
-      .order('created_at', { ascending: false })
-      .order('id', { ascending: false })
-      .limit(50);
-
-    if (keepError) {
-      throw keepError;
-    }
+  return await flowCache.read(userId, name, () => adapter.getFlowRecord(userId, name));
+}
 
-    const keepIds = keepRows.map(row => row.id);
+/**
+ * Save flow data (upsert), bumping the flow's revision
+ * With expectedRevision the save only applies if the flow is still at that revision
+ *
+ * @returns {Promise<number|null>} New revision, or null on a revision conflict
+ */
+export async function saveFlow(flowData, userId = 'default', name = 'main', expectedRevision = null) {
+  await flushStagedFlow(userId, name);
+  const revision = await storage().saveFlow(flowData, userId, name, expectedRevision);
 
-    // Delete snapshots not in keep list
-    const { error: deleteOldError } = await supabase
-      .from('undo_history')
-      .delete()
-      .not('id', 'in', `(${keepIds.join(',')})`);
+  if (!isFlowCacheEnabled()) return revision;
 
-    if (deleteOldError) {
-      throw deleteOldError;
-    }
+  if (revision === null) {
+    flowCache.invalidate(userId, name);
+  } else {
+    flowCache.store(userId, name, { flow: sanitizeFlowData(flowData), revision });
   }
+
+  return revision;
 }
 
 /**
- * Undo to previous state
+ * Get flow ID for user+name (used by undo/redo)
  */
-export async function undo() {
-  const { data: stateRow, error: stateError } = await supabase
-    .from('undo_state')
-    .select('current_snapshot_time')
-    .eq('id', 1)
-    .single();
-
-  if (stateError) {
-    throw stateError;
-  }
-
-  const currentTime = stateRow.current_snapshot_time;
-
-  if (currentTime === null) return null; // Can't undo if no current state
-
-  // Find previous snapshot by timestamp (with ID tie-breaker)
-  const { data: prevSnapshot, error: snapshotError } = await supabase
-    .from('undo_history')
-    .select('snapshot, created_at, id')
-    .lt('created_at', currentTime)
-    .order('created_at', { ascending: false })
-    .order('id', { ascending: false })
-    .limit(1)
-    .maybeSingle();
+export async function getFlowId(userId = 'default', name = 'main') {
+  return await storage().getFlowId(userId, name);
+}
 
-  if (snapshotError && snapshotError.code !== 'PGRST116') {
-    throw snapshotError;
-  }
+/**
+ * List all flows for a user (name + timestamps), oldest first
+ */
+export async function listFlows(userId = 'default') {
+  return await storage().listFlows(userId);
+}
 
-  if (!prevSnapshot) return null; // At first snapshot
+/**
+ * Rename a flow
+ * Returns false if the flow doesn't exist, null if newName is taken
+ */
+export async function renameFlow(name, newName, userId = 'default') {
+  await flushStagedFlow(userId, name);
+  const renamed = await storage().renameFlow(userId, name, newName);
+  flowCache.invalidate(userId, name);
+  flowCache.invalidate(userId, newName);
+  return renamed;
+}
 
-  // Update current time to previous snapshot's time
-  const { error: updateError } = await supabase
-    .from('undo_state')
-    .update({ current_snapshot_time: prevSnapshot.created_at })
-    .eq('id', 1)
-    .select();
+/**
+ * Delete a flow
+ * Returns false if the flow doesn't exist
+ */
+export async function deleteFlow(name, userId = 'default') {
+  await flushStagedFlow(userId, name);
+  const deleted = await storage().deleteFlow(userId, name);
+  flowCache.invalidate(userId, name);
+  return deleted;
+}
 
-  if (updateError) {
-    throw updateError;
-  }
+// ==================== Conversation Operations ====================
 
-  return prevSnapshot.snapshot;
+/**
+ * Add message to conversation history
+ */
+export async function addConversationMessage(role, content, toolCalls = null) {
+  await storage().addConversationMessage(role, content, toolCalls);
 }
 
 /**
- * Redo to next state
+ * Get conversation history
+ * If limit provided, returns last N interaction pairs (limit * 2 messages)
  */
-export async function redo() {
-  const { data: stateRow, error: stateError } = await supabase
-    .from('undo_state')
-    .select('current_snapshot_time')
-    .eq('id', 1)
-    .single();
-
-  if (stateError) {
-    throw stateError;
-  }
+export async function getConversationHistory(limit = null) {
+  return await storage().getConversationHistory(limit);
+}
 
-  const currentTime = stateRow.current_snapshot_time;
+/**
+ * Clear all conversation history
+ */
+export async function clearConversationHistory() {
+  await storage().clearConversationHistory();
+}
 
-  if (currentTime === null) return null; // Can't redo if no current state
+// ==================== Undo/Redo Operations ====================
+// Undo history is kept per flow and keyed by the flow's row id
 
-  // Find next snapshot by timestamp (with ID tie-breaker)
-  const { data: nextSnapshot, error: snapshotError } = await supabase
-    .from('undo_history')
-    .select('snapshot, created_at, id')
-    .gt('created_at', currentTime)
-    .order('created_at', { ascending: true })
-    .order('id', { ascending: true })
-    .limit(1)
-    .maybeSingle();
+/**
+ * Get the flow's row id, creating an empty flow row on first use
+ * so history can be recorded before the flow is first saved
+ */
+async function ensureFlowId(userId, name) {
+  const flowId = await getFlowId(userId, name);
+  if (flowId !== null) return flowId;
 
-  if (snapshotError && snapshotError.code !== 'PGRST116') {
-    throw snapshotError;
-  }
+  // Revision 0: never overwrite a flow created concurrently
+  await saveFlow({ nodes: [], edges: [] }, userId, name, 0);
+  return await getFlowId(userId, name);
+}
 
-  if (!nextSnapshot) return null; // At last snapshot
+// Flow id for a history operation, once any write-behind save has reached the history
+async function flushedFlowId(userId, name) {
+  await flushStagedFlow(userId, name);
+  return await getFlowId(userId, name);
+}
 
-  // Update current time to next snapshot's time
-  const { error: updateError } = await supabase
-    .from('undo_state')
-    .update({ current_snapshot_time: nextSnapshot.created_at })
-    .eq('id', 1)
-    .select();
+// Push without flushing first (used by the flush itself)
+async function pushSnapshotNow(flowData, userId, name) {
+  const flowId = await ensureFlowId(userId, name);
+  return await storage().pushUndoSnapshot(flowId, flowData);
+}
 
-  if (updateError) {
-    throw updateError;
-  }
+/**
+ * Push snapshot to a flow's undo history
+ * Handles deduplication and truncation
+ * Returns false when the snapshot matched the current one and was skipped
+ */
+export async function pushUndoSnapshot(flowData, userId = 'default', name = 'main') {
+  await flushStagedFlow(userId, name);
+  return await pushSnapshotNow(flowData, userId, name);
+}
 
-  return nextSnapshot.snapshot;
+/**
+ * Undo to previous state
+ */
+export async function undo(userId = 'default', name = 'main') {
+  const flowId = await flushedFlowId(userId, name);
+  if (flowId === null) return null;
+  return await storage().undo(flowId);
 }
 
 /**
- * Get undo/redo status
+ * Redo to next state
  */
-export async function getUndoStatus() {
-  const { data: stateRow, error: stateError } = await supabase
-    .from('undo_state')
-    .select('current_snapshot_time')
-    .eq('id', 1)
-    .single();
-
-  if (stateError) {
-    throw stateError;
-  }
+export async function redo(userId = 'default', name = 'main') {
+  const flowId = await flushedFlowId(userId, name);
+  if (flowId === null) return null;
+  return await storage().redo(flowId);
+}
 
-  const currentTime = stateRow.current_snapshot_time;
+/**
+ * Jump to any snapshot in a flow's undo tree
+ * Returns null when the snapshot doesn't belong to the flow
+ */
+export async function jumpToSnapshot(snapshotId, userId = 'default', name = 'main') {
+  const flowId = await flushedFlowId(userId, name);
+  if (flowId === null) return null;
+  return await storage().jumpToSnapshot(flowId, snapshotId);
+}
 
-  const { count: totalSnapshots, error: countError } = await supabase
-    .from('undo_history')
-    .select('*', { count: 'exact', head: true });
+/**
+ * Get a flow's undo tree metadata and current position
+ */
+export async function getUndoTree(userId = 'default', name = 'main') {
+  const flowId = await flushedFlowId(userId, name);
+  if (flowId === null) return { currentId: null, headId: null, rows: [] };
+  return await storage().getUndoTree(flowId);
+}
 
-  if (countError) {
-    throw countError;
-  }
+/**
+ * Read one snapshot of a flow without moving its undo position
+ */
+export async function getUndoSnapshot(snapshotId, userId = 'default', name = 'main') {
+  const flowId = await flushedFlowId(userId, name);
+  if (flowId === null) return null;
+  return await storage().getUndoSnapshot(flowId, snapshotId);
+}
 
-  // Check if we can undo (any snapshots before current time)
-  let canUndo = false;
-  if (currentTime !== null) {
-    const { data: prevExists, error: prevError } = await supabase
-      .from('undo_history')
-      .select('id')
-      .lt('created_at', currentTime)
-      .limit(1);
-
-    if (prevError) {
-      throw prevError;
-    }
+/**
+ * List a flow's snapshots with their bodies, oldest first
+ */
+export async function listUndoSnapshots(userId = 'default', name = 'main') {
+  const flowId = await flushedFlowId(userId, name);
+  if (flowId === null) return [];
+  return await storage().listUndoSnapshots(flowId);
+}
 
-    canUndo = prevExists && prevExists.length > 0;
-  }
+/**
+ * Get undo/redo status for a flow
+ */
+export async function getUndoStatus(userId = 'default', name = 'main') {
+  const flowId = await flushedFlowId(userId, name);
+  if (flowId === null) return emptyUndoStatus();
+  return await storage().getUndoStatus(flowId);
+}
 
-  // Check if we can redo (any snapshots after current time)
-  let canRedo = false;
-  if (currentTime !== null) {
-    const { data: nextExists, error: nextError } = await supabase
-      .from('undo_history')
-      .select('id')
-      .gt('created_at', currentTime)
-      .limit(1);
-
-    if (nextError) {
-      throw nextError;
-    }
+/**
+ * Set how many snapshots a flow keeps
+ * Lowering the limit prunes the oldest snapshots right away
+ */
+export async function setUndoSnapshotLimit(limit, userId = 'default', name = 'main') {
+  await flushStagedFlow(userId, name);
+  const flowId = await ensureFlowId(userId, name);
+  await storage().setUndoSnapshotLimit(flowId, limit);
+}
 
-    canRedo = nextExists && nextExists.length > 0;
-  }
+/**
+ * Clear a flow's undo history
+ */
+export async function clearUndoHistory(userId = 'default', name = 'main') {
+  const flowId = await flushedFlowId(userId, name);
+  if (flowId === null) return;
+  await storage().clearUndoHistory(flowId);
+}
 
-  // Compute backwards-compatible currentIndex (1-based position in history)
-  // This maintains API compatibility with existing tests/consumers
-  let currentIndex = -1;
-  if (currentTime !== null) {
-    // Count snapshots up to and including current time
-    const { count: positionCount, error: positionError } = await supabase
-      .from('undo_history')
-      .select('*', { count: 'exact', head: true })
-      .lte('created_at', currentTime);
-
-    if (positionError) {
-      throw positionError;
-    }
+/**
+ * Initialize a flow's undo history with its initial state
+ */
+export async function initializeUndoHistory(flowData, userId = 'default', name = 'main') {
+  await clearUndoHistory(userId, name);
+  await pushUndoSnapshot(flowData, userId, name);
+}
 
-    currentIndex = positionCount || 0;
-  }
+// ==================== Checkpoint Operations ====================
+// Named checkpoints are stored per flow, separately from the pruned undo history
 
-  return {
-    canUndo,
-    canRedo,
-    snapshotCount: totalSnapshots,
-    currentTimestamp: currentTime,
-    currentIndex // Backwards compatible: position in history (1-based)
-  };
+/**
+ * Save a named checkpoint of a flow's state
+ * Returns null when the flow already has a checkpoint with that name
+ */
+export async function saveCheckpoint(checkpointName, flowData, userId = 'default', name = 'main') {
+  const flowId = await ensureFlowId(userId, name);
+  return await storage().saveCheckpoint(flowId, checkpointName, flowData);
 }
 
 /**
- * Clear all undo history
+ * List a flow's checkpoints, oldest first
  */
-export async function clearUndoHistory() {
-  const { error: deleteError } = await supabase
-    .from('undo_history')
-    .delete()
-    .neq('id', 0); // Delete all rows
-
-  if (deleteError) {
-    throw deleteError;
-  }
-
-  const { error: updateError } = await supabase
-    .from('undo_state')
-    .update({ current_snapshot_time: null })
-    .eq('id', 1)
-    .select();
+export async function listCheckpoints(userId = 'default', name = 'main') {
+  const flowId = await getFlowId(userId, name);
+  if (flowId === null) return [];
+  return await storage().listCheckpoints(flowId);
+}
 
-  if (updateError) {
-    throw updateError;
-  }
+/**
+ * Get a checkpoint with its stored flow state
+ */
+export async function getCheckpoint(checkpointName, userId = 'default', name = 'main') {
+  const flowId = await getFlowId(userId, name);
+  if (flowId === null) return null;
+  return await storage().getCheckpoint(flowId, checkpointName);
 }
 
 /**
- * Initialize undo history with initial flow state
+ * Delete a checkpoint
+ * Returns false if it doesn't exist
  */
-export async function initializeUndoHistory(flowData) {
-  await clearUndoHistory();
-  await pushUndoSnapshot(flowData);
+export async function deleteCheckpoint(checkpointName, userId = 'default', name = 'main') {
+  const flowId = await getFlowId(userId, name);
+  if (flowId === null) return false;
+  return await storage().deleteCheckpoint(flowId, checkpointName);
 }
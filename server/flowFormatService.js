@@ -0,0 +1,84 @@
+// ABOUTME: Service for exporting flows to interchange formats and importing them as new flows
+// ABOUTME: Formats come from the shared registry; imported flows are laid out with Dagre
+import { getFlow } from './db.js';
+import { DEFAULT_USER_ID, DEFAULT_FLOW_NAME, createFlow } from './workspaceService.js';
+import { executeToolBatch } from './tools/executor.js';
+import { FLOW_FORMATS, getFlowFormat, canImportFormat } from '../shared/formats/index.js';
+import { layoutImportedFlow } from '../shared/formats/importLayout.js';
+
+// Capability checks by direction
+const SUPPORTS = {
+  serialize: (format) => Boolean(format?.serialize),
+  parse: canImportFormat,
+};
+
+// Formats supporting one direction, for error messages
+function formatNames(capability) {
+  return Object.keys(FLOW_FORMATS).filter(name => SUPPORTS[capability](FLOW_FORMATS[name])).join(', ');
+}
+
+// Resolves a format name, or an error result when it can't be used this way
+function resolveFormat(name, capability) {
+  const format = getFlowFormat(name);
+  if (!SUPPORTS[capability](format)) {
+    const supported = formatNames(capability);
+    return {
+      error: { success: false, status: 400, error: `Unsupported format "${name}". Supported: ${supported}` }
+    };
+  }
+  return { format };
+}
+
+/**
+ * Serialize a flow
+ *
+ * @returns {Promise<Object>} {success, content, mimeType, filename} or {success: false, status, error}
+ */
+export async function exportFlow(formatName, flowName = DEFAULT_FLOW_NAME) {
+  const { format, error } = resolveFormat(formatName, 'serialize');
+  if (error) return error;
+
+  const flow = await getFlow(DEFAULT_USER_ID, flowName);
+  return {
+    success: true,
+    content: format.serialize(flow),
+    mimeType: format.mimeType,
+    filename: `${flowName}.${format.extension}`,
+  };
+}
+
+/**
+ * Parse a document and save it as a new flow, laid out left to right
+ * Formats with parseOperations are built through the tools instead of parsed to a document;
+ * formats with keepsPositions keep the layout they describe
+ *
+ * @returns {Promise<Object>} {success, name, flow} or {success: false, status, error}
+ */
+export async function importFlow(name, formatName, content) {
+  const { format, error } = resolveFormat(formatName, 'parse');
+  if (error) return error;
+
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { success: false, status: 400, error: 'content must be a non-empty string' };
+  }
+
+  let parsed;
+  try {
+    parsed = format.parseOperations ? format.parseOperations(content) : format.parse(content);
+  } catch (parseError) {
+    return { success: false, status: 400, error: `Invalid ${format.label}: ${parseError.message}` };
+  }
+
+  if (!format.parseOperations) {
+    return await createFlow(name, format.keepsPositions ? parsed : layoutImportedFlow(parsed));
+  }
+
+  // Operation-based formats are built by the tools on an empty flow, then auto-laid out
+  const operations = [...parsed, { name: 'autoLayout', params: {} }];
+  const batch = await executeToolBatch(operations, { nodes: [], edges: [] }, { flowName: name, origin: 'ui.import' });
+  if (!batch.success) {
+    return { success: false, status: 400, error: `Invalid ${format.label}: ${batch.error}` };
+  }
+
+  return await createFlow(name, batch.flow);
+}
@@ -0,0 +1,67 @@
+// ABOUTME: Service for rendering a flow, or one of its history snapshots, to an SVG or PNG image
+// ABOUTME: PNG output rasterizes the SVG with the optional @resvg/resvg-js package when it is installed
+import { getFlow } from './db.js';
+import { getSnapshot } from './historyService.js';
+import { DEFAULT_USER_ID, DEFAULT_FLOW_NAME } from './workspaceService.js';
+import { renderFlowSvg } from './render/flowSvg.js';
+
+export const IMAGE_FORMATS = ['svg', 'png'];
+
+// Rasterizes at twice the SVG size so text stays crisp on high-density screens
+const PNG_SCALE = 2;
+
+let resvgModule;
+
+// Loads the rasterizer once; null when the optional package isn't installed
+async function loadResvg() {
+  if (resvgModule === undefined) {
+    try {
+      resvgModule = await import('@resvg/resvg-js');
+    } catch {
+      resvgModule = null;
+    }
+  }
+  return resvgModule;
+}
+
+/**
+ * Render a flow as an image
+ *
+ * @param {string} format - 'svg' or 'png'
+ * @param {string} flowName - Flow to render
+ * @param {number|null} snapshotId - History snapshot to render instead of the current flow
+ * @returns {Promise<Object>} {success, content, mimeType, filename} or {success: false, status, error}
+ */
+export async function renderFlowImage(format = 'svg', flowName = DEFAULT_FLOW_NAME, snapshotId = null) {
+  if (!IMAGE_FORMATS.includes(format)) {
+    return { success: false, status: 400, error: `Unsupported image format "${format}". Supported: ${IMAGE_FORMATS.join(', ')}` };
+  }
+
+  const flow = snapshotId === null
+    ? await getFlow(DEFAULT_USER_ID, flowName)
+    : await getSnapshot(snapshotId, flowName);
+
+  if (!flow) {
+    return { success: false, status: 404, error: `Snapshot ${snapshotId} not found` };
+  }
+
+  const svg = renderFlowSvg(flow);
+  const baseName = snapshotId === null ? flowName : `${flowName}-snapshot-${snapshotId}`;
+
+  if (format === 'svg') {
+    return { success: true, content: svg, mimeType: 'image/svg+xml', filename: `${baseName}.svg` };
+  }
+
+  const resvg = await loadResvg();
+  if (!resvg) {
+    return { success: false, status: 501, error: 'PNG rendering needs the optional @resvg/resvg-js package; install it or request format=svg' };
+  }
+
+  const width = Number(svg.match(/width="([\d.]+)"/)[1]);
+  const png = new resvg.Resvg(svg, {
+    fitTo: { mode: 'width', value: Math.round(width * PNG_SCALE) },
+    font: { loadSystemFonts: true },
+  }).render().asPng();
+
+  return { success: true, content: png, mimeType: 'image/png', filename: `${baseName}.png` };
+}
@@ -1,30 +1,46 @@
 // ABOUTME: Manages flow state history for undo/redo functionality
-// ABOUTME: Stores snapshots in database with configurable max limit
+// ABOUTME: Stores per-flow snapshots in database with a configurable per-flow limit
 import {
   pushUndoSnapshot,
   undo as dbUndo,
   redo as dbRedo,
+  jumpToSnapshot,
   getUndoStatus,
+  getUndoTree,
+  getUndoSnapshot,
+  listUndoSnapshots,
+  setUndoSnapshotLimit,
   clearUndoHistory,
-  initializeUndoHistory
+  initializeUndoHistory,
+  getFlow
 } from './db.js';
+import { MAX_UNDO_SNAPSHOT_LIMIT } from './storage/helpers.js';
+import { listBranches as listTreeBranches } from './storage/undoTree.js';
+import { diffFlows, summarizeDiff } from '../shared/flowUtils/flowDiff.js';
+import { DEFAULT_USER_ID, DEFAULT_FLOW_NAME, listFlows } from './workspaceService.js';
 
 /**
- * Push a new snapshot to the undo history.
+ * Build the snapshot stored for a flow state, embedding origin metadata if provided
+ * Note: No timestamp to preserve deduplication (identical states should dedupe)
+ */
+export function tagSnapshot(flowState, origin = null) {
+  return origin
+    ? { ...flowState, _meta: { origin } }
+    : flowState;
+}
+
+/**
+ * Push a new snapshot to a flow's undo history.
  *
  * @param {Object} flowState - Flow state {nodes, edges}
  * @param {string} origin - Optional origin metadata for observability
  *                          Backend save funnel: 'ui.node.update' (drag), 'ui.subtree' (collapse)
  *                          LLM tools: 'llm.tool'
+ * @param {string} flowName - Flow whose history receives the snapshot
+ * @returns {Promise<boolean>} False when the state matched the current snapshot
  */
-export async function pushSnapshot(flowState, origin = null) {
-  // Embed origin metadata inside the snapshot JSON if provided
-  // Note: No timestamp to preserve deduplication (identical states should dedupe)
-  const snapshotData = origin
-    ? { ...flowState, _meta: { origin } }
-    : flowState;
-
-  await pushUndoSnapshot(snapshotData);
+export async function pushSnapshot(flowState, origin = null, flowName = DEFAULT_FLOW_NAME) {
+  return await pushUndoSnapshot(tagSnapshot(flowState, origin), DEFAULT_USER_ID, flowName);
 }
 
 /**
@@ -37,34 +53,168 @@ function stripMetadata(snapshot) {
   return flowState;
 }
 
-export async function undo() {
-  const snapshot = await dbUndo();
+export async function undo(flowName = DEFAULT_FLOW_NAME) {
+  const snapshot = await dbUndo(DEFAULT_USER_ID, flowName);
+  return stripMetadata(snapshot);
+}
+
+export async function redo(flowName = DEFAULT_FLOW_NAME) {
+  const snapshot = await dbRedo(DEFAULT_USER_ID, flowName);
   return stripMetadata(snapshot);
 }
 
-export async function redo() {
-  const snapshot = await dbRedo();
+/**
+ * Jump to any snapshot in a flow's undo tree, switching branches if needed.
+ * Undo/redo then continue along the branch containing that snapshot.
+ *
+ * @returns {Promise<Object|null>} Flow state, or null when the snapshot isn't in the flow
+ */
+export async function jumpTo(snapshotId, flowName = DEFAULT_FLOW_NAME) {
+  const snapshot = await jumpToSnapshot(snapshotId, DEFAULT_USER_ID, flowName);
+  return stripMetadata(snapshot);
+}
+
+/**
+ * List the branches of a flow's undo tree, newest first.
+ *
+ * @returns {Promise<Object>} {currentId, headId, branches}
+ */
+export async function listBranches(flowName = DEFAULT_FLOW_NAME) {
+  const { currentId, headId, rows } = await getUndoTree(DEFAULT_USER_ID, flowName);
+  return {
+    currentId,
+    headId,
+    branches: listTreeBranches(rows, currentId, headId)
+  };
+}
+
+/**
+ * Summarize what a snapshot changed relative to its parent (or an empty flow for roots)
+ */
+function summarizeChange(parent, snapshot) {
+  return {
+    nodeCount: snapshot.nodes?.length ?? 0,
+    edgeCount: snapshot.edges?.length ?? 0,
+    ...summarizeDiff(diffFlows(parent, snapshot))
+  };
+}
+
+/**
+ * List a flow's snapshots, oldest first, with timestamp, origin and change summary.
+ *
+ * @returns {Promise<Object>} {currentId, snapshots: [{id, parentId, createdAt, origin, isCurrent, summary}]}
+ */
+export async function getTimeline(flowName = DEFAULT_FLOW_NAME) {
+  const rows = await listUndoSnapshots(DEFAULT_USER_ID, flowName);
+  const { currentId } = await getUndoTree(DEFAULT_USER_ID, flowName);
+  const snapshotsById = new Map(rows.map(row => [row.id, row.snapshot]));
+
+  return {
+    currentId,
+    snapshots: rows.map(row => ({
+      id: row.id,
+      parentId: row.parent_id,
+      createdAt: row.created_at,
+      origin: row.snapshot?._meta?.origin ?? null,
+      isCurrent: row.id === currentId,
+      summary: summarizeChange(snapshotsById.get(row.parent_id), row.snapshot)
+    }))
+  };
+}
+
+/**
+ * Read a past flow state without touching the undo position (used for previews).
+ *
+ * @returns {Promise<Object|null>} Flow state, or null when the snapshot isn't in the flow
+ */
+export async function getSnapshot(snapshotId, flowName = DEFAULT_FLOW_NAME) {
+  const snapshot = await getUndoSnapshot(snapshotId, DEFAULT_USER_ID, flowName);
   return stripMetadata(snapshot);
 }
 
-export async function canUndo() {
-  const status = await getUndoStatus();
+/**
+ * Compare two snapshots of a flow, or a snapshot against the current flow when toId is null.
+ *
+ * @returns {Promise<Object|null>} Result of diffFlows, or null when a snapshot isn't in the flow
+ */
+export async function diffSnapshots(fromId, toId = null, flowName = DEFAULT_FLOW_NAME) {
+  const before = await getSnapshot(fromId, flowName);
+  const after = toId === null
+    ? await getFlow(DEFAULT_USER_ID, flowName)
+    : await getSnapshot(toId, flowName);
+
+  if (!before || !after) return null;
+  return diffFlows(before, after);
+}
+
+export async function canUndo(flowName = DEFAULT_FLOW_NAME) {
+  const status = await getUndoStatus(DEFAULT_USER_ID, flowName);
   return status.canUndo;
 }
 
-export async function canRedo() {
-  const status = await getUndoStatus();
+export async function canRedo(flowName = DEFAULT_FLOW_NAME) {
+  const status = await getUndoStatus(DEFAULT_USER_ID, flowName);
   return status.canRedo;
 }
 
-export async function getHistoryStatus() {
-  return await getUndoStatus();
+export async function getHistoryStatus(flowName = DEFAULT_FLOW_NAME) {
+  return await getUndoStatus(DEFAULT_USER_ID, flowName);
 }
 
-export async function clearHistory() {
-  await clearUndoHistory();
+/**
+ * Validate a requested snapshot limit
+ * Returns an error message, or null when the limit is acceptable
+ */
+export function validateHistoryLimit(limit) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_UNDO_SNAPSHOT_LIMIT) {
+    return `snapshotLimit must be an integer between 1 and ${MAX_UNDO_SNAPSHOT_LIMIT}`;
+  }
+  return null;
 }
 
-export async function initializeHistory(currentFlow) {
-  await initializeUndoHistory(currentFlow);
+/**
+ * Set how many snapshots a flow keeps and return its updated status.
+ * Lowering the limit prunes the oldest snapshots immediately.
+ */
+export async function setHistoryLimit(limit, flowName = DEFAULT_FLOW_NAME) {
+  await setUndoSnapshotLimit(limit, DEFAULT_USER_ID, flowName);
+  return await getHistoryStatus(flowName);
+}
+
+export async function clearHistory(flowName = DEFAULT_FLOW_NAME) {
+  await clearUndoHistory(DEFAULT_USER_ID, flowName);
+}
+
+export async function initializeHistory(currentFlow, flowName = DEFAULT_FLOW_NAME) {
+  await initializeUndoHistory(currentFlow, DEFAULT_USER_ID, flowName);
+}
+
+/**
+ * Bring a flow's persisted history in line with its stored state.
+ * History survives restarts; a snapshot is only pushed when the stored flow
+ * differs from the current snapshot (e.g. after saves made with skipSnapshot).
+ *
+ * @returns {Promise<boolean>} True when a new snapshot was pushed
+ */
+export async function reconcileHistory(currentFlow, flowName = DEFAULT_FLOW_NAME) {
+  return await pushSnapshot(currentFlow, 'system.reconcile', flowName);
+}
+
+/**
+ * Reconcile the history of every flow in the workspace (run on server startup).
+ *
+ * @returns {Promise<string[]>} Names of flows that received a new snapshot
+ */
+export async function reconcileAllHistories() {
+  const flows = await listFlows();
+  const reconciled = [];
+
+  for (const { name } of flows) {
+    const currentFlow = await getFlow(DEFAULT_USER_ID, name);
+    if (await reconcileHistory(currentFlow, name)) {
+      reconciled.push(name);
+    }
+  }
+
+  return reconciled;
 }
@@ -5,6 +5,7 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { getFlow } from '../db.js';
+import { DEFAULT_USER_ID, DEFAULT_FLOW_NAME } from '../workspaceService.js';
 import { getHistory } from '../conversationService.js';
 import { toolDefinitions } from './tools.js';
 import Groq from 'groq-sdk';
@@ -158,8 +159,8 @@ function parseLLMResponse(llmResponse) {
  * Build complete LLM context for conversation
  * Combines user message, flow state, conversation history, and available tools
  */
-export async function buildLLMContext(userMessage) {
-  const flowState = await getFlow();
+export async function buildLLMContext(userMessage, flowName = DEFAULT_FLOW_NAME) {
+  const flowState = await getFlow(DEFAULT_USER_ID, flowName);
   const conversationHistory = await getHistory(PROMPTS.conversation.history_limit);
 
   return {
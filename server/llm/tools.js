@@ -1,6 +1,47 @@
 // ABOUTME: Tool definitions for flow manipulation operations
 // ABOUTME: Used by both UI and AI to modify nodes and edges
 
+import { NODE_TYPES, DEFAULT_NODE_TYPE, getNodeType } from '../../shared/nodeTypes/index.js';
+import { PROPERTY_TYPES } from '../../shared/properties/index.js';
+import { NODE_SHAPES, NODE_ICONS } from '../../shared/nodeStyle/index.js';
+import { EDGE_KINDS } from '../../shared/edgeKinds/index.js';
+
+// One entry per node type with its purpose, fields and connection rules, so the model knows what each type holds
+const NODE_TYPE_GUIDE = Object.entries(NODE_TYPES).map(([name, type]) => {
+  const fields = Object.entries(type.fields).map(([fieldName, field]) => (
+    field.type === 'enum' ? `${fieldName} (${field.values.join('|')})` : fieldName
+  ));
+  const targets = type.allowedTargets ? `; edges only to: ${type.allowedTargets.join(', ')}` : '';
+  return `${name}: ${type.summary}${fields.length > 0 ? `; fields: ${fields.join(', ')}` : ''}${targets}`;
+}).join('. ');
+
+const nodeTypeParameter = (description) => ({
+  type: 'string',
+  enum: Object.keys(NODE_TYPES),
+  description: `${description} Types - ${NODE_TYPE_GUIDE}.`,
+});
+
+// One entry per edge kind with its meaning, so the model picks the kind that states the relationship
+const EDGE_KIND_GUIDE = Object.entries(EDGE_KINDS)
+  .map(([name, kind]) => `${name}: ${kind.summary}${kind.directed ? '' : ' (undirected)'}`)
+  .join('. ');
+
+const edgeKindParameter = (description) => ({
+  type: ['string', 'null'],
+  enum: [...Object.keys(EDGE_KINDS), null],
+  description: `${description} Kinds - ${EDGE_KIND_GUIDE}.`,
+});
+
+const fieldsParameter = {
+  type: 'object',
+  description: 'Optional values for the node type\'s fields, e.g. {"status": "done"} for a task. Only the fields listed for the type are accepted.',
+};
+
+const propertiesParameter = {
+  type: 'object',
+  description: `Property changes keyed by property name. Set a property with {"type", "value"} where type is one of ${PROPERTY_TYPES.join(', ')}; enum properties also need "options" (the allowed values) and dates are written YYYY-MM-DD. A bare value (e.g. "high" or 3) updates an existing property and keeps its type, or creates a string, number or boolean property. null removes the property. Properties not named are left unchanged.`,
+};
+
 /**
  * Tool schemas in OpenAI function calling format
  * These define what operations can be performed on the flow
@@ -32,6 +73,8 @@ export const toolDefinitions = [
           type: ['string', 'null'],
           description: 'Optional label for the auto-created edge. ONLY use if: (1) user explicitly requests an edge label, OR (2) there is a meaningful relationship to describe. Leave empty for unlabeled edges.',
         },
+        nodeType: nodeTypeParameter(`Optional kind of node (defaults to "${DEFAULT_NODE_TYPE}"). Pick the type that matches what the node represents.`),
+        fields: fieldsParameter,
       },
       required: ['label'],
     },
@@ -42,7 +85,7 @@ export const toolDefinitions = [
   },
   {
     name: 'updateNode',
-    description: 'Updates properties of an existing node. At least one property (label, description, or position) must be provided.',
+    description: 'Updates properties of an existing node. At least one property (label, description, position, nodeType, fields or size) must be provided. Changing nodeType drops the old type\'s fields.',
     parameters: {
       type: 'object',
       properties: {
@@ -72,6 +115,67 @@ export const toolDefinitions = [
             },
           },
         },
+        nodeType: nodeTypeParameter('New kind of node.'),
+        fields: fieldsParameter,
+        size: {
+          type: ['object', 'null'],
+          description: 'Fixed size in pixels. Nodes normally size themselves to fit their label and description, so only set this when asked; null returns the node to automatic sizing.',
+          properties: {
+            width: { type: 'number' },
+            height: { type: 'number' },
+          },
+        },
+      },
+      required: ['nodeId'],
+    },
+  },
+  {
+    name: 'setNodeProperties',
+    description: 'Sets, changes or removes user-defined properties (typed key/value metadata such as owner, priority or due date) on a node. The current properties of every node are listed in the flow state.',
+    parameters: {
+      type: 'object',
+      properties: {
+        nodeId: {
+          type: 'string',
+          description: 'The ID of the node',
+        },
+        properties: propertiesParameter,
+      },
+      required: ['nodeId', 'properties'],
+    },
+    returns: {
+      type: 'object',
+      description: 'All of the node\'s properties after the change',
+    },
+  },
+  {
+    name: 'styleNode',
+    description: 'Changes how a node looks: fill colour, border colour, shape and icon. Only the given keys change; pass null to reset one to the default. Use styling to make categories or status visible, not for decoration.',
+    parameters: {
+      type: 'object',
+      properties: {
+        nodeId: {
+          type: 'string',
+          description: 'The ID of the node to style',
+        },
+        fill: {
+          type: ['string', 'null'],
+          description: 'Background colour as a hex code, e.g. "#1e3a5f". The canvas is dark, so prefer dark fills.',
+        },
+        border: {
+          type: ['string', 'null'],
+          description: 'Border colour as a hex code, e.g. "#f59e0b". On a group this also colours the outline drawn around its members.',
+        },
+        shape: {
+          type: ['string', 'null'],
+          enum: [...NODE_SHAPES, null],
+          description: 'Node outline (default "rounded")',
+        },
+        icon: {
+          type: ['string', 'null'],
+          enum: [...Object.keys(NODE_ICONS), null],
+          description: 'Icon shown before the label',
+        },
       },
       required: ['nodeId'],
     },
@@ -108,6 +212,7 @@ export const toolDefinitions = [
           type: 'string',
           description: 'Optional label for the edge',
         },
+        kind: edgeKindParameter('Optional relationship the edge stands for; omit for a plain edge. Directed kinds read from source to target.'),
       },
       required: ['sourceNodeId', 'targetNodeId'],
     },
@@ -118,7 +223,7 @@ export const toolDefinitions = [
   },
   {
     name: 'updateEdge',
-    description: 'Updates the label of an existing edge.',
+    description: 'Updates an existing edge: its label, its kind, its direction or the nodes it connects. Only the given properties change. Reversing swaps source and target; sourceNodeId and targetNodeId move the ends to other nodes.',
     parameters: {
       type: 'object',
       properties: {
@@ -130,8 +235,40 @@ export const toolDefinitions = [
           type: 'string',
           description: 'New label for the edge',
         },
+        kind: edgeKindParameter('New relationship for the edge; null makes it a plain edge.'),
+        reverse: {
+          type: 'boolean',
+          description: 'True to swap the edge\'s source and target',
+        },
+        sourceNodeId: {
+          type: 'string',
+          description: 'ID of the node the edge should start from',
+        },
+        targetNodeId: {
+          type: 'string',
+          description: 'ID of the node the edge should point to',
+        },
       },
-      required: ['edgeId', 'label'],
+      required: ['edgeId'],
+    },
+  },
+  {
+    name: 'setEdgeProperties',
+    description: 'Sets, changes or removes user-defined properties on an edge, the same way setNodeProperties does for nodes.',
+    parameters: {
+      type: 'object',
+      properties: {
+        edgeId: {
+          type: 'string',
+          description: 'The ID of the edge',
+        },
+        properties: propertiesParameter,
+      },
+      required: ['edgeId', 'properties'],
+    },
+    returns: {
+      type: 'object',
+      description: 'All of the edge\'s properties after the change',
     },
   },
   {
@@ -233,24 +370,48 @@ export const toolDefinitions = [
   },
 ];
 
+// Only elements that have properties carry the key, keeping the context small
+const withProperties = (entry, data) => (
+  data?.properties && Object.keys(data.properties).length > 0
+    ? { ...entry, properties: data.properties }
+    : entry
+);
+
+// Values of the fields the node's registered type declares; groups and untyped data carry none
+const typeFieldValues = (node) => {
+  const fields = getNodeType(node.type)?.fields ?? {};
+  const values = Object.fromEntries(
+    Object.keys(fields)
+      .filter(name => node.data[name] !== undefined)
+      .map(name => [name, node.data[name]])
+  );
+  return Object.keys(values).length > 0 ? { fields: values } : {};
+};
+
 /**
  * Formats the current flow state into context for LLM
- * Simplifies nodes and edges to essential information
+ * Simplifies nodes and edges to essential information, including node types and their field values,
+ * user-defined properties, node styles, manual sizes and edge kinds
  */
 export function formatFlowContext(nodes, edges) {
   return {
-    nodes: nodes.map(node => ({
+    nodes: nodes.map(node => withProperties({
       id: node.id,
+      type: node.type ?? DEFAULT_NODE_TYPE,
       label: node.data.label,
       description: node.data.description || '',
       position: node.position,
-    })),
-    edges: edges.map(edge => ({
+      ...typeFieldValues(node),
+      ...(node.data.style ? { style: node.data.style } : {}),
+      ...(node.data.size ? { size: node.data.size } : {}),
+    }, node.data)),
+    edges: edges.map(edge => withProperties({
       id: edge.id,
       source: edge.source,
       target: edge.target,
       label: edge.data?.label || '',
-    })),
+      ...(edge.data?.kind ? { kind: edge.data.kind } : {}),
+    }, edge.data)),
   };
 }
 
@@ -0,0 +1,262 @@
+// ABOUTME: Draws a flow as a standalone SVG image the way the canvas shows it
+// ABOUTME: Uses stored positions, shared node dimensions, theme colours and React Flow's smoothstep paths
+import { getSmoothStepPath, Position } from '@xyflow/react';
+import { NODE_BORDER_RADIUS } from '../../shared/constants/nodeDimensions.js';
+import { getNodeShape, isHexColor } from '../../shared/nodeStyle/index.js';
+import { NODE_TEXT, getNodeSize, getNodeLabelText, wrapText } from '../../shared/layout/nodeSize.js';
+import { getEdgeKind, resolveEdgeKind } from '../../shared/edgeKinds/index.js';
+import { THEME } from '../../src/constants/theme.js';
+import { applyGroupVisibility, getExpandedGroupHalos } from '../../src/features/flow-canvas/utils/groupUtils.js';
+
+const IMAGE_PADDING = 40;
+const EMPTY_SIZE = { width: 200, height: 100 };
+
+// Node text uses the same metrics that size nodes, so wrapped text fits the box
+const {
+  padding: NODE_PADDING,
+  labelFontSize: LABEL_FONT_SIZE,
+  descriptionFontSize: DESCRIPTION_FONT_SIZE,
+  descriptionGap: DESCRIPTION_GAP,
+  lineHeight: LINE_HEIGHT,
+  charWidth: CHAR_WIDTH,
+} = NODE_TEXT;
+const DESCRIPTION_OPACITY = 0.6;
+
+const EDGE_LABEL_PADDING = { x: 8, y: 2 };
+const EDGE_LABEL_RADIUS = 3;
+
+// Arrowhead outlines from React Flow's markers, in a -10..10 box with the tip at the origin
+const ARROWHEAD_POINTS = {
+  arrow: '-5,-4 0,0 -5,4',
+  arrowclosed: '-5,-4 0,0 -5,4 -5,-4',
+};
+
+const getNodeDimensions = (node) => ({
+  ...getNodeSize(node),
+  borderRadius: NODE_BORDER_RADIUS,
+});
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Stored style colours reach here unchecked by some write paths; only hex colours are drawn
+const paintColor = (value, fallback) => escapeXml(isHexColor(value) ? value : fallback);
+
+// Turn THEME.canvas.background's CSS linear-gradient into SVG gradient stops
+function parseCanvasGradient(background) {
+  const stops = [...String(background).matchAll(/(#[0-9a-f]{3,8}|rgba?\([^)]*\))\s+([\d.]+)%/gi)]
+    .map(([, color, offset]) => ({ color, offset: Number(offset) }));
+  return stops.length > 0 ? stops : [{ color: THEME.colors.deepPurple, offset: 0 }];
+}
+
+function nodeBox(node) {
+  const { width, height, borderRadius } = getNodeDimensions(node);
+  return { x: node.position?.x ?? 0, y: node.position?.y ?? 0, width, height, borderRadius };
+}
+
+function computeImageBounds(nodes, halos) {
+  const boxes = [...nodes.map(nodeBox), ...halos.map(halo => halo.bounds)];
+  if (boxes.length === 0) {
+    return { x: 0, y: 0, ...EMPTY_SIZE };
+  }
+
+  const minX = Math.min(...boxes.map(box => box.x)) - IMAGE_PADDING;
+  const minY = Math.min(...boxes.map(box => box.y)) - IMAGE_PADDING;
+  const maxX = Math.max(...boxes.map(box => box.x + box.width)) + IMAGE_PADDING;
+  const maxY = Math.max(...boxes.map(box => box.y + box.height)) + IMAGE_PADDING;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+const markerId = (kind) => `arrowhead-${kind}`;
+const hasArrowhead = (kind) => Boolean(ARROWHEAD_POINTS[getEdgeKind(kind)?.arrowhead]);
+
+// One arrowhead marker per edge kind in use, coloured like the kind's edges
+function renderArrowheadMarker(kind) {
+  const { arrowhead } = getEdgeKind(kind);
+  const color = THEME.edge.kinds[kind].stroke;
+  const paint = arrowhead === 'arrowclosed' ? `fill="${color}"` : 'fill="none"';
+  return `<marker id="${markerId(kind)}" viewBox="-10 -10 20 20" refX="0" refY="0" markerWidth="${THEME.edge.arrowheadSize}" markerHeight="${THEME.edge.arrowheadSize}" markerUnits="userSpaceOnUse" orient="auto-start-reverse"><polyline points="${ARROWHEAD_POINTS[arrowhead]}" stroke="${color}" stroke-width="1" stroke-linecap="round" stroke-linejoin="round" ${paint}/></marker>`;
+}
+
+function renderEdge(edge, nodesById) {
+  const source = nodeBox(nodesById.get(edge.source));
+  const target = nodeBox(nodesById.get(edge.target));
+
+  const [path, labelX, labelY] = getSmoothStepPath({
+    sourceX: source.x + source.width,
+    sourceY: source.y + source.height / 2,
+    sourcePosition: Position.Right,
+    targetX: target.x,
+    targetY: target.y + target.height / 2,
+    targetPosition: Position.Left,
+  });
+
+  // Kinded edges take the kind's colour, dash pattern and arrowhead, as Edge.jsx draws them
+  const kind = resolveEdgeKind(edge);
+  const dashArray = kind && THEME.edge.dashArrays[kind.lineStyle];
+  const stroke = kind
+    ? `stroke="${THEME.edge.kinds[edge.data.kind].stroke}" stroke-width="${THEME.edge.kindStrokeWidth}"`
+    : `stroke="${THEME.edge.colors.stroke}" stroke-width="${THEME.edge.strokeWidth}"`;
+  const line = [
+    `<path d="${path}" fill="none" ${stroke}`,
+    dashArray ? ` stroke-dasharray="${dashArray}"` : '',
+    kind && hasArrowhead(edge.data.kind) ? ` marker-end="url(#${markerId(edge.data.kind)})"` : '',
+    '/>',
+  ].join('');
+  const label = edge.data?.label;
+  if (!label) return { line, label: '' };
+
+  const fontSize = THEME.edge.labelFontSize;
+  const width = String(label).length * fontSize * CHAR_WIDTH + EDGE_LABEL_PADDING.x * 2;
+  const height = fontSize * LINE_HEIGHT + EDGE_LABEL_PADDING.y * 2;
+
+  return {
+    line,
+    label: [
+      `<g class="edge-label">`,
+      `<rect x="${round(labelX - width / 2)}" y="${round(labelY - height / 2)}" width="${round(width)}" height="${round(height)}" rx="${EDGE_LABEL_RADIUS}" fill="${THEME.edge.colors.labelBackground}"/>`,
+      `<text x="${round(labelX)}" y="${round(labelY)}" font-size="${fontSize}" fill="${THEME.edge.colors.labelText}" text-anchor="middle" dominant-baseline="central">${escapeXml(label)}</text>`,
+      `</g>`,
+    ].join(''),
+  };
+}
+
+// Outline of a node's shape, inset so the stroke stays inside the box as a CSS border does
+function renderShape(shape, box, inset, paint) {
+  const x = box.x + inset;
+  const y = box.y + inset;
+  const width = box.width - inset * 2;
+  const height = box.height - inset * 2;
+
+  switch (shape) {
+    case 'circle':
+      return `<ellipse cx="${round(x + width / 2)}" cy="${round(y + height / 2)}" rx="${round(width / 2)}" ry="${round(height / 2)}" ${paint}/>`;
+    case 'diamond': {
+      const points = [
+        [x + width / 2, y], [x + width, y + height / 2], [x + width / 2, y + height], [x, y + height / 2],
+      ].map(([px, py]) => `${round(px)},${round(py)}`).join(' ');
+      return `<polygon points="${points}" ${paint}/>`;
+    }
+    default: {
+      const radius = shape === 'pill' ? round(height / 2) : box.borderRadius;
+      return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" rx="${radius}" ${paint}/>`;
+    }
+  }
+}
+
+function renderNode(node) {
+  const box = nodeBox(node);
+  const colors = node.type === 'group' ? THEME.groupNode.colors : THEME.node.colors;
+  const style = node.data?.style ?? {};
+  const collapsedSubtree = node.data?.collapsed === true;
+  const typeBorder = paintColor(style.border, THEME.node.types[node.type]?.accent ?? colors.border);
+  const borderColor = collapsedSubtree ? THEME.node.states.collapsedSubtree.colors.border : typeBorder;
+  const borderWidth = collapsedSubtree ? parseFloat(THEME.node.states.collapsedSubtree.borderWidth) : 1;
+
+  // CSS borders sit inside the box; SVG strokes are centred on the outline
+  const inset = borderWidth / 2;
+  const contentWidth = box.width - NODE_PADDING * 2;
+  const contentHeight = box.height - NODE_PADDING * 2;
+  const labelLineHeight = LABEL_FONT_SIZE * LINE_HEIGHT;
+  const descriptionLineHeight = DESCRIPTION_FONT_SIZE * LINE_HEIGHT;
+
+  const description = node.data?.description;
+  const descriptionSpace = description ? DESCRIPTION_GAP + descriptionLineHeight : 0;
+  const labelLines = wrapText(
+    getNodeLabelText(node),
+    LABEL_FONT_SIZE,
+    contentWidth,
+    Math.floor((contentHeight - descriptionSpace) / labelLineHeight)
+  );
+  const descriptionLines = description
+    ? wrapText(
+      description,
+      DESCRIPTION_FONT_SIZE,
+      contentWidth,
+      Math.max(1, Math.floor((contentHeight - labelLines.length * labelLineHeight - DESCRIPTION_GAP) / descriptionLineHeight))
+    )
+    : [];
+
+  // Centre the label and description block vertically, as the node's flex column does
+  const blockHeight = labelLines.length * labelLineHeight
+    + (descriptionLines.length ? DESCRIPTION_GAP + descriptionLines.length * descriptionLineHeight : 0);
+  const centerX = round(box.x + box.width / 2);
+  let lineTop = box.y + (box.height - blockHeight) / 2;
+
+  const textLines = [];
+  labelLines.forEach(text => {
+    textLines.push(`<text x="${centerX}" y="${round(lineTop + labelLineHeight / 2)}" font-size="${LABEL_FONT_SIZE}" fill="${colors.text}" text-anchor="middle" dominant-baseline="central">${escapeXml(text)}</text>`);
+    lineTop += labelLineHeight;
+  });
+  lineTop += DESCRIPTION_GAP;
+  descriptionLines.forEach(text => {
+    textLines.push(`<text x="${centerX}" y="${round(lineTop + descriptionLineHeight / 2)}" font-size="${DESCRIPTION_FONT_SIZE}" font-style="italic" fill="${colors.text}" fill-opacity="${DESCRIPTION_OPACITY}" text-anchor="middle" dominant-baseline="central">${escapeXml(text)}</text>`);
+    lineTop += descriptionLineHeight;
+  });
+
+  return [
+    `<g class="node${node.type === 'group' ? ' group' : ''}" data-id="${escapeXml(node.id)}">`,
+    renderShape(getNodeShape(node), box, inset, `fill="${paintColor(style.fill, colors.background)}" stroke="${borderColor}" stroke-width="${borderWidth}"`),
+    ...textLines,
+    `</g>`,
+  ].join('');
+}
+
+function renderHalo(halo) {
+  const { bounds } = halo;
+  const { halo: style } = THEME.groupNode;
+  return `<rect class="group-halo" data-id="${escapeXml(halo.groupId)}" x="${round(bounds.x)}" y="${round(bounds.y)}" width="${round(bounds.width)}" height="${round(bounds.height)}" rx="${style.borderRadius}" fill="none" stroke="${paintColor(halo.color, style.colors.normal)}" stroke-width="${style.strokeWidth.normal}"/>`;
+}
+
+/**
+ * Render a flow document as an SVG image
+ *
+ * Visibility follows the canvas: members of collapsed groups are hidden and
+ * their edges rerouted to the group node, expanded groups are drawn as halos
+ * around their visible members, and collapsed subtrees keep their hidden
+ * descendants out of the picture while the collapsed node gets the thick
+ * collapsed border. Edges with a kind get its colour, dash pattern and
+ * arrowhead. The image is cropped to the content plus padding.
+ *
+ * @param {Object} flow - Flow document {nodes, edges}
+ * @returns {string} SVG markup
+ */
+export function renderFlowSvg(flow) {
+  const visible = applyGroupVisibility(flow.nodes ?? [], flow.edges ?? []);
+  const nodes = visible.nodes.filter(node => !node.hidden);
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const edges = visible.edges.filter(edge => !edge.hidden && nodesById.has(edge.source) && nodesById.has(edge.target));
+
+  // Smallest halos last so nested groups stay visible, as in GroupHaloOverlay
+  const halos = getExpandedGroupHalos(visible.nodes, getNodeDimensions, THEME.groupNode.halo.padding)
+    .sort((a, b) => b.bounds.width * b.bounds.height - a.bounds.width * a.bounds.height);
+
+  const bounds = computeImageBounds(nodes, halos);
+  const renderedEdges = edges.map(edge => renderEdge(edge, nodesById));
+  const arrowheadKinds = new Set(edges.map(edge => edge.data?.kind).filter(hasArrowhead));
+  const markers = [...arrowheadKinds].map(renderArrowheadMarker).join('');
+  const stops = parseCanvasGradient(THEME.canvas.background)
+    .map(stop => `<stop offset="${stop.offset}%" stop-color="${stop.color}"/>`)
+    .join('');
+
+  const { x, y, width, height } = Object.fromEntries(Object.entries(bounds).map(([key, value]) => [key, round(value)]));
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}" font-family="${escapeXml(THEME.text.fontFamily)}">`,
+    `<defs><linearGradient id="canvas-background" x1="0" y1="0" x2="0" y2="1">${stops}</linearGradient>${markers}</defs>`,
+    `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="url(#canvas-background)"/>`,
+    `<g class="edges">${renderedEdges.map(edge => edge.line).join('')}</g>`,
+    `<g class="nodes">${nodes.map(renderNode).join('')}</g>`,
+    `<g class="group-halos">${halos.map(renderHalo).join('')}</g>`,
+    `<g class="edge-labels">${renderedEdges.map(edge => edge.label).join('')}</g>`,
+    `</svg>`,
+  ].join('\n');
+}
@@ -0,0 +1,36 @@
+// ABOUTME: Admin routes - deliberate maintenance operations
+// ABOUTME: Resets a flow's undo history, which otherwise persists across restarts
+import { Router } from 'express';
+import { initializeHistory, getHistoryStatus } from '../historyService.js';
+import { DEFAULT_FLOW_NAME, flowExists, validateFlowName } from '../workspaceService.js';
+import { sendRouteError } from './routeErrors.js';
+
+const router = Router();
+
+export function registerAdminRoutes(router, { readFlow }) {
+  // Drops a flow's undo history and seeds it with the flow's current state
+  router.post('/history/reset', async (req, res) => {
+    try {
+      const flowName = req.body?.flowName ?? DEFAULT_FLOW_NAME;
+      const validationError = validateFlowName(flowName);
+
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      if (!(await flowExists(flowName))) {
+        return res.status(404).json({ success: false, error: `Flow "${flowName}" not found` });
+      }
+
+      const currentFlow = await readFlow(flowName);
+      await initializeHistory(currentFlow, flowName);
+
+      const status = await getHistoryStatus(flowName);
+      res.json({ success: true, flowName, status });
+    } catch (error) {
+      sendRouteError(res, 'resetting history', error, { success: false, error: 'Failed to reset history' });
+    }
+  });
+}
+
+export default router;
@@ -0,0 +1,89 @@
+// ABOUTME: Checkpoint routes - save, list, diff, restore and delete named flow checkpoints
+// ABOUTME: Mounted per flow under /api/flow/checkpoints and /api/flows/:flowName/checkpoints
+import { Router } from 'express';
+import {
+  listCheckpoints,
+  createCheckpoint,
+  getCheckpointFlow,
+  diffCheckpoint,
+  deleteCheckpoint
+} from '../checkpointService.js';
+import { DEFAULT_FLOW_NAME } from '../workspaceService.js';
+import { revisionConflictError } from '../tools/executor.js';
+import { sendRouteError } from './routeErrors.js';
+
+const router = Router();
+
+// Resolves the flow targeted by a request (/api/flows/:flowName or the legacy 'main' routes)
+function getFlowName(req) {
+  return req.params.flowName ?? DEFAULT_FLOW_NAME;
+}
+
+// Sends a checkpoint service result, mapping failures to their HTTP status
+function sendResult(res, result) {
+  if (!result.success) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+  const { status, ...body } = result;
+  return res.json(body);
+}
+
+export function registerCheckpointRoutes(router, { readFlowRecord, writeFlow }) {
+  router.get('/checkpoints', async (req, res) => {
+    try {
+      const checkpoints = await listCheckpoints(getFlowName(req));
+      res.json({ checkpoints });
+    } catch (error) {
+      sendRouteError(res, 'listing checkpoints', error, { error: 'Failed to list checkpoints' });
+    }
+  });
+
+  router.post('/checkpoints', async (req, res) => {
+    try {
+      sendResult(res, await createCheckpoint(req.body?.name, getFlowName(req)));
+    } catch (error) {
+      sendRouteError(res, 'creating checkpoint', error, { success: false, error: 'Failed to create checkpoint' });
+    }
+  });
+
+  router.get('/checkpoints/:name/diff', async (req, res) => {
+    try {
+      sendResult(res, await diffCheckpoint(req.params.name, getFlowName(req)));
+    } catch (error) {
+      sendRouteError(res, 'diffing checkpoint', error, { success: false, error: 'Failed to diff checkpoint' });
+    }
+  });
+
+  // Restoring saves the checkpoint's state as a new snapshot, so it can be undone
+  router.post('/checkpoints/:name/restore', async (req, res) => {
+    try {
+      const flowName = getFlowName(req);
+      const { revision } = await readFlowRecord(flowName);
+      const result = await getCheckpointFlow(req.params.name, flowName);
+
+      if (!result.success) {
+        return sendResult(res, result);
+      }
+
+      // A write since the read means someone is editing; restoring over it would wipe their change
+      const savedRevision = await writeFlow(result.flow, false, 'checkpoint.restore', flowName, revision);
+      if (savedRevision === null) {
+        return res.status(409).json({ success: false, error: revisionConflictError(flowName) });
+      }
+
+      res.json({ success: true, checkpoint: result.checkpoint, flow: result.flow, revision: savedRevision });
+    } catch (error) {
+      sendRouteError(res, 'restoring checkpoint', error, { success: false, error: 'Failed to restore checkpoint' });
+    }
+  });
+
+  router.delete('/checkpoints/:name', async (req, res) => {
+    try {
+      sendResult(res, await deleteCheckpoint(req.params.name, getFlowName(req)));
+    } catch (error) {
+      sendRouteError(res, 'deleting checkpoint', error, { success: false, error: 'Failed to delete checkpoint' });
+    }
+  });
+}
+
+export default router;
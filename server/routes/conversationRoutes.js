@@ -4,16 +4,13 @@ import { Router } from 'express';
 import { addUserMessage, addAssistantMessage, getHistory, clearHistory } from '../conversationService.js';
 import { buildLLMContext, callConversationLLM, buildRetryMessage } from '../llm/llmService.js';
 import { executeToolCalls } from '../tools/executor.js';
+import { DEFAULT_FLOW_NAME, flowExists, validateFlowName } from '../workspaceService.js';
+import { sendRouteError } from './routeErrors.js';
 
 const router = Router();
 
 const MAX_LLM_RETRY_ITERATIONS = 3;
 
-// Logs errors with consistent formatting
-function logError(operation, error) {
-  console.error(`Error ${operation}:`, error);
-}
-
 // Logs iteration progress with consistent formatting
 function logIteration(iteration, event, details = {}) {
   const messages = {
@@ -53,8 +50,8 @@ function buildConversationResponse({ success, thinking, response, iterations, to
 }
 
 // Builds response when LLM is not available
-async function buildNoLLMResponse(readFlow) {
-  const flowState = await readFlow();
+async function buildNoLLMResponse(readFlow, flowName) {
+  const flowState = await readFlow(flowName);
   return buildConversationResponse({
     success: false,
     thinking: 'LLM disabled: missing API keys',
@@ -65,7 +62,7 @@ async function buildNoLLMResponse(readFlow) {
 }
 
 // Executes a single iteration of LLM conversation with tool calling
-async function executeSingleIteration(currentMessage, llmContext, iteration, readFlow) {
+async function executeSingleIteration(currentMessage, llmContext, iteration, readFlow, flowName) {
   logIteration(iteration, 'start');
 
   // Update llmContext with current message (initial or retry message)
@@ -103,14 +100,14 @@ async function executeSingleIteration(currentMessage, llmContext, iteration, rea
   }
 
   // Execute tool calls
-  const executionResults = await executeToolCalls(parsed.toolCalls);
+  const executionResults = await executeToolCalls(parsed.toolCalls, { flowName });
   const failures = executionResults.filter(r => !r.success);
 
   if (failures.length === 0) {
     // All tool calls succeeded!
     logIteration(iteration, 'success', { count: executionResults.length });
     await addAssistantMessage(parsed.content, parsed.toolCalls);
-    const updatedFlow = await readFlow();
+    const updatedFlow = await readFlow(flowName);
     return {
       type: 'success',
       response: buildConversationResponse({
@@ -137,9 +134,9 @@ async function executeSingleIteration(currentMessage, llmContext, iteration, rea
 }
 
 // Executes message with automatic retry on tool call failures
-async function executeMessageWithRetry(message, readFlow) {
+async function executeMessageWithRetry(message, readFlow, flowName) {
   await addUserMessage(message);
-  const llmContext = await buildLLMContext(message);
+  const llmContext = await buildLLMContext(message, flowName);
 
   let currentMessage = message;
   let iteration = 0;
@@ -147,7 +144,7 @@ async function executeMessageWithRetry(message, readFlow) {
   while (iteration < MAX_LLM_RETRY_ITERATIONS) {
     iteration++;
 
-    const result = await executeSingleIteration(currentMessage, llmContext, iteration, readFlow);
+    const result = await executeSingleIteration(currentMessage, llmContext, iteration, readFlow, flowName);
 
     // Return immediately for parse errors, no tools, or success
     if (result.type !== 'retry') {
@@ -158,7 +155,7 @@ async function executeMessageWithRetry(message, readFlow) {
     if (iteration === MAX_LLM_RETRY_ITERATIONS) {
       // Max retries reached, return failure
       logIteration(iteration, 'maxIterations', { max: MAX_LLM_RETRY_ITERATIONS });
-      const updatedFlow = await readFlow();
+      const updatedFlow = await readFlow(flowName);
       return buildConversationResponse({
         success: false,
         thinking: result.parsed.thinking,
@@ -172,7 +169,7 @@ async function executeMessageWithRetry(message, readFlow) {
     }
 
     // Build retry message and continue loop
-    const currentFlow = await readFlow();
+    const currentFlow = await readFlow(flowName);
     currentMessage = buildRetryMessage(result.executionResults, result.parsed.toolCalls, currentFlow);
     await addUserMessage(currentMessage);
     logIteration(iteration, 'retry', { message: currentMessage });
@@ -182,22 +179,30 @@ async function executeMessageWithRetry(message, readFlow) {
 export function registerConversationRoutes(router, { readFlow }) {
   router.post('/message', async (req, res) => {
     try {
-      const { message } = req.body;
+      const { message, flowName = DEFAULT_FLOW_NAME } = req.body;
 
       if (!message || typeof message !== 'string') {
         return res.status(400).json({ error: 'Message is required and must be a string' });
       }
 
+      const flowNameError = validateFlowName(flowName);
+      if (flowNameError) {
+        return res.status(400).json({ error: flowNameError });
+      }
+
+      if (!(await flowExists(flowName))) {
+        return res.status(404).json({ error: `Flow "${flowName}" not found` });
+      }
+
       if (!checkLLMAvailability()) {
-        return res.json(await buildNoLLMResponse(readFlow));
+        return res.json(await buildNoLLMResponse(readFlow, flowName));
       }
 
-      const response = await executeMessageWithRetry(message, readFlow);
+      const response = await executeMessageWithRetry(message, readFlow, flowName);
       res.json(response);
 
     } catch (error) {
-      logError('processing message', error);
-      res.status(500).json({ error: 'Failed to process message' });
+      sendRouteError(res, 'processing message', error, { error: 'Failed to process message' });
     }
   });
 
@@ -211,8 +216,7 @@ export function registerConversationRoutes(router, { readFlow }) {
         newestTimestamp: history.length > 0 ? history[history.length - 1].timestamp : null,
       });
     } catch (error) {
-      logError('fetching conversation', error);
-      res.status(500).json({ error: 'Failed to fetch conversation' });
+      sendRouteError(res, 'fetching conversation', error, { error: 'Failed to fetch conversation' });
     }
   });
 
@@ -221,8 +225,7 @@ export function registerConversationRoutes(router, { readFlow }) {
       await clearHistory();
       res.json({ success: true });
     } catch (error) {
-      logError('clearing history', error);
-      res.status(500).json({ error: 'Failed to clear history' });
+      sendRouteError(res, 'clearing history', error, { error: 'Failed to clear history' });
     }
   });
 }
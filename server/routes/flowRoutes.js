@@ -1,45 +1,89 @@
 // ABOUTME: Flow domain routes - handles flow CRUD, nodes, edges, groups, and history
 // ABOUTME: Manages all operations related to the visual flow canvas
 import { Router } from 'express';
-import { undo as historyUndo, redo as historyRedo, getHistoryStatus } from '../historyService.js';
-import { executeToolCalls, executeTool, logToolExecution } from '../tools/executor.js';
+import {
+  undo as historyUndo,
+  redo as historyRedo,
+  jumpTo as historyJumpTo,
+  listBranches as listHistoryBranches,
+  getTimeline,
+  getSnapshot,
+  diffSnapshots,
+  getHistoryStatus,
+  setHistoryLimit,
+  validateHistoryLimit
+} from '../historyService.js';
+import {
+  executeToolCalls,
+  executeTool,
+  executeToolBatch,
+  logToolExecution,
+  MAX_WRITE_ATTEMPTS,
+  revisionConflictError
+} from '../tools/executor.js';
+import { DEFAULT_FLOW_NAME } from '../workspaceService.js';
+import { exportFlow } from '../flowFormatService.js';
+import { renderFlowImage } from '../flowRenderService.js';
+import { validateFlowDocument } from '../storage/flowSchema.js';
+import { sendRouteError } from './routeErrors.js';
 
 const router = Router();
 
-// Logs errors with consistent formatting
-function logError(operation, error) {
-  console.error(`Error ${operation}:`, error);
+// Resolves the flow targeted by a request (/api/flows/:flowName or the legacy 'main' routes)
+function getFlowName(req) {
+  return req.params.flowName ?? DEFAULT_FLOW_NAME;
 }
 
-function validateFlow(data) {
-  if (!data || typeof data !== 'object') {
-    return false;
+// Parses a snapshot id route param, returning null unless it's a positive integer
+function parseSnapshotId(value) {
+  const snapshotId = Number(value);
+  return Number.isInteger(snapshotId) && snapshotId > 0 ? snapshotId : null;
+}
+
+const MAX_BATCH_OPERATIONS = 500;
+
+// Validates a batch request's operation list, returning an error message or null
+function validateBatch(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return 'operations must be a non-empty array';
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return `A batch may contain at most ${MAX_BATCH_OPERATIONS} operations`;
   }
-  if (!Array.isArray(data.nodes) || !Array.isArray(data.edges)) {
-    return false;
+
+  const invalidIndex = operations.findIndex(operation =>
+    !operation ||
+    typeof operation.name !== 'string' ||
+    (operation.params !== undefined && (typeof operation.params !== 'object' || operation.params === null))
+  );
+  if (invalidIndex !== -1) {
+    return `Operation ${invalidIndex + 1} must have a tool name and an optional params object`;
   }
-  return true;
+
+  return null;
 }
 
 // Executes a single tool call and returns the result
-async function executeSingleTool(toolName, params) {
-  const [result] = await executeToolCalls([{ name: toolName, params }]);
+async function executeSingleTool(toolName, params, flowName) {
+  const [result] = await executeToolCalls([{ name: toolName, params }], { flowName });
   return result;
 }
 
 // Executes undo/redo operations with consistent null-check and state persistence
-async function executeHistoryOperation(operationFn, operationName, writeFlow) {
-  const state = await operationFn();
+async function executeHistoryOperation(operationFn, operationName, writeFlow, flowName) {
+  const state = await operationFn(flowName);
 
   if (!state) {
     return { success: false, message: `Nothing to ${operationName}` };
   }
 
-  await writeFlow(state, true);
+  await writeFlow(state, true, null, flowName);
   return { success: true, flow: state };
 }
 
-function toolEndpoint(config, readFlow, writeFlow) {
+// Runs a tool as a read-modify-write that only saves if the flow is unchanged since it was read;
+// conflicting writes are replayed against the latest flow, then reported as 409
+function toolEndpoint(config, readFlowRecord, writeFlow) {
   return async (req, res) => {
     try {
       const params = config.extractParams(req);
@@ -54,39 +98,49 @@ function toolEndpoint(config, readFlow, writeFlow) {
         }
       }
 
-      // Execute tool directly (without executeToolCalls) to avoid double-writes
-      const flow = await readFlow();
-      const startTime = Date.now();
-      const executionResult = await executeTool(config.toolName, params, flow);
-      const duration = Date.now() - startTime;
+      const flowName = getFlowName(req);
+
+      for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        // Execute tool directly (without executeToolCalls) to avoid double-writes
+        const { flow, revision } = await readFlowRecord(flowName);
+        const startTime = Date.now();
+        const executionResult = await executeTool(config.toolName, params, flow, { flowName });
+        const duration = Date.now() - startTime;
+
+        // Log execution with route's origin
+        const origin = config.origin ?? 'ui.unknown';
+        logToolExecution(config.toolName, origin, duration, executionResult);
 
-      // Log execution with route's origin
-      const origin = config.origin ?? 'ui.unknown';
-      logToolExecution(config.toolName, origin, duration, executionResult);
+        if (!executionResult.success) {
+          return res.status(400).json({ success: false, error: executionResult.error });
+        }
 
-      if (executionResult.success) {
-        await writeFlow(
+        const savedRevision = await writeFlow(
           executionResult.updatedFlow,
           config.skipSnapshot ?? false,
-          config.origin ?? null
+          config.origin ?? null,
+          flowName,
+          revision
         );
 
-        const response = {
-          success: true,
-          flow: executionResult.updatedFlow
-        };
+        if (savedRevision !== null) {
+          const response = {
+            success: true,
+            flow: executionResult.updatedFlow,
+            revision: savedRevision
+          };
 
-        if (config.extraFields) {
-          Object.assign(response, config.extraFields(executionResult));
-        }
+          if (config.extraFields) {
+            Object.assign(response, config.extraFields(executionResult));
+          }
 
-        res.json(response);
-      } else {
-        res.status(400).json({ success: false, error: executionResult.error });
+          return res.json(response);
+        }
       }
+
+      res.status(409).json({ success: false, error: revisionConflictError(flowName) });
     } catch (error) {
-      logError(config.action, error);
-      res.status(500).json({
+      sendRouteError(res, config.action, error, {
         success: false,
         error: `Failed to ${config.action}`
       });
@@ -94,66 +148,305 @@ function toolEndpoint(config, readFlow, writeFlow) {
   };
 }
 
-export function registerFlowRoutes(router, { readFlow, writeFlow }) {
+export function registerFlowRoutes(router, { readFlowRecord, writeFlow }) {
   // Flow CRUD endpoints
   router.get('/', async (req, res) => {
     try {
-      const flow = await readFlow();
-      res.json(flow);
+      const { flow, revision } = await readFlowRecord(getFlowName(req));
+      res.json({ ...flow, revision });
     } catch (error) {
-      logError('reading flow', error);
-      res.status(500).json({ error: 'Failed to load flow data' });
+      sendRouteError(res, 'reading flow', error, { error: 'Failed to load flow data' });
     }
   });
 
+  // Whole-document save; a `revision` in the body makes it conditional on the flow being unchanged
   router.post('/', async (req, res) => {
     try {
-      const flowData = req.body;
       const skipSnapshot = req.query.skipSnapshot === 'true';
 
-      if (!validateFlow(flowData)) {
-        return res.status(400).json({ error: 'Invalid flow data structure' });
+      // The revision isn't part of the document, keep it out of snapshots
+      const { revision: expectedRevision = null, ...flowData } = req.body ?? {};
+
+      const problems = validateFlowDocument(flowData);
+      if (problems.length > 0) {
+        return res.status(400).json({ error: `Invalid flow data: ${problems.join('; ')}`, problems });
+      }
+
+      if (expectedRevision !== null && (!Number.isInteger(expectedRevision) || expectedRevision < 0)) {
+        return res.status(400).json({ error: 'revision must be a non-negative integer' });
+      }
+
+      const flowName = getFlowName(req);
+      const revision = await writeFlow(flowData, skipSnapshot, null, flowName, expectedRevision);
+
+      if (revision === null) {
+        const current = await readFlowRecord(flowName);
+        return res.status(409).json({
+          success: false,
+          error: revisionConflictError(flowName),
+          revision: current.revision
+        });
+      }
+
+      res.json({ success: true, revision });
+    } catch (error) {
+      sendRouteError(res, 'saving flow', error, { error: 'Failed to save flow data' });
+    }
+  });
+
+  // Serialized flow as a download, e.g. ?format=mermaid
+  router.get('/export', async (req, res) => {
+    try {
+      const result = await exportFlow(req.query.format, getFlowName(req));
+
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      res.attachment(result.filename).type(result.mimeType).send(result.content);
+    } catch (error) {
+      sendRouteError(res, 'exporting flow', error, { success: false, error: 'Failed to export flow' });
+    }
+  });
+
+  // Image of the flow as the canvas shows it (?format=svg|png), or of a snapshot with ?snapshotId=
+  router.get('/render', async (req, res) => {
+    try {
+      let snapshotId = null;
+      if (req.query.snapshotId !== undefined) {
+        snapshotId = parseSnapshotId(req.query.snapshotId);
+        if (snapshotId === null) {
+          return res.status(400).json({ success: false, error: 'snapshotId must be a positive integer' });
+        }
+      }
+
+      const result = await renderFlowImage(req.query.format ?? 'svg', getFlowName(req), snapshotId);
+
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      res.type(result.mimeType).set('Content-Disposition', `inline; filename="${result.filename}"`).send(result.content);
+    } catch (error) {
+      sendRouteError(res, 'rendering flow', error, { success: false, error: 'Failed to render flow' });
+    }
+  });
+
+  // Applies several tool operations as one step: all-or-nothing, one save, one snapshot
+  router.post('/batch', async (req, res) => {
+    try {
+      const { operations } = req.body ?? {};
+      const validationError = validateBatch(operations);
+
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const flowName = getFlowName(req);
+
+      for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const { flow, revision } = await readFlowRecord(flowName);
+        const batch = await executeToolBatch(operations, flow, { flowName, origin: 'ui.batch' });
+
+        if (!batch.success) {
+          return res.status(400).json({
+            success: false,
+            error: batch.error,
+            failedIndex: batch.failedIndex,
+            results: batch.results
+          });
+        }
+
+        const savedRevision = await writeFlow(batch.flow, false, 'ui.batch', flowName, revision);
+        if (savedRevision !== null) {
+          return res.json({
+            success: true,
+            flow: batch.flow,
+            revision: savedRevision,
+            results: batch.results
+          });
+        }
       }
 
-      await writeFlow(flowData, skipSnapshot);
-      res.json({ success: true });
+      res.status(409).json({ success: false, error: revisionConflictError(flowName) });
     } catch (error) {
-      logError('saving flow', error);
-      res.status(500).json({ error: 'Failed to save flow data' });
+      sendRouteError(res, 'applying batch', error, { success: false, error: 'Failed to apply batch' });
     }
   });
 
   // Flow history endpoints
   router.post('/undo', async (req, res) => {
     try {
-      const result = await executeHistoryOperation(historyUndo, 'undo', writeFlow);
+      const result = await executeHistoryOperation(historyUndo, 'undo', writeFlow, getFlowName(req));
       res.json(result);
     } catch (error) {
-      logError('undoing', error);
-      res.status(500).json({ error: 'Failed to undo' });
+      sendRouteError(res, 'undoing', error, { error: 'Failed to undo' });
     }
   });
 
   router.post('/redo', async (req, res) => {
     try {
-      const result = await executeHistoryOperation(historyRedo, 'redo', writeFlow);
+      const result = await executeHistoryOperation(historyRedo, 'redo', writeFlow, getFlowName(req));
       res.json(result);
     } catch (error) {
-      logError('redoing', error);
-      res.status(500).json({ error: 'Failed to redo' });
+      sendRouteError(res, 'redoing', error, { error: 'Failed to redo' });
     }
   });
 
   router.get('/history-status', async (req, res) => {
     try {
-      const status = await getHistoryStatus();
+      const status = await getHistoryStatus(getFlowName(req));
       res.json(status);
     } catch (error) {
-      logError('getting history status', error);
-      res.status(500).json({ error: 'Failed to get history status' });
+      sendRouteError(res, 'getting history status', error, { error: 'Failed to get history status' });
     }
   });
 
+  router.get('/history', async (req, res) => {
+    try {
+      const timeline = await getTimeline(getFlowName(req));
+      res.json(timeline);
+    } catch (error) {
+      sendRouteError(res, 'reading history timeline', error, { error: 'Failed to load history' });
+    }
+  });
+
+  router.get('/history/:snapshotId', async (req, res) => {
+    try {
+      const snapshotId = parseSnapshotId(req.params.snapshotId);
+      if (snapshotId === null) {
+        return res.status(400).json({ success: false, error: 'snapshotId must be a positive integer' });
+      }
+
+      const flow = await getSnapshot(snapshotId, getFlowName(req));
+      if (!flow) {
+        return res.status(404).json({ success: false, error: `Snapshot ${snapshotId} not found` });
+      }
+
+      res.json({ success: true, snapshotId, flow });
+    } catch (error) {
+      sendRouteError(res, 'reading snapshot', error, { success: false, error: 'Failed to load snapshot' });
+    }
+  });
+
+  // Restoring pushes the past state as a new snapshot, so the restore itself can be undone
+  router.post('/history/:snapshotId/restore', async (req, res) => {
+    try {
+      const snapshotId = parseSnapshotId(req.params.snapshotId);
+      if (snapshotId === null) {
+        return res.status(400).json({ success: false, error: 'snapshotId must be a positive integer' });
+      }
+
+      const flowName = getFlowName(req);
+      const { revision } = await readFlowRecord(flowName);
+      const flow = await getSnapshot(snapshotId, flowName);
+      if (!flow) {
+        return res.status(404).json({ success: false, error: `Snapshot ${snapshotId} not found` });
+      }
+
+      // A write since the read means someone is editing; restoring over it would wipe their change
+      const savedRevision = await writeFlow(flow, false, 'history.restore', flowName, revision);
+      if (savedRevision === null) {
+        return res.status(409).json({ success: false, error: revisionConflictError(flowName) });
+      }
+
+      res.json({ success: true, flow, revision: savedRevision });
+    } catch (error) {
+      sendRouteError(res, 'restoring snapshot', error, { success: false, error: 'Failed to restore snapshot' });
+    }
+  });
+
+  router.get('/history-branches', async (req, res) => {
+    try {
+      const tree = await listHistoryBranches(getFlowName(req));
+      res.json(tree);
+    } catch (error) {
+      sendRouteError(res, 'listing history branches', error, { error: 'Failed to list history branches' });
+    }
+  });
+
+  // Compares two snapshots (?from=&to=), or a snapshot against the current flow when `to` is omitted
+  router.get('/history-diff', async (req, res) => {
+    try {
+      const fromId = parseSnapshotId(req.query.from);
+      const toId = req.query.to === undefined ? null : parseSnapshotId(req.query.to);
+
+      if (fromId === null || (req.query.to !== undefined && toId === null)) {
+        return res.status(400).json({ success: false, error: 'from and to must be positive integer snapshot ids' });
+      }
+
+      const diff = await diffSnapshots(fromId, toId, getFlowName(req));
+      if (!diff) {
+        return res.status(404).json({ success: false, error: 'Snapshot not found' });
+      }
+
+      res.json({ success: true, from: fromId, to: toId, diff });
+    } catch (error) {
+      sendRouteError(res, 'diffing snapshots', error, { success: false, error: 'Failed to diff snapshots' });
+    }
+  });
+
+  router.post('/history-jump', async (req, res) => {
+    try {
+      const { snapshotId } = req.body ?? {};
+
+      if (!Number.isInteger(snapshotId) || snapshotId < 1) {
+        return res.status(400).json({ success: false, error: 'snapshotId must be a positive integer' });
+      }
+
+      const flowName = getFlowName(req);
+      const { flow, revision } = await readFlowRecord(flowName);
+      const state = await getSnapshot(snapshotId, flowName);
+
+      if (!state) {
+        return res.status(404).json({ success: false, error: `Snapshot ${snapshotId} not found` });
+      }
+
+      // Save first, against the revision read above, so a conflicting edit leaves both the flow
+      // and the history position untouched; the position only moves once the flow is written
+      const savedRevision = await writeFlow(state, true, null, flowName, revision);
+      if (savedRevision === null) {
+        return res.status(409).json({ success: false, error: revisionConflictError(flowName) });
+      }
+
+      // The snapshot can be pruned, or the position moved, after the read; put the flow back
+      // (unless someone wrote since) so the canvas and the history position still agree
+      let jumped = null;
+      try {
+        jumped = await historyJumpTo(snapshotId, flowName);
+      } finally {
+        if (!jumped) {
+          await writeFlow(flow, true, null, flowName, savedRevision);
+        }
+      }
+      if (!jumped) {
+        return res.status(409).json({ success: false, error: revisionConflictError(flowName) });
+      }
+
+      res.json({ success: true, flow: state, revision: savedRevision });
+    } catch (error) {
+      sendRouteError(res, 'jumping to snapshot', error, { success: false, error: 'Failed to jump to snapshot' });
+    }
+  });
+
+  router.put('/history-settings', async (req, res) => {
+    try {
+      const { snapshotLimit } = req.body ?? {};
+      const validationError = validateHistoryLimit(snapshotLimit);
+
+      if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+      }
+
+      const status = await setHistoryLimit(snapshotLimit, getFlowName(req));
+      res.json({ success: true, status });
+    } catch (error) {
+      sendRouteError(res, 'updating history settings', error, { success: false, error: 'Failed to update history settings' });
+    }
+  });
+
+  // Routes with an id in the path spread the body first, so the path id wins over an id sent in the body
+
   // Node operations
   router.post('/node', toolEndpoint({
     toolName: 'addNode',
@@ -161,21 +454,37 @@ export function registerFlowRoutes(router, { readFlow, writeFlow }) {
     extractParams: (req) => req.body,
     extraFields: (result) => ({ nodeId: result.nodeId }),
     origin: 'ui.node.create'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
 
   router.put('/node/:id', toolEndpoint({
     toolName: 'updateNode',
     action: 'updating node',
-    extractParams: (req) => ({ nodeId: req.params.id, ...req.body }),
+    extractParams: (req) => ({ ...req.body, nodeId: req.params.id }),
     origin: 'ui.node.update'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
+
+  router.put('/node/:id/properties', toolEndpoint({
+    toolName: 'setNodeProperties',
+    action: 'setting node properties',
+    extractParams: (req) => ({ nodeId: req.params.id, properties: req.body?.properties }),
+    extraFields: (result) => ({ properties: result.properties }),
+    origin: 'ui.node.properties'
+  }, readFlowRecord, writeFlow));
+
+  router.put('/node/:id/style', toolEndpoint({
+    toolName: 'styleNode',
+    action: 'styling node',
+    extractParams: (req) => ({ ...req.body, nodeId: req.params.id }),
+    extraFields: (result) => ({ style: result.style }),
+    origin: 'ui.node.style'
+  }, readFlowRecord, writeFlow));
 
   router.delete('/node/:id', toolEndpoint({
     toolName: 'deleteNode',
     action: 'deleting node',
     extractParams: (req) => ({ nodeId: req.params.id }),
     origin: 'ui.node.delete'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
 
   // Edge operations
   router.post('/edge', toolEndpoint({
@@ -190,21 +499,29 @@ export function registerFlowRoutes(router, { readFlow, writeFlow }) {
     },
     extraFields: (result) => ({ edgeId: result.edgeId }),
     origin: 'ui.edge.create'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
 
   router.put('/edge/:id', toolEndpoint({
     toolName: 'updateEdge',
     action: 'updating edge',
-    extractParams: (req) => ({ edgeId: req.params.id, ...req.body }),
+    extractParams: (req) => ({ ...req.body, edgeId: req.params.id }),
     origin: 'ui.edge.update'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
+
+  router.put('/edge/:id/properties', toolEndpoint({
+    toolName: 'setEdgeProperties',
+    action: 'setting edge properties',
+    extractParams: (req) => ({ edgeId: req.params.id, properties: req.body?.properties }),
+    extraFields: (result) => ({ properties: result.properties }),
+    origin: 'ui.edge.properties'
+  }, readFlowRecord, writeFlow));
 
   router.delete('/edge/:id', toolEndpoint({
     toolName: 'deleteEdge',
     action: 'deleting edge',
     extractParams: (req) => ({ edgeId: req.params.id }),
     origin: 'ui.edge.delete'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
 
   // Group operations
   router.post('/group', toolEndpoint({
@@ -219,27 +536,27 @@ export function registerFlowRoutes(router, { readFlow, writeFlow }) {
     },
     extraFields: (result) => ({ groupId: result.groupId }),
     origin: 'ui.group.create'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
 
   router.delete('/group/:id', toolEndpoint({
     toolName: 'ungroup',
     action: 'ungrouping',
     extractParams: (req) => ({ groupId: req.params.id }),
     origin: 'ui.group.ungroup'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
 
   router.put('/group/:id/expand', toolEndpoint({
     toolName: 'toggleGroupExpansion',
     action: 'toggling group expansion',
-    extractParams: (req) => ({ groupId: req.params.id, ...req.body }),
+    extractParams: (req) => ({ ...req.body, groupId: req.params.id }),
     origin: 'ui.group.expand'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
 
   // Subtree collapse operations
   router.put('/subtree/:id/collapse', toolEndpoint({
     toolName: 'toggleSubtreeCollapse',
     action: 'toggling subtree collapse',
-    extractParams: (req) => ({ nodeId: req.params.id, ...req.body }),
+    extractParams: (req) => ({ ...req.body, nodeId: req.params.id }),
     validate: (params) => {
       if (typeof params.collapsed !== 'boolean') {
         return 'collapsed must be a boolean';
@@ -247,12 +564,12 @@ export function registerFlowRoutes(router, { readFlow, writeFlow }) {
       return null;
     },
     origin: 'ui.subtree'
-  }, readFlow, writeFlow));
+  }, readFlowRecord, writeFlow));
 
   // Auto-layout endpoint
   router.post('/auto-layout', async (req, res) => {
     try {
-      const result = await executeSingleTool('autoLayout', {});
+      const result = await executeSingleTool('autoLayout', {}, getFlowName(req));
 
       if (result.success) {
         res.json({
@@ -262,14 +579,13 @@ export function registerFlowRoutes(router, { readFlow, writeFlow }) {
           didChange: result.didChange
         });
       } else {
-        res.status(400).json({
+        res.status(result.status ?? 400).json({
           success: false,
           error: result.error
         });
       }
     } catch (error) {
-      logError('applying auto-layout', error);
-      res.status(500).json({
+      sendRouteError(res, 'applying auto-layout', error, {
         success: false,
         error: 'Failed to apply auto-layout'
       });
@@ -4,25 +4,41 @@ import { Router } from 'express';
 import { registerFlowRoutes } from './flowRoutes.js';
 import { registerConversationRoutes } from './conversationRoutes.js';
 import { registerNotesRoutes } from './notesRoutes.js';
+import { registerWorkspaceRoutes, requireExistingFlow } from './workspaceRoutes.js';
+import { registerAdminRoutes } from './adminRoutes.js';
+import { registerCheckpointRoutes } from './checkpointRoutes.js';
 
-export function registerRoutes(app, { readFlow, writeFlow }) {
+export function registerRoutes(app, { readFlow, readFlowRecord, writeFlow }) {
   const flowRouter = Router();
   const conversationRouter = Router();
   const notesRouter = Router();
+  const workspaceRouter = Router();
+  const namedFlowRouter = Router({ mergeParams: true });
+  const adminRouter = Router();
 
   // Register domain-specific routes
-  registerFlowRoutes(flowRouter, { readFlow, writeFlow });
+  registerFlowRoutes(flowRouter, { readFlowRecord, writeFlow });
+  registerWorkspaceRoutes(workspaceRouter);
+  registerFlowRoutes(namedFlowRouter, { readFlowRecord, writeFlow });
+  registerCheckpointRoutes(flowRouter, { readFlowRecord, writeFlow });
+  registerCheckpointRoutes(namedFlowRouter, { readFlowRecord, writeFlow });
   registerConversationRoutes(conversationRouter, { readFlow });
   registerNotesRoutes(notesRouter);
+  registerAdminRoutes(adminRouter, { readFlow });
 
   // Mount domain routers under /api
   app.use('/api/flow', flowRouter);
   app.use('/api/conversation', conversationRouter);
   app.use('/api/notes', notesRouter);
+  app.use('/api/admin', adminRouter);
+
+  // Named flows: /api/flows lists/manages flows, /api/flows/:flowName/... targets one flow
+  app.use('/api/flows', workspaceRouter);
+  app.use('/api/flows/:flowName', requireExistingFlow, namedFlowRouter);
 
   // Legacy flat routes under /api
   // /api/node, /api/edge, /api/group (not nested under /api/flow)
   const legacyRouter = Router();
-  registerFlowRoutes(legacyRouter, { readFlow, writeFlow });
+  registerFlowRoutes(legacyRouter, { readFlowRecord, writeFlow });
   app.use('/api', legacyRouter);
 }
@@ -0,0 +1,22 @@
+// ABOUTME: Error responses shared by the route handlers
+// ABOUTME: Flows stored by a newer schema answer 422 with the reason; anything else is logged and answered 500
+
+import { UnsupportedSchemaVersionError } from '../storage/flowSchema.js';
+
+/**
+ * Answer a request whose handler threw
+ *
+ * @param {Object} res - Express response
+ * @param {string} operation - What failed, for the log (e.g. 'reading flow')
+ * @param {Error} error - The thrown error
+ * @param {Object} body - Response body for unexpected failures (sent with 500)
+ */
+export function sendRouteError(res, operation, error, body) {
+  // Not 409: clients treat that as a revision conflict and retry or reload
+  if (error instanceof UnsupportedSchemaVersionError) {
+    return res.status(422).json({ success: false, error: error.message });
+  }
+
+  console.error(`Error ${operation}:`, error);
+  res.status(500).json(body);
+}
@@ -0,0 +1,102 @@
+// ABOUTME: Workspace domain routes - handles listing and managing named flows
+// ABOUTME: Create, rename, duplicate, import and delete flows; guards per-flow routes
+import { Router } from 'express';
+import {
+  listFlows,
+  createFlow,
+  renameFlow,
+  duplicateFlow,
+  deleteFlow,
+  flowExists,
+  validateFlowName
+} from '../workspaceService.js';
+import { importFlow } from '../flowFormatService.js';
+import { sendRouteError } from './routeErrors.js';
+
+const router = Router();
+
+// Sends a workspace service result, mapping failures to their HTTP status
+function sendResult(res, result) {
+  if (!result.success) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+  const { status, ...body } = result;
+  return res.json(body);
+}
+
+/**
+ * Middleware for /api/flows/:flowName routes
+ * Rejects invalid names and flows that don't exist
+ */
+export async function requireExistingFlow(req, res, next) {
+  try {
+    const { flowName } = req.params;
+    const error = validateFlowName(flowName);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (!(await flowExists(flowName))) {
+      return res.status(404).json({ success: false, error: `Flow "${flowName}" not found` });
+    }
+
+    next();
+  } catch (error) {
+    sendRouteError(res, 'resolving flow', error, { success: false, error: 'Failed to resolve flow' });
+  }
+}
+
+export function registerWorkspaceRoutes(router) {
+  router.get('/', async (req, res) => {
+    try {
+      const flows = await listFlows();
+      res.json({ flows });
+    } catch (error) {
+      sendRouteError(res, 'listing flows', error, { error: 'Failed to list flows' });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      sendResult(res, await createFlow(req.body?.name));
+    } catch (error) {
+      sendRouteError(res, 'creating flow', error, { success: false, error: 'Failed to create flow' });
+    }
+  });
+
+  router.patch('/:flowName', async (req, res) => {
+    try {
+      sendResult(res, await renameFlow(req.params.flowName, req.body?.name));
+    } catch (error) {
+      sendRouteError(res, 'renaming flow', error, { success: false, error: 'Failed to rename flow' });
+    }
+  });
+
+  router.post('/:flowName/duplicate', async (req, res) => {
+    try {
+      sendResult(res, await duplicateFlow(req.params.flowName, req.body?.name));
+    } catch (error) {
+      sendRouteError(res, 'duplicating flow', error, { success: false, error: 'Failed to duplicate flow' });
+    }
+  });
+
+  // Creates :flowName from a document in another format: {format, content}
+  router.post('/:flowName/import', async (req, res) => {
+    try {
+      sendResult(res, await importFlow(req.params.flowName, req.body?.format, req.body?.content));
+    } catch (error) {
+      sendRouteError(res, 'importing flow', error, { success: false, error: 'Failed to import flow' });
+    }
+  });
+
+  router.delete('/:flowName', async (req, res) => {
+    try {
+      sendResult(res, await deleteFlow(req.params.flowName));
+    } catch (error) {
+      sendRouteError(res, 'deleting flow', error, { success: false, error: 'Failed to delete flow' });
+    }
+  });
+}
+
+export default router;
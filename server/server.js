@@ -1,7 +1,8 @@
 // ABOUTME: Server startup and lifecycle management
 // ABOUTME: Handles server listen, initialization, and shutdown hooks
 import app, { readFlow, writeFlow } from './app.js';
-import { initializeHistory } from './historyService.js';
+import { reconcileAllHistories } from './historyService.js';
+import { flushAllStagedFlows } from './db.js';
 
 const PORT = process.env.PORT || 3001;
 
@@ -20,15 +21,27 @@ if (process.env.NODE_ENV !== 'test') {
   app.listen(PORT, async () => {
     console.log(`Server running on http://localhost:${PORT}`);
 
-    // Initialize history with current flow state
+    // Keep persisted undo history; only record flows whose stored state drifted from it
+    // (resetting history on purpose is done via POST /api/admin/history/reset)
     try {
-      const currentFlow = await readFlow();
-      await initializeHistory(currentFlow);
-      console.log('History initialized with current flow state');
+      const reconciled = await reconcileAllHistories();
+      console.log(`History reconciled (${reconciled.length} flow(s) updated)`);
     } catch (error) {
-      logError('initializing history', error);
+      logError('reconciling history', error);
     }
   });
+
+  // Persist write-behind saves (FLOW_WRITE_BEHIND_MS) before exiting
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, async () => {
+      try {
+        await flushAllStagedFlows();
+      } catch (error) {
+        logError('persisting staged flows', error);
+      }
+      process.exit(0);
+    });
+  });
 }
 
 export default app;
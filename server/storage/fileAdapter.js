@@ -0,0 +1,550 @@
+// ABOUTME: File-backed storage adapter keeping every table in one JSON document
+// ABOUTME: Lets the server and the test suite run offline without Supabase
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { sanitizeFlowData, toStoredFlow, emptyUndoStatus, UNDO_SNAPSHOT_LIMIT } from './helpers.js';
+import {
+  indexRows,
+  findNextOnBranch,
+  resolveBranchHead,
+  selectPrunableIds,
+  describeTreePosition
+} from './undoTree.js';
+import {
+  rebuildSnapshot,
+  rebuildSnapshots,
+  createHistoryEntry,
+  selectOrphanedPatches,
+  rowOrigin
+} from './snapshotPatches.js';
+
+const CONVERSATION_ROLES = ['user', 'assistant'];
+
+// ==================== Store Helpers ====================
+
+/**
+ * Build an empty store with the same tables as the Supabase schema
+ */
+export function createEmptyStore() {
+  return {
+    flows: [],
+    conversation_history: [],
+    undo_history: [],
+    undo_state: [],
+    checkpoints: [],
+    sequences: { flows: 0, conversation_history: 0, undo_history: 0, checkpoints: 0 },
+    clock: 0,
+  };
+}
+
+/**
+ * Move a store written before undo history was keyed by flow onto the new layout
+ * The old single undo stack always belonged to the default user's main flow
+ */
+function upgradeLegacyUndoState(store) {
+  if (Array.isArray(store.undo_state)) return store;
+
+  const mainFlow = store.flows.find(row => row.user_id === 'default' && row.name === 'main');
+  if (!mainFlow) {
+    return { ...store, undo_history: [], undo_state: [] };
+  }
+
+  return {
+    ...store,
+    undo_history: store.undo_history.map(row => ({ ...row, flow_id: mainFlow.id })),
+    undo_state: [{
+      flow_id: mainFlow.id,
+      current_snapshot_id: store.undo_state?.current_snapshot_id ?? null,
+      snapshot_limit: UNDO_SNAPSHOT_LIMIT
+    }]
+  };
+}
+
+/**
+ * Link a store's linear undo histories into the undo tree layout
+ * Each legacy snapshot's parent is the previous snapshot of its flow, and
+ * the newest snapshot becomes the branch head
+ */
+function linkLegacyUndoHistory(store) {
+  const isLinked = store.undo_history.every(row => row.parent_id !== undefined)
+    && store.undo_state.every(state => state.branch_head_id !== undefined);
+  if (isLinked) return store;
+
+  const latestByFlow = new Map();
+  const undo_history = store.undo_history.map(row => {
+    const linked = row.parent_id !== undefined
+      ? row
+      : { ...row, parent_id: latestByFlow.get(row.flow_id) ?? null };
+    latestByFlow.set(row.flow_id, row.id);
+    return linked;
+  });
+
+  const undo_state = store.undo_state.map(state => (
+    state.branch_head_id !== undefined
+      ? state
+      : { ...state, branch_head_id: latestByFlow.get(state.flow_id) ?? null }
+  ));
+
+  return { ...store, undo_history, undo_state };
+}
+
+/**
+ * Load the store from disk
+ * Returns an empty store if the file doesn't exist yet
+ */
+export function loadStore(filePath) {
+  try {
+    const parsed = JSON.parse(readFileSync(filePath, 'utf-8'));
+    return linkLegacyUndoHistory(upgradeLegacyUndoState({ ...createEmptyStore(), ...parsed }));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return createEmptyStore();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write the store to disk atomically (temp file + rename)
+ */
+export function saveStore(filePath, store) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  writeFileSync(tempPath, JSON.stringify(store), 'utf-8');
+  renameSync(tempPath, filePath);
+}
+
+/**
+ * Append a row to a table, assigning the next id from the table's sequence
+ */
+export function insertRow(store, table, row) {
+  store.sequences[table] = (store.sequences[table] || 0) + 1;
+  const inserted = { id: store.sequences[table], ...row };
+  store[table].push(inserted);
+  return inserted;
+}
+
+/**
+ * Issue a strictly increasing ISO timestamp
+ * Snapshots pushed within the same millisecond still sort in insertion order
+ */
+export function nextTimestamp(store) {
+  const millis = Math.max(Date.now(), store.clock + 1);
+  store.clock = millis;
+  return new Date(millis).toISOString();
+}
+
+// ==================== Adapter ====================
+
+/**
+ * Create a storage adapter that persists to a local JSON file
+ *
+ * Every operation reads the file, applies its change synchronously and writes
+ * it back, so operations never interleave within the process.
+ *
+ * @param {string} filePath - Absolute path of the JSON store
+ * @returns {Object} Storage adapter (see storage/index.js)
+ */
+export function createFileAdapter(filePath) {
+  const read = () => loadStore(filePath);
+
+  const update = (mutate) => {
+    const store = read();
+    const result = mutate(store);
+    saveStore(filePath, store);
+    return result;
+  };
+
+  const findFlowRow = (store, userId, name) =>
+    store.flows.find(row => row.user_id === userId && row.name === name);
+
+  // Snapshots of one flow, oldest first
+  const flowHistory = (store, flowId) =>
+    store.undo_history.filter(row => row.flow_id === flowId);
+
+  const findUndoState = (store, flowId) =>
+    store.undo_state.find(row => row.flow_id === flowId);
+
+  const ensureUndoState = (store, flowId) => {
+    let state = findUndoState(store, flowId);
+    if (!state) {
+      state = {
+        flow_id: flowId,
+        current_snapshot_id: null,
+        branch_head_id: null,
+        snapshot_limit: UNDO_SNAPSHOT_LIMIT
+      };
+      store.undo_state.push(state);
+    }
+    return state;
+  };
+
+  // Full snapshot of one of a flow's rows, rebuilt from its keyframe
+  const readSnapshot = (store, flowId, snapshotId) =>
+    rebuildSnapshot(indexRows(flowHistory(store, flowId)), snapshotId)?.snapshot ?? null;
+
+  // Children of removed snapshots become roots (mirrors ON DELETE SET NULL).
+  // Their patches point at removed parents, so they are stored as keyframes first.
+  const removeSnapshots = (store, ids) => {
+    const removed = new Set(ids);
+    const rowsById = indexRows(store.undo_history);
+    selectOrphanedPatches(store.undo_history, ids)
+      .map(id => [rowsById.get(id), rebuildSnapshot(rowsById, id).snapshot])
+      .forEach(([row, snapshot]) => {
+        row.snapshot = snapshot;
+        row.patch = null;
+      });
+
+    store.undo_history = store.undo_history.filter(row => !removed.has(row.id));
+    store.undo_history.forEach(row => {
+      if (removed.has(row.parent_id)) {
+        row.parent_id = null;
+      }
+    });
+  };
+
+  // Drop the flow's oldest snapshots beyond its limit, never past the current snapshot
+  const pruneHistory = (store, flowId, state) => {
+    const ids = selectPrunableIds(
+      flowHistory(store, flowId),
+      state.current_snapshot_id,
+      state.snapshot_limit
+    );
+
+    if (ids.length > 0) {
+      removeSnapshots(store, ids);
+    }
+  };
+
+  // ==================== Flow Operations ====================
+
+  async function getFlow(userId, name) {
+    const row = findFlowRow(read(), userId, name);
+    return row ? sanitizeFlowData(row.data) : { nodes: [], edges: [] };
+  }
+
+  async function getFlowRecord(userId, name) {
+    const row = findFlowRow(read(), userId, name);
+    return row
+      ? { flow: sanitizeFlowData(row.data), revision: row.revision ?? 0 }
+      : { flow: { nodes: [], edges: [] }, revision: 0 };
+  }
+
+  async function saveFlow(flowData, userId, name, expectedRevision = null, revisionStep = 1) {
+    const sanitized = toStoredFlow(sanitizeFlowData(flowData));
+
+    return update((store) => {
+      const now = new Date().toISOString();
+      const row = findFlowRow(store, userId, name);
+      const currentRevision = row ? row.revision ?? 0 : 0;
+
+      // Stale writer: leave the store untouched
+      if (expectedRevision !== null && expectedRevision !== currentRevision) {
+        return null;
+      }
+
+      const savedRevision = currentRevision + revisionStep;
+
+      if (row) {
+        row.data = sanitized;
+        row.revision = savedRevision;
+        row.updated_at = now;
+      } else {
+        insertRow(store, 'flows', {
+          user_id: userId,
+          name,
+          data: sanitized,
+          revision: savedRevision,
+          created_at: now,
+          updated_at: now
+        });
+      }
+
+      return savedRevision;
+    });
+  }
+
+  async function getFlowId(userId, name) {
+    const row = findFlowRow(read(), userId, name);
+    return row ? row.id : null;
+  }
+
+  async function listFlows(userId) {
+    return read().flows
+      .filter(row => row.user_id === userId)
+      .map(row => ({
+        name: row.name,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
+  }
+
+  async function renameFlow(userId, name, newName) {
+    return update((store) => {
+      const row = findFlowRow(store, userId, name);
+      if (!row) return false;
+      if (findFlowRow(store, userId, newName)) return null;
+
+      row.name = newName;
+      row.updated_at = new Date().toISOString();
+      return true;
+    });
+  }
+
+  async function deleteFlow(userId, name) {
+    return update((store) => {
+      const row = findFlowRow(store, userId, name);
+      if (!row) return false;
+
+      store.flows = store.flows.filter(candidate => candidate !== row);
+      store.undo_history = store.undo_history.filter(snapshot => snapshot.flow_id !== row.id);
+      store.undo_state = store.undo_state.filter(state => state.flow_id !== row.id);
+      store.checkpoints = store.checkpoints.filter(checkpoint => checkpoint.flow_id !== row.id);
+      return true;
+    });
+  }
+
+  // ==================== Conversation Operations ====================
+
+  async function addConversationMessage(role, content, toolCalls) {
+    if (!CONVERSATION_ROLES.includes(role)) {
+      throw new Error(`Invalid conversation role: ${role}`);
+    }
+
+    update((store) => {
+      insertRow(store, 'conversation_history', {
+        role,
+        content,
+        tool_calls: toolCalls || null,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }
+
+  async function getConversationHistory(limit) {
+    let rows = read().conversation_history;
+
+    // Apply limit (limit is interaction pairs, so multiply by 2 for messages)
+    if (limit && rows.length > limit * 2) {
+      rows = rows.slice(-limit * 2);
+    }
+
+    return rows.map(row => ({
+      role: row.role,
+      content: row.content,
+      toolCalls: row.tool_calls || [],
+      timestamp: row.timestamp
+    }));
+  }
+
+  async function clearConversationHistory() {
+    update((store) => {
+      store.conversation_history = [];
+    });
+  }
+
+  // ==================== Undo/Redo Operations ====================
+
+  // Dedupe, insert, position move and prune run in one update, so concurrent
+  // pushes each see the previous one's snapshot as their parent
+  async function pushUndoSnapshot(flowId, flowData) {
+    return update((store) => {
+      const state = ensureUndoState(store, flowId);
+      const current = rebuildSnapshot(indexRows(flowHistory(store, flowId)), state.current_snapshot_id);
+
+      // Skip if identical to current snapshot (compare flow state, not metadata)
+      const entry = createHistoryEntry(current, flowData);
+      if (!entry) {
+        return false;
+      }
+
+      // Pushing after an undo starts a new branch from the current snapshot
+      const row = insertRow(store, 'undo_history', {
+        flow_id: flowId,
+        parent_id: current ? state.current_snapshot_id : null,
+        ...entry,
+        created_at: nextTimestamp(store)
+      });
+      state.current_snapshot_id = row.id;
+      state.branch_head_id = row.id;
+
+      pruneHistory(store, flowId, state);
+      return true;
+    });
+  }
+
+  async function undo(flowId) {
+    return update((store) => {
+      const state = findUndoState(store, flowId);
+      const rowsById = indexRows(flowHistory(store, flowId));
+      const current = state && rowsById.get(state.current_snapshot_id);
+      const parent = current && rowsById.get(current.parent_id);
+      if (!parent) return null;
+
+      state.current_snapshot_id = parent.id;
+      return readSnapshot(store, flowId, parent.id);
+    });
+  }
+
+  async function redo(flowId) {
+    return update((store) => {
+      const state = findUndoState(store, flowId);
+      if (!state) return null;
+
+      const rowsById = indexRows(flowHistory(store, flowId));
+      const nextId = findNextOnBranch(rowsById, state.current_snapshot_id, state.branch_head_id);
+      if (nextId === null) return null;
+
+      state.current_snapshot_id = nextId;
+      return readSnapshot(store, flowId, nextId);
+    });
+  }
+
+  async function jumpToSnapshot(flowId, snapshotId) {
+    return update((store) => {
+      const history = flowHistory(store, flowId);
+      const target = history.find(row => row.id === snapshotId);
+      if (!target) return null;
+
+      const state = ensureUndoState(store, flowId);
+      state.branch_head_id = resolveBranchHead(history, snapshotId, state.branch_head_id);
+      state.current_snapshot_id = snapshotId;
+      return readSnapshot(store, flowId, snapshotId);
+    });
+  }
+
+  async function getUndoStatus(flowId) {
+    const store = read();
+    const state = findUndoState(store, flowId);
+    if (!state) return emptyUndoStatus();
+
+    return {
+      ...describeTreePosition(flowHistory(store, flowId), state.current_snapshot_id, state.branch_head_id),
+      snapshotLimit: state.snapshot_limit
+    };
+  }
+
+  async function getUndoTree(flowId) {
+    const store = read();
+    const state = findUndoState(store, flowId);
+
+    return {
+      currentId: state?.current_snapshot_id ?? null,
+      headId: state?.branch_head_id ?? null,
+      rows: flowHistory(store, flowId).map(row => ({
+        id: row.id,
+        parent_id: row.parent_id,
+        created_at: row.created_at,
+        origin: rowOrigin(row)
+      }))
+    };
+  }
+
+  async function getUndoSnapshot(flowId, snapshotId) {
+    return readSnapshot(read(), flowId, snapshotId);
+  }
+
+  async function listUndoSnapshots(flowId) {
+    const history = flowHistory(read(), flowId);
+    const snapshots = rebuildSnapshots(history);
+
+    return history.map(({ id, parent_id, created_at }) => ({
+      id,
+      parent_id,
+      created_at,
+      snapshot: snapshots.get(id)
+    }));
+  }
+
+  async function setUndoSnapshotLimit(flowId, limit) {
+    update((store) => {
+      const state = ensureUndoState(store, flowId);
+      state.snapshot_limit = limit;
+      pruneHistory(store, flowId, state);
+    });
+  }
+
+  async function clearUndoHistory(flowId) {
+    update((store) => {
+      store.undo_history = store.undo_history.filter(row => row.flow_id !== flowId);
+
+      // Keep the flow's snapshot limit; only the position is reset
+      const state = findUndoState(store, flowId);
+      if (state) {
+        state.current_snapshot_id = null;
+        state.branch_head_id = null;
+      }
+    });
+  }
+
+  // ==================== Checkpoint Operations ====================
+
+  const findCheckpoint = (store, flowId, name) =>
+    store.checkpoints.find(row => row.flow_id === flowId && row.name === name);
+
+  // Checkpoint metadata without the stored flow
+  const describeCheckpoint = ({ id, name, created_at }) => ({ id, name, created_at });
+
+  async function saveCheckpoint(flowId, name, flowData) {
+    return update((store) => {
+      if (findCheckpoint(store, flowId, name)) return null;
+
+      const row = insertRow(store, 'checkpoints', {
+        flow_id: flowId,
+        name,
+        snapshot: flowData,
+        created_at: nextTimestamp(store)
+      });
+      return describeCheckpoint(row);
+    });
+  }
+
+  async function listCheckpoints(flowId) {
+    return read().checkpoints
+      .filter(row => row.flow_id === flowId)
+      .map(describeCheckpoint);
+  }
+
+  async function getCheckpoint(flowId, name) {
+    const row = findCheckpoint(read(), flowId, name);
+    return row ? { ...describeCheckpoint(row), snapshot: row.snapshot } : null;
+  }
+
+  async function deleteCheckpoint(flowId, name) {
+    return update((store) => {
+      const row = findCheckpoint(store, flowId, name);
+      if (!row) return false;
+
+      store.checkpoints = store.checkpoints.filter(candidate => candidate !== row);
+      return true;
+    });
+  }
+
+  return {
+    getFlow,
+    getFlowRecord,
+    saveFlow,
+    getFlowId,
+    listFlows,
+    renameFlow,
+    deleteFlow,
+    addConversationMessage,
+    getConversationHistory,
+    clearConversationHistory,
+    pushUndoSnapshot,
+    undo,
+    redo,
+    jumpToSnapshot,
+    getUndoStatus,
+    getUndoTree,
+    getUndoSnapshot,
+    listUndoSnapshots,
+    setUndoSnapshotLimit,
+    clearUndoHistory,
+    saveCheckpoint,
+    listCheckpoints,
+    getCheckpoint,
+    deleteCheckpoint,
+  };
+}
@@ -0,0 +1,97 @@
+// ABOUTME: In-process cache of flow documents ({flow, revision}) keyed by user and flow name
+// ABOUTME: Lets db.js serve repeat reads without a storage round trip and hold write-behind state
+
+/**
+ * Create an empty flow cache
+ *
+ * Documents are cloned on the way in and out: tools edit flows in place, and a
+ * cached document must never change under another reader.
+ *
+ * Besides {flow, revision}, an entry tracks `persistedRevision`, the revision
+ * storage holds. It trails `revision` while a write-behind save is pending.
+ *
+ * @returns {Object} Flow cache
+ */
+export function createFlowCache() {
+  const entries = new Map();
+  // Bumped whenever a key changes, so a slow load never overwrites a newer entry
+  const versions = new Map();
+  let epoch = 0;
+
+  const keyOf = (userId, name) => `${userId}\u0000${name}`;
+
+  const touch = (key) => {
+    versions.set(key, (versions.get(key) ?? 0) + 1);
+  };
+
+  const toRecord = ({ flow, revision }) => ({ flow: structuredClone(flow), revision });
+
+  /**
+   * Read a flow, loading it with `load` on a miss
+   *
+   * @param {Function} load - async () => {flow, revision} from storage
+   * @returns {Promise<Object>} {flow, revision} (a private copy)
+   */
+  async function read(userId, name, load) {
+    const key = keyOf(userId, name);
+    const entry = entries.get(key);
+    if (entry) return toRecord(entry);
+
+    const version = versions.get(key);
+    const loadEpoch = epoch;
+    const record = await load();
+
+    if (versions.get(key) === version && epoch === loadEpoch) {
+      entries.set(key, { ...toRecord(record), persistedRevision: record.revision });
+    }
+
+    return record;
+  }
+
+  /**
+   * The cached entry itself ({flow, revision, persistedRevision}), or null
+   * Callers must not mutate it
+   */
+  function peek(userId, name) {
+    return entries.get(keyOf(userId, name)) ?? null;
+  }
+
+  /**
+   * Store a flow that was just saved (or staged for write-behind)
+   * An older revision never replaces a newer one, whatever order saves complete in
+   *
+   * @param {Object} record - {flow, revision}
+   * @param {number} persistedRevision - Revision storage holds (defaults to `revision`)
+   */
+  function store(userId, name, record, persistedRevision = record.revision) {
+    const key = keyOf(userId, name);
+    const entry = entries.get(key);
+    if (entry && entry.revision > record.revision) return;
+
+    touch(key);
+    entries.set(key, { ...toRecord(record), persistedRevision });
+  }
+
+  /**
+   * Record that storage now holds `revision` (a write-behind save completed)
+   */
+  function markPersisted(userId, name, revision) {
+    const entry = entries.get(keyOf(userId, name));
+    if (entry && entry.persistedRevision < revision) {
+      entry.persistedRevision = revision;
+    }
+  }
+
+  function invalidate(userId, name) {
+    const key = keyOf(userId, name);
+    touch(key);
+    entries.delete(key);
+  }
+
+  function clear() {
+    epoch++;
+    entries.clear();
+  }
+
+  return { read, peek, store, markPersisted, invalidate, clear };
+}
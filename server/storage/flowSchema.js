@@ -0,0 +1,181 @@
+// ABOUTME: Versioned flow document schema: ordered migrations run on read and a structural validator
+// ABOUTME: Stored flows carry schemaVersion; documents without one predate versioning (version 0)
+
+import { validateNodeStyle } from '../../shared/nodeStyle/index.js';
+
+/**
+ * Schema version written with every stored flow
+ */
+export const CURRENT_SCHEMA_VERSION = 1;
+
+// Version of documents saved before flows carried a schemaVersion
+const UNVERSIONED_SCHEMA_VERSION = 0;
+
+// Lowest version a document may declare
+const BASELINE_SCHEMA_VERSION = 1;
+
+// Cap on validation messages reported for one document
+const MAX_VALIDATION_ERRORS = 10;
+
+const NODE_FLAGS = ['hidden', 'subtreeHidden', 'groupHidden', 'isCollapsed'];
+
+/**
+ * Thrown when a document was written by a newer schema than this server knows
+ * Routes answer it with 422 instead of a generic failure (see routes/routeErrors.js)
+ */
+export class UnsupportedSchemaVersionError extends Error {
+  constructor(version) {
+    super(`Flow schema version ${version} is newer than the supported version ${CURRENT_SCHEMA_VERSION}; upgrade the server to open this flow`);
+    this.name = 'UnsupportedSchemaVersionError';
+    this.schemaVersion = version;
+  }
+}
+
+/**
+ * Migrations in version order; each upgrades a {nodes, edges} document from
+ * the previous version to `version`. Documents posted without a version go
+ * through every migration, so each must leave current-shaped documents alone.
+ */
+export const MIGRATIONS = [
+  {
+    version: BASELINE_SCHEMA_VERSION,
+    description: 'Baseline: the stored format when versioning began; unversioned documents are only tagged',
+    migrate: (flow) => flow,
+  },
+];
+
+/**
+ * Schema version a document declares, treating unversioned documents as version 0
+ */
+export function getSchemaVersion(document) {
+  return document?.schemaVersion ?? UNVERSIONED_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade a stored or posted flow document to the current schema
+ *
+ * Runs every migration newer than the document's schemaVersion, in order.
+ *
+ * @param {Object} document - {schemaVersion?, nodes, edges}
+ * @returns {Object} {nodes, edges} in the current schema
+ * @throws {UnsupportedSchemaVersionError} When the document was written by a newer schema than this server knows
+ */
+export function migrateFlow(document) {
+  const version = getSchemaVersion(document);
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new UnsupportedSchemaVersionError(version);
+  }
+
+  const nodes = Array.isArray(document.nodes) ? document.nodes : [];
+  const edges = Array.isArray(document.edges) ? document.edges : [];
+  return MIGRATIONS
+    .filter(migration => migration.version > version)
+    .reduce((flow, migration) => migration.migrate(flow), { nodes, edges });
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value !== '';
+
+// Names an array entry by index and, when it has one, id
+const describe = (collection, index, item) =>
+  isNonEmptyString(item?.id) ? `${collection}[${index}] ("${item.id}")` : `${collection}[${index}]`;
+
+/**
+ * Check a flow document's structure
+ *
+ * Covers the schemaVersion, node and edge shapes, unique ids, group
+ * membership, edge endpoints and node styles (which renderers write into
+ * markup); other node data contents are left to the tools.
+ *
+ * @param {Object} document - Candidate flow document
+ * @returns {Array<string>} Problems found (at most MAX_VALIDATION_ERRORS), empty when valid
+ */
+export function validateFlowDocument(document) {
+  const errors = [];
+  const report = (message) => {
+    if (errors.length < MAX_VALIDATION_ERRORS) errors.push(message);
+  };
+
+  if (!isObject(document)) {
+    return ['flow must be an object with nodes and edges arrays'];
+  }
+
+  if ('schemaVersion' in document) {
+    const { schemaVersion } = document;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < BASELINE_SCHEMA_VERSION || schemaVersion > CURRENT_SCHEMA_VERSION) {
+      report(`schemaVersion must be an integer from ${BASELINE_SCHEMA_VERSION} to ${CURRENT_SCHEMA_VERSION}`);
+    }
+  }
+  if (!Array.isArray(document.nodes)) report('nodes must be an array');
+  if (!Array.isArray(document.edges)) report('edges must be an array');
+  if (errors.length > 0) return errors;
+
+  const nodeTypes = new Map();
+  document.nodes.forEach((node, index) => {
+    if (!isObject(node)) {
+      report(`nodes[${index}] must be an object`);
+      return;
+    }
+    const name = describe('nodes', index, node);
+
+    if (!isNonEmptyString(node.id)) {
+      report(`${name}.id must be a non-empty string`);
+    } else if (nodeTypes.has(node.id)) {
+      report(`${name}.id duplicates an earlier node`);
+    } else {
+      nodeTypes.set(node.id, node.type);
+    }
+
+    if (!isObject(node.position) || !Number.isFinite(node.position.x) || !Number.isFinite(node.position.y)) {
+      report(`${name}.position must have numeric x and y`);
+    }
+    if (!isObject(node.data)) {
+      report(`${name}.data must be an object`);
+    } else if (node.data.style !== undefined) {
+      const styleError = validateNodeStyle(node.data.style);
+      if (styleError) report(`${name}.data.style: ${styleError}`);
+    }
+    NODE_FLAGS.forEach(flag => {
+      if (flag in node && typeof node[flag] !== 'boolean') {
+        report(`${name}.${flag} must be a boolean`);
+      }
+    });
+  });
+
+  document.nodes.forEach((node, index) => {
+    if (!isObject(node) || node.parentGroupId === undefined || node.parentGroupId === null) return;
+    const name = describe('nodes', index, node);
+    if (node.parentGroupId === node.id) {
+      report(`${name}.parentGroupId cannot be the node itself`);
+    } else if (nodeTypes.get(node.parentGroupId) !== 'group') {
+      report(`${name}.parentGroupId "${node.parentGroupId}" is not a group node`);
+    }
+  });
+
+  const edgeIds = new Set();
+  document.edges.forEach((edge, index) => {
+    if (!isObject(edge)) {
+      report(`edges[${index}] must be an object`);
+      return;
+    }
+    const name = describe('edges', index, edge);
+
+    if (!isNonEmptyString(edge.id)) {
+      report(`${name}.id must be a non-empty string`);
+    } else if (edgeIds.has(edge.id)) {
+      report(`${name}.id duplicates an earlier edge`);
+    } else {
+      edgeIds.add(edge.id);
+    }
+
+    ['source', 'target'].forEach(end => {
+      if (!isNonEmptyString(edge[end])) {
+        report(`${name}.${end} must be a node id`);
+      } else if (!nodeTypes.has(edge[end])) {
+        report(`${name}.${end} "${edge[end]}" is not a node in the flow`);
+      }
+    });
+  });
+
+  return errors;
+}
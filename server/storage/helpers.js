@@ -0,0 +1,48 @@
+// ABOUTME: Helpers shared by every storage adapter
+// ABOUTME: Flow sanitizing and versioning, empty undo status and undo history limits
+
+import { CURRENT_SCHEMA_VERSION, migrateFlow } from './flowSchema.js';
+
+/**
+ * Default number of snapshots retained per flow in undo history
+ */
+export const UNDO_SNAPSHOT_LIMIT = 50;
+
+/**
+ * Upper bound for a flow's configurable snapshot limit
+ */
+export const MAX_UNDO_SNAPSHOT_LIMIT = 500;
+
+/**
+ * Keep only the persisted parts of a flow document, migrated to the current schema
+ * Returns an empty flow for missing or malformed input
+ */
+export function sanitizeFlowData(flowData) {
+  if (!flowData || typeof flowData !== 'object') {
+    return { nodes: [], edges: [] };
+  }
+
+  return migrateFlow(flowData);
+}
+
+/**
+ * The document adapters store for a sanitized flow, stamped with the schema version
+ */
+export function toStoredFlow(flow) {
+  return { schemaVersion: CURRENT_SCHEMA_VERSION, nodes: flow.nodes, edges: flow.edges };
+}
+
+/**
+ * Undo status for a flow that has no history yet
+ */
+export function emptyUndoStatus() {
+  return {
+    canUndo: false,
+    canRedo: false,
+    snapshotCount: 0,
+    branchCount: 0,
+    currentTimestamp: null,
+    currentIndex: -1,
+    snapshotLimit: UNDO_SNAPSHOT_LIMIT
+  };
+}
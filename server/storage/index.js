@@ -0,0 +1,97 @@
+// ABOUTME: Storage adapter selection for flows, conversation and undo history
+// ABOUTME: Picks the Supabase or local file backend from environment configuration
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { getSupabaseClient, hasSupabaseConfig } from '../supabase-client.js';
+import { createSupabaseAdapter } from './supabaseAdapter.js';
+import { createFileAdapter } from './fileAdapter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PROJECT_ROOT = join(__dirname, '..', '..');
+const DEFAULT_FILE_STORE_PATH = join(PROJECT_ROOT, 'server', 'data', 'flow-store.json');
+
+export const STORAGE_BACKENDS = ['supabase', 'file'];
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {(userId: string, name: string) => Promise<Object>} getFlow - Flow {nodes, edges}, empty if missing
+ * @property {(userId: string, name: string) => Promise<Object>} getFlowRecord - {flow, revision}, revision 0 if missing
+ * @property {(flowData: Object, userId: string, name: string, expectedRevision?: number|null, revisionStep?: number) => Promise<number|null>} saveFlow - Upsert flow, advancing the revision by revisionStep (default 1); new revision, or null if expectedRevision is stale
+ * @property {(userId: string, name: string) => Promise<number|null>} getFlowId - Flow row id
+ * @property {(userId: string) => Promise<Array>} listFlows - [{name, createdAt, updatedAt}], oldest first
+ * @property {(userId: string, name: string, newName: string) => Promise<boolean>} renameFlow - False if missing, null if newName is taken
+ * @property {(userId: string, name: string) => Promise<boolean>} deleteFlow - False if missing
+ * @property {(role: string, content: string, toolCalls: Array|null) => Promise<void>} addConversationMessage
+ * @property {(limit: number|null) => Promise<Array>} getConversationHistory - Last N interaction pairs
+ * @property {() => Promise<void>} clearConversationHistory
+ * @property {(flowId: number, flowData: Object) => Promise<boolean>} pushUndoSnapshot - Deduped (false), branches after undo
+ * @property {(flowId: number) => Promise<Object|null>} undo - Parent snapshot or null
+ * @property {(flowId: number) => Promise<Object|null>} redo - Next snapshot on the current branch or null
+ * @property {(flowId: number, snapshotId: number) => Promise<Object|null>} jumpToSnapshot - Snapshot or null if not in the flow
+ * @property {(flowId: number) => Promise<Object>} getUndoStatus - {canUndo, canRedo, snapshotCount, branchCount, currentTimestamp, currentIndex, snapshotLimit}
+ * @property {(flowId: number) => Promise<Object>} getUndoTree - {currentId, headId, rows: [{id, parent_id, created_at, origin}]}
+ * @property {(flowId: number, snapshotId: number) => Promise<Object|null>} getUndoSnapshot - Snapshot without moving, or null
+ * @property {(flowId: number) => Promise<Array>} listUndoSnapshots - [{id, parent_id, created_at, snapshot}], oldest first
+ * @property {(flowId: number, limit: number) => Promise<void>} setUndoSnapshotLimit - Prunes oldest snapshots
+ * @property {(flowId: number) => Promise<void>} clearUndoHistory - Keeps the flow's snapshot limit
+ * @property {(flowId: number, name: string, flowData: Object) => Promise<Object|null>} saveCheckpoint - {id, name, created_at}; null if name taken
+ * @property {(flowId: number) => Promise<Array>} listCheckpoints - [{id, name, created_at}], oldest first
+ * @property {(flowId: number, name: string) => Promise<Object|null>} getCheckpoint - {id, name, created_at, snapshot} or null
+ * @property {(flowId: number, name: string) => Promise<boolean>} deleteCheckpoint - False if missing
+ */
+
+/**
+ * Resolve which storage backend to use
+ * STORAGE_BACKEND wins when set; otherwise Supabase is used only if its credentials exist
+ */
+export function resolveStorageBackend() {
+  const configured = process.env.STORAGE_BACKEND?.trim().toLowerCase();
+
+  if (configured) {
+    if (!STORAGE_BACKENDS.includes(configured)) {
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${configured}". Expected one of: ${STORAGE_BACKENDS.join(', ')}`
+      );
+    }
+    return configured;
+  }
+
+  return hasSupabaseConfig() ? 'supabase' : 'file';
+}
+
+/**
+ * Resolve the JSON store path for the file backend
+ * Relative FLOW_STORE_PATH values are resolved from the project root
+ */
+export function resolveFileStorePath() {
+  const configured = process.env.FLOW_STORE_PATH;
+  return configured ? resolve(PROJECT_ROOT, configured) : DEFAULT_FILE_STORE_PATH;
+}
+
+let cachedAdapter = null;
+let cachedAdapterKey = null;
+
+/**
+ * Get the storage adapter for the current configuration
+ * The adapter is rebuilt only when the backend or store path changes
+ *
+ * @returns {StorageAdapter}
+ */
+export function getStorageAdapter() {
+  const backend = resolveStorageBackend();
+  const key = backend === 'file' ? `file:${resolveFileStorePath()}` : backend;
+
+  if (cachedAdapter && cachedAdapterKey === key) {
+    return cachedAdapter;
+  }
+
+  cachedAdapter = backend === 'file'
+    ? createFileAdapter(resolveFileStorePath())
+    : createSupabaseAdapter(getSupabaseClient());
+  cachedAdapterKey = key;
+
+  return cachedAdapter;
+}
@@ -0,0 +1,247 @@
+// ABOUTME: Pure helpers for storing undo history as patches against periodic keyframes
+// ABOUTME: Shared by storage adapters; keyframe rows hold `snapshot`, delta rows hold `patch`
+
+/**
+ * A full snapshot is stored at least every KEYFRAME_INTERVAL steps along a branch,
+ * so rebuilding any snapshot applies fewer than this many patches
+ */
+export const KEYFRAME_INTERVAL = 10;
+
+// Top-level keys whose arrays are patched item by item (matched by id)
+const ITEM_KEYS = ['nodes', 'edges'];
+
+/**
+ * Structural equality with JSON semantics: key order is ignored and
+ * undefined-valued keys count as missing (neither survives JSONB)
+ */
+function jsonEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => jsonEqual(item, b[index]));
+  }
+
+  const definedKeys = (obj) => Object.keys(obj).filter(key => obj[key] !== undefined);
+  const keys = definedKeys(a);
+  if (keys.length !== definedKeys(b).length) return false;
+
+  return keys.every(key => b[key] !== undefined && jsonEqual(a[key], b[key]));
+}
+
+function hasUniqueIds(items) {
+  if (!Array.isArray(items)) return false;
+
+  const ids = new Set();
+  return items.every(item => {
+    const valid = item !== null && typeof item === 'object' && item.id !== undefined && !ids.has(item.id);
+    ids.add(item?.id);
+    return valid;
+  });
+}
+
+/**
+ * Apply an item patch {upsert, remove, order} to an array of items
+ * Upserted items replace their namesakes in place or are appended; `order`
+ * (present only when the result's id order differs) restores the exact order
+ */
+function applyItemsPatch(items, { upsert = [], remove = [], order }) {
+  const removed = new Set(remove);
+  const upserts = new Map(upsert.map(item => [item.id, item]));
+  const result = items
+    .filter(item => !removed.has(item.id))
+    .map(item => upserts.get(item.id) ?? item);
+
+  const presentIds = new Set(result.map(item => item.id));
+  upsert.forEach(item => {
+    if (!presentIds.has(item.id)) {
+      result.push(item);
+    }
+  });
+
+  if (!order) return result;
+
+  const itemsById = new Map(result.map(item => [item.id, item]));
+  return order.map(id => itemsById.get(id));
+}
+
+/**
+ * Diff two arrays of items by id; null when they are identical
+ */
+function createItemsPatch(before, after) {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+  const patch = {
+    upsert: after.filter(item => !jsonEqual(beforeById.get(item.id), item)),
+    remove: before.filter(item => !afterIds.has(item.id)).map(item => item.id)
+  };
+
+  const applied = applyItemsPatch(before, patch);
+  if (applied.some((item, index) => item.id !== after[index].id)) {
+    patch.order = after.map(item => item.id);
+  }
+
+  const unchanged = patch.upsert.length === 0 && patch.remove.length === 0 && !patch.order;
+  return unchanged ? null : patch;
+}
+
+/**
+ * Diff two snapshots into a patch that turns `base` into `next`
+ *
+ * nodes and edges are patched per item; other keys are replaced wholesale.
+ * `_meta` (origin tags) never counts as a change but is carried by the patch,
+ * since every snapshot has its own origin.
+ *
+ * @param {Object} base - Snapshot the patch applies to
+ * @param {Object} next - Snapshot the patch produces
+ * @returns {Object|null} {items, set, unset, _meta}, or null when the flow state is identical
+ */
+export function createSnapshotPatch(base, next) {
+  const { _meta: baseMeta, ...baseFlow } = base;
+  const { _meta: nextMeta, ...nextFlow } = next;
+  const items = {};
+  const set = {};
+
+  Object.keys(nextFlow).forEach(key => {
+    if (ITEM_KEYS.includes(key) && hasUniqueIds(baseFlow[key]) && hasUniqueIds(nextFlow[key])) {
+      const itemsPatch = createItemsPatch(baseFlow[key], nextFlow[key]);
+      if (itemsPatch) {
+        items[key] = itemsPatch;
+      }
+    } else if (!jsonEqual(baseFlow[key], nextFlow[key])) {
+      set[key] = nextFlow[key];
+    }
+  });
+
+  const unset = Object.keys(baseFlow).filter(key => !(key in nextFlow));
+
+  if (Object.keys(items).length === 0 && Object.keys(set).length === 0 && unset.length === 0) {
+    return null;
+  }
+
+  return {
+    ...(Object.keys(items).length > 0 ? { items } : {}),
+    ...(Object.keys(set).length > 0 ? { set } : {}),
+    ...(unset.length > 0 ? { unset } : {}),
+    ...(nextMeta !== undefined ? { _meta: nextMeta } : {})
+  };
+}
+
+/**
+ * Apply a patch from createSnapshotPatch
+ * The result carries the patch's `_meta`, never the base's
+ */
+export function applySnapshotPatch(base, patch) {
+  const { _meta, ...snapshot } = base;
+
+  (patch.unset ?? []).forEach(key => {
+    delete snapshot[key];
+  });
+  Object.assign(snapshot, patch.set);
+  Object.entries(patch.items ?? {}).forEach(([key, itemsPatch]) => {
+    snapshot[key] = applyItemsPatch(snapshot[key], itemsPatch);
+  });
+
+  return patch._meta !== undefined ? { ...snapshot, _meta: patch._meta } : snapshot;
+}
+
+/**
+ * Walk from a snapshot up to its nearest keyframe
+ * Rows need {id, parent_id, patch}; a row without a patch is a keyframe
+ *
+ * @returns {Object|null} {keyframeId, patches} with patches oldest first, or null
+ *                        when the snapshot (or a link in its chain) is missing
+ */
+export function findKeyframeChain(rowsById, id) {
+  const patches = [];
+  let row = rowsById.get(id);
+
+  while (row && row.patch) {
+    patches.unshift(row.patch);
+    row = row.parent_id === null ? null : rowsById.get(row.parent_id);
+  }
+
+  return row ? { keyframeId: row.id, patches } : null;
+}
+
+/**
+ * Rebuild a snapshot from a keyframe and the patches found by findKeyframeChain
+ */
+export function applyPatches(keyframe, patches) {
+  return patches.reduce(applySnapshotPatch, keyframe);
+}
+
+/**
+ * Rebuild one snapshot from rows that carry their bodies ({snapshot} or {patch})
+ *
+ * @returns {Object|null} {snapshot, depth}: depth is the number of patches since the keyframe
+ */
+export function rebuildSnapshot(rowsById, id) {
+  const chain = findKeyframeChain(rowsById, id);
+  if (!chain) return null;
+
+  return {
+    snapshot: applyPatches(rowsById.get(chain.keyframeId).snapshot, chain.patches),
+    depth: chain.patches.length
+  };
+}
+
+/**
+ * Rebuild every snapshot of a flow in one pass
+ * Rows must be oldest first, so each parent is rebuilt before its children
+ *
+ * @returns {Map} Snapshot id -> snapshot
+ */
+export function rebuildSnapshots(rows) {
+  const snapshots = new Map();
+
+  rows.forEach(row => {
+    const parent = snapshots.get(row.parent_id);
+    const snapshot = !row.patch
+      ? row.snapshot
+      : parent ? applySnapshotPatch(parent, row.patch) : null;
+    snapshots.set(row.id, snapshot);
+  });
+
+  return snapshots;
+}
+
+/**
+ * Ids of patch rows that survive a prune while their parent is pruned
+ * They must be stored as keyframes first: their patches are relative to the parent
+ */
+export function selectOrphanedPatches(rows, prunedIds) {
+  const pruned = new Set(prunedIds);
+  return rows
+    .filter(row => row.patch && pruned.has(row.parent_id) && !pruned.has(row.id))
+    .map(row => row.id);
+}
+
+/**
+ * Decide how to store a snapshot pushed after the current one
+ *
+ * @param {Object|null} current - {snapshot, depth} of the current snapshot, or null when there is none
+ * @param {Object} flowData - Snapshot being pushed
+ * @returns {Object|null} {snapshot, patch} row body (one of them null), or null when
+ *                        the flow state matches the current snapshot (deduplicated)
+ */
+export function createHistoryEntry(current, flowData) {
+  if (!current) {
+    return { snapshot: flowData, patch: null };
+  }
+
+  const patch = createSnapshotPatch(current.snapshot, flowData);
+  if (!patch) return null;
+
+  return current.depth + 1 >= KEYFRAME_INTERVAL
+    ? { snapshot: flowData, patch: null }
+    : { snapshot: null, patch };
+}
+
+/**
+ * Origin tag of a stored row, whether it is a keyframe or a patch
+ */
+export function rowOrigin(row) {
+  return (row.patch ?? row.snapshot)?._meta?.origin ?? null;
+}
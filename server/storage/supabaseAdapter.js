@@ -0,0 +1,762 @@
+// ABOUTME: Supabase storage adapter for flows, conversation, undo history and checkpoints
+// ABOUTME: Async wrappers around the Supabase client implementing the storage interface
+
+import { sanitizeFlowData, toStoredFlow, emptyUndoStatus, UNDO_SNAPSHOT_LIMIT } from './helpers.js';
+import {
+  indexRows,
+  findNextOnBranch,
+  resolveBranchHead,
+  selectPrunableIds,
+  describeTreePosition
+} from './undoTree.js';
+import {
+  findKeyframeChain,
+  applyPatches,
+  rebuildSnapshots,
+  createHistoryEntry,
+  selectOrphanedPatches
+} from './snapshotPatches.js';
+
+// Unconditional saves re-read the revision and retry this many times under contention
+const UNCONDITIONAL_SAVE_ATTEMPTS = 5;
+
+// Snapshot pushes re-read the history and retry this many times when another push moves the position first
+const PUSH_SNAPSHOT_ATTEMPTS = 5;
+
+// Undo, redo and jumps re-read the history and retry this many times when a push moves the position first
+const MOVE_POSITION_ATTEMPTS = 5;
+
+// Stand-in id for the row a push is about to insert, used when planning its prune
+const PENDING_SNAPSHOT_ID = 'pending';
+
+/**
+ * Create a storage adapter backed by a Supabase client
+ *
+ * @param {Object} client - Supabase client (see supabase-client.js)
+ * @returns {Object} Storage adapter (see storage/index.js)
+ */
+export function createSupabaseAdapter(client) {
+  // ==================== Flow Operations ====================
+
+  /**
+   * Get flow by user_id and name
+   * Returns default empty flow if not found
+   */
+  async function getFlow(userId, name) {
+    const { data, error } = await client
+      .from('flows')
+      .select('data')
+      .eq('user_id', userId)
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (!data) {
+      return { nodes: [], edges: [] };
+    }
+
+    return sanitizeFlowData(data.data);
+  }
+
+  /**
+   * Get flow data together with its revision
+   * Returns an empty flow at revision 0 if not found
+   */
+  async function getFlowRecord(userId, name) {
+    const { data, error } = await client
+      .from('flows')
+      .select('data, revision')
+      .eq('user_id', userId)
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    if (!data) {
+      return { flow: { nodes: [], edges: [] }, revision: 0 };
+    }
+
+    return { flow: sanitizeFlowData(data.data), revision: data.revision ?? 0 };
+  }
+
+  /**
+   * Write flow data only if the stored revision still matches
+   * Returns the new revision, or null when another write got there first
+   */
+  async function writeAtRevision(sanitized, userId, name, expectedRevision, revisionStep) {
+    const { data, error } = await client
+      .from('flows')
+      .update({
+        data: sanitized,
+        revision: expectedRevision + revisionStep,
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId)
+      .eq('name', name)
+      .eq('revision', expectedRevision)
+      .select('revision');
+
+    if (error) {
+      throw error;
+    }
+
+    if (data.length > 0) {
+      return data[0].revision;
+    }
+
+    // Revision 0 means the flow may not exist yet
+    if (expectedRevision !== 0) {
+      return null;
+    }
+
+    const { error: insertError } = await client
+      .from('flows')
+      .insert({
+        user_id: userId,
+        name,
+        data: sanitized,
+        revision: revisionStep,
+        updated_at: new Date().toISOString()
+      });
+
+    if (insertError) {
+      // Unique (user_id, name) violation: created concurrently
+      if (insertError.code === '23505') return null;
+      throw insertError;
+    }
+
+    return revisionStep;
+  }
+
+  /**
+   * Save flow data, bumping its revision
+   * With expectedRevision the write is rejected (null) if the flow changed since;
+   * without it the write applies on top of whatever revision is current.
+   * revisionStep > 1 saves several coalesced (write-behind) writes at once
+   */
+  async function saveFlow(flowData, userId, name, expectedRevision = null, revisionStep = 1) {
+    const sanitized = toStoredFlow(sanitizeFlowData(flowData));
+
+    if (expectedRevision !== null) {
+      return await writeAtRevision(sanitized, userId, name, expectedRevision, revisionStep);
+    }
+
+    for (let attempt = 0; attempt < UNCONDITIONAL_SAVE_ATTEMPTS; attempt++) {
+      const { revision } = await getFlowRecord(userId, name);
+      const saved = await writeAtRevision(sanitized, userId, name, revision, revisionStep);
+      if (saved !== null) return saved;
+    }
+
+    throw new Error(`Flow "${name}" kept changing while saving`);
+  }
+
+  /**
+   * Get flow ID for user+name (used by undo/redo)
+   */
+  async function getFlowId(userId, name) {
+    const { data, error } = await client
+      .from('flows')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data ? data.id : null;
+  }
+
+  /**
+   * List flows for a user, oldest first
+   */
+  async function listFlows(userId) {
+    const { data, error } = await client
+      .from('flows')
+      .select('name, created_at, updated_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(row => ({
+      name: row.name,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * Rename a flow
+   * Returns false if no flow matched, null if newName is taken
+   */
+  async function renameFlow(userId, name, newName) {
+    const { data, error } = await client
+      .from('flows')
+      .update({ name: newName, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('name', name)
+      .select('id');
+
+    if (error) {
+      // Unique (user_id, name) violation: newName is taken, even if it was created concurrently
+      if (error.code === '23505') return null;
+      throw error;
+    }
+
+    return data.length > 0;
+  }
+
+  /**
+   * Delete a flow
+   * Returns false if no flow matched
+   */
+  async function deleteFlow(userId, name) {
+    const { data, error } = await client
+      .from('flows')
+      .delete()
+      .eq('user_id', userId)
+      .eq('name', name)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    return data.length > 0;
+  }
+
+  // ==================== Conversation Operations ====================
+
+  /**
+   * Add message to conversation history
+   */
+  async function addConversationMessage(role, content, toolCalls) {
+    const { error } = await client
+      .from('conversation_history')
+      .insert({
+        role,
+        content,
+        tool_calls: toolCalls || null
+      });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get conversation history
+   * If limit provided, returns last N interaction pairs (limit * 2 messages)
+   */
+  async function getConversationHistory(limit) {
+    const { data: allRows, error } = await client
+      .from('conversation_history')
+      .select('*')
+      .order('id', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    // Apply limit (limit is interaction pairs, so multiply by 2 for messages)
+    let rows = allRows;
+    if (limit) {
+      const messageLimit = limit * 2;
+      if (allRows.length > messageLimit) {
+        rows = allRows.slice(-messageLimit);
+      }
+    }
+
+    return rows.map(row => ({
+      role: row.role,
+      content: row.content,
+      toolCalls: row.tool_calls || [],
+      timestamp: row.timestamp
+    }));
+  }
+
+  /**
+   * Clear all conversation history
+   */
+  async function clearConversationHistory() {
+    const { error } = await client
+      .from('conversation_history')
+      .delete()
+      .neq('id', 0); // Delete all rows
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  // ==================== Undo/Redo Operations ====================
+  // Every query is scoped by flow_id: each flow has its own snapshots and undo_state row
+
+  /**
+   * Get a flow's undo position and snapshot limit
+   * Returns null for flows without history (no undo_state row yet)
+   */
+  async function getUndoState(flowId) {
+    const { data, error } = await client
+      .from('undo_state')
+      .select('current_snapshot_id, branch_head_id, snapshot_limit')
+      .eq('flow_id', flowId)
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Move a flow's position in its undo tree (creates its undo_state row on first use)
+   * Returns false without moving when the position is no longer expectedId or the
+   * target snapshot is gone; move_undo_position checks both under the row lock
+   */
+  async function moveUndoPosition(flowId, expectedId, currentId, headId) {
+    const { data: moved, error } = await client.rpc('move_undo_position', {
+      p_flow_id: flowId,
+      p_expected_current_id: expectedId,
+      p_current_id: currentId,
+      p_head_id: headId
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return moved;
+  }
+
+  /**
+   * Run one position move from a fresh read until it lands
+   * planMove reads the history and returns {expectedId, currentId, headId}, or null
+   * when there is nowhere to move; the snapshot moved to is returned, or null
+   */
+  async function movePositionWithRetry(flowId, planMove) {
+    for (let attempt = 1; attempt <= MOVE_POSITION_ATTEMPTS; attempt++) {
+      const move = await planMove();
+      if (!move) return null;
+
+      if (await moveUndoPosition(flowId, move.expectedId, move.currentId, move.headId)) {
+        return await getUndoSnapshot(flowId, move.currentId);
+      }
+    }
+
+    throw new Error(`Undo history of flow ${flowId} kept changing; position not moved`);
+  }
+
+  /**
+   * Get a flow's undo tree metadata (no snapshot bodies), oldest first
+   */
+  async function getTreeRows(flowId) {
+    const { data, error } = await client
+      .from('undo_history')
+      .select('id, parent_id, created_at, snapshot_origin:snapshot->_meta->>origin, patch_origin:patch->_meta->>origin')
+      .eq('flow_id', flowId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(({ snapshot_origin, patch_origin, ...row }) => ({
+      ...row,
+      origin: patch_origin ?? snapshot_origin ?? null
+    }));
+  }
+
+  /**
+   * Get a flow's rows with their patches but without keyframe bodies, oldest first
+   * Rows without a patch are keyframes
+   */
+  async function getPatchRows(flowId) {
+    const { data, error } = await client
+      .from('undo_history')
+      .select('id, parent_id, patch')
+      .eq('flow_id', flowId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Rebuild several snapshots of a flow, fetching every keyframe they need in one request
+   * Returns a Map of id -> {snapshot, depth} (depth = patches applied); missing ids are left out
+   */
+  async function loadSnapshots(flowId, rowsById, snapshotIds) {
+    const chains = snapshotIds
+      .map(id => [id, findKeyframeChain(rowsById, id)])
+      .filter(([, chain]) => chain !== null);
+    if (chains.length === 0) return new Map();
+
+    const { data, error } = await client
+      .from('undo_history')
+      .select('id, snapshot')
+      .eq('flow_id', flowId)
+      .in('id', [...new Set(chains.map(([, chain]) => chain.keyframeId))]);
+
+    if (error) {
+      throw error;
+    }
+
+    const keyframes = indexRows(data);
+    return new Map(chains
+      .filter(([, chain]) => keyframes.has(chain.keyframeId))
+      .map(([id, chain]) => [id, {
+        snapshot: applyPatches(keyframes.get(chain.keyframeId).snapshot, chain.patches),
+        depth: chain.patches.length
+      }]));
+  }
+
+  /**
+   * Get one snapshot of a flow by id
+   */
+  async function getUndoSnapshot(flowId, snapshotId) {
+    const rowsById = indexRows(await getPatchRows(flowId));
+    const loaded = await loadSnapshots(flowId, rowsById, [snapshotId]);
+    return loaded.get(snapshotId)?.snapshot ?? null;
+  }
+
+  /**
+   * Delete a flow's oldest snapshots beyond its limit, never past the current snapshot
+   * Children of deleted snapshots become roots via ON DELETE SET NULL; the
+   * prune_undo_history function rewrites them as keyframes in the same transaction
+   */
+  async function pruneHistory(flowId, { current_snapshot_id: currentId, snapshot_limit: limit }) {
+    if (currentId === null) return;
+
+    const rows = await getPatchRows(flowId);
+    const pruneIds = selectPrunableIds(rows, currentId, limit);
+    if (pruneIds.length === 0) return;
+
+    const orphanIds = selectOrphanedPatches(rows, pruneIds);
+    const loaded = await loadSnapshots(flowId, indexRows(rows), orphanIds);
+
+    const { error } = await client.rpc('prune_undo_history', {
+      p_flow_id: flowId,
+      p_prune_ids: pruneIds,
+      p_keyframes: orphanIds.map(id => ({ id, snapshot: loaded.get(id).snapshot }))
+    });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Push snapshot to a flow's undo history
+   * Pushing after an undo starts a new branch; returns false when deduplicated
+   *
+   * The patch and the prune are worked out from one read of the history; the
+   * push_undo_snapshot function then inserts, moves the position and prunes in a
+   * single transaction, provided the position is still where the read found it.
+   * When a concurrent push got there first, the whole push is redone from a fresh read.
+   */
+  async function pushUndoSnapshot(flowId, flowData) {
+    for (let attempt = 1; attempt <= PUSH_SNAPSHOT_ATTEMPTS; attempt++) {
+      const [state, rows] = await Promise.all([getUndoState(flowId), getPatchRows(flowId)]);
+      const currentId = state?.current_snapshot_id ?? null;
+      const limit = state?.snapshot_limit ?? UNDO_SNAPSHOT_LIMIT;
+
+      // The pushed row becomes the newest and current one, so prune as if it were already there
+      const pruneIds = selectPrunableIds([...rows, { id: PENDING_SNAPSHOT_ID }], PENDING_SNAPSHOT_ID, limit);
+      const orphanIds = selectOrphanedPatches(rows, pruneIds);
+      const loaded = await loadSnapshots(
+        flowId,
+        indexRows(rows),
+        currentId === null ? orphanIds : [currentId, ...orphanIds]
+      );
+      const current = loaded.get(currentId) ?? null;
+
+      // Skip if identical to current snapshot (compare flow state, not metadata)
+      const entry = createHistoryEntry(current, flowData);
+      if (!entry) {
+        return false;
+      }
+
+      // A patch against a parent pruned in the same push has nothing to apply to
+      const parentPruned = current !== null && pruneIds.includes(currentId);
+
+      const { data: snapshotId, error } = await client.rpc('push_undo_snapshot', {
+        p_flow_id: flowId,
+        p_expected_current_id: currentId,
+        p_parent_id: current ? currentId : null,
+        p_snapshot: parentPruned ? flowData : entry.snapshot,
+        p_patch: parentPruned ? null : entry.patch,
+        p_prune_ids: pruneIds,
+        p_keyframes: orphanIds.map(id => ({ id, snapshot: loaded.get(id).snapshot }))
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      if (snapshotId !== null) {
+        return true;
+      }
+    }
+
+    throw new Error(`Undo history of flow ${flowId} kept changing; snapshot not recorded`);
+  }
+
+  /**
+   * Undo to the parent of the current snapshot
+   */
+  async function undo(flowId) {
+    return await movePositionWithRetry(flowId, async () => {
+      const state = await getUndoState(flowId);
+      if (!state || state.current_snapshot_id === null) return null;
+
+      const rowsById = indexRows(await getTreeRows(flowId));
+      const parentId = rowsById.get(state.current_snapshot_id)?.parent_id ?? null;
+      if (parentId === null || !rowsById.has(parentId)) return null;
+
+      return { expectedId: state.current_snapshot_id, currentId: parentId, headId: state.branch_head_id };
+    });
+  }
+
+  /**
+   * Redo along the current branch towards its head
+   */
+  async function redo(flowId) {
+    return await movePositionWithRetry(flowId, async () => {
+      const state = await getUndoState(flowId);
+      if (!state) return null;
+
+      const rowsById = indexRows(await getTreeRows(flowId));
+      const nextId = findNextOnBranch(rowsById, state.current_snapshot_id, state.branch_head_id);
+      if (nextId === null) return null;
+
+      return { expectedId: state.current_snapshot_id, currentId: nextId, headId: state.branch_head_id };
+    });
+  }
+
+  /**
+   * Jump to any snapshot in a flow's undo tree, switching branches if needed
+   * Returns null when the snapshot doesn't belong to the flow
+   */
+  async function jumpToSnapshot(flowId, snapshotId) {
+    return await movePositionWithRetry(flowId, async () => {
+      const [state, rows] = await Promise.all([getUndoState(flowId), getTreeRows(flowId)]);
+      if (!rows.some(row => row.id === snapshotId)) return null;
+
+      const headId = resolveBranchHead(rows, snapshotId, state?.branch_head_id ?? null);
+      return { expectedId: state?.current_snapshot_id ?? null, currentId: snapshotId, headId };
+    });
+  }
+
+  /**
+   * Get a flow's undo/redo status
+   */
+  async function getUndoStatus(flowId) {
+    const [state, rows] = await Promise.all([getUndoState(flowId), getTreeRows(flowId)]);
+    if (!state) return emptyUndoStatus();
+
+    return {
+      ...describeTreePosition(rows, state.current_snapshot_id, state.branch_head_id),
+      snapshotLimit: state.snapshot_limit
+    };
+  }
+
+  /**
+   * Get a flow's undo tree: snapshot metadata plus current position and branch head
+   */
+  async function getUndoTree(flowId) {
+    const state = await getUndoState(flowId);
+
+    return {
+      currentId: state?.current_snapshot_id ?? null,
+      headId: state?.branch_head_id ?? null,
+      rows: await getTreeRows(flowId)
+    };
+  }
+
+  /**
+   * Get a flow's snapshots with their bodies, oldest first
+   */
+  async function listUndoSnapshots(flowId) {
+    const { data, error } = await client
+      .from('undo_history')
+      .select('id, parent_id, created_at, snapshot, patch')
+      .eq('flow_id', flowId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const snapshots = rebuildSnapshots(data);
+    return data.map(({ id, parent_id, created_at }) => ({
+      id,
+      parent_id,
+      created_at,
+      snapshot: snapshots.get(id)
+    }));
+  }
+
+  /**
+   * Set how many snapshots a flow keeps, pruning the oldest right away
+   */
+  async function setUndoSnapshotLimit(flowId, limit) {
+    const { data, error } = await client
+      .from('undo_state')
+      .upsert({ flow_id: flowId, snapshot_limit: limit }, { onConflict: 'flow_id' })
+      .select('current_snapshot_id, snapshot_limit')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await pruneHistory(flowId, data);
+  }
+
+  /**
+   * Clear a flow's undo history
+   * The flow's snapshot limit is kept; only its position is reset
+   */
+  async function clearUndoHistory(flowId) {
+    const { error: updateError } = await client
+      .from('undo_state')
+      .update({ current_snapshot_id: null, branch_head_id: null })
+      .eq('flow_id', flowId)
+      .select();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    const { error: deleteError } = await client
+      .from('undo_history')
+      .delete()
+      .eq('flow_id', flowId);
+
+    if (deleteError) {
+      throw deleteError;
+    }
+  }
+
+  // ==================== Checkpoint Operations ====================
+  // Checkpoints live in flow_checkpoints, outside the pruned undo window
+
+  /**
+   * Save a named checkpoint of a flow
+   * Returns null when the flow already has a checkpoint with that name
+   */
+  async function saveCheckpoint(flowId, name, flowData) {
+    const { data, error } = await client
+      .from('flow_checkpoints')
+      .insert({ flow_id: flowId, name, snapshot: flowData })
+      .select('id, name, created_at')
+      .single();
+
+    if (error) {
+      // Unique (flow_id, name) violation
+      if (error.code === '23505') return null;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * List a flow's checkpoints (without their snapshots), oldest first
+   */
+  async function listCheckpoints(flowId) {
+    const { data, error } = await client
+      .from('flow_checkpoints')
+      .select('id, name, created_at')
+      .eq('flow_id', flowId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get one checkpoint with its snapshot, or null if missing
+   */
+  async function getCheckpoint(flowId, name) {
+    const { data, error } = await client
+      .from('flow_checkpoints')
+      .select('id, name, created_at, snapshot')
+      .eq('flow_id', flowId)
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete a checkpoint
+   * Returns false if the checkpoint doesn't exist
+   */
+  async function deleteCheckpoint(flowId, name) {
+    const { data, error } = await client
+      .from('flow_checkpoints')
+      .delete()
+      .eq('flow_id', flowId)
+      .eq('name', name)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    return data.length > 0;
+  }
+
+  return {
+    getFlow,
+    getFlowRecord,
+    saveFlow,
+    getFlowId,
+    listFlows,
+    renameFlow,
+    deleteFlow,
+    addConversationMessage,
+    getConversationHistory,
+    clearConversationHistory,
+    pushUndoSnapshot,
+    undo,
+    redo,
+    jumpToSnapshot,
+    getUndoStatus,
+    getUndoTree,
+    getUndoSnapshot,
+    listUndoSnapshots,
+    setUndoSnapshotLimit,
+    clearUndoHistory,
+    saveCheckpoint,
+    listCheckpoints,
+    getCheckpoint,
+    deleteCheckpoint,
+  };
+}
@@ -0,0 +1,126 @@
+// ABOUTME: Pure helpers for navigating a flow's branching undo tree
+// ABOUTME: Shared by storage adapters; rows are {id, parent_id, created_at}, oldest first
+
+/**
+ * Index rows by id for parent lookups
+ */
+export function indexRows(rows) {
+  return new Map(rows.map(row => [row.id, row]));
+}
+
+/**
+ * Ids from a snapshot up to its root, starting with the snapshot itself
+ */
+export function pathToRoot(rowsById, id) {
+  const path = [];
+  let row = rowsById.get(id);
+
+  while (row) {
+    path.push(row.id);
+    row = row.parent_id === null ? null : rowsById.get(row.parent_id);
+  }
+
+  return path;
+}
+
+/**
+ * Find the child of currentId that leads towards headId, or null when the
+ * head isn't below the current snapshot (nothing to redo on this branch)
+ */
+export function findNextOnBranch(rowsById, currentId, headId) {
+  if (currentId === null || headId === null || currentId === headId) return null;
+
+  const path = pathToRoot(rowsById, headId);
+  const currentPosition = path.indexOf(currentId);
+
+  return currentPosition > 0 ? path[currentPosition - 1] : null;
+}
+
+/**
+ * Newest leaf in the subtree rooted at rootId (rootId itself when it has no children)
+ */
+export function findLatestLeaf(rows, rootId) {
+  const rowsById = indexRows(rows);
+  const parentIds = new Set(rows.map(row => row.parent_id));
+  let latest = rootId;
+
+  // Rows are oldest first, so the last matching leaf is the newest one
+  for (const row of rows) {
+    if (!parentIds.has(row.id) && pathToRoot(rowsById, row.id).includes(rootId)) {
+      latest = row.id;
+    }
+  }
+
+  return latest;
+}
+
+/**
+ * Pick the branch head after jumping to targetId
+ * Keeps the current head when the target lies on its branch, otherwise
+ * follows the target's most recent branch
+ */
+export function resolveBranchHead(rows, targetId, headId) {
+  const rowsById = indexRows(rows);
+
+  if (headId !== null && pathToRoot(rowsById, headId).includes(targetId)) {
+    return headId;
+  }
+
+  return findLatestLeaf(rows, targetId);
+}
+
+/**
+ * Ids of the oldest snapshots to prune so at most `limit` remain
+ * Only snapshots older than the current one are eligible; the oldest
+ * snapshot is always a root, so pruning never splits a branch mid-way
+ */
+export function selectPrunableIds(rows, currentId, limit) {
+  const excess = rows.length - limit;
+  if (excess <= 0) return [];
+
+  const currentPosition = rows.findIndex(row => row.id === currentId);
+  return rows.slice(0, Math.min(excess, Math.max(currentPosition, 0))).map(row => row.id);
+}
+
+/**
+ * Summarize the tree position for getUndoStatus
+ */
+export function describeTreePosition(rows, currentId, headId) {
+  const rowsById = indexRows(rows);
+  const current = rowsById.get(currentId);
+  const parentIds = new Set(rows.map(row => row.parent_id));
+
+  return {
+    canUndo: Boolean(current && current.parent_id !== null && rowsById.has(current.parent_id)),
+    canRedo: findNextOnBranch(rowsById, currentId, headId) !== null,
+    snapshotCount: rows.length,
+    branchCount: rows.filter(row => !parentIds.has(row.id)).length,
+    currentTimestamp: current ? current.created_at : null,
+    currentIndex: current ? pathToRoot(rowsById, currentId).length : -1 // 1-based position along the branch
+  };
+}
+
+/**
+ * List every branch of the tree (one per leaf), newest first
+ * Each branch carries its snapshot ids from root to head
+ */
+export function listBranches(rows, currentId, headId) {
+  const rowsById = indexRows(rows);
+  const parentIds = new Set(rows.map(row => row.parent_id));
+
+  return rows
+    .filter(row => !parentIds.has(row.id))
+    .reverse()
+    .map(leaf => {
+      const snapshotIds = pathToRoot(rowsById, leaf.id).reverse();
+      return {
+        headId: leaf.id,
+        createdAt: leaf.created_at,
+        origin: leaf.origin ?? null,
+        length: snapshotIds.length,
+        snapshotIds,
+        isCurrent: leaf.id === headId,
+        containsCurrent: snapshotIds.includes(currentId)
+      };
+    });
+}
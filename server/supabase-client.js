@@ -1,4 +1,4 @@
-// ABOUTME: Supabase client singleton for database operations
+// ABOUTME: Lazily created Supabase client singleton for database operations
 // ABOUTME: Configured with environment variables for URL and anon key
 
 import { createClient } from '@supabase/supabase-js';
@@ -7,13 +7,28 @@ import dotenv from 'dotenv';
 // Load environment variables
 dotenv.config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+let client = null;
 
-if (!supabaseUrl || !supabaseAnonKey) {
-  throw new Error(
-    'Missing required environment variables: SUPABASE_URL and SUPABASE_ANON_KEY'
-  );
+/**
+ * Check whether Supabase credentials are configured
+ */
+export function hasSupabaseConfig() {
+  return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY);
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+/**
+ * Get the shared Supabase client, creating it on first use
+ * Throws when credentials are missing so the file backend can run without them
+ */
+export function getSupabaseClient() {
+  if (client) return client;
+
+  if (!hasSupabaseConfig()) {
+    throw new Error(
+      'Missing required environment variables: SUPABASE_URL and SUPABASE_ANON_KEY'
+    );
+  }
+
+  client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+  return client;
+}
@@ -1,21 +1,47 @@
 import {
-  getFlow as dbGetFlow,
+  getFlowRecord as dbGetFlowRecord,
   saveFlow as dbSaveFlow,
 } from '../db.js';
 import { pushSnapshot, undo as historyUndo, redo as historyRedo } from '../historyService.js';
 import { applyDagreLayout } from '../../shared/layout/applyDagreLayout.js';
-import { NODE_WIDTH, NODE_HEIGHT } from '../../shared/constants/nodeDimensions.js';
 import { collapseSubtreeByHandles, getAllDescendants } from '../../shared/flowUtils/subtreeHelpers.js';
+import { DEFAULT_USER_ID, DEFAULT_FLOW_NAME } from '../workspaceService.js';
+import {
+  DEFAULT_NODE_TYPE,
+  getNodeType,
+  getDefaultFields,
+  validateNodeFields,
+  getConnectionError,
+} from '../../shared/nodeTypes/index.js';
+import { mergeProperties } from '../../shared/properties/index.js';
+import { mergeNodeStyle, NODE_STYLE_KEYS } from '../../shared/nodeStyle/index.js';
+import { validateEdgeKind } from '../../shared/edgeKinds/index.js';
+import { validateNodeSize } from '../../shared/layout/nodeSize.js';
+
+// Read-modify-write attempts before a flow write gives up with a revision conflict
+export const MAX_WRITE_ATTEMPTS = 3;
+
+// Tools that move the undo position as they run, so a batch containing them can't be replayed
+const HISTORY_TOOLS = new Set(['undo', 'redo']);
+
+/**
+ * Error message for a write that kept losing the race against other writers
+ */
+export function revisionConflictError(flowName) {
+  return `Flow "${flowName}" was changed by another writer, please retry`;
+}
 
-async function readFlow() {
-  return await dbGetFlow();
+async function readFlowRecord(flowName = DEFAULT_FLOW_NAME) {
+  return await dbGetFlowRecord(DEFAULT_USER_ID, flowName);
 }
 
-async function writeFlow(flowData, skipSnapshot = false, origin = null) {
-  await dbSaveFlow(flowData);
-  if (!skipSnapshot) {
-    await pushSnapshot(flowData, origin);
+// Returns the new revision, or null when expectedRevision is stale (nothing saved)
+async function writeFlow(flowData, skipSnapshot = false, origin = null, flowName = DEFAULT_FLOW_NAME, expectedRevision = null) {
+  const revision = await dbSaveFlow(flowData, DEFAULT_USER_ID, flowName, expectedRevision);
+  if (revision !== null && !skipSnapshot) {
+    await pushSnapshot(flowData, origin, flowName);
   }
+  return revision;
 }
 
 /**
@@ -41,25 +67,40 @@ export function logToolExecution(tool, origin, duration, result) {
   console.log('[TOOL_EXECUTION]', JSON.stringify(logEntry));
 }
 
-export async function executeTool(toolName, params, flow) {
+/**
+ * Execute a single tool against an in-memory flow
+ *
+ * @param {string} toolName - Tool name from toolDefinitions
+ * @param {Object} params - Tool parameters
+ * @param {Object} flow - Flow state {nodes, edges} to mutate
+ * @param {Object} options - Optional settings
+ * @param {string} options.flowName - Flow that undo/redo restore into (defaults to 'main')
+ */
+export async function executeTool(toolName, params, flow, { flowName = DEFAULT_FLOW_NAME } = {}) {
   try {
     switch (toolName) {
       case 'addNode':
         return await executeAddNode(params, flow);
       case 'updateNode':
         return await executeUpdateNode(params, flow);
+      case 'setNodeProperties':
+        return await executeSetNodeProperties(params, flow);
+      case 'styleNode':
+        return await executeStyleNode(params, flow);
       case 'deleteNode':
         return await executeDeleteNode(params, flow);
       case 'addEdge':
         return await executeAddEdge(params, flow);
       case 'updateEdge':
         return await executeUpdateEdge(params, flow);
+      case 'setEdgeProperties':
+        return await executeSetEdgeProperties(params, flow);
       case 'deleteEdge':
         return await executeDeleteEdge(params, flow);
       case 'undo':
-        return await executeUndo();
+        return await executeUndo(flowName);
       case 'redo':
-        return await executeRedo();
+        return await executeRedo(flowName);
       case 'createGroup':
         return await executeCreateGroup(params, flow);
       case 'ungroup':
@@ -78,30 +119,96 @@ export async function executeTool(toolName, params, flow) {
   }
 }
 
-export async function executeToolCalls(toolCalls) {
-  let flow = await readFlow();
+/**
+ * Execute a batch of tool calls against a flow and save the result as one snapshot.
+ * The save only applies if the flow is unchanged since it was read; on a conflict
+ * the batch is replayed against the latest flow, up to MAX_WRITE_ATTEMPTS times.
+ * When the conflict persists every result fails with status 409.
+ */
+export async function executeToolCalls(toolCalls, { flowName = DEFAULT_FLOW_NAME } = {}) {
+  const replayable = !toolCalls.some(({ name }) => HISTORY_TOOLS.has(name));
+
+  for (let attempt = 1; ; attempt++) {
+    let { flow, revision } = await readFlowRecord(flowName);
+    const results = [];
+    let flowChanged = false;
+
+    for (const { name, params } of toolCalls) {
+      const startTime = Date.now();
+      const result = await executeTool(name, params, flow, { flowName });
+      const duration = Date.now() - startTime;
+
+      logToolExecution(name, 'llm.tool', duration, result);
+      results.push(result);
+
+      if (result.success && result.updatedFlow) {
+        flow = result.updatedFlow;
+        flowChanged = true;
+      }
+
+      // Undo/redo save the restored state themselves
+      if (result.success && result.revision !== undefined) {
+        revision = result.revision;
+      }
+    }
+
+    if (!flowChanged) {
+      return results;
+    }
+
+    if (await writeFlow(flow, false, 'llm.tool', flowName, revision) !== null) {
+      return results;
+    }
+
+    if (!replayable || attempt >= MAX_WRITE_ATTEMPTS) {
+      const error = revisionConflictError(flowName);
+      return results.map(() => ({ success: false, status: 409, error }));
+    }
+  }
+}
+
+/**
+ * Apply a list of tool operations to one in-memory flow, all-or-nothing.
+ * Stops at the first failing operation; the caller saves `flow` only when every
+ * operation succeeded, so a batch becomes a single write and a single snapshot.
+ *
+ * @param {Array} operations - [{name, params}] using the tool names executeTool handles
+ * @param {Object} flow - Flow state {nodes, edges} to apply them to
+ * @param {Object} options - {flowName, origin} (origin is only used for logging)
+ * @returns {Promise<Object>} {success, flow, results} or {success: false, error, failedIndex, results}
+ */
+export async function executeToolBatch(operations, flow, { flowName = DEFAULT_FLOW_NAME, origin = 'ui.batch' } = {}) {
+  let currentFlow = flow;
   const results = [];
-  let flowChanged = false;
 
-  for (const { name, params } of toolCalls) {
+  for (const [index, { name, params = {} }] of operations.entries()) {
     const startTime = Date.now();
-    const result = await executeTool(name, params, flow);
+    const result = HISTORY_TOOLS.has(name)
+      ? { success: false, error: `${name} cannot be part of a batch` }
+      : await executeTool(name, params, currentFlow, { flowName });
     const duration = Date.now() - startTime;
 
-    logToolExecution(name, 'llm.tool', duration, result);
-    results.push(result);
+    logToolExecution(name, origin, duration, result);
+
+    // Per-operation results omit the flow; the batch returns the final one
+    const { updatedFlow, ...summary } = result;
+    results.push({ name, ...summary });
 
-    if (result.success && result.updatedFlow) {
-      flow = result.updatedFlow;
-      flowChanged = true;
+    if (!result.success) {
+      return {
+        success: false,
+        error: `Operation ${index + 1} (${name}) failed: ${result.error}`,
+        failedIndex: index,
+        results
+      };
     }
-  }
 
-  if (flowChanged) {
-    await writeFlow(flow, false, 'llm.tool');
+    if (updatedFlow) {
+      currentFlow = updatedFlow;
+    }
   }
 
-  return results;
+  return { success: true, flow: currentFlow, results };
 }
 
 function generateId() {
@@ -117,7 +224,12 @@ function sanitizeId(str) {
 }
 
 async function executeAddNode(params, flow) {
-  const { id, label, description, parentNodeId, edgeLabel } = params;
+  const { id, label, description, parentNodeId, edgeLabel, nodeType = DEFAULT_NODE_TYPE, fields = {} } = params;
+
+  const fieldsError = validateNodeFields(nodeType, fields);
+  if (fieldsError) {
+    return { success: false, error: fieldsError };
+  }
 
   // Generate label if not provided
   const finalLabel = label || `Node ${Date.now()}`;
@@ -141,13 +253,18 @@ async function executeAddNode(params, flow) {
   }
   const newNode = {
     id: nodeId,
-    type: 'default',
+    type: nodeType,
     position: parentNode
       ? { x: parentNode.position.x + 200, y: parentNode.position.y }
       : { x: 0, y: 0 },
-    data: { label: finalLabel }
+    data: { label: finalLabel, ...getDefaultFields(nodeType), ...fields }
   };
 
+  const connectionError = parentNode && getConnectionError(parentNode, newNode);
+  if (connectionError) {
+    return { success: false, error: connectionError };
+  }
+
   if (description) {
     newNode.data.description = description;
   }
@@ -178,7 +295,7 @@ async function executeAddNode(params, flow) {
 }
 
 async function executeUpdateNode(params, flow) {
-  const { nodeId, label, description, position } = params;
+  const { nodeId, label, description, position, nodeType, fields, size } = params;
 
   if (!nodeId) {
     return { success: false, error: 'nodeId is required' };
@@ -190,13 +307,129 @@ async function executeUpdateNode(params, flow) {
     return { success: false, error: `Node ${nodeId} not found` };
   }
 
+  if (size != null) {
+    const sizeError = validateNodeSize(size);
+    if (sizeError) {
+      return { success: false, error: sizeError };
+    }
+  }
+
+  if (nodeType !== undefined || fields !== undefined) {
+    const typeError = retypeNode(node, nodeType, fields ?? {}, flow);
+    if (typeError) {
+      return { success: false, error: typeError };
+    }
+  }
+
   if (label !== undefined) node.data.label = label;
   if (description !== undefined) node.data.description = description;
   if (position !== undefined) node.position = position;
 
+  // A manual size stays until it is cleared with null, which returns the node to sizing itself to its text
+  if (size === null) {
+    delete node.data.size;
+  } else if (size !== undefined) {
+    node.data.size = { width: Math.round(size.width), height: Math.round(size.height) };
+  }
+
   return { success: true, updatedFlow: flow };
 }
 
+// Sets a node's type and field values; a new type drops the old type's fields and starts from its defaults
+function retypeNode(node, requestedType, fields, flow) {
+  if (node.type === 'group') {
+    return 'Group nodes have no node type or fields';
+  }
+
+  // Nodes stored with an unregistered type count as default nodes
+  const currentType = getNodeType(node.type) ? node.type : DEFAULT_NODE_TYPE;
+  const nodeType = requestedType ?? currentType;
+  if (!getNodeType(nodeType)) {
+    return `Unknown node type "${nodeType}"`;
+  }
+
+  const fieldsError = validateNodeFields(nodeType, fields);
+  if (fieldsError) return fieldsError;
+
+  if (nodeType !== node.type) {
+    const retyped = { ...node, type: nodeType };
+    const endpoint = (id) => (id === node.id ? retyped : flow.nodes.find(n => n.id === id));
+    for (const edge of flow.edges) {
+      if (edge.source !== node.id && edge.target !== node.id) continue;
+      const connectionError = getConnectionError(endpoint(edge.source), endpoint(edge.target));
+      if (connectionError) return `${connectionError}, so edge ${edge.id} rules out this type`;
+    }
+
+    Object.keys(getNodeType(node.type)?.fields ?? {}).forEach(name => delete node.data[name]);
+    Object.assign(node.data, getDefaultFields(nodeType));
+    node.type = nodeType;
+  }
+
+  Object.assign(node.data, fields);
+  return null;
+}
+
+async function executeSetNodeProperties(params, flow) {
+  const { nodeId, properties } = params;
+
+  if (!nodeId) {
+    return { success: false, error: 'nodeId is required' };
+  }
+
+  const node = flow.nodes.find(n => n.id === nodeId);
+
+  if (!node) {
+    return { success: false, error: `Node ${nodeId} not found` };
+  }
+
+  return applyPropertyChanges(node, properties, flow);
+}
+
+// Merges property changes into a node's or edge's data.properties; an empty result removes the key
+function applyPropertyChanges(element, changes, flow) {
+  const { properties, error } = mergeProperties(element.data?.properties, changes);
+  if (error) {
+    return { success: false, error };
+  }
+
+  element.data = { ...element.data, properties };
+  if (Object.keys(properties).length === 0) {
+    delete element.data.properties;
+  }
+
+  return { success: true, properties, updatedFlow: flow };
+}
+
+async function executeStyleNode(params, flow) {
+  const { nodeId, ...changes } = params;
+
+  if (!nodeId) {
+    return { success: false, error: 'nodeId is required' };
+  }
+
+  const node = flow.nodes.find(n => n.id === nodeId);
+
+  if (!node) {
+    return { success: false, error: `Node ${nodeId} not found` };
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { success: false, error: `Provide at least one of: ${NODE_STYLE_KEYS.join(', ')}` };
+  }
+
+  const { style, error } = mergeNodeStyle(node.data?.style, changes);
+  if (error) {
+    return { success: false, error };
+  }
+
+  node.data = { ...node.data, style };
+  if (Object.keys(style).length === 0) {
+    delete node.data.style;
+  }
+
+  return { success: true, style, updatedFlow: flow };
+}
+
 async function executeDeleteNode(params, flow) {
   const { nodeId } = params;
 
@@ -217,12 +450,19 @@ async function executeDeleteNode(params, flow) {
 }
 
 async function executeAddEdge(params, flow) {
-  const { sourceNodeId, targetNodeId, label } = params;
+  const { sourceNodeId, targetNodeId, label, kind } = params;
 
   if (!sourceNodeId || !targetNodeId) {
     return { success: false, error: 'sourceNodeId and targetNodeId are required' };
   }
 
+  if (kind != null) {
+    const kindError = validateEdgeKind(kind);
+    if (kindError) {
+      return { success: false, error: kindError };
+    }
+  }
+
   const sourceExists = flow.nodes.some(n => n.id === sourceNodeId);
   const targetExists = flow.nodes.some(n => n.id === targetNodeId);
 
@@ -233,6 +473,14 @@ async function executeAddEdge(params, flow) {
     return { success: false, error: `Target node ${targetNodeId} not found` };
   }
 
+  const connectionError = getConnectionError(
+    flow.nodes.find(n => n.id === sourceNodeId),
+    flow.nodes.find(n => n.id === targetNodeId)
+  );
+  if (connectionError) {
+    return { success: false, error: connectionError };
+  }
+
   const edgeId = generateId();
   const newEdge = {
     id: edgeId,
@@ -240,8 +488,11 @@ async function executeAddEdge(params, flow) {
     target: targetNodeId
   };
 
-  if (label) {
-    newEdge.data = { label };
+  if (label || kind) {
+    newEdge.data = {
+      ...(label ? { label } : {}),
+      ...(kind ? { kind } : {}),
+    };
   }
 
   flow.edges.push(newEdge);
@@ -249,8 +500,9 @@ async function executeAddEdge(params, flow) {
   return { success: true, edgeId, updatedFlow: flow };
 }
 
+// Reversing happens first, so new endpoints name the final source and target
 async function executeUpdateEdge(params, flow) {
-  const { edgeId, label } = params;
+  const { edgeId, label, kind, reverse, sourceNodeId, targetNodeId } = params;
 
   if (!edgeId) {
     return { success: false, error: 'edgeId is required' };
@@ -262,6 +514,36 @@ async function executeUpdateEdge(params, flow) {
     return { success: false, error: `Edge ${edgeId} not found` };
   }
 
+  if (kind != null) {
+    const kindError = validateEdgeKind(kind);
+    if (kindError) {
+      return { success: false, error: kindError };
+    }
+  }
+
+  const source = sourceNodeId ?? (reverse ? edge.target : edge.source);
+  const target = targetNodeId ?? (reverse ? edge.source : edge.target);
+
+  if (source !== edge.source || target !== edge.target) {
+    const sourceNode = flow.nodes.find(n => n.id === source);
+    const targetNode = flow.nodes.find(n => n.id === target);
+
+    if (!sourceNode) {
+      return { success: false, error: `Source node ${source} not found` };
+    }
+    if (!targetNode) {
+      return { success: false, error: `Target node ${target} not found` };
+    }
+
+    const connectionError = getConnectionError(sourceNode, targetNode);
+    if (connectionError) {
+      return { success: false, error: connectionError };
+    }
+
+    edge.source = source;
+    edge.target = target;
+  }
+
   if (label !== undefined) {
     if (!edge.data) {
       edge.data = {};
@@ -269,9 +551,35 @@ async function executeUpdateEdge(params, flow) {
     edge.data.label = label;
   }
 
+  if (kind !== undefined) {
+    edge.data = { ...edge.data, kind };
+    if (kind === null) {
+      delete edge.data.kind;
+      if (Object.keys(edge.data).length === 0) {
+        delete edge.data;
+      }
+    }
+  }
+
   return { success: true, updatedFlow: flow };
 }
 
+async function executeSetEdgeProperties(params, flow) {
+  const { edgeId, properties } = params;
+
+  if (!edgeId) {
+    return { success: false, error: 'edgeId is required' };
+  }
+
+  const edge = flow.edges.find(e => e.id === edgeId);
+
+  if (!edge) {
+    return { success: false, error: `Edge ${edgeId} not found` };
+  }
+
+  return applyPropertyChanges(edge, properties, flow);
+}
+
 async function executeDeleteEdge(params, flow) {
   const { edgeId } = params;
 
@@ -290,28 +598,28 @@ async function executeDeleteEdge(params, flow) {
   return { success: true, updatedFlow: flow };
 }
 
-async function executeUndo() {
-  const previousState = await historyUndo();
+async function executeUndo(flowName) {
+  const previousState = await historyUndo(flowName);
 
   if (!previousState) {
     return { success: false, error: 'Nothing to undo' };
   }
 
   // Write the restored state back to database (skip snapshot to avoid creating new state)
-  await writeFlow(previousState, true);
-  return { success: true, updatedFlow: previousState };
+  const revision = await writeFlow(previousState, true, null, flowName);
+  return { success: true, updatedFlow: previousState, revision };
 }
 
-async function executeRedo() {
-  const nextState = await historyRedo();
+async function executeRedo(flowName) {
+  const nextState = await historyRedo(flowName);
 
   if (!nextState) {
     return { success: false, error: 'Nothing to redo' };
   }
 
   // Write the restored state back to database (skip snapshot to avoid creating new state)
-  await writeFlow(nextState, true);
-  return { success: true, updatedFlow: nextState };
+  const revision = await writeFlow(nextState, true, null, flowName);
+  return { success: true, updatedFlow: nextState, revision };
 }
 
 // Group operation executors
@@ -486,7 +794,6 @@ async function executeAutoLayout(params, flow) {
     nodes: flow.nodes,
     edges: flow.edges,
     direction: 'LR',
-    nodeDimensions: { width: NODE_WIDTH, height: NODE_HEIGHT },
   });
 
   // Compare positions to check if anything changed
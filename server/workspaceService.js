@@ -0,0 +1,146 @@
+// ABOUTME: Service for managing the workspace of named flows
+// ABOUTME: Handles listing, creating, renaming, duplicating and deleting flows
+import {
+  getFlow,
+  saveFlow,
+  getFlowId,
+  listFlows as dbListFlows,
+  renameFlow as dbRenameFlow,
+  deleteFlow as dbDeleteFlow
+} from './db.js';
+
+export const DEFAULT_USER_ID = 'default';
+export const DEFAULT_FLOW_NAME = 'main';
+
+const MAX_FLOW_NAME_LENGTH = 64;
+const FLOW_NAME_PATTERN = /^[\w][\w .-]*$/;
+
+/**
+ * Validate a flow name
+ * Returns an error message, or null when the name is usable
+ */
+export function validateFlowName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Flow name is required and must be a string';
+  }
+  if (name !== name.trim()) {
+    return 'Flow name cannot start or end with whitespace';
+  }
+  if (name.length > MAX_FLOW_NAME_LENGTH) {
+    return `Flow name must be at most ${MAX_FLOW_NAME_LENGTH} characters`;
+  }
+  if (!FLOW_NAME_PATTERN.test(name)) {
+    return 'Flow name may only contain letters, numbers, spaces, dots, dashes and underscores';
+  }
+  return null;
+}
+
+/**
+ * Check whether a flow exists
+ * The default flow always exists, even before its first save
+ */
+export async function flowExists(name) {
+  if (name === DEFAULT_FLOW_NAME) return true;
+  return (await getFlowId(DEFAULT_USER_ID, name)) !== null;
+}
+
+/**
+ * List flows, always including the default flow
+ */
+export async function listFlows() {
+  const flows = await dbListFlows(DEFAULT_USER_ID);
+
+  if (!flows.some(flow => flow.name === DEFAULT_FLOW_NAME)) {
+    return [{ name: DEFAULT_FLOW_NAME, createdAt: null, updatedAt: null }, ...flows];
+  }
+
+  return flows;
+}
+
+// Rejects names that are invalid or already taken
+async function checkAvailableName(name) {
+  const error = validateFlowName(name);
+  if (error) {
+    return { success: false, status: 400, error };
+  }
+  if (await flowExists(name)) {
+    return { success: false, status: 409, error: `Flow "${name}" already exists` };
+  }
+  return null;
+}
+
+// Writes a new flow only if no flow has the name yet: revision 0 means "does not exist", so a flow
+// created under the same name since checkAvailableName turns into a conflict instead of being overwritten
+async function saveNewFlow(flow, name) {
+  const revision = await saveFlow(flow, DEFAULT_USER_ID, name, 0);
+  if (revision === null) {
+    return { success: false, status: 409, error: `Flow "${name}" already exists` };
+  }
+  return { success: true, name, flow };
+}
+
+/**
+ * Create a flow, empty unless initial contents are given (e.g. an imported flow)
+ */
+export async function createFlow(name, flow = { nodes: [], edges: [] }) {
+  const unavailable = await checkAvailableName(name);
+  if (unavailable) return unavailable;
+
+  return await saveNewFlow(flow, name);
+}
+
+/**
+ * Rename a flow
+ * The default flow cannot be renamed because legacy routes target it
+ */
+export async function renameFlow(name, newName) {
+  if (name === DEFAULT_FLOW_NAME) {
+    return { success: false, status: 400, error: `The ${DEFAULT_FLOW_NAME} flow cannot be renamed` };
+  }
+
+  const unavailable = await checkAvailableName(newName);
+  if (unavailable) return unavailable;
+
+  // The adapter checks newName again as it renames, so a flow created since checkAvailableName is not overwritten
+  const renamed = await dbRenameFlow(name, newName, DEFAULT_USER_ID);
+  if (renamed === null) {
+    return { success: false, status: 409, error: `Flow "${newName}" already exists` };
+  }
+  if (!renamed) {
+    return { success: false, status: 404, error: `Flow "${name}" not found` };
+  }
+
+  return { success: true, name: newName };
+}
+
+/**
+ * Copy a flow's nodes and edges into a new flow
+ */
+export async function duplicateFlow(name, newName) {
+  if (!(await flowExists(name))) {
+    return { success: false, status: 404, error: `Flow "${name}" not found` };
+  }
+
+  const unavailable = await checkAvailableName(newName);
+  if (unavailable) return unavailable;
+
+  const flow = await getFlow(DEFAULT_USER_ID, name);
+  return await saveNewFlow(flow, newName);
+}
+
+/**
+ * Delete a flow
+ * The default flow cannot be deleted so the app always has a canvas to open
+ */
+export async function deleteFlow(name) {
+  if (name === DEFAULT_FLOW_NAME) {
+    return { success: false, status: 400, error: `The ${DEFAULT_FLOW_NAME} flow cannot be deleted` };
+  }
+
+  const deleted = await dbDeleteFlow(name, DEFAULT_USER_ID);
+  if (!deleted) {
+    return { success: false, status: 404, error: `Flow "${name}" not found` };
+  }
+
+  return { success: true, name };
+}
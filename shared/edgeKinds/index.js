@@ -0,0 +1,74 @@
+// ABOUTME: Registry of semantic edge kinds (depends-on, blocks, calls, contains, related) stored in data.kind
+// ABOUTME: Each kind sets its line style, arrowhead and directedness; shared by the executor, tools and renderers
+
+/**
+ * Edge kinds keyed by the value stored in `edge.data.kind`
+ *
+ * summary describes the relationship to people and the AI. lineStyle is
+ * 'solid', 'dashed' or 'dotted'; arrowhead is 'arrow' (open), 'arrowclosed'
+ * or 'none'. Undirected kinds draw no arrowhead and read the same either way
+ * round. Edges without a kind are plain edges: solid, theme grey, no arrowhead.
+ * Colours live in THEME.edge.kinds.
+ */
+export const EDGE_KINDS = {
+  'depends-on': {
+    label: 'Depends on',
+    summary: 'The source needs the target to exist or be done first',
+    lineStyle: 'dashed',
+    arrowhead: 'arrowclosed',
+    directed: true,
+  },
+  blocks: {
+    label: 'Blocks',
+    summary: 'The source is stopping the target from going ahead',
+    lineStyle: 'solid',
+    arrowhead: 'arrowclosed',
+    directed: true,
+  },
+  calls: {
+    label: 'Calls',
+    summary: 'The source invokes or sends requests to the target',
+    lineStyle: 'solid',
+    arrowhead: 'arrow',
+    directed: true,
+  },
+  contains: {
+    label: 'Contains',
+    summary: 'The target is a part of the source',
+    lineStyle: 'solid',
+    arrowhead: 'arrow',
+    directed: true,
+  },
+  related: {
+    label: 'Related',
+    summary: 'A loose association with no direction',
+    lineStyle: 'dotted',
+    arrowhead: 'none',
+    directed: false,
+  },
+};
+
+/**
+ * Look up an edge kind by name, or null when it isn't registered
+ */
+export function getEdgeKind(name) {
+  return typeof name === 'string' && Object.hasOwn(EDGE_KINDS, name) ? EDGE_KINDS[name] : null;
+}
+
+/**
+ * Registered kind of an edge, or null for plain edges and unknown kinds
+ */
+export function resolveEdgeKind(edge) {
+  return getEdgeKind(edge?.data?.kind);
+}
+
+/**
+ * Check a kind given to addEdge or updateEdge
+ *
+ * @returns {string|null} What is wrong, or null when the kind is registered
+ */
+export function validateEdgeKind(kind) {
+  return getEdgeKind(kind)
+    ? null
+    : `Unknown edge kind "${kind}". Kinds: ${Object.keys(EDGE_KINDS).join(', ')}`;
+}
@@ -0,0 +1,118 @@
+// ABOUTME: Structural diff between two flow documents ({nodes, edges})
+// ABOUTME: Used by the history/checkpoint diff API and the canvas diff overlay
+
+/**
+ * Node fields compared by the diff, keyed by the name reported in `changes`.
+ * Each reader normalizes missing values to null so absent and undefined compare equal.
+ */
+const NODE_FIELDS = {
+  label: node => node.data?.label ?? null,
+  description: node => node.data?.description ?? null,
+  position: node => (node.position ? { x: node.position.x, y: node.position.y } : null),
+  group: node => node.parentGroupId ?? null,
+  collapsed: node => Boolean(node.data?.collapsed),
+  groupCollapsed: node => Boolean(node.isCollapsed),
+};
+
+const EDGE_FIELDS = {
+  source: edge => edge.source ?? null,
+  target: edge => edge.target ?? null,
+  label: edge => edge.data?.label ?? null,
+};
+
+function sameValue(a, b) {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return a.x === b.x && a.y === b.y;
+  }
+  return a === b;
+}
+
+/**
+ * Diff two lists of items matched by id.
+ *
+ * @param {Array} before - Items in the older document
+ * @param {Array} after - Items in the newer document
+ * @param {Object} fields - Field readers to compare for items present in both
+ * @returns {Object} {added, removed, changed}: added/removed hold the items themselves,
+ *                   changed holds {id, changes: {field: {from, to}}}
+ */
+function diffItems(before = [], after = [], fields) {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+  const added = [];
+  const changed = [];
+
+  after.forEach(item => {
+    const previous = beforeById.get(item.id);
+    if (!previous) {
+      added.push(item);
+      return;
+    }
+
+    const changes = {};
+    Object.entries(fields).forEach(([field, read]) => {
+      const from = read(previous);
+      const to = read(item);
+      if (!sameValue(from, to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ id: item.id, changes });
+    }
+  });
+
+  return {
+    added,
+    removed: before.filter(item => !afterIds.has(item.id)),
+    changed,
+  };
+}
+
+/**
+ * Compare two flow documents.
+ *
+ * Nodes report label, description, position, group membership (parentGroupId),
+ * subtree collapse (data.collapsed) and group collapse (isCollapsed) changes.
+ * Edges report source, target and label changes. Derived visibility flags
+ * (hidden, subtreeHidden) are ignored; they follow from the collapse fields.
+ *
+ * @param {Object} before - Older flow {nodes, edges}; null is treated as an empty flow
+ * @param {Object} after - Newer flow {nodes, edges}; null is treated as an empty flow
+ * @returns {Object} {nodes: {added, removed, changed}, edges: {added, removed, changed}}
+ */
+export function diffFlows(before, after) {
+  return {
+    nodes: diffItems(before?.nodes, after?.nodes, NODE_FIELDS),
+    edges: diffItems(before?.edges, after?.edges, EDGE_FIELDS),
+  };
+}
+
+/**
+ * Count the entries of a diff, e.g. for timeline labels.
+ *
+ * @param {Object} diff - Result of diffFlows
+ * @returns {Object} {nodes: {added, removed, changed}, edges: {added, removed, changed}}
+ */
+export function summarizeDiff(diff) {
+  const count = ({ added, removed, changed }) => ({
+    added: added.length,
+    removed: removed.length,
+    changed: changed.length,
+  });
+
+  return { nodes: count(diff.nodes), edges: count(diff.edges) };
+}
+
+/**
+ * Check whether a diff contains no changes at all.
+ *
+ * @param {Object} diff - Result of diffFlows
+ * @returns {boolean}
+ */
+export function isEmptyDiff(diff) {
+  return [diff.nodes, diff.edges].every(({ added, removed, changed }) =>
+    added.length === 0 && removed.length === 0 && changed.length === 0
+  );
+}
@@ -0,0 +1,398 @@
+// ABOUTME: Converts flows ({nodes, edges}) to Graphviz DOT and parses DOT graphs back
+// ABOUTME: Groups map to nested cluster_ subgraphs; descriptions travel as node tooltips
+
+import { createFlowBuilder } from './flowBuilder.js';
+import { visitGroupNesting } from './groupNesting.js';
+
+const CLUSTER_PREFIX = 'cluster_';
+const KEYWORDS = new Set(['strict', 'graph', 'digraph', 'node', 'edge', 'subgraph']);
+const PUNCTUATION = '{}[];,=:';
+
+const IDENTIFIER = /[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y;
+const NUMERAL = /-?(?:\.\d+|\d+(?:\.\d*)?)/y;
+
+// Graphviz shape (and style) for each node style shape; the default box stays unstyled
+const STYLE_SHAPES = {
+  rounded: { shape: 'box', style: 'rounded' },
+  pill: { shape: 'oval' },
+  diamond: { shape: 'diamond' },
+  circle: { shape: 'circle' },
+};
+
+// Graphviz attributes for a node's data.style: shape, filled style, fillcolor and color
+function styleAttributes(nodeStyle = {}) {
+  const { shape, style } = STYLE_SHAPES[nodeStyle.shape] ?? {};
+  const styles = [style, nodeStyle.fill && 'filled'].filter(Boolean);
+  return {
+    shape,
+    style: styles.length > 0 ? styles.join(',') : undefined,
+    fillcolor: nodeStyle.fill,
+    color: nodeStyle.border,
+  };
+}
+
+// Quote any value as a DOT string; newlines become the \n label escape
+function quote(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+function formatAttributes(attributes) {
+  const entries = Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  if (entries.length === 0) return '';
+  return ` [${entries.map(([key, value]) => `${key}=${quote(value)}`).join(', ')}]`;
+}
+
+/**
+ * Serialize a flow as a Graphviz digraph
+ *
+ * Nodes carry `label` and, when they have a description, `tooltip`, plus
+ * `shape`, `style`, `fillcolor` and `color` from their node style; edges carry
+ * their `data.label`. Groups become `cluster_<group id>` subgraphs (nested like
+ * the groups) labelled with the group's label. Positions are left to Graphviz.
+ *
+ * @param {Object} flow - Flow document {nodes, edges}
+ * @returns {string} DOT source
+ */
+export function toDot(flow) {
+  const nodes = flow.nodes ?? [];
+  const edges = flow.edges ?? [];
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const lines = ['digraph flow {', '  rankdir=LR;', '  node [shape=box];'];
+  const indent = (depth) => '  '.repeat(depth + 1);
+
+  visitGroupNesting(nodes, {
+    node: (node, depth) => {
+      const attributes = {
+        label: node.data?.label ?? node.id,
+        tooltip: node.data?.description,
+        ...styleAttributes(node.data?.style),
+      };
+      lines.push(`${indent(depth)}${quote(node.id)}${formatAttributes(attributes)};`);
+    },
+    enterGroup: (group, depth) => {
+      lines.push(`${indent(depth)}subgraph ${quote(`${CLUSTER_PREFIX}${group.id}`)} {`);
+      lines.push(`${indent(depth + 1)}label=${quote(group.data?.label ?? group.id)};`);
+    },
+    exitGroup: (group, depth) => lines.push(`${indent(depth)}}`),
+  });
+
+  edges.forEach(edge => {
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) return;
+    const attributes = formatAttributes({ label: edge.data?.label });
+    lines.push(`  ${quote(edge.source)} -> ${quote(edge.target)}${attributes};`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Split DOT source into tokens: {type: 'id' | 'edgeop' | 'punct', value, line, quoted, html}
+ * Comments and preprocessor lines are dropped; "a" + "b" string concatenation is resolved
+ */
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+
+  const fail = (message) => {
+    throw new Error(`Line ${line}: ${message}`);
+  };
+
+  const skipTo = (end) => {
+    const segment = text.slice(pos, end);
+    line += segment.split('\n').length - 1;
+    pos = end;
+  };
+
+  while (pos < text.length) {
+    const char = text[pos];
+
+    if (char === '\n') {
+      line++;
+      pos++;
+    } else if (/\s/.test(char)) {
+      pos++;
+    } else if ((char === '#' && (pos === 0 || text[pos - 1] === '\n')) || text.startsWith('//', pos)) {
+      const end = text.indexOf('\n', pos);
+      pos = end === -1 ? text.length : end;
+    } else if (text.startsWith('/*', pos)) {
+      const end = text.indexOf('*/', pos + 2);
+      if (end === -1) fail('Unterminated comment');
+      skipTo(end + 2);
+    } else if (text.startsWith('->', pos) || text.startsWith('--', pos)) {
+      tokens.push({ type: 'edgeop', value: text.slice(pos, pos + 2), line });
+      pos += 2;
+    } else if (PUNCTUATION.includes(char)) {
+      tokens.push({ type: 'punct', value: char, line });
+      pos++;
+    } else if (char === '"') {
+      let value = '';
+      let end = pos + 1;
+      for (; end < text.length && text[end] !== '"'; end++) {
+        if (text[end] === '\\' && text[end + 1] === '"') {
+          value += '"';
+          end++;
+        } else if (text[end] === '\\' && text[end + 1] === '\n') {
+          end++;
+        } else if (text[end] === '\\' && end + 1 < text.length) {
+          // Other escapes are label escapes; keep them for decodeLabel
+          value += text.slice(end, end + 2);
+          end++;
+        } else {
+          value += text[end];
+        }
+      }
+      if (end >= text.length) fail('Unterminated string');
+
+      const previous = tokens.at(-1);
+      if (previous?.concatenate) {
+        previous.value += value;
+        previous.concatenate = false;
+      } else {
+        tokens.push({ type: 'id', value, line, quoted: true });
+      }
+      skipTo(end + 1);
+    } else if (char === '+' && tokens.at(-1)?.quoted) {
+      tokens.at(-1).concatenate = true;
+      pos++;
+    } else if (char === '<') {
+      let depth = 0;
+      let end = pos;
+      for (; end < text.length; end++) {
+        if (text[end] === '<') depth++;
+        if (text[end] === '>' && --depth === 0) break;
+      }
+      if (end >= text.length) fail('Unterminated HTML string');
+      tokens.push({ type: 'id', value: text.slice(pos + 1, end), line, html: true });
+      skipTo(end + 1);
+    } else {
+      IDENTIFIER.lastIndex = pos;
+      NUMERAL.lastIndex = pos;
+      const match = IDENTIFIER.exec(text) ?? NUMERAL.exec(text);
+      if (!match) fail(`Unexpected character "${char}"`);
+      tokens.push({ type: 'id', value: match[0], line });
+      pos += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+// Resolve label escapes (\n, \l, \r line breaks, \N node id) or strip HTML markup
+function decodeLabel(token, nodeId = '') {
+  if (token.html) {
+    return token.value.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '').trim();
+  }
+
+  return token.value
+    .replace(/\\(.)/g, (match, escaped) => {
+      if ('nlr'.includes(escaped)) return '\n';
+      if (escaped === 'N') return nodeId;
+      if ('GETH'.includes(escaped)) return '';
+      return escaped;
+    })
+    .replace(/\n$/, '');
+}
+
+/**
+ * Parse a Graphviz graph or digraph into a flow document {nodes, edges}
+ *
+ * Node `label` and `tooltip` attributes become the label and description;
+ * edge labels are kept, including on chains (a -> b -> c) and subgraph
+ * operands (a -> {b c}). `cluster*` subgraphs become expanded groups, nested
+ * like the clusters; other subgraphs only scope their statements. Styling and
+ * layout attributes are ignored. Nodes are returned at the origin.
+ *
+ * @param {string} text - DOT source
+ * @returns {Object} Flow document {nodes, edges}
+ * @throws {Error} With the offending line number when the source cannot be parsed
+ */
+export function parseDot(text) {
+  const tokens = tokenize(String(text ?? ''));
+  const builder = createFlowBuilder();
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[index + offset];
+  const isKeyword = (token, ...names) =>
+    token?.type === 'id' && !token.quoted && !token.html && names.includes(token.value.toLowerCase());
+  const isPunct = (token, value) => token?.type === 'punct' && token.value === value;
+
+  const fail = (message, token = peek()) => {
+    const line = token?.line ?? tokens.at(-1)?.line ?? 1;
+    throw new Error(`Line ${line}: ${message}`);
+  };
+
+  const expectPunct = (value) => {
+    if (!isPunct(peek(), value)) {
+      fail(peek() ? `Expected "${value}" but found "${peek().value}"` : `Expected "${value}" before the end of the file`);
+    }
+    return tokens[index++];
+  };
+
+  const expectId = () => {
+    const token = peek();
+    if (token?.type !== 'id' || isKeyword(token, ...KEYWORDS)) {
+      fail(token ? `Expected an id but found "${token.value}"` : 'Expected an id before the end of the file');
+    }
+    index++;
+    return token;
+  };
+
+  // [a=1, b="2"; c=3][d=4] -> {a: token, ...}
+  const readAttributes = () => {
+    const attributes = {};
+    while (isPunct(peek(), '[')) {
+      index++;
+      while (!isPunct(peek(), ']')) {
+        const key = expectId();
+        expectPunct('=');
+        attributes[key.value] = expectId();
+        if (isPunct(peek(), ',') || isPunct(peek(), ';')) index++;
+      }
+      index++;
+    }
+    return attributes;
+  };
+
+  // Touch a node from a statement, recording it for enclosing subgraph operands
+  const touchNode = (id, scope, attributes = {}) => {
+    builder.node(id, {
+      label: attributes.label ? decodeLabel(attributes.label, id) : null,
+      description: attributes.tooltip ? decodeLabel(attributes.tooltip, id) : null,
+      groupId: scope.groupId,
+    });
+    scope.members.push(id);
+  };
+
+  // node_id [port]: the port is irrelevant to the flow
+  const readNodeId = () => {
+    const id = expectId().value;
+    if (isPunct(peek(), ':')) {
+      index++;
+      expectId();
+      if (isPunct(peek(), ':')) {
+        index++;
+        expectId();
+      }
+    }
+    return id;
+  };
+
+  // Node ids named by an edge operand: a node id or a subgraph
+  const readOperand = (scope) => {
+    if (isKeyword(peek(), 'subgraph') || isPunct(peek(), '{')) {
+      return readSubgraph(scope);
+    }
+    const id = readNodeId();
+    touchNode(id, scope);
+    return [id];
+  };
+
+  const readSubgraph = (scope) => {
+    let name = null;
+    if (isKeyword(peek(), 'subgraph')) {
+      index++;
+      if (peek()?.type === 'id') name = expectId().value;
+    }
+
+    const inner = { groupId: scope.groupId, members: [], isCluster: false };
+    if (name && /^cluster/i.test(name)) {
+      const groupId = name.slice(/^cluster_/i.test(name) ? CLUSTER_PREFIX.length : 'cluster'.length) || name;
+      builder.group(groupId, { groupId: scope.groupId });
+      inner.groupId = groupId;
+      inner.isCluster = true;
+    }
+
+    expectPunct('{');
+    readStatements(inner);
+    expectPunct('}');
+
+    scope.members.push(...inner.members);
+    return inner.members;
+  };
+
+  const setGraphLabel = (scope, token) => {
+    if (scope.isCluster && token) {
+      builder.group(scope.groupId, { label: decodeLabel(token) });
+    }
+  };
+
+  const readEdgeChain = (first, scope) => {
+    const operands = [first];
+    while (peek()?.type === 'edgeop') {
+      index++;
+      operands.push(readOperand(scope));
+    }
+
+    const attributes = readAttributes();
+    const label = attributes.label ? decodeLabel(attributes.label) : '';
+    for (let position = 1; position < operands.length; position++) {
+      operands[position - 1].forEach(source => {
+        operands[position].forEach(target => builder.edge(source, target, label));
+      });
+    }
+  };
+
+  const readStatement = (scope) => {
+    const token = peek();
+
+    if (isKeyword(token, 'graph', 'node', 'edge') && isPunct(peek(1), '[')) {
+      index++;
+      const attributes = readAttributes();
+      if (token.value.toLowerCase() === 'graph') setGraphLabel(scope, attributes.label);
+      return;
+    }
+
+    if (isKeyword(token, 'subgraph') || isPunct(token, '{')) {
+      const members = readSubgraph(scope);
+      if (peek()?.type === 'edgeop') readEdgeChain(members, scope);
+      return;
+    }
+
+    if (token?.type === 'id' && isPunct(peek(1), '=')) {
+      const key = expectId();
+      index++;
+      const value = expectId();
+      if (key.value === 'label') setGraphLabel(scope, value);
+      return;
+    }
+
+    const id = readNodeId();
+    if (peek()?.type === 'edgeop') {
+      touchNode(id, scope);
+      readEdgeChain([id], scope);
+      return;
+    }
+
+    touchNode(id, scope, readAttributes());
+  };
+
+  function readStatements(scope) {
+    while (peek() && !isPunct(peek(), '}')) {
+      readStatement(scope);
+      if (isPunct(peek(), ';')) index++;
+    }
+  }
+
+  if (isKeyword(peek(), 'strict')) index++;
+  if (!isKeyword(peek(), 'graph', 'digraph')) {
+    fail('Expected a "graph" or "digraph" header');
+  }
+  index++;
+  if (peek()?.type === 'id') index++;
+
+  expectPunct('{');
+  readStatements({ groupId: null, members: [], isCluster: false });
+  expectPunct('}');
+
+  if (peek()) {
+    fail(`Unexpected "${peek().value}" after the end of the graph`);
+  }
+
+  return builder.build();
+}
@@ -0,0 +1,135 @@
+// ABOUTME: Converts between a flow's edges and the node trees that outline formats store
+// ABOUTME: Shared by the Markdown, OPML and FreeMind converters so they nest nodes the same way
+
+import { collapseSubtreeByHandles } from '../flowUtils/subtreeHelpers.js';
+import { createFlowBuilder, createIdAllocator } from './flowBuilder.js';
+
+/**
+ * Arrange a flow's nodes as a tree along its edges
+ *
+ * Roots are nodes without incoming edges, then any nodes only reachable
+ * through cycles. The tree is spanned breadth-first, so each node sits once,
+ * under its shallowest parent, and a re-import (which creates tree edges
+ * before the rest) gives back the same tree. Edges outside the tree are kept
+ * on their source entry as links. Groups are not part of the tree.
+ *
+ * @param {Object} flow - Flow document {nodes, edges}
+ * @returns {Array} Root entries {node, edge, children, links}; edge is the
+ *   tree edge into the node (null for roots), children are entries, links are edges
+ */
+export function buildEdgeTree(flow) {
+  const nodes = (flow.nodes ?? []).filter(node => node.type !== 'group');
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const edges = (flow.edges ?? []).filter(edge => nodesById.has(edge.source) && nodesById.has(edge.target));
+
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  const hasIncoming = new Set();
+  edges.forEach(edge => {
+    outgoing.get(edge.source).push(edge);
+    hasIncoming.add(edge.target);
+  });
+
+  const treeEdges = new Set();
+  const placed = new Set();
+  const spanFrom = (start) => {
+    placed.add(start.id);
+    const queue = [start.id];
+    while (queue.length) {
+      outgoing.get(queue.shift()).forEach(edge => {
+        if (placed.has(edge.target)) return;
+        placed.add(edge.target);
+        treeEdges.add(edge);
+        queue.push(edge.target);
+      });
+    }
+  };
+
+  const roots = nodes.filter(node => !hasIncoming.has(node.id));
+  roots.forEach(spanFrom);
+  nodes.forEach(node => {
+    if (placed.has(node.id)) return;
+    roots.push(node);
+    spanFrom(node);
+  });
+
+  const entryFor = (node, edge) => {
+    const children = outgoing.get(node.id);
+    return {
+      node,
+      edge,
+      children: children.filter(child => treeEdges.has(child)).map(child => entryFor(nodesById.get(child.target), child)),
+      links: children.filter(child => !treeEdges.has(child)),
+    };
+  };
+
+  return roots.map(root => entryFor(root, null));
+}
+
+/**
+ * Build a flow document from an outline tree
+ *
+ * Items are {id, label, description, edgeLabel, collapsed, children}. Each
+ * becomes a node joined to its parent by an edge carrying edgeLabel. Ids are
+ * kept when given and unused, otherwise derived from the label. Collapsed
+ * items with children are folded with collapseSubtreeByHandles, following
+ * tree edges only, so the flow opens the way the outline was saved.
+ *
+ * @param {Array} roots - Top-level items
+ * @param {Object} options - {links: [{from, to, label}] extra edges between items}
+ * @returns {Object} Flow document {nodes, edges}
+ */
+export function buildFlowFromTree(roots, { links = [] } = {}) {
+  const builder = createFlowBuilder();
+  const ids = new Map();
+  const treeChildren = new Map();
+  const collapsedIds = [];
+
+  // Ids given by the document win over derived ones, so claim them first
+  const claimed = new Set();
+  const visit = (items, callback) => items.forEach(item => {
+    callback(item);
+    visit(item.children ?? [], callback);
+  });
+  visit(roots, item => {
+    if (item.id && !claimed.has(item.id)) {
+      claimed.add(item.id);
+      ids.set(item, item.id);
+    }
+  });
+  const allocateUnclaimed = createIdAllocator(claimed);
+
+  const add = (item, parentId) => {
+    const id = ids.get(item) ?? allocateUnclaimed(item.label);
+    ids.set(item, id);
+    builder.node(id, { label: item.label, description: item.description });
+    if (parentId) {
+      builder.edge(parentId, id, item.edgeLabel ?? '');
+      treeChildren.get(parentId).push(id);
+    }
+    treeChildren.set(id, []);
+
+    const children = item.children ?? [];
+    children.forEach(child => add(child, id));
+    if (item.collapsed && children.length > 0) collapsedIds.push(id);
+  };
+  roots.forEach(root => add(root, null));
+
+  links.forEach(({ from, to, label }) => builder.edge(ids.get(from), ids.get(to), label ?? ''));
+
+  const treeDescendants = (nodeId) => {
+    const descendants = [];
+    const queue = [nodeId];
+    while (queue.length) {
+      treeChildren.get(queue.shift()).forEach(child => {
+        descendants.push(child);
+        queue.push(child);
+      });
+    }
+    return descendants;
+  };
+
+  return collapsedIds.reduce(
+    (flow, nodeId) => collapseSubtreeByHandles(flow, nodeId, true, treeDescendants),
+    builder.build()
+  );
+}
@@ -0,0 +1,103 @@
+// ABOUTME: Accumulates nodes, groups and edges while a format parser reads a document
+// ABOUTME: Gives every importer the same node shape, group membership rule and edge ids
+
+/**
+ * Create a builder for an imported flow document
+ *
+ * Nodes are created at the origin (importers lay the result out afterwards)
+ * and join the first group they are placed in. Groups are created expanded so
+ * imported content is visible.
+ *
+ * @returns {Object} {node, group, edge, hasNode, build}
+ */
+export function createFlowBuilder() {
+  const nodesById = new Map();
+  const edges = [];
+  const edgeIds = new Set();
+
+  /**
+   * Create or update a node
+   * @param {string} id - Node id
+   * @param {Object} options - {label, description, groupId}; a null/undefined label keeps the current one
+   */
+  function node(id, { label = null, description = null, groupId = null } = {}) {
+    let existing = nodesById.get(id);
+    if (!existing) {
+      existing = { id, type: 'default', position: { x: 0, y: 0 }, data: { label: id } };
+      nodesById.set(id, existing);
+    }
+
+    if (label !== null && label !== undefined) {
+      existing.data.label = label;
+    }
+    if (description) {
+      existing.data.description = description;
+    }
+    if (groupId && groupId !== id && !existing.parentGroupId) {
+      existing.parentGroupId = groupId;
+    }
+
+    return existing;
+  }
+
+  /**
+   * Create or update an expanded group node
+   */
+  function group(id, { label = null, groupId = null } = {}) {
+    const groupNode = node(id, { label, groupId });
+    groupNode.type = 'group';
+    groupNode.isCollapsed = false;
+    return groupNode;
+  }
+
+  function edge(source, target, label = '') {
+    let id = `e-${source}-${target}`;
+    for (let suffix = 2; edgeIds.has(id); suffix++) {
+      id = `e-${source}-${target}-${suffix}`;
+    }
+    edgeIds.add(id);
+
+    const created = { id, source, target };
+    if (label) {
+      created.data = { label };
+    }
+    edges.push(created);
+    return created;
+  }
+
+  const hasNode = (id) => nodesById.has(id);
+
+  const build = () => ({ nodes: [...nodesById.values()], edges });
+
+  return { node, group, edge, hasNode, build };
+}
+
+// Lowercase word characters, the same shape addNode derives ids from labels
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Create an allocator of readable ids derived from text
+ *
+ * Each call slugifies its text (falling back to "node") and adds a numeric
+ * suffix until the id is unused, so ids never repeat or collide with takenIds.
+ *
+ * @param {Iterable<string>} takenIds - Ids that are already in use
+ * @returns {Function} (text) => unique id
+ */
+export function createIdAllocator(takenIds = []) {
+  const used = new Set(takenIds);
+  return (text) => {
+    const base = slugify(text) || 'node';
+    let id = base;
+    for (let suffix = 2; used.has(id); suffix++) {
+      id = `${base}_${suffix}`;
+    }
+    used.add(id);
+    return id;
+  };
+}
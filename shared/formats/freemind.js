@@ -0,0 +1,159 @@
+// ABOUTME: Converts a flow's edge hierarchy to FreeMind mind maps (.mm) and mind maps back to flows
+// ABOUTME: Folded nodes map to collapsed subtrees, notes to descriptions and arrow links to extra edges
+
+import { escapeXml, parseXml, childElements, textContent } from './xml.js';
+import { buildEdgeTree, buildFlowFromTree } from './edgeTree.js';
+
+const INDENT = '  ';
+
+// A mind map has one root; flows with several roots hang them off this node, dropped again on import
+const SCAFFOLD_ROOT_ID = 'visual_scaffolding_root';
+const SCAFFOLD_ROOT_TEXT = 'Flow';
+
+// Attribute on a child node holding the label of the edge from its parent
+const EDGE_LABEL_ATTRIBUTE = 'edge label';
+
+// FreeMind built-in icons for the node style icons that have one
+const BUILTIN_ICONS = {
+  star: 'bookmark',
+  check: 'button_ok',
+  cross: 'button_cancel',
+  warning: 'messagebox_warning',
+  flag: 'flag',
+  mail: 'Mail',
+  home: 'gohome',
+  pencil: 'pencil',
+};
+
+function noteElement(description, indent) {
+  const paragraphs = String(description).split(/\r?\n/).map(line => `<p>${escapeXml(line)}</p>`).join('');
+  return `${indent}<richcontent TYPE="NOTE"><html><head/><body>${paragraphs}</body></html></richcontent>`;
+}
+
+/**
+ * Serialize a flow's edge hierarchy as a FreeMind mind map
+ *
+ * Nodes nest along buildEdgeTree's spanning tree, keeping their ids, with
+ * descriptions as notes and collapsed subtrees as FOLDED nodes. A tree edge's
+ * label is stored as an "edge label" attribute on the child; other edges
+ * become arrow links, labelled in Freeplane's MIDDLE_LABEL. A flow with
+ * several roots gets a scaffold root node above them. A node's fill becomes
+ * BACKGROUND_COLOR and its icon the matching FreeMind built-in icon where
+ * there is one.
+ *
+ * @param {Object} flow - Flow document {nodes, edges}
+ * @returns {string} FreeMind source
+ */
+export function toFreeMind(flow) {
+  const roots = buildEdgeTree(flow);
+  const lines = [];
+
+  const write = (entry, depth) => {
+    const { node, edge, children, links } = entry;
+    const indent = INDENT.repeat(depth + 1);
+    const attributes = [`ID="${escapeXml(node.id)}"`, `TEXT="${escapeXml(node.data?.label ?? node.id)}"`];
+    if (node.data?.collapsed === true && children.length > 0) attributes.push('FOLDED="true"');
+    const { fill, icon } = node.data?.style ?? {};
+    if (fill) attributes.push(`BACKGROUND_COLOR="${escapeXml(fill)}"`);
+
+    const content = [];
+    if (Object.hasOwn(BUILTIN_ICONS, icon ?? '')) content.push(`${indent}${INDENT}<icon BUILTIN="${BUILTIN_ICONS[icon]}"/>`);
+    if (node.data?.description) content.push(noteElement(node.data.description, indent + INDENT));
+    if (edge?.data?.label) {
+      content.push(`${indent}${INDENT}<attribute NAME="${EDGE_LABEL_ATTRIBUTE}" VALUE="${escapeXml(edge.data.label)}"/>`);
+    }
+    links.forEach(link => {
+      const label = link.data?.label ? ` MIDDLE_LABEL="${escapeXml(link.data.label)}"` : '';
+      content.push(`${indent}${INDENT}<arrowlink DESTINATION="${escapeXml(link.target)}"${label}/>`);
+    });
+
+    if (content.length === 0 && children.length === 0) {
+      lines.push(`${indent}<node ${attributes.join(' ')}/>`);
+      return;
+    }
+    lines.push(`${indent}<node ${attributes.join(' ')}>`, ...content);
+    children.forEach(child => write(child, depth + 1));
+    lines.push(`${indent}</node>`);
+  };
+
+  if (roots.length === 1) {
+    write(roots[0], 0);
+  } else {
+    lines.push(`${INDENT}<node ID="${SCAFFOLD_ROOT_ID}" TEXT="${SCAFFOLD_ROOT_TEXT}">`);
+    roots.forEach(root => write(root, 1));
+    lines.push(`${INDENT}</node>`);
+  }
+
+  return ['<map version="1.0.1">', ...lines, '</map>', ''].join('\n');
+}
+
+// Rich text of the first <richcontent> of a type, or null
+function richText(element, type) {
+  const rich = childElements(element, 'richcontent').find(child => child.attributes.TYPE === type);
+  return rich ? textContent(rich) : null;
+}
+
+/**
+ * Parse a FreeMind or Freeplane mind map into a flow document {nodes, edges}
+ *
+ * Each `<node>` becomes a node joined to its parent node by an edge, labelled
+ * from an "edge label" attribute. Node text comes from TEXT or rich node
+ * content, notes become descriptions, FOLDED nodes become collapsed subtrees
+ * and arrow links become extra edges. Node ids are kept when unique. The
+ * scaffold root written for multi-root flows is dropped.
+ *
+ * @param {string} text - FreeMind source
+ * @returns {Object} Flow document {nodes, edges} without positions
+ * @throws {Error} When the XML is malformed, isn't a mind map or an arrow link points nowhere
+ */
+export function parseFreeMind(text) {
+  const root = parseXml(text);
+  if (root.name !== 'map') {
+    throw new Error(`Line ${root.line}: Expected a FreeMind <map>, found <${root.name}>`);
+  }
+
+  const itemsBySourceId = new Map();
+  const arrowLinks = [];
+
+  const readNode = (element) => {
+    const label = element.attributes.TEXT ?? richText(element, 'NODE') ?? '';
+    if (label.trim() === '') {
+      throw new Error(`Line ${element.line}: Node has no text`);
+    }
+
+    const edgeLabel = childElements(element, 'attribute')
+      .find(attribute => attribute.attributes.NAME === EDGE_LABEL_ATTRIBUTE)?.attributes.VALUE ?? '';
+
+    const item = {
+      id: element.attributes.ID,
+      label,
+      description: richText(element, 'NOTE') ?? '',
+      edgeLabel,
+      collapsed: element.attributes.FOLDED === 'true',
+      children: [],
+    };
+    if (item.id && !itemsBySourceId.has(item.id)) itemsBySourceId.set(item.id, item);
+
+    childElements(element, 'arrowlink').forEach(link => {
+      arrowLinks.push({ from: item, destination: link.attributes.DESTINATION, label: link.attributes.MIDDLE_LABEL, line: link.line });
+    });
+    item.children = childElements(element, 'node').map(readNode);
+    return item;
+  };
+
+  let roots = childElements(root, 'node').map(readNode);
+  const scaffold = roots.length === 1 && roots[0].id === SCAFFOLD_ROOT_ID ? roots[0] : null;
+  if (scaffold) {
+    roots = scaffold.children;
+  }
+
+  const links = arrowLinks.filter(({ from }) => from !== scaffold).map(({ from, destination, label, line }) => {
+    const to = itemsBySourceId.get(destination);
+    if (!to || to === scaffold) {
+      throw new Error(`Line ${line}: Arrow link points to unknown node "${destination}"`);
+    }
+    return { from, to, label };
+  });
+
+  return buildFlowFromTree(roots, { links });
+}
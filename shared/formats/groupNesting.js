@@ -0,0 +1,46 @@
+// ABOUTME: Walks a flow's nodes in group nesting order for serializers with nested blocks
+// ABOUTME: Used by formats that write groups as containers (Mermaid subgraphs, DOT clusters)
+
+/**
+ * Visit every node once, groups before their members
+ *
+ * Top-level nodes are visited in document order; each group's members (by
+ * parentGroupId) are visited between its enterGroup and exitGroup calls.
+ * Nodes only reachable through a parentGroupId cycle are visited last as
+ * plain top-level nodes.
+ *
+ * @param {Array} nodes - Flow nodes
+ * @param {Object} visitor - {node(node, depth), enterGroup(group, depth), exitGroup(group, depth)}
+ */
+export function visitGroupNesting(nodes, visitor) {
+  const groupIds = new Set(nodes.filter(node => node.type === 'group').map(node => node.id));
+  const membersOf = new Map();
+
+  nodes.forEach(node => {
+    const parentId = groupIds.has(node.parentGroupId) ? node.parentGroupId : null;
+    membersOf.set(parentId, [...(membersOf.get(parentId) ?? []), node]);
+  });
+
+  const visited = new Set();
+  const visit = (node, depth) => {
+    visited.add(node.id);
+
+    if (!groupIds.has(node.id)) {
+      visitor.node(node, depth);
+      return;
+    }
+
+    visitor.enterGroup(node, depth);
+    (membersOf.get(node.id) ?? []).forEach(member => visit(member, depth + 1));
+    visitor.exitGroup(node, depth);
+  };
+
+  (membersOf.get(null) ?? []).forEach(node => visit(node, 0));
+
+  nodes
+    .filter(node => !visited.has(node.id))
+    .forEach(node => {
+      visited.add(node.id);
+      visitor.node(node, 0);
+    });
+}
@@ -0,0 +1,67 @@
+// ABOUTME: Positions flows built by importers, which arrive with every node at the origin
+// ABOUTME: Lays out ordinary nodes with Dagre and places group nodes over their members
+
+import { applyDagreLayout } from '../layout/applyDagreLayout.js';
+
+/**
+ * Lay out an imported flow left to right with applyDagreLayout
+ *
+ * Group nodes are left out of the Dagre graph: imported groups are expanded,
+ * and the canvas draws an expanded group as a halo around its members. Each
+ * group is placed at the top-left corner of its laid-out members instead, which
+ * is where it appears once collapsed.
+ *
+ * @param {Object} flow - Flow document {nodes, edges}
+ * @returns {Object} {nodes, edges} with positions
+ */
+export function layoutImportedFlow({ nodes, edges }) {
+  const groupIds = new Set(nodes.filter(node => node.type === 'group').map(node => node.id));
+  const { nodes: laidOut } = applyDagreLayout({
+    nodes: nodes.map(node => {
+      if (groupIds.has(node.id)) return { ...node, hidden: true };
+      return node.hidden ? { ...node, hidden: false } : node;
+    }),
+    edges,
+    direction: 'LR',
+  });
+
+  const positions = new Map(
+    laidOut
+      .filter(node => !groupIds.has(node.id))
+      .map(node => [node.id, node.position])
+  );
+
+  // Resolves nested groups first; the visiting set guards against parentGroupId cycles
+  const visiting = new Set();
+  const groupPosition = (groupId) => {
+    if (positions.has(groupId)) return positions.get(groupId);
+    if (visiting.has(groupId)) return null;
+    visiting.add(groupId);
+
+    const memberPositions = nodes
+      .filter(node => node.parentGroupId === groupId)
+      .map(node => (groupIds.has(node.id) ? groupPosition(node.id) : positions.get(node.id)))
+      .filter(Boolean);
+
+    const position = memberPositions.length > 0
+      ? {
+          x: Math.min(...memberPositions.map(member => member.x)),
+          y: Math.min(...memberPositions.map(member => member.y)),
+        }
+      : { x: 0, y: 0 };
+
+    positions.set(groupId, position);
+    return position;
+  };
+
+  return {
+    nodes: laidOut.map((node, index) => {
+      if (groupIds.has(node.id)) {
+        return { ...nodes[index], position: groupPosition(node.id) ?? { x: 0, y: 0 } };
+      }
+      // Restore the hidden flag lifted for layout
+      return nodes[index].hidden ? { ...node, hidden: true } : node;
+    }),
+    edges,
+  };
+}
@@ -0,0 +1,80 @@
+// ABOUTME: Registry of the text formats flows can be exported to and imported from
+// ABOUTME: Shared by the export/import API and the canvas menu that lists the formats
+
+import { toMermaid, parseMermaid } from './mermaid.js';
+import { toDot, parseDot } from './dot.js';
+import { toMarkdownOutline, parseMarkdownOutline } from './markdownOutline.js';
+import { toJsonCanvas, parseJsonCanvas } from './jsonCanvas.js';
+import { toOpml, parseOpml } from './opml.js';
+import { toFreeMind, parseFreeMind } from './freemind.js';
+
+/**
+ * Formats keyed by the name used in `?format=` and import requests
+ *
+ * serialize(flow) returns the exported text; parse(text) returns a flow
+ * document {nodes, edges} (positions are assigned afterwards) or throws an
+ * Error describing what it could not read. Formats that build flows through
+ * the tools provide parseOperations(text, {existingIds}) instead, returning
+ * [{name, params}] tool operations. Either side may be absent for formats
+ * that only go one way. Formats that store a layout set keepsPositions, so
+ * imports keep the parsed positions instead of running Dagre.
+ */
+export const FLOW_FORMATS = {
+  mermaid: {
+    label: 'Mermaid',
+    extension: 'mmd',
+    mimeType: 'text/vnd.mermaid',
+    serialize: toMermaid,
+    parse: parseMermaid,
+  },
+  dot: {
+    label: 'Graphviz DOT',
+    extension: 'dot',
+    mimeType: 'text/vnd.graphviz',
+    serialize: toDot,
+    parse: parseDot,
+  },
+  markdown: {
+    label: 'Markdown outline',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    serialize: toMarkdownOutline,
+    parseOperations: parseMarkdownOutline,
+  },
+  canvas: {
+    label: 'JSON Canvas',
+    extension: 'canvas',
+    mimeType: 'application/json',
+    serialize: toJsonCanvas,
+    parse: parseJsonCanvas,
+    keepsPositions: true,
+  },
+  opml: {
+    label: 'OPML',
+    extension: 'opml',
+    mimeType: 'text/x-opml',
+    serialize: toOpml,
+    parse: parseOpml,
+  },
+  freemind: {
+    label: 'FreeMind',
+    extension: 'mm',
+    mimeType: 'application/x-freemind',
+    serialize: toFreeMind,
+    parse: parseFreeMind,
+  },
+};
+
+/**
+ * Look up a format by name, or null when it isn't registered
+ */
+export function getFlowFormat(name) {
+  return typeof name === 'string' && Object.hasOwn(FLOW_FORMATS, name) ? FLOW_FORMATS[name] : null;
+}
+
+/**
+ * Whether a format can be imported, either as a document or as tool operations
+ */
+export function canImportFormat(format) {
+  return Boolean(format?.parse || format?.parseOperations);
+}
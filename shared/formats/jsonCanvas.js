@@ -0,0 +1,231 @@
+// ABOUTME: Converts flows to the open JSON Canvas format (Obsidian .canvas files) and back
+// ABOUTME: Nodes become text nodes with position and size; groups become group boxes around their members
+
+import { computeNodeBounds, getGroupDescendants } from '../../src/features/flow-canvas/utils/groupUtils.js';
+import { createFlowBuilder } from './flowBuilder.js';
+import { getNodeSize, getAutoNodeSize, MIN_NODE_SIZE, MAX_NODE_SIZE } from '../layout/nodeSize.js';
+
+// Space between a group box and its members, added again for each nested group level inside it
+const GROUP_PADDING = 20;
+
+// A text node's first paragraph is the label; the rest is the description
+function toCanvasText(node) {
+  const label = node.data?.label ?? node.id;
+  const description = node.data?.description;
+  return description ? `${label}\n\n${description}` : String(label);
+}
+
+// Canvas nodes have a single colour, used for their outline
+function canvasColor(node) {
+  const color = node.data?.style?.border ?? node.data?.style?.fill;
+  return color ? { color } : {};
+}
+
+function fromCanvasText(text) {
+  const [label, ...rest] = String(text ?? '').replace(/\r\n?/g, '\n').trim().split(/\n\s*\n/);
+  return { label: label.trim(), description: rest.join('\n\n').trim() };
+}
+
+/**
+ * Serialize a flow as a JSON Canvas document
+ *
+ * Ordinary nodes become `text` nodes at their stored position and size
+ * (getNodeSize), with the description as a second paragraph. Groups become `group`
+ * nodes sized from computeNodeBounds over their members, padded further for
+ * each level of nested groups so inner boxes sit inside outer ones; groups are
+ * listed first so they render beneath their members. A node's border colour,
+ * or else its fill, becomes the canvas `color`. Edges run right side to
+ * left side, as on the canvas, and keep their labels.
+ *
+ * @param {Object} flow - Flow document {nodes, edges}
+ * @returns {string} JSON Canvas source
+ */
+export function toJsonCanvas(flow) {
+  const nodes = flow.nodes ?? [];
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const groups = nodes.filter(node => node.type === 'group');
+  const groupIds = new Set(groups.map(group => group.id));
+
+  // Levels of nested groups inside each group; the visiting set guards against cycles
+  const nestingDepth = new Map();
+  const visiting = new Set();
+  const depthOf = (groupId) => {
+    if (nestingDepth.has(groupId)) return nestingDepth.get(groupId);
+    if (visiting.has(groupId)) return 0;
+    visiting.add(groupId);
+    const childDepths = groups.filter(group => group.parentGroupId === groupId).map(group => depthOf(group.id) + 1);
+    const depth = Math.max(0, ...childDepths);
+    nestingDepth.set(groupId, depth);
+    return depth;
+  };
+
+  // Outer groups before inner ones so the boxes stack the right way
+  const groupLevel = (group) => {
+    let level = 0;
+    for (let current = group, seen = new Set(); groupIds.has(current?.parentGroupId) && !seen.has(current.id); level++) {
+      seen.add(current.id);
+      current = groups.find(candidate => candidate.id === current.parentGroupId);
+    }
+    return level;
+  };
+
+  const groupNodes = [...groups]
+    .sort((a, b) => groupLevel(a) - groupLevel(b))
+    .map(group => {
+      const members = getGroupDescendants(group.id, nodes)
+        .map(id => nodes.find(node => node.id === id))
+        .filter(node => node && node.type !== 'group');
+      const bounds = computeNodeBounds(members, getNodeSize);
+      const padding = GROUP_PADDING * (depthOf(group.id) + 1);
+
+      const box = bounds
+        ? {
+            x: bounds.minX - padding,
+            y: bounds.minY - padding,
+            width: bounds.maxX - bounds.minX + padding * 2,
+            height: bounds.maxY - bounds.minY + padding * 2,
+          }
+        : { x: group.position?.x ?? 0, y: group.position?.y ?? 0, ...getNodeSize(group) };
+
+      return { id: group.id, type: 'group', ...box, label: group.data?.label ?? group.id, ...canvasColor(group) };
+    });
+
+  const textNodes = nodes
+    .filter(node => node.type !== 'group')
+    .map(node => ({
+      id: node.id,
+      type: 'text',
+      x: node.position?.x ?? 0,
+      y: node.position?.y ?? 0,
+      ...getNodeSize(node),
+      text: toCanvasText(node),
+      ...canvasColor(node),
+    }));
+
+  const edges = (flow.edges ?? [])
+    .filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+    .map(edge => ({
+      id: edge.id,
+      fromNode: edge.source,
+      fromSide: 'right',
+      toNode: edge.target,
+      toSide: 'left',
+      ...(edge.data?.label ? { label: edge.data.label } : {}),
+    }));
+
+  return `${JSON.stringify({ nodes: [...groupNodes, ...textNodes], edges }, null, 2)}\n`;
+}
+
+const area = (box) => box.width * box.height;
+const contains = (outer, inner) =>
+  inner.x >= outer.x &&
+  inner.y >= outer.y &&
+  inner.x + inner.width <= outer.x + outer.width &&
+  inner.y + inner.height <= outer.y + outer.height;
+
+// Smallest group box (other than the node itself) that fully contains a box
+function findEnclosingGroup(box, groupBoxes, ownId = null) {
+  return groupBoxes
+    .filter(group => group.id !== ownId && contains(group, box) && area(group) > area(box))
+    .sort((a, b) => area(a) - area(b))[0] ?? null;
+}
+
+function describeNode(node) {
+  switch (node.type) {
+    case 'text':
+      return fromCanvasText(node.text);
+    case 'file':
+      return { label: String(node.file ?? '').split('/').pop() || node.id, description: node.file ?? '' };
+    case 'link':
+      return { label: node.url ?? node.id, description: '' };
+    default:
+      return { label: node.label ?? node.id, description: '' };
+  }
+}
+
+// Canvas boxes can be any size; stored sizes stay within the bounds updateNode accepts
+const clampSize = ({ width, height }) => ({
+  width: Math.round(Math.min(MAX_NODE_SIZE.width, Math.max(MIN_NODE_SIZE.width, width))),
+  height: Math.round(Math.min(MAX_NODE_SIZE.height, Math.max(MIN_NODE_SIZE.height, height))),
+});
+
+/**
+ * Parse a JSON Canvas document into a flow document {nodes, edges}
+ *
+ * Text nodes read their first paragraph as the label and the rest as the
+ * description; file and link nodes use the file name or URL. Each node keeps
+ * its box as a manual size (clamped to the size bounds, centre kept) unless
+ * the box is what the node would size itself to anyway. Group boxes become
+ * expanded groups holding the nodes (and smaller groups) they fully enclose.
+ * Edges keep their labels.
+ *
+ * @param {string} text - JSON Canvas source
+ * @returns {Object} Flow document {nodes, edges} with positions
+ * @throws {Error} When the source isn't JSON or a node or edge is malformed
+ */
+export function parseJsonCanvas(text) {
+  let canvas;
+  try {
+    canvas = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON (${error.message})`);
+  }
+
+  if (!canvas || typeof canvas !== 'object' || Array.isArray(canvas)) {
+    throw new Error('Expected an object with "nodes" and "edges"');
+  }
+
+  const canvasNodes = canvas.nodes ?? [];
+  const canvasEdges = canvas.edges ?? [];
+  if (!Array.isArray(canvasNodes) || !Array.isArray(canvasEdges)) {
+    throw new Error('"nodes" and "edges" must be arrays');
+  }
+
+  const boxes = canvasNodes.map((node, index) => {
+    if (!node || typeof node.id !== 'string' || node.id === '') {
+      throw new Error(`Node ${index + 1} has no id`);
+    }
+    const box = { id: node.id, x: node.x, y: node.y, width: node.width, height: node.height };
+    if (!['x', 'y', 'width', 'height'].every(key => Number.isFinite(box[key]))) {
+      throw new Error(`Node "${node.id}" needs numeric x, y, width and height`);
+    }
+    return box;
+  });
+
+  const groupBoxes = boxes.filter((box, index) => canvasNodes[index].type === 'group');
+  const builder = createFlowBuilder();
+
+  canvasNodes.forEach((canvasNode, index) => {
+    const box = boxes[index];
+    const { label, description } = describeNode(canvasNode);
+    const groupId = findEnclosingGroup(box, groupBoxes, box.id)?.id ?? null;
+
+    const node = canvasNode.type === 'group'
+      ? builder.group(box.id, { label, groupId })
+      : builder.node(box.id, { label, description, groupId });
+
+    // Groups sit at their box corner; other nodes keep their box, or its centre when it had to be clamped
+    if (canvasNode.type === 'group') {
+      node.position = { x: box.x, y: box.y };
+      return;
+    }
+    const size = clampSize(box);
+    const auto = getAutoNodeSize(node);
+    if (size.width !== auto.width || size.height !== auto.height) {
+      node.data.size = size;
+    }
+    node.position = { x: box.x + (box.width - size.width) / 2, y: box.y + (box.height - size.height) / 2 };
+  });
+
+  canvasEdges.forEach((edge, index) => {
+    if (!builder.hasNode(edge?.fromNode) || !builder.hasNode(edge?.toNode)) {
+      throw new Error(`Edge ${edge?.id ?? index + 1} connects nodes that are not on the canvas`);
+    }
+    const created = builder.edge(edge.fromNode, edge.toNode, edge.label ?? '');
+    if (typeof edge.id === 'string' && edge.id !== '') {
+      created.id = edge.id;
+    }
+  });
+
+  return builder.build();
+}
@@ -0,0 +1,193 @@
+// ABOUTME: Converts a flow's edge hierarchy to a nested Markdown list and outlines back to tool operations
+// ABOUTME: Imports go through addNode/addEdge so pasted and uploaded outlines follow the tools' rules
+
+import { buildEdgeTree } from './edgeTree.js';
+import { createIdAllocator } from './flowBuilder.js';
+
+const INDENT = '  ';
+const EDGE_ARROW = '→';
+
+// "- item", "* item", "+ item", "1. item", "1) item", with an optional task box
+const LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+const HEADING = /^\s*#{1,6}\s/;
+// *edge label* → rest
+const EDGE_LABEL_PREFIX = new RegExp(`^\\*((?:\\\\.|[^*\\\\])+)\\*\\s*(?:${EDGE_ARROW}|->)\\s*(.*)$`);
+const ANCHOR_SUFFIX = /\s*\{#([^}\s]+)\}$/;
+const LINK = /^\[((?:\\.|[^\]\\])*)\]\(#([^)\s]+)\)$/;
+
+// Characters that would otherwise read as emphasis, links, anchors or escapes
+function escapeMarkdown(text) {
+  return String(text).replace(/\r?\n/g, ' ').replace(/([\\*_[\]{}`])/g, '\\$1');
+}
+
+function unescapeMarkdown(text) {
+  return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+/**
+ * Serialize a flow's edge hierarchy as a nested Markdown list
+ *
+ * Nodes nest along buildEdgeTree's spanning tree, each listed once with its
+ * tree edge's label inline as `*label* → Node`. Descriptions follow
+ * as `> ` quote lines. Other edges become link items (`[Node](#anchor)`)
+ * pointing at the node's `{#anchor}`, so a round trip keeps them. Groups are
+ * not part of the outline.
+ *
+ * @param {Object} flow - Flow document {nodes, edges}
+ * @returns {string} Markdown source
+ */
+export function toMarkdownOutline(flow) {
+  const nodes = (flow.nodes ?? []).filter(node => node.type !== 'group');
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+  // Tree children first, then links, matching the edge order an import creates
+  const entries = [];
+  const linkTargets = new Set();
+  const list = (entry, depth) => {
+    entries.push({ kind: 'node', node: entry.node, depth, edge: entry.edge });
+    entry.children.forEach(child => list(child, depth + 1));
+    entry.links.forEach(link => {
+      entries.push({ kind: 'link', node: nodesById.get(link.target), depth: depth + 1, edge: link });
+      linkTargets.add(link.target);
+    });
+  };
+  buildEdgeTree(flow).forEach(root => list(root, 0));
+
+  const allocateAnchor = createIdAllocator();
+  const anchors = new Map(
+    nodes.filter(node => linkTargets.has(node.id)).map(node => [node.id, allocateAnchor(node.data?.label ?? node.id)])
+  );
+
+  const lines = [];
+  entries.forEach(({ kind, node, depth, edge }) => {
+    const indent = INDENT.repeat(depth);
+    const edgeLabel = edge?.data?.label ? `*${escapeMarkdown(edge.data.label)}* ${EDGE_ARROW} ` : '';
+    const label = escapeMarkdown(node.data?.label ?? node.id);
+
+    if (kind === 'link') {
+      lines.push(`${indent}- ${edgeLabel}[${label}](#${anchors.get(node.id)})`);
+      return;
+    }
+
+    const anchor = anchors.has(node.id) ? ` {#${anchors.get(node.id)}}` : '';
+    lines.push(`${indent}- ${edgeLabel}${label}${anchor}`);
+
+    const description = node.data?.description;
+    if (description) {
+      String(description).split(/\r?\n/).forEach(line => {
+        lines.push(`${indent}${INDENT}>${line ? ` ${line}` : ''}`);
+      });
+    }
+  });
+
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Whether text contains at least one Markdown list item (worth reading as an outline)
+ */
+export function isMarkdownOutline(text) {
+  return String(text ?? '').split(/\r?\n/).some(line => LIST_ITEM.test(line));
+}
+
+/**
+ * Parse an indented outline into addNode/addEdge tool operations
+ *
+ * Each list item becomes an addNode call under its parent item (so the
+ * parent→child edge and its `*label* →` come from addNode's parentNodeId and
+ * edgeLabel). Quote or plain lines under an item become its description. Link
+ * items (`[Node](#anchor)`) become addEdge calls to the item carrying that
+ * `{#anchor}`. Ids are derived from anchors or labels, never reusing
+ * `existingIds`. Headings and text before the first item are ignored.
+ *
+ * @param {string} text - Markdown outline
+ * @param {Object} options - {existingIds: ids already in the target flow}
+ * @returns {Array} [{name, params}] operations for executeToolBatch
+ * @throws {Error} With the offending line number when an item can't be read
+ */
+export function parseMarkdownOutline(text, { existingIds = [] } = {}) {
+  const lines = String(text ?? '').replace(/\t/g, '    ').split(/\r?\n/);
+  const allocateId = createIdAllocator(existingIds);
+
+  const items = [];
+  const anchors = new Map();
+  const stack = [];
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    const fail = (message) => {
+      throw new Error(`Line ${lineNumber}: ${message}`);
+    };
+
+    if (line.trim() === '' || HEADING.test(line)) return;
+
+    const match = line.match(LIST_ITEM);
+    if (!match) {
+      const item = items.at(-1);
+      if (!item || item.kind === 'link') return;
+      const content = line.trim().replace(/^>\s?/, '');
+      item.descriptionLines.push(content);
+      return;
+    }
+
+    const indent = match[1].length;
+    let content = match[2].trim();
+
+    while (stack.length && stack.at(-1).indent >= indent) stack.pop();
+    const parent = stack.at(-1) ?? null;
+
+    let edgeLabel = '';
+    const labelled = content.match(EDGE_LABEL_PREFIX);
+    if (labelled) {
+      edgeLabel = unescapeMarkdown(labelled[1]);
+      content = labelled[2];
+    }
+
+    const link = content.match(LINK);
+    if (link) {
+      if (!parent) fail('A link item needs a parent item');
+      if (parent.kind === 'link') fail('Link items cannot have child items');
+      items.push({ kind: 'link', parent, anchor: link[2], edgeLabel, line: lineNumber });
+      stack.push({ indent, kind: 'link' });
+      return;
+    }
+    if (parent?.kind === 'link') fail('Link items cannot have child items');
+
+    let anchor = null;
+    const anchored = content.match(ANCHOR_SUFFIX);
+    if (anchored) {
+      anchor = anchored[1];
+      content = content.slice(0, anchored.index);
+    }
+
+    const label = unescapeMarkdown(content.trim());
+    if (!label) fail('List item has no text');
+    if (anchor && anchors.has(anchor)) fail(`Anchor {#${anchor}} is used twice`);
+
+    const item = { kind: 'node', id: allocateId(anchor ?? label), label, parent, edgeLabel, descriptionLines: [] };
+    if (anchor) anchors.set(anchor, item.id);
+    items.push(item);
+    stack.push({ indent, kind: 'node', id: item.id });
+  });
+
+  const addNodes = items.filter(item => item.kind === 'node').map(item => {
+    const params = { id: item.id, label: item.label };
+    const description = item.descriptionLines.join('\n').trim();
+    if (description) params.description = description;
+    if (item.parent) params.parentNodeId = item.parent.id;
+    if (item.parent && item.edgeLabel) params.edgeLabel = item.edgeLabel;
+    return { name: 'addNode', params };
+  });
+
+  const addEdges = items.filter(item => item.kind === 'link').map(item => {
+    const targetNodeId = anchors.get(item.anchor);
+    if (!targetNodeId) {
+      throw new Error(`Line ${item.line}: No item has the anchor {#${item.anchor}}`);
+    }
+    const params = { sourceNodeId: item.parent.id, targetNodeId };
+    if (item.edgeLabel) params.label = item.edgeLabel;
+    return { name: 'addEdge', params };
+  });
+
+  return [...addNodes, ...addEdges];
+}
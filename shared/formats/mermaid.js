@@ -0,0 +1,354 @@
+// ABOUTME: Converts flows ({nodes, edges}) to Mermaid flowchart text and parses flowcharts back
+// ABOUTME: Groups map to subgraph blocks; node labels and edge labels survive the round trip
+
+import { createFlowBuilder } from './flowBuilder.js';
+import { visitGroupNesting } from './groupNesting.js';
+
+// Keywords Mermaid would misread as node ids
+const RESERVED_IDS = new Set([
+  'end', 'graph', 'flowchart', 'subgraph', 'direction', 'style', 'class', 'classdef', 'click', 'linkstyle', 'default'
+]);
+
+const PLAIN_ID = /^[A-Za-z0-9_]+$/;
+const HEADER = /^(flowchart|graph)(\s+(TB|TD|BT|RL|LR))?$/i;
+const IGNORED_STATEMENT = /^(classDef|class|style|linkStyle|click|direction|accTitle|accDescr)\b/;
+
+const ENTITIES = { quot: '"', amp: '&', lt: '<', gt: '>', nbsp: ' ' };
+
+// Node shapes: opening bracket and the brackets that may close it, longest openers first
+const SHAPES = [
+  ['(((', [')))']],
+  ['((', ['))']],
+  ['([', ['])']],
+  ['[[', [']]']],
+  ['[(', [')]']],
+  ['[/', ['/]', '\\]']],
+  ['[\\', ['\\]', '/]']],
+  ['{{', ['}}']],
+  ['(', [')']],
+  ['[', [']']],
+  ['{', ['}']],
+  ['>', [']']],
+];
+
+const NODE_ID = /[\p{L}\p{N}_]+(?:-[\p{L}\p{N}_]+)*/uy;
+const CLASS_SUFFIX = /:::[\w-]+/y;
+// -- text -->, == text ==>, -. text .->
+const TEXT_LINK = /<?(?:--|==|-\.)(?![-=.>ox])\s*(.*?)\s*(?:-{2,}>|-{3,}|={2,}>|={3,}|\.-+>|\.-)(?![-=.>])/y;
+// -->, ---, ==>, -.->, --o, --x, ~~~, optionally followed by |label|
+const LINK = /<?(-{2,}|={2,}|-\.+-|~~~)[>ox]?(?:\s*\|([^|]*)\|)?/y;
+
+// Brackets drawing each node style shape; nodes without a shape keep the plain rectangle
+const STYLE_SHAPE_BRACKETS = {
+  rounded: ['(', ')'],
+  pill: ['([', '])'],
+  diamond: ['{', '}'],
+  circle: ['((', '))'],
+};
+
+// Entity codes first so literal "#name;" text survives; "|" would end a |label| early
+function escapeText(text) {
+  return String(text)
+    .replace(/#/g, '#35;')
+    .replace(/"/g, '#quot;')
+    .replace(/\|/g, '#124;')
+    .replace(/\r?\n/g, '<br/>');
+}
+
+function unescapeText(text) {
+  return text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/#(\w+);/g, (match, code) => {
+      if (/^\d+$/.test(code)) return String.fromCharCode(Number(code));
+      return ENTITIES[code] ?? match;
+    });
+}
+
+function unquote(text) {
+  const trimmed = text.trim();
+  return trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')
+    ? trimmed.slice(1, -1)
+    : trimmed;
+}
+
+/**
+ * Map flow node ids to ids Mermaid accepts
+ * Plain ids are kept; others are reduced to word characters and made unique
+ */
+function assignMermaidIds(nodes) {
+  const ids = new Map();
+  const used = new Set();
+  const isUsable = (id) => PLAIN_ID.test(id) && !RESERVED_IDS.has(id.toLowerCase()) && !used.has(id);
+
+  nodes.forEach(node => {
+    const id = String(node.id);
+    if (isUsable(id)) {
+      ids.set(node.id, id);
+      used.add(id);
+    }
+  });
+
+  nodes.forEach(node => {
+    if (ids.has(node.id)) return;
+
+    const base = String(node.id).replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'node';
+    let candidate = isUsable(base) ? base : `${base}_1`;
+    for (let suffix = 2; !isUsable(candidate); suffix++) {
+      candidate = `${base}_${suffix}`;
+    }
+
+    ids.set(node.id, candidate);
+    used.add(candidate);
+  });
+
+  return ids;
+}
+
+/**
+ * Serialize a flow as a Mermaid `flowchart LR` definition
+ *
+ * Groups (type 'group') become subgraph blocks holding their members (by
+ * parentGroupId), nested as deep as the groups are. Edge labels come from
+ * `edge.data.label`. Node styles become bracket shapes and trailing `style`
+ * statements for fill and border colours. Positions and collapse state are
+ * not represented.
+ *
+ * @param {Object} flow - Flow document {nodes, edges}
+ * @returns {string} Mermaid source
+ */
+export function toMermaid(flow) {
+  const nodes = flow.nodes ?? [];
+  const edges = flow.edges ?? [];
+  const ids = assignMermaidIds(nodes);
+  const lines = ['flowchart LR'];
+
+  const indent = (depth) => '  '.repeat(depth + 1);
+  const text = (node) => `"${escapeText(node.data?.label ?? node.id)}"`;
+  const shaped = (node) => {
+    const [open, close] = STYLE_SHAPE_BRACKETS[node.data?.style?.shape] ?? ['[', ']'];
+    return `${open}${text(node)}${close}`;
+  };
+
+  visitGroupNesting(nodes, {
+    node: (node, depth) => lines.push(`${indent(depth)}${ids.get(node.id)}${shaped(node)}`),
+    enterGroup: (group, depth) => lines.push(`${indent(depth)}subgraph ${ids.get(group.id)}[${text(group)}]`),
+    exitGroup: (group, depth) => lines.push(`${indent(depth)}end`),
+  });
+
+  edges.forEach(edge => {
+    if (!ids.has(edge.source) || !ids.has(edge.target)) return;
+
+    const label = edge.data?.label;
+    const link = label ? `-->|"${escapeText(label)}"|` : '-->';
+    lines.push(`  ${ids.get(edge.source)} ${link} ${ids.get(edge.target)}`);
+  });
+
+  nodes.forEach(node => {
+    const { fill, border } = node.data?.style ?? {};
+    const paint = [fill && `fill:${fill}`, border && `stroke:${border}`].filter(Boolean);
+    if (paint.length > 0) lines.push(`  style ${ids.get(node.id)} ${paint.join(',')}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Split Mermaid source into statements with their line numbers
+ * Statements end at a newline or at a `;` outside quotes and `#entity;` codes
+ */
+function splitStatements(text) {
+  const statements = [];
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let index = 0;
+
+  // YAML front matter (--- ... ---) carries a title or config, not graph content
+  if (lines[0]?.trim() === '---') {
+    const closing = lines.findIndex((line, lineIndex) => lineIndex > 0 && line.trim() === '---');
+    index = closing === -1 ? lines.length : closing + 1;
+  }
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.trim().startsWith('%%')) continue;
+
+    let current = '';
+    let inQuotes = false;
+
+    for (const char of line) {
+      if (char === '"') inQuotes = !inQuotes;
+
+      if (char === ';' && !inQuotes && !/#\w+$/.test(current)) {
+        statements.push({ text: current.trim(), line: index + 1 });
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    statements.push({ text: current.trim(), line: index + 1 });
+  }
+
+  return statements.filter(statement => statement.text !== '');
+}
+
+// Read a node's bracketed label, returning null when no shape follows the id
+function readShapeLabel(scanner) {
+  const { text } = scanner;
+  const shape = SHAPES.find(([open]) => text.startsWith(open, scanner.pos));
+  if (!shape) return null;
+
+  const [open, closers] = shape;
+  let pos = scanner.pos + open.length;
+  let label;
+
+  if (text[pos] === '"') {
+    const end = text.indexOf('"', pos + 1);
+    if (end === -1) throw scanner.error('Unterminated quoted label');
+    label = text.slice(pos + 1, end);
+    pos = end + 1;
+    while (text[pos] === ' ') pos++;
+    const closer = closers.find(candidate => text.startsWith(candidate, pos));
+    if (!closer) throw scanner.error(`Expected "${closers[0]}" after label`);
+    scanner.pos = pos + closer.length;
+  } else {
+    const ends = closers
+      .map(candidate => ({ candidate, at: text.indexOf(candidate, pos) }))
+      .filter(({ at }) => at !== -1)
+      .sort((a, b) => a.at - b.at);
+    if (ends.length === 0) throw scanner.error(`Expected "${closers[0]}" to close the node shape`);
+    label = text.slice(pos, ends[0].at).trim();
+    scanner.pos = ends[0].at + ends[0].candidate.length;
+  }
+
+  return unescapeText(label);
+}
+
+function createScanner(statement) {
+  return {
+    text: statement.text,
+    pos: 0,
+    skipSpaces() {
+      while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') this.pos++;
+    },
+    match(pattern) {
+      pattern.lastIndex = this.pos;
+      const match = pattern.exec(this.text);
+      if (match) this.pos = pattern.lastIndex;
+      return match;
+    },
+    error(message) {
+      return new Error(`Line ${statement.line}: ${message}`);
+    },
+  };
+}
+
+/**
+ * Parse a Mermaid flowchart into a flow document {nodes, edges}
+ *
+ * Supports node shapes (labels only), chained links with `&`, pipe and inline
+ * edge labels, and nested subgraphs, which become expanded groups. Styling
+ * statements are ignored. Nodes are returned at the origin; callers lay them out.
+ *
+ * @param {string} text - Mermaid source with a `flowchart` or `graph` header
+ * @returns {Object} Flow document {nodes, edges}
+ * @throws {Error} With the offending line number when the source cannot be parsed
+ */
+export function parseMermaid(text) {
+  const statements = splitStatements(String(text ?? ''));
+  const [header, ...body] = statements;
+
+  if (!header || !HEADER.test(header.text)) {
+    throw new Error(`Line ${header?.line ?? 1}: Only Mermaid flowcharts are supported (expected a "flowchart" or "graph" header)`);
+  }
+
+  const builder = createFlowBuilder();
+  const groupStack = [];
+
+  // A node joins the first subgraph it is mentioned in
+  const touchNode = (id, label) => builder.node(id, { label, groupId: groupStack.at(-1) });
+
+  const readNodeGroup = (scanner) => {
+    const ids = [];
+    for (;;) {
+      scanner.skipSpaces();
+      const idMatch = scanner.match(NODE_ID);
+      if (!idMatch) {
+        throw scanner.error(`Expected a node id at "${scanner.text.slice(scanner.pos)}"`);
+      }
+      const label = readShapeLabel(scanner);
+      scanner.match(CLASS_SUFFIX);
+      touchNode(idMatch[0], label);
+      ids.push(idMatch[0]);
+
+      scanner.skipSpaces();
+      if (scanner.text[scanner.pos] !== '&') return ids;
+      scanner.pos++;
+    }
+  };
+
+  const readLink = (scanner) => {
+    const textLink = scanner.match(TEXT_LINK);
+    if (textLink) return { label: textLink[1] };
+
+    const link = scanner.match(LINK);
+    if (!link) return null;
+    return { label: link[2] ?? '', invisible: link[1] === '~~~' };
+  };
+
+  body.forEach(statement => {
+    const { text: line } = statement;
+    const scanner = createScanner(statement);
+
+    if (IGNORED_STATEMENT.test(line)) return;
+
+    if (line === 'end') {
+      if (groupStack.length === 0) throw scanner.error('"end" without a matching "subgraph"');
+      groupStack.pop();
+      return;
+    }
+
+    const subgraph = line.match(/^subgraph\s+(.+)$/);
+    if (subgraph) {
+      const spec = subgraph[1].trim();
+      const titled = spec.match(/^([\p{L}\p{N}_-]+)\s*\[(.*)\]$/u);
+      let id;
+      let label;
+
+      if (titled) {
+        id = titled[1];
+        label = unescapeText(unquote(titled[2]));
+      } else if (/^[\p{L}\p{N}_-]+$/u.test(spec)) {
+        id = spec;
+        label = spec;
+      } else {
+        label = unescapeText(unquote(spec));
+        id = label.replace(/[^\p{L}\p{N}_]+/gu, '_').replace(/^_+|_+$/g, '') || `subgraph_${statement.line}`;
+      }
+
+      builder.group(id, { label, groupId: groupStack.at(-1) });
+      groupStack.push(id);
+      return;
+    }
+
+    let sources = readNodeGroup(scanner);
+    while (scanner.pos < line.length) {
+      const link = readLink(scanner);
+      if (!link) {
+        throw scanner.error(`Unexpected "${line.slice(scanner.pos)}"`);
+      }
+
+      const targets = readNodeGroup(scanner);
+      if (!link.invisible) {
+        const label = unescapeText(unquote(link.label));
+        sources.forEach(source => targets.forEach(target => builder.edge(source, target, label)));
+      }
+      sources = targets;
+    }
+  });
+
+  if (groupStack.length > 0) {
+    throw new Error(`Missing "end" for subgraph "${groupStack.at(-1)}"`);
+  }
+
+  return builder.build();
+}
@@ -0,0 +1,140 @@
+// ABOUTME: Converts a flow's edge hierarchy to OPML outlines and OPML outlines back to flows
+// ABOUTME: Notes map to descriptions and the head's expansionState to collapsed subtrees
+
+import { escapeXml, parseXml, childElements } from './xml.js';
+import { buildEdgeTree, buildFlowFromTree } from './edgeTree.js';
+
+const INDENT = '  ';
+
+/**
+ * Serialize a flow's edge hierarchy as an OPML 2.0 outline
+ *
+ * Nodes nest along buildEdgeTree's spanning tree as `<outline>` elements with
+ * the label in `text`, the description in `_note` and the tree edge's label in
+ * `_edgeLabel`. When any subtree is collapsed, the head's expansionState lists
+ * the expanded outlines by line number, as outliners expect. OPML has no way
+ * to point at another outline, so edges outside the tree are not written.
+ *
+ * @param {Object} flow - Flow document {nodes, edges}
+ * @returns {string} OPML source
+ */
+export function toOpml(flow) {
+  const roots = buildEdgeTree(flow);
+  const lines = [];
+  const expanded = [];
+  let visibleLines = 0;
+  let anyCollapsed = false;
+
+  const write = (entry, depth, visible) => {
+    const { node, edge, children } = entry;
+    const collapsed = node.data?.collapsed === true && children.length > 0;
+    anyCollapsed ||= collapsed;
+
+    // Line numbers count only the outlines showing once earlier ones are expanded
+    if (visible) {
+      visibleLines++;
+      if (children.length > 0 && !collapsed) expanded.push(visibleLines);
+    }
+
+    const attributes = [`text="${escapeXml(node.data?.label ?? node.id)}"`];
+    if (node.data?.description) attributes.push(`_note="${escapeXml(node.data.description)}"`);
+    if (edge?.data?.label) attributes.push(`_edgeLabel="${escapeXml(edge.data.label)}"`);
+
+    const indent = INDENT.repeat(depth + 2);
+    if (children.length === 0) {
+      lines.push(`${indent}<outline ${attributes.join(' ')}/>`);
+      return;
+    }
+    lines.push(`${indent}<outline ${attributes.join(' ')}>`);
+    children.forEach(child => write(child, depth + 1, visible && !collapsed));
+    lines.push(`${indent}</outline>`);
+  };
+  roots.forEach(root => write(root, 0, true));
+
+  const head = anyCollapsed
+    ? [`${INDENT}<head>`, `${INDENT}${INDENT}<expansionState>${expanded.join(',')}</expansionState>`, `${INDENT}</head>`]
+    : [`${INDENT}<head/>`];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    ...head,
+    `${INDENT}<body>`,
+    ...lines,
+    `${INDENT}</body>`,
+    '</opml>',
+    '',
+  ].join('\n');
+}
+
+// Follows OPML's expansionState: for each number, expand the outline on that line of what is showing
+function applyExpansionState(roots, state) {
+  const numbers = state.split(',').map(part => part.trim()).filter(Boolean).map(Number);
+  const expandedItems = new Set();
+
+  const visibleItems = () => {
+    const visible = [];
+    const walk = (items) => items.forEach(item => {
+      visible.push(item);
+      if (expandedItems.has(item)) walk(item.children);
+    });
+    walk(roots);
+    return visible;
+  };
+
+  numbers.forEach(number => {
+    const item = Number.isInteger(number) ? visibleItems()[number - 1] : null;
+    if (item) expandedItems.add(item);
+  });
+
+  const mark = (items) => items.forEach(item => {
+    item.collapsed = !expandedItems.has(item);
+    mark(item.children);
+  });
+  mark(roots);
+}
+
+/**
+ * Parse an OPML document into a flow document {nodes, edges}
+ *
+ * Each `<outline>` becomes a node joined to its parent outline by an edge;
+ * `_note` becomes the description and `_edgeLabel` the edge label. With an
+ * expansionState in the head, outlines it doesn't expand are collapsed;
+ * without one, everything is open. Ids are derived from the outline text.
+ *
+ * @param {string} text - OPML source
+ * @returns {Object} Flow document {nodes, edges} without positions
+ * @throws {Error} When the XML is malformed or isn't an OPML outline
+ */
+export function parseOpml(text) {
+  const root = parseXml(text);
+  if (root.name !== 'opml') {
+    throw new Error(`Line ${root.line}: Expected an <opml> document, found <${root.name}>`);
+  }
+  const [body] = childElements(root, 'body');
+  if (!body) {
+    throw new Error(`Line ${root.line}: The document has no <body>`);
+  }
+
+  const readOutlines = (element) => childElements(element, 'outline').map(outline => {
+    const label = outline.attributes.text ?? outline.attributes.title ?? '';
+    if (label.trim() === '') {
+      throw new Error(`Line ${outline.line}: Outline has no text`);
+    }
+    return {
+      label,
+      description: outline.attributes._note ?? '',
+      edgeLabel: outline.attributes._edgeLabel ?? '',
+      children: readOutlines(outline),
+    };
+  });
+  const roots = readOutlines(body);
+
+  const [head] = childElements(root, 'head');
+  const [expansionState] = head ? childElements(head, 'expansionState') : [];
+  if (expansionState) {
+    applyExpansionState(roots, expansionState.children.filter(child => typeof child === 'string').join(''));
+  }
+
+  return buildFlowFromTree(roots);
+}
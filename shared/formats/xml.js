@@ -0,0 +1,192 @@
+// ABOUTME: Minimal XML reading and escaping for the XML-based interchange formats (OPML, FreeMind)
+// ABOUTME: Parses elements, attributes, text, CDATA and entities into a plain tree; no namespaces or DTDs
+
+const NAMED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+const NAME = /[A-Za-z_:][\w.:-]*/y;
+const ATTRIBUTE = /\s+([A-Za-z_:][\w.:-]*)\s*=\s*("([^"]*)"|'([^']*)')/y;
+
+/**
+ * Escape text for use in XML content or a double-quoted attribute
+ * Newlines are written as character references so attribute values keep them
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r?\n/g, '&#10;');
+}
+
+// Unknown named entities (HTML ones in FreeMind notes, say) are left as written
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return Object.hasOwn(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Parse an XML document into its root element
+ *
+ * Elements are {name, attributes, children, line}, where children holds
+ * elements and text strings (CDATA included) and line is where the start tag
+ * sits, for importers' error messages. Comments, processing instructions and
+ * the doctype are skipped.
+ *
+ * @param {string} text - XML source
+ * @returns {Object} Root element
+ * @throws {Error} With the offending line number when the XML is malformed
+ */
+export function parseXml(text) {
+  const source = String(text ?? '').replace(/^﻿/, '');
+  let pos = 0;
+
+  // Offsets of line breaks, searched to turn an offset into a line number
+  const breaks = [];
+  for (let index = source.indexOf('\n'); index !== -1; index = source.indexOf('\n', index + 1)) {
+    breaks.push(index);
+  }
+  const lineAt = (offset) => {
+    let low = 0;
+    let high = breaks.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (breaks[middle] < offset) low = middle + 1;
+      else high = middle;
+    }
+    return low + 1;
+  };
+  const fail = (message, offset = pos) => {
+    throw new Error(`Line ${lineAt(offset)}: ${message}`);
+  };
+
+  const skipPast = (terminator, what) => {
+    const end = source.indexOf(terminator, pos);
+    if (end === -1) fail(`Unterminated ${what}`);
+    pos = end + terminator.length;
+  };
+
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+
+  while (pos < source.length) {
+    const parent = stack.at(-1);
+
+    if (source[pos] !== '<') {
+      const end = source.indexOf('<', pos);
+      const raw = source.slice(pos, end === -1 ? source.length : end);
+      if (stack.length === 1) {
+        if (raw.trim()) fail('Text outside the root element');
+      } else {
+        parent.children.push(decodeEntities(raw));
+      }
+      pos = end === -1 ? source.length : end;
+    } else if (source.startsWith('<!--', pos)) {
+      skipPast('-->', 'comment');
+    } else if (source.startsWith('<![CDATA[', pos)) {
+      const start = pos + '<![CDATA['.length;
+      skipPast(']]>', 'CDATA section');
+      parent.children.push(source.slice(start, pos - 3));
+    } else if (source.startsWith('<?', pos)) {
+      skipPast('?>', 'processing instruction');
+    } else if (source.startsWith('<!', pos)) {
+      // Doctype, possibly with an internal subset in brackets
+      const bracket = source.indexOf('[', pos);
+      const close = source.indexOf('>', pos);
+      if (bracket !== -1 && close !== -1 && bracket < close) {
+        pos = bracket;
+        skipPast(']', 'doctype');
+      }
+      skipPast('>', 'doctype');
+    } else if (source.startsWith('</', pos)) {
+      const start = pos;
+      NAME.lastIndex = pos + 2;
+      const name = NAME.exec(source)?.[0];
+      if (!name || stack.length === 1 || parent.name !== name) {
+        fail(`Unexpected closing tag </${name ?? ''}>`, start);
+      }
+      pos = NAME.lastIndex;
+      while (/\s/.test(source[pos] ?? '')) pos++;
+      if (source[pos] !== '>') fail(`Expected ">" to close </${name}>`);
+      pos++;
+      stack.pop();
+    } else {
+      const start = pos;
+      NAME.lastIndex = pos + 1;
+      const name = NAME.exec(source)?.[0];
+      if (!name) fail('Expected an element name after "<"');
+      pos = NAME.lastIndex;
+
+      const attributes = {};
+      for (;;) {
+        ATTRIBUTE.lastIndex = pos;
+        const match = ATTRIBUTE.exec(source);
+        if (!match) break;
+        attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+        pos = ATTRIBUTE.lastIndex;
+      }
+      while (/\s/.test(source[pos] ?? '')) pos++;
+
+      const element = { name, attributes, children: [], line: lineAt(start) };
+      if (stack.length === 1 && root.children.length > 0) {
+        fail('Only one root element is allowed', start);
+      }
+      parent.children.push(element);
+
+      if (source.startsWith('/>', pos)) {
+        pos += 2;
+      } else if (source[pos] === '>') {
+        pos++;
+        stack.push(element);
+      } else {
+        fail(`Malformed tag <${name}>`);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`Missing closing tag </${stack.at(-1).name}>`);
+  }
+  if (root.children.length === 0) {
+    fail('No root element');
+  }
+
+  return root.children[0];
+}
+
+/**
+ * Child elements of an element, optionally only those with a given name
+ */
+export function childElements(element, name = null) {
+  return element.children.filter(child => typeof child !== 'string' && (name === null || child.name === name));
+}
+
+/**
+ * Text content of an element and its descendants, with block-level HTML tags as line breaks
+ */
+export function textContent(element) {
+  const blocks = new Set(['p', 'div', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+  const parts = [];
+
+  const walk = (node) => {
+    if (typeof node === 'string') {
+      parts.push(node.replace(/\s+/g, ' '));
+      return;
+    }
+    const name = node.name.toLowerCase();
+    if (name === 'br') {
+      parts.push('\n');
+      return;
+    }
+    if (name === 'head') return;
+    node.children.forEach(walk);
+    if (blocks.has(name)) parts.push('\n');
+  };
+
+  walk(element);
+  return parts.join('').split('\n').map(line => line.trim()).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
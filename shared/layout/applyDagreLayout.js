@@ -2,11 +2,8 @@
 // ABOUTME: Shared between frontend animation and backend tool execution
 
 import dagre from '@dagrejs/dagre';
-import {
-  NODE_WIDTH,
-  NODE_HEIGHT,
-  DAGRE_SPACING,
-} from '../constants/nodeDimensions.js';
+import { DAGRE_SPACING } from '../constants/nodeDimensions.js';
+import { getNodeSize } from './nodeSize.js';
 
 /**
  * Applies Dagre layout algorithm to a graph
@@ -15,16 +12,16 @@ import {
  * @param {Array} params.nodes - Array of node objects with id, hidden, parentGroupId
  * @param {Array} params.edges - Array of edge objects with source, target
  * @param {string} params.direction - Layout direction: 'LR' (left-right) or 'TB' (top-bottom)
- * @param {Object} params.nodeDimensions - Optional override for node dimensions
- * @param {number} params.nodeDimensions.width - Node width
- * @param {number} params.nodeDimensions.height - Node height
+ * @param {Object|Function} params.nodeDimensions - Optional override for node dimensions,
+ *   either one {width, height} for every node or a function (node) => {width, height};
+ *   defaults to each node's own size (getNodeSize: manual data.size or fitted to its text)
  * @returns {Object} - { nodes, edges } with updated positions
  */
 export function applyDagreLayout({
   nodes,
   edges,
   direction = 'LR',
-  nodeDimensions = { width: NODE_WIDTH, height: NODE_HEIGHT },
+  nodeDimensions = getNodeSize,
 }) {
   const dagreGraph = new dagre.graphlib.Graph().setDefaultEdgeLabel(() => ({}));
   const isHorizontal = direction === 'LR';
@@ -47,13 +44,12 @@ export function applyDagreLayout({
     .map(({ node }) => node);
 
   const visibleNodeMap = new Map(visibleNodes.map(node => [node.id, node]));
+  const sizeOf = typeof nodeDimensions === 'function' ? nodeDimensions : () => nodeDimensions;
 
   // Register nodes with Dagre
   visibleNodes.forEach((node) => {
-    dagreGraph.setNode(node.id, {
-      width: nodeDimensions.width,
-      height: nodeDimensions.height
-    });
+    const { width, height } = sizeOf(node);
+    dagreGraph.setNode(node.id, { width, height });
   });
 
   const visibleNodeIds = new Set(visibleNodes.map((node) => node.id));
@@ -107,8 +103,8 @@ export function applyDagreLayout({
       targetPosition: isHorizontal ? 'left' : 'top',
       sourcePosition: isHorizontal ? 'right' : 'bottom',
       position: {
-        x: nodeWithPosition.x - nodeDimensions.width / 2,
-        y: nodeWithPosition.y - nodeDimensions.height / 2,
+        x: nodeWithPosition.x - nodeWithPosition.width / 2,
+        y: nodeWithPosition.y - nodeWithPosition.height / 2,
       },
     };
   });
@@ -0,0 +1,148 @@
+// ABOUTME: Node sizes: a manual size stored in data.size, or an automatic size fitted to the label and description
+// ABOUTME: Shared by Dagre layout, group bounds, the canvas and the SVG renderer so they all agree on node boxes
+
+import { NODE_HEIGHT } from '../constants/nodeDimensions.js';
+import { getNodeTypeSize } from '../nodeTypes/index.js';
+import { getNodeIcon } from '../nodeStyle/index.js';
+
+/**
+ * Node text metrics, mirroring Node.jsx: 12px label, 11px description 4px below, 8px padding
+ * charWidth is the average glyph width as a share of the font size, for sizing without font metrics
+ */
+export const NODE_TEXT = {
+  padding: 8,
+  labelFontSize: 12,
+  descriptionFontSize: 11,
+  descriptionGap: 4,
+  lineHeight: 1.25,
+  charWidth: 0.6,
+};
+
+/**
+ * Bounds for manual sizes
+ */
+export const MIN_NODE_SIZE = { width: 80, height: 40 };
+export const MAX_NODE_SIZE = { width: 800, height: 600 };
+
+// Automatic sizes grow wider up to this, then taller
+export const MAX_AUTO_WIDTH = 320;
+
+// Text the type's base height already has room for: one or two label lines and a description line
+const BASE_TEXT_HEIGHT = NODE_HEIGHT - NODE_TEXT.padding * 2;
+
+// Left and right borders
+const BORDER_WIDTH = 2;
+
+/**
+ * Word-wrap text to a pixel width, ending with an ellipsis when it needs more than maxLines
+ *
+ * @param {string} text - Text to wrap; newlines start new lines
+ * @param {number} fontSize - Font size in pixels
+ * @param {number} maxWidth - Line width in pixels
+ * @param {number} maxLines - Most lines to return (Infinity for all)
+ * @returns {string[]} Lines of text
+ */
+export function wrapText(text, fontSize, maxWidth, maxLines = Infinity) {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * NODE_TEXT.charWidth)));
+  const lines = [];
+
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      for (let rest = word; rest; ) {
+        const candidate = line ? `${line} ${rest}` : rest;
+        if (candidate.length <= maxChars) {
+          line = candidate;
+          rest = '';
+        } else if (line) {
+          lines.push(line);
+          line = '';
+        } else {
+          lines.push(rest.slice(0, maxChars));
+          rest = rest.slice(maxChars);
+        }
+      }
+    });
+    lines.push(line);
+  });
+
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, Math.max(1, maxLines));
+  const last = kept.at(-1);
+  kept[kept.length - 1] = `${last.slice(0, Math.max(0, maxChars - 1)).trimEnd()}…`;
+  return kept;
+}
+
+/**
+ * Label text as drawn, with the style icon in front
+ */
+export function getNodeLabelText(node) {
+  const icon = getNodeIcon(node);
+  const label = node?.data?.label ?? '';
+  return icon ? `${icon} ${label}` : String(label);
+}
+
+// Width in pixels of the longest unwrapped line
+const naturalWidth = (text, fontSize) => Math.max(
+  0,
+  ...String(text).split('\n').map(line => line.trim().length * fontSize * NODE_TEXT.charWidth)
+);
+
+/**
+ * Size that fits a node's label and description
+ *
+ * Starts from the node type's size, widens for long lines up to
+ * MAX_AUTO_WIDTH, then grows taller for whatever text still wraps past the
+ * room the type's height leaves.
+ *
+ * @param {Object} node - Flow node
+ * @returns {Object} {width, height}
+ */
+export function getAutoNodeSize(node) {
+  const typeSize = getNodeTypeSize(node);
+  const { padding, labelFontSize, descriptionFontSize, descriptionGap, lineHeight } = NODE_TEXT;
+  const label = getNodeLabelText(node);
+  const description = node?.data?.description ?? '';
+
+  const textWidth = Math.max(naturalWidth(label, labelFontSize), naturalWidth(description, descriptionFontSize));
+  const width = Math.min(MAX_AUTO_WIDTH, Math.max(typeSize.width, Math.ceil(textWidth + padding * 2 + BORDER_WIDTH)));
+
+  const contentWidth = width - padding * 2;
+  const labelLines = wrapText(label, labelFontSize, contentWidth).length;
+  const descriptionLines = description ? wrapText(description, descriptionFontSize, contentWidth).length : 0;
+  const textHeight = labelLines * labelFontSize * lineHeight
+    + (descriptionLines > 0 ? descriptionGap + descriptionLines * descriptionFontSize * lineHeight : 0);
+
+  return { width, height: typeSize.height + Math.max(0, Math.ceil(textHeight - BASE_TEXT_HEIGHT)) };
+}
+
+/**
+ * Check a manual size given to updateNode
+ *
+ * @returns {string|null} What is wrong, or null when the size is usable
+ */
+export function validateNodeSize(size) {
+  if (!size || typeof size !== 'object' || !Number.isFinite(size.width) || !Number.isFinite(size.height)) {
+    return 'size must be {width, height} in pixels, or null for automatic sizing';
+  }
+  if (size.width < MIN_NODE_SIZE.width || size.height < MIN_NODE_SIZE.height
+    || size.width > MAX_NODE_SIZE.width || size.height > MAX_NODE_SIZE.height) {
+    return `size must be between ${MIN_NODE_SIZE.width}×${MIN_NODE_SIZE.height} and ${MAX_NODE_SIZE.width}×${MAX_NODE_SIZE.height}`;
+  }
+  return null;
+}
+
+/**
+ * Rendered and laid-out size of a node: its manual data.size, or the automatic size
+ *
+ * @param {Object} node - Flow node
+ * @returns {Object} {width, height}
+ */
+export function getNodeSize(node) {
+  const size = node?.data?.size;
+  if (size && validateNodeSize(size) === null) {
+    return { width: size.width, height: size.height };
+  }
+  return getAutoNodeSize(node);
+}
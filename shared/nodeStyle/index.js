@@ -0,0 +1,133 @@
+// ABOUTME: Per-node visual style stored in data.style: fill and border colours, shape and icon
+// ABOUTME: Shared by the styleNode tool, the canvas, the SVG renderer and the export formats
+
+/**
+ * Shapes a node can take; nodes without a style.shape are drawn rounded
+ */
+export const NODE_SHAPES = ['rounded', 'pill', 'diamond', 'circle'];
+
+export const DEFAULT_NODE_SHAPE = 'rounded';
+
+/**
+ * Built-in icons keyed by name; glyphs are plain text symbols so every renderer can draw them
+ */
+export const NODE_ICONS = {
+  star: '★',
+  check: '✓',
+  cross: '✗',
+  warning: '⚠',
+  flag: '⚑',
+  gear: '⚙',
+  bolt: '⚡',
+  cloud: '☁',
+  database: '⛁',
+  mail: '✉',
+  phone: '☎',
+  home: '⌂',
+  heart: '♥',
+  pencil: '✎',
+};
+
+/**
+ * Keys a node style may have
+ */
+export const NODE_STYLE_KEYS = ['fill', 'border', 'shape', 'icon'];
+
+// #rgb or #rrggbb, the forms every export format accepts
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether a value is a colour a node style may hold (#rgb or #rrggbb)
+ * Renderers check stored colours with this before writing them into markup
+ */
+export function isHexColor(value) {
+  return typeof value === 'string' && HEX_COLOR.test(value);
+}
+
+/**
+ * Check one style value
+ *
+ * @returns {string|null} What is wrong, or null when the value is valid
+ */
+function validateStyleValue(key, value) {
+  switch (key) {
+    case 'fill':
+    case 'border':
+      return isHexColor(value) ? null : `${key} must be a hex colour such as #1f6feb`;
+    case 'shape':
+      return NODE_SHAPES.includes(value) ? null : `shape must be one of: ${NODE_SHAPES.join(', ')}`;
+    case 'icon':
+      return Object.hasOwn(NODE_ICONS, value) ? null : `icon must be one of: ${Object.keys(NODE_ICONS).join(', ')}`;
+    default:
+      return `Unknown style "${key}". Styles: ${NODE_STYLE_KEYS.join(', ')}`;
+  }
+}
+
+/**
+ * Apply style changes to a node's style
+ *
+ * Changes are keyed by fill, border, shape or icon; null clears that key.
+ * Either every change applies or none does.
+ *
+ * @param {Object} current - Existing style (data.style), may be undefined
+ * @param {Object} changes - New values keyed by style key
+ * @returns {Object} {style} with the result, or {error} describing the first invalid change
+ */
+export function mergeNodeStyle(current, changes) {
+  if (!isPlainObject(changes)) {
+    return { error: 'style must be an object' };
+  }
+
+  const style = { ...(current ?? {}) };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null && NODE_STYLE_KEYS.includes(key)) {
+      delete style[key];
+      continue;
+    }
+    const error = validateStyleValue(key, value);
+    if (error) {
+      return { error };
+    }
+    style[key] = key === 'fill' || key === 'border' ? value.toLowerCase() : value;
+  }
+
+  return { style };
+}
+
+/**
+ * Check a whole stored style (data.style), as saved flow documents carry it
+ *
+ * @returns {string|null} What is wrong with the first invalid key, or null when the style is valid
+ */
+export function validateNodeStyle(style) {
+  if (!isPlainObject(style)) {
+    return 'style must be an object';
+  }
+
+  for (const [key, value] of Object.entries(style)) {
+    const error = validateStyleValue(key, value);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shape a node is drawn with
+ */
+export function getNodeShape(node) {
+  const shape = node?.data?.style?.shape;
+  return NODE_SHAPES.includes(shape) ? shape : DEFAULT_NODE_SHAPE;
+}
+
+/**
+ * Icon glyph for a node, or null when it has none
+ */
+export function getNodeIcon(node) {
+  const icon = node?.data?.style?.icon;
+  return typeof icon === 'string' && Object.hasOwn(NODE_ICONS, icon) ? NODE_ICONS[icon] : null;
+}
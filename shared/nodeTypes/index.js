@@ -0,0 +1,153 @@
+// ABOUTME: Registry of node types (task, decision, page, service) with data fields, sizes and connection rules
+// ABOUTME: Shared by the tool executor, the LLM tool definitions, layout and the canvas renderers
+
+import { NODE_WIDTH, NODE_HEIGHT } from '../constants/nodeDimensions.js';
+
+/**
+ * Type used for nodes created without a nodeType, and for stored nodes whose type isn't registered
+ */
+export const DEFAULT_NODE_TYPE = 'default';
+
+/**
+ * Node types keyed by the value stored in `node.type`
+ *
+ * label/summary describe the type to people and the AI. fields declares the
+ * extra `data` keys the type understands: {type: 'string'} or {type: 'enum',
+ * values, default}. size is the rendered and laid-out size. allowedTargets
+ * lists the types an edge from this type may point at; null allows any.
+ * Group nodes are not a registered type: they keep `type: 'group'`.
+ */
+export const NODE_TYPES = {
+  default: {
+    label: 'Node',
+    summary: 'General-purpose node with a label and description',
+    fields: {},
+    size: { width: NODE_WIDTH, height: NODE_HEIGHT },
+    allowedTargets: null,
+  },
+  task: {
+    label: 'Task',
+    summary: 'A unit of work with a status and an owner',
+    fields: {
+      status: { type: 'enum', values: ['todo', 'in_progress', 'done'], default: 'todo' },
+      assignee: { type: 'string' },
+    },
+    size: { width: NODE_WIDTH, height: 86 },
+    allowedTargets: ['default', 'task', 'decision'],
+  },
+  decision: {
+    label: 'Decision',
+    summary: 'A question; its outgoing edges, labelled with the answers, are the branches',
+    fields: {
+      criteria: { type: 'string' },
+    },
+    size: { width: 192, height: 86 },
+    allowedTargets: null,
+  },
+  page: {
+    label: 'Page',
+    summary: 'A screen or page of the product, reached at a route',
+    fields: {
+      route: { type: 'string' },
+    },
+    size: { width: NODE_WIDTH, height: 86 },
+    allowedTargets: null,
+  },
+  service: {
+    label: 'Service',
+    summary: 'A backend service or API, with its technology and endpoint',
+    fields: {
+      technology: { type: 'string' },
+      endpoint: { type: 'string' },
+    },
+    size: { width: NODE_WIDTH, height: 96 },
+    allowedTargets: ['default', 'service', 'task'],
+  },
+};
+
+/**
+ * Look up a node type by name, or null when it isn't registered
+ */
+export function getNodeType(name) {
+  return typeof name === 'string' && Object.hasOwn(NODE_TYPES, name) ? NODE_TYPES[name] : null;
+}
+
+/**
+ * Registered type of a node, falling back to the default type for groups and unknown types
+ */
+export function resolveNodeType(node) {
+  return getNodeType(node?.type) ?? NODE_TYPES[DEFAULT_NODE_TYPE];
+}
+
+/**
+ * Rendered size {width, height} of a node from its type
+ */
+export function getNodeTypeSize(node) {
+  const { width, height } = resolveNodeType(node).size;
+  return { width, height };
+}
+
+/**
+ * Data values a new node of a type starts with (enum defaults)
+ */
+export function getDefaultFields(typeName) {
+  const fields = getNodeType(typeName)?.fields ?? {};
+  return Object.fromEntries(
+    Object.entries(fields)
+      .filter(([, field]) => field.default !== undefined)
+      .map(([name, field]) => [name, field.default])
+  );
+}
+
+/**
+ * Check field values against a type's schema
+ *
+ * @param {string} typeName - Registered node type
+ * @param {Object} values - Field values keyed by field name
+ * @returns {string|null} What is wrong, or null when every value fits
+ */
+export function validateNodeFields(typeName, values) {
+  const type = getNodeType(typeName);
+  if (!type) {
+    return `Unknown node type "${typeName}"`;
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return 'fields must be an object';
+  }
+
+  for (const [name, value] of Object.entries(values)) {
+    const field = type.fields[name];
+    if (!field) {
+      const known = Object.keys(type.fields);
+      return known.length > 0
+        ? `${type.label} nodes have no field "${name}". Fields: ${known.join(', ')}`
+        : `${type.label} nodes have no fields`;
+    }
+    if (field.type === 'enum' && !field.values.includes(value)) {
+      return `${name} must be one of: ${field.values.join(', ')}`;
+    }
+    if (field.type === 'string' && typeof value !== 'string') {
+      return `${name} must be a string`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Why an edge between two nodes breaks the source type's connection rules, or null when it's allowed
+ * Groups and unregistered types take part in any connection
+ */
+export function getConnectionError(sourceNode, targetNode) {
+  const sourceType = getNodeType(sourceNode?.type);
+  const targetType = getNodeType(targetNode?.type);
+  if (!sourceType?.allowedTargets || !targetType) {
+    return null;
+  }
+  if (sourceType.allowedTargets.includes(targetNode.type)) {
+    return null;
+  }
+
+  const allowed = sourceType.allowedTargets.map(name => NODE_TYPES[name].label.toLowerCase()).join(', ');
+  return `A ${sourceType.label.toLowerCase()} node cannot connect to a ${targetType.label.toLowerCase()} node (allowed: ${allowed})`;
+}
@@ -0,0 +1,131 @@
+// ABOUTME: User-defined key/value properties on nodes and edges, stored in data.properties
+// ABOUTME: Typed values (string, number, boolean, date, url, enum) with validation and partial updates
+
+/**
+ * Value types a property can have, in the order the inspector offers them
+ */
+export const PROPERTY_TYPES = ['string', 'number', 'boolean', 'date', 'url', 'enum'];
+
+const MAX_NAME_LENGTH = 64;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Calendar date written as YYYY-MM-DD
+function isIsoDate(value) {
+  const match = typeof value === 'string' && DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Absolute http(s) URL
+function isWebUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+const VALUE_CHECKS = {
+  string: { test: (value) => typeof value === 'string', expected: 'a string' },
+  number: { test: (value) => Number.isFinite(value), expected: 'a number' },
+  boolean: { test: (value) => typeof value === 'boolean', expected: 'true or false' },
+  date: { test: isIsoDate, expected: 'a date written YYYY-MM-DD' },
+  url: { test: isWebUrl, expected: 'an http(s) URL' },
+};
+
+// Type a bare value gets when it creates a property
+const INFERRED_TYPES = { string: 'string', number: 'number', boolean: 'boolean' };
+
+/**
+ * Check a property name and its {type, value, options} definition
+ *
+ * @param {string} name - Property name
+ * @param {Object} property - {type, value, options?}; options (enum only) lists the allowed values
+ * @returns {string|null} What is wrong, or null when the property is valid
+ */
+export function validateProperty(name, property) {
+  if (typeof name !== 'string' || name.trim() === '' || name.trim() !== name) {
+    return 'Property names must be non-empty and have no surrounding spaces';
+  }
+  if (name === '__proto__') {
+    return 'Property name "__proto__" is reserved';
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return `Property name "${name.slice(0, 20)}…" is longer than ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!isPlainObject(property) || !PROPERTY_TYPES.includes(property.type)) {
+    return `Property "${name}" needs a type: ${PROPERTY_TYPES.join(', ')}`;
+  }
+
+  if (property.type === 'enum') {
+    const { options } = property;
+    const validOptions = Array.isArray(options) && options.length > 0
+      && options.every(option => typeof option === 'string' && option !== '')
+      && new Set(options).size === options.length;
+    if (!validOptions) {
+      return `Property "${name}" needs options: a list of distinct, non-empty strings`;
+    }
+    if (!options.includes(property.value)) {
+      return `Property "${name}" must be one of: ${options.join(', ')}`;
+    }
+    return null;
+  }
+
+  if ('options' in property) {
+    return `Property "${name}" is not an enum, so it takes no options`;
+  }
+  const check = VALUE_CHECKS[property.type];
+  return check.test(property.value) ? null : `Property "${name}" must be ${check.expected}`;
+}
+
+// Full definition for one change: explicit definitions as given, bare values keep the existing type and options
+function resolveChange(name, change, existing) {
+  if (isPlainObject(change)) {
+    return { type: change.type, value: change.value, ...(change.options !== undefined ? { options: change.options } : {}) };
+  }
+  if (existing) {
+    return { ...existing, value: change };
+  }
+  return { type: INFERRED_TYPES[typeof change], value: change };
+}
+
+/**
+ * Apply property changes to a properties map
+ *
+ * Each change is keyed by property name: null removes the property, a
+ * {type, value, options?} object sets it outright, and a bare value updates
+ * an existing property's value (or creates a string, number or boolean
+ * property). Either every change applies or none does.
+ *
+ * @param {Object} current - Existing properties (data.properties), may be undefined
+ * @param {Object} changes - Changes keyed by property name
+ * @returns {Object} {properties} with the result, or {error} describing the first invalid change
+ */
+export function mergeProperties(current, changes) {
+  if (!isPlainObject(changes)) {
+    return { error: 'properties must be an object of property names to values' };
+  }
+
+  const properties = { ...(current ?? {}) };
+  for (const [name, change] of Object.entries(changes)) {
+    if (change === null) {
+      delete properties[name];
+      continue;
+    }
+    const property = resolveChange(name, change, Object.hasOwn(properties, name) ? properties[name] : undefined);
+    const error = validateProperty(name, property);
+    if (error) {
+      return { error };
+    }
+    properties[name] = property;
+  }
+
+  return { properties };
+}
@@ -9,7 +9,22 @@ import {
 } from '@xyflow/react';
 
 import '@xyflow/react/dist/style.css';
-import { Node, Edge, GroupHaloOverlay, useFlowLayout, validateGroupMembership, getExpandedGroupHalos, applyGroupVisibility } from './features/flow-canvas';
+import {
+  NODE_RENDERERS,
+  Edge,
+  GroupHaloOverlay,
+  NodeStyleMenu,
+  applyNodeShape,
+  getEdgeKindMarker,
+  useFlowLayout,
+  validateGroupMembership,
+  getExpandedGroupHalos,
+  applyGroupVisibility,
+  getDiffStatuses,
+  includeRemovedItems,
+  getDiffNodeStyle,
+  getDiffEdgeStyle,
+} from './features/flow-canvas';
 
 import {
   loadFlow,
@@ -17,10 +32,12 @@ import {
   redoFlow,
   createNode,
   updateNode,
-  deleteNode,
   createEdge,
   updateEdge,
-  deleteEdge,
+  setNodeProperties,
+  setEdgeProperties,
+  styleNode,
+  applyBatch,
   createGroup as apiCreateGroup,
   ungroup as apiUngroup,
   toggleGroupExpansion as apiToggleGroupExpansion,
@@ -28,11 +45,18 @@ import {
 } from './services/api';
 import { ChatInterface, KeyboardShortcutsPanel } from './features/chat';
 import { NotesPanel } from './features/notes';
+import { FlowSwitcher, CanvasMenu } from './features/workspace';
+import { HistoryTimeline } from './features/history';
+import { PropertyInspector } from './features/inspector';
 
 import { useHotkeys } from './hooks/useHotkeys';
 import { THEME } from './constants/theme.js';
 import { getMovedNodes } from './utils/dragHelpers.js';
 import { getTargetCollapseState } from './utils/subtreeHelpers.js';
+import { isMarkdownOutline, parseMarkdownOutline } from '../shared/formats/markdownOutline.js';
+import { getConnectionError } from '../shared/nodeTypes/index.js';
+import { getNodeSize, MIN_NODE_SIZE } from '../shared/layout/nodeSize.js';
+import { getNodeShape } from '../shared/nodeStyle/index.js';
 
 function App() {
   const [nodes, setNodes, onNodesChangeRaw] = useNodesState([]);
@@ -44,6 +68,11 @@ function App() {
   const [selectedNodeIds, setSelectedNodeIds] = useState([]); // Multi-select state
   const [isNotesPanelOpen, setIsNotesPanelOpen] = useState(false);
   const [notesBullets, setNotesBullets] = useState(null);
+  const [activeFlow, setActiveFlow] = useState('main');
+  const [previewFlow, setPreviewFlow] = useState(null); // Past snapshot shown by the history timeline
+  const [flowDiff, setFlowDiff] = useState(null); // Changes highlighted by the history timeline's diff mode
+  const [inspectedElement, setInspectedElement] = useState(null); // {kind: 'node' | 'edge', id} shown in the property inspector
+  const [styleMenu, setStyleMenu] = useState(null); // {nodeId, x, y} of the open node style menu
 
   const dragStartPositionsRef = useRef(null);
 
@@ -108,45 +137,36 @@ function App() {
 
     if (movedNodes.length === 0) return;
 
-    // Call backend API for each moved node (creates snapshot with origin: 'ui.node.update')
-    const updatePromises = movedNodes.map(async ({ id, position, originalPosition }) => {
-      try {
-        const result = await updateNode(id, { position });
-        if (!result.success) {
-          console.error(`Failed to update node ${id} position:`, result.error);
-          // Revert this node's position
-          setNodes(prev => prev.map(n =>
-            n.id === id ? { ...n, position: originalPosition } : n
-          ));
-          return { success: false, nodeId: id, error: result.error };
-        }
-        return { success: true, nodeId: id };
-      } catch (error) {
-        console.error(`Error updating node ${id} position:`, error);
-        // Revert this node's position
-        setNodes(prev => prev.map(n =>
-          n.id === id ? { ...n, position: originalPosition } : n
-        ));
-        return { success: false, nodeId: id, error: error.message };
-      }
-    });
+    // Save all moved nodes in one batch so a multi-node drag is a single undo step
+    const revertPositions = () => {
+      const originalPositions = new Map(movedNodes.map(({ id, originalPosition }) => [id, originalPosition]));
+      setNodes(prev => prev.map(n =>
+        originalPositions.has(n.id) ? { ...n, position: originalPositions.get(n.id) } : n
+      ));
+    };
 
-    Promise.all(updatePromises).then(results => {
-      const failures = results.filter(r => !r.success);
-      if (failures.length > 0) {
-        const failedNodeIds = failures.map(f => f.nodeId).join(', ');
-        console.error(`Failed to save position for nodes: ${failedNodeIds}`);
-        alert(`Failed to save position for ${failures.length} node(s): ${failedNodeIds}. Positions have been reverted.`);
-      }
-      // Clear drag state after gesture completes
-      dragStartPositionsRef.current = null;
-    });
-  }, [onNodesChangeRaw, setNodes]);
+    const operations = movedNodes.map(({ id, position }) => ({
+      name: 'updateNode',
+      params: { nodeId: id, position }
+    }));
+
+    applyBatch(operations, activeFlow)
+      .catch(error => {
+        const failedNodeIds = movedNodes.map(({ id }) => id).join(', ');
+        console.error(`Failed to save position for nodes: ${failedNodeIds}`, error);
+        revertPositions();
+        alert(`Failed to save position for ${movedNodes.length} node(s): ${failedNodeIds}. Positions have been reverted.`);
+      })
+      .finally(() => {
+        // Clear drag state after gesture completes
+        dragStartPositionsRef.current = null;
+      });
+  }, [onNodesChangeRaw, setNodes, activeFlow]);
 
   useEffect(() => {
     const fetchFlow = async () => {
       try {
-        const flow = await loadFlow();
+        const flow = await loadFlow(activeFlow);
         const normalizedFlow = normalizeFlow(flow);
 
         setNodes(normalizedFlow.nodes);
@@ -159,7 +179,25 @@ function App() {
     };
 
     fetchFlow();
-  }, [setNodes, setEdges, normalizeFlow]);
+  }, [setNodes, setEdges, normalizeFlow, activeFlow]);
+
+  // Switching flows drops the selection; the effect above loads the new flow
+  const handleFlowChange = useCallback((flowName) => {
+    setSelectedNodeIds([]);
+    setInspectedElement(null);
+    setStyleMenu(null);
+    setActiveFlow(flowName);
+  }, []);
+
+  // Preview a past snapshot read-only; null returns to the live flow
+  const handleHistoryPreview = useCallback((flow) => {
+    setPreviewFlow(flow ? normalizeFlow(flow) : null);
+  }, [normalizeFlow]);
+
+  // Highlight what a snapshot changed; null leaves diff mode
+  const handleHistoryDiff = useCallback((diff) => {
+    setFlowDiff(diff);
+  }, []);
 
   const handleFlowUpdate = useCallback((updatedFlow, options = {}) => {
     if (!updatedFlow) return;
@@ -205,26 +243,53 @@ function App() {
 
   const updateNodeLabel = useCallback(
     (nodeId, newLabel) => handleMutation(
-      () => updateNode(nodeId, { label: newLabel }),
+      () => updateNode(nodeId, { label: newLabel }, activeFlow),
       { errorContext: 'update node label' }
     ),
-    [handleMutation]
+    [handleMutation, activeFlow]
   );
 
   const updateNodeDescription = useCallback(
     (nodeId, newDescription) => handleMutation(
-      () => updateNode(nodeId, { description: newDescription }),
+      () => updateNode(nodeId, { description: newDescription }, activeFlow),
       { errorContext: 'update node description' }
     ),
-    [handleMutation]
+    [handleMutation, activeFlow]
   );
 
   const updateEdgeLabel = useCallback(
     (edgeId, newLabel) => handleMutation(
-      () => updateEdge(edgeId, { label: newLabel }),
+      () => updateEdge(edgeId, { label: newLabel }, activeFlow),
       { errorContext: 'update edge label' }
     ),
-    [handleMutation]
+    [handleMutation, activeFlow]
+  );
+
+  // Saves property changes for the inspected element; failures reject so the inspector can show them
+  const setInspectedProperties = useCallback(async (changes) => {
+    const { kind, id } = inspectedElement;
+    const setProperties = kind === 'edge' ? setEdgeProperties : setNodeProperties;
+    const result = await setProperties(id, changes, activeFlow);
+    handleFlowUpdate(result.flow);
+  }, [inspectedElement, handleFlowUpdate, activeFlow]);
+
+  const closeStyleMenu = useCallback(() => setStyleMenu(null), []);
+
+  const styleMenuNode = useCallback(
+    (changes) => handleMutation(
+      () => styleNode(styleMenu.nodeId, changes, activeFlow),
+      { errorContext: 'style node', onError: (msg) => alert(msg) }
+    ),
+    [handleMutation, styleMenu, activeFlow]
+  );
+
+  // Saves a size dragged on the canvas; null returns the node to fitting its text
+  const resizeNode = useCallback(
+    (nodeId, size, position) => handleMutation(
+      () => updateNode(nodeId, position ? { size, position } : { size }, activeFlow),
+      { errorContext: 'resize node' }
+    ),
+    [handleMutation, activeFlow]
   );
 
   const createChildNode = useCallback(
@@ -234,42 +299,37 @@ function App() {
         description: '',
         parentNodeId: parentNodeId,
         edgeLabel: ''
-      }),
+      }, activeFlow),
       { errorContext: 'create child node' }
     ),
-    [handleMutation]
+    [handleMutation, activeFlow]
   );
 
-  const onNodesDelete = useCallback(async (deletedNodes) => {
-    // Call backend API for each deleted node
-    for (const node of deletedNodes) {
-      await handleMutation(
-        () => deleteNode(node.id),
-        {
-          errorContext: 'delete node',
-          onError: (msg) => console.error(msg)
-        }
-      );
-    }
-  }, [handleMutation]);
-
-  const onEdgesDelete = useCallback(async (deletedEdges) => {
-    // Call backend API for each deleted edge
-    for (const edge of deletedEdges) {
-      await handleMutation(
-        () => deleteEdge(edge.id),
-        {
-          errorContext: 'delete edge',
-          onError: (msg) => console.error(msg)
-        }
-      );
-    }
-  }, [handleMutation]);
+  // Deletes the whole selection in one batch (one undo step). Edges attached to deleted
+  // nodes are removed with their nodes, so only the remaining edges get their own operation.
+  const onDelete = useCallback(async ({ nodes: deletedNodes, edges: deletedEdges }) => {
+    const deletedNodeIds = new Set(deletedNodes.map(node => node.id));
+    const operations = [
+      ...deletedEdges
+        .filter(edge => !deletedNodeIds.has(edge.source) && !deletedNodeIds.has(edge.target))
+        .map(edge => ({ name: 'deleteEdge', params: { edgeId: edge.id } })),
+      ...deletedNodes.map(node => ({ name: 'deleteNode', params: { nodeId: node.id } })),
+    ];
+
+    if (operations.length === 0) return;
+
+    await handleMutation(
+      () => applyBatch(operations, activeFlow),
+      {
+        errorContext: 'delete selection',
+        onError: (msg) => console.error(msg)
+      }
+    );
+  }, [handleMutation, activeFlow]);
 
   const getNodeDimensions = useCallback((node) => {
     return {
-      width: THEME.node.dimensions.width,
-      height: THEME.node.dimensions.height,
+      ...getNodeSize(node),
       borderRadius: THEME.node.dimensions.borderRadius,
     };
   }, []);
@@ -292,15 +352,28 @@ function App() {
     }
   }, [scheduleLayout, setNodes, setEdges]);
 
+  // Previews and diff mode are read-only views of the canvas
+  const isPreviewing = previewFlow !== null || flowDiff !== null;
+
+  // Flow shown on the canvas: the preview or live flow, plus removed items in diff mode
+  const displayedFlow = useMemo(() => {
+    const flow = previewFlow ?? { nodes, edges };
+    return flowDiff ? includeRemovedItems(flow, flowDiff) : flow;
+  }, [nodes, edges, previewFlow, flowDiff]);
+
+  const diffStatuses = useMemo(() => (flowDiff ? getDiffStatuses(flowDiff) : null), [flowDiff]);
+
   const nodesWithHandlers = useMemo(() => {
-    return nodes.map((node) => {
+    const displayedNodes = displayedFlow.nodes;
+    return displayedNodes.map((node) => {
       const isGroupNode = node.type === 'group';
       const { width, height, borderRadius } = getNodeDimensions(node);
 
       // Use group-specific colors for group nodes, regular colors for others
       const nodeColors = isGroupNode ? THEME.groupNode.colors : THEME.node.colors;
-      const background = nodeColors.background;
-      const border = nodeColors.border;
+      const nodeStyle = node.data.style ?? {};
+      const background = nodeStyle.fill ?? nodeColors.background;
+      const border = nodeStyle.border ?? THEME.node.types[node.type]?.accent ?? nodeColors.border;
       const text = nodeColors.text;
 
       const isSelected = selectedNodeIds.includes(node.id);
@@ -312,9 +385,10 @@ function App() {
         borderColor: border,
         color: text,
         width,
-        minWidth: width,
+        // Lower bounds only matter while a resize drag overrides width and height
+        minWidth: MIN_NODE_SIZE.width,
         height,
-        minHeight: height,
+        minHeight: MIN_NODE_SIZE.height,
         display: 'flex',
         flexDirection: 'column',
         alignItems: 'center',
@@ -324,67 +398,110 @@ function App() {
         borderRadius: `${borderRadius}px`,
       };
 
+      const { style, outline } = applyNodeShape(getNodeShape(node), {
+        ...(node.style || {}),
+        ...baseStyle,
+        ...(node.data.collapsed
+          ? {
+              borderWidth: THEME.node.states.collapsedSubtree.borderWidth,
+              borderColor: THEME.node.states.collapsedSubtree.colors.border,
+            }
+          : {}),
+        // Selection visual: 40% more prominent stroke
+        ...(isSelected
+          ? {
+              borderWidth: THEME.node.states.selection.borderWidth,
+              borderColor: THEME.node.states.selection.colors.border,
+              boxShadow: `0 0 0 ${THEME.node.states.selection.shadowSpread} ${THEME.node.states.selection.colors.shadow}`,
+            }
+          : {}),
+        ...getDiffNodeStyle(diffStatuses?.nodes.get(node.id)),
+      });
+
       return {
         ...node,
         data: {
           ...node.data,
-          onLabelChange: updateNodeLabel,
-          onDescriptionChange: updateNodeDescription,
+          // Previews are read-only: no edit callbacks
+          onLabelChange: isPreviewing ? undefined : updateNodeLabel,
+          onDescriptionChange: isPreviewing ? undefined : updateNodeDescription,
+          onResize: isPreviewing ? undefined : resizeNode,
           textColor: text,
           label: node.data.label,
+          shapeOutline: outline,
         },
-        style: {
-          ...(node.style || {}),
-          ...baseStyle,
-          ...(node.data.collapsed
-            ? {
-                borderWidth: THEME.node.states.collapsedSubtree.borderWidth,
-                borderColor: THEME.node.states.collapsedSubtree.colors.border,
-              }
-            : {}),
-          // Selection visual: 40% more prominent stroke
-          ...(isSelected
-            ? {
-                borderWidth: THEME.node.states.selection.borderWidth,
-                borderColor: THEME.node.states.selection.colors.border,
-                boxShadow: `0 0 0 ${THEME.node.states.selection.shadowSpread} ${THEME.node.states.selection.colors.shadow}`,
-              }
-            : {}),
-        },
+        style,
       };
     });
-  }, [nodes, updateNodeLabel, updateNodeDescription, selectedNodeIds, getNodeDimensions]);
+  }, [displayedFlow, isPreviewing, diffStatuses, updateNodeLabel, updateNodeDescription, resizeNode, selectedNodeIds, getNodeDimensions]);
 
   const edgesWithHandlers = useMemo(() => {
-    return edges.map((edge) => ({
+    return displayedFlow.edges.map((edge) => ({
       ...edge,
       type: 'smoothstep',
+      markerEnd: getEdgeKindMarker(edge.data?.kind),
+      // Group boundary edges are derived, so only stored edges can be dragged to other nodes
+      reconnectable: !isPreviewing && !edge.data?.isSyntheticGroupEdge,
+      style: {
+        ...(edge.style || {}),
+        ...getDiffEdgeStyle(diffStatuses?.edges.get(edge.id)),
+      },
       data: {
         ...edge.data,
-        onLabelChange: updateEdgeLabel,
+        onLabelChange: isPreviewing ? undefined : updateEdgeLabel,
       },
     }));
-  }, [edges, updateEdgeLabel]);
+  }, [displayedFlow, isPreviewing, diffStatuses, updateEdgeLabel]);
 
-  const nodeTypes = useMemo(() => ({ default: Node, group: Node }), []);
+  const nodeTypes = NODE_RENDERERS;
   const edgeTypes = useMemo(() => ({ smoothstep: Edge }), []);
 
+  // Blocks drags that break the node types' connection rules; the server enforces them too
+  const isValidConnection = useCallback((connection) => {
+    const source = nodesRef.current.find(node => node.id === connection.source);
+    const target = nodesRef.current.find(node => node.id === connection.target);
+    return getConnectionError(source, target) === null;
+  }, []);
+
   const onConnect = useCallback(
     (params) => handleMutation(
       () => createEdge({
         sourceNodeId: params.source,
         targetNodeId: params.target,
         label: ''
-      }),
+      }, activeFlow),
       { errorContext: 'create edge' }
     ),
-    [handleMutation]
+    [handleMutation, activeFlow]
+  );
+
+  // Dragging an edge end onto another node moves that end; the kind and label stay
+  const onReconnect = useCallback(
+    (oldEdge, connection) => handleMutation(
+      () => updateEdge(oldEdge.id, {
+        sourceNodeId: connection.source,
+        targetNodeId: connection.target,
+      }, activeFlow),
+      { errorContext: 'reconnect edge' }
+    ),
+    [handleMutation, activeFlow]
   );
 
   const onPaneClick = useCallback(() => {
     setSelectedNodeIds([]);
+    setInspectedElement(null);
   }, [setSelectedNodeIds]);
 
+  // Right-click opens the style menu at the pointer; previews are read-only
+  const onNodeContextMenu = useCallback((event, node) => {
+    event.preventDefault();
+    setStyleMenu({ nodeId: node.id, x: event.clientX, y: event.clientY });
+  }, []);
+
+  const onEdgeClick = useCallback((event, edge) => {
+    setInspectedElement({ kind: 'edge', id: edge.id });
+  }, []);
+
   const applyGroupExpansion = useCallback(async (groupId, expandState = null) => {
     try {
       // If expandState is null, toggle based on current state
@@ -394,7 +511,7 @@ function App() {
         expand = groupNode?.isCollapsed ?? false;
       }
 
-      const result = await apiToggleGroupExpansion(groupId, expand);
+      const result = await apiToggleGroupExpansion(groupId, expand, activeFlow);
       if (result.success) {
         handleFlowUpdate(result.flow);
       } else {
@@ -403,7 +520,7 @@ function App() {
     } catch (error) {
       console.error('Error toggling group expansion:', error);
     }
-  }, [handleFlowUpdate]);
+  }, [handleFlowUpdate, activeFlow]);
 
   const groupHalos = useMemo(
     () => getExpandedGroupHalos(nodes, getNodeDimensions, THEME.groupNode.halo.padding),
@@ -450,7 +567,7 @@ function App() {
         const targetCollapsedState = getTargetCollapseState(node);
 
         try {
-          const result = await apiToggleSubtreeCollapse(node.id, targetCollapsedState);
+          const result = await apiToggleSubtreeCollapse(node.id, targetCollapsedState, activeFlow);
           if (result.success && result.flow) {
             handleFlowUpdate(result.flow);
           } else {
@@ -474,35 +591,36 @@ function App() {
           }
         });
       }
-      // Regular click: Clear selection
+      // Regular click: Clear selection and inspect the node
       else {
         setSelectedNodeIds([]);
+        setInspectedElement({ kind: 'node', id: node.id });
       }
     },
-    [setSelectedNodeIds, handleFlowUpdate]
+    [setSelectedNodeIds, handleFlowUpdate, activeFlow]
   );
 
   const handleUndo = useCallback(async () => {
     try {
-      const result = await undoFlow();
+      const result = await undoFlow(activeFlow);
       if (result.success && result.flow) {
         handleFlowUpdate(result.flow);
       }
     } catch (error) {
       console.error('Failed to undo:', error);
     }
-  }, [handleFlowUpdate]);
+  }, [handleFlowUpdate, activeFlow]);
 
   const handleRedo = useCallback(async () => {
     try {
-      const result = await redoFlow();
+      const result = await redoFlow(activeFlow);
       if (result.success && result.flow) {
         handleFlowUpdate(result.flow);
       }
     } catch (error) {
       console.error('Failed to redo:', error);
     }
-  }, [handleFlowUpdate]);
+  }, [handleFlowUpdate, activeFlow]);
 
   const handleCreateGroup = useCallback(async () => {
     if (selectedNodeIds.length < 2) {
@@ -520,14 +638,14 @@ function App() {
       () => apiCreateGroup({
         memberIds: selectedNodeIds,
         label: `Group ${Date.now()}`
-      }),
+      }, activeFlow),
       {
         errorContext: 'create group',
         onSuccess: () => setSelectedNodeIds([]),
         onError: (msg) => alert(msg),
       }
     );
-  }, [selectedNodeIds, nodes, handleMutation, setSelectedNodeIds]);
+  }, [selectedNodeIds, nodes, handleMutation, setSelectedNodeIds, activeFlow]);
 
   const ungroupNodes = useCallback(async () => {
     if (selectedNodeIds.length !== 1) {
@@ -543,14 +661,41 @@ function App() {
     }
 
     await handleMutation(
-      () => apiUngroup(selectedNodeIds[0]),
+      () => apiUngroup(selectedNodeIds[0], activeFlow),
       {
         errorContext: 'ungroup',
         onSuccess: () => setSelectedNodeIds([]),
         onError: (msg) => alert(msg),
       }
     );
-  }, [selectedNodeIds, nodes, handleMutation, setSelectedNodeIds]);
+  }, [selectedNodeIds, nodes, handleMutation, setSelectedNodeIds, activeFlow]);
+
+  // Pasting an outline onto the canvas adds its items as nodes (one undo step), then lays the flow out
+  useEffect(() => {
+    const handlePaste = (event) => {
+      if (isPreviewing || event.target?.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+      const text = event.clipboardData?.getData('text/plain');
+      if (!isMarkdownOutline(text)) return;
+      event.preventDefault();
+
+      let operations;
+      try {
+        operations = parseMarkdownOutline(text, { existingIds: nodesRef.current.map(node => node.id) });
+      } catch (error) {
+        alert(`Could not paste outline: ${error.message}`);
+        return;
+      }
+
+      handleMutation(
+        () => applyBatch([...operations, { name: 'autoLayout', params: {} }], activeFlow),
+        { errorContext: 'paste outline' }
+      );
+    };
+
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [isPreviewing, handleMutation, activeFlow]);
 
   // Register keyboard shortcuts
   // Note: Meta keys are automatically expanded to include Control variants for cross-platform support
@@ -577,6 +722,15 @@ function App() {
     return <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', width: '100vw', height: '100vh', color: 'white' }}>Loading...</div>;
   }
 
+  // Deleted elements drop out of the inspector; previews are read-only
+  const inspectedTarget = inspectedElement && !isPreviewing
+    ? (inspectedElement.kind === 'edge' ? edges : nodes).find(item => item.id === inspectedElement.id)
+    : null;
+
+  const styleMenuTarget = styleMenu && !isPreviewing
+    ? nodes.find(node => node.id === styleMenu.nodeId)
+    : null;
+
   const canGroup = selectedNodeIds.length >= 2;
   const canUngroup = Boolean(selectedGroupNode);
   const tooltipConfig = canGroup
@@ -593,6 +747,16 @@ function App() {
         onToggle={() => setIsNotesPanelOpen(!isNotesPanelOpen)}
         externalBullets={notesBullets}
         onFlowUpdate={handleFlowUpdate}
+        flowName={activeFlow}
+      />
+
+      <FlowSwitcher activeFlow={activeFlow} onFlowChange={handleFlowChange} />
+      <CanvasMenu activeFlow={activeFlow} onFlowChange={handleFlowChange} />
+      <HistoryTimeline
+        flowName={activeFlow}
+        onPreview={handleHistoryPreview}
+        onDiff={handleHistoryDiff}
+        onRestore={handleFlowUpdate}
       />
 
       <ReactFlow
@@ -600,11 +764,14 @@ function App() {
         edges={edgesWithHandlers}
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
-        onNodesDelete={onNodesDelete}
-        onEdgesDelete={onEdgesDelete}
+        onDelete={onDelete}
         onConnect={onConnect}
-        onNodeDoubleClick={onNodeDoubleClick}
+        onReconnect={isPreviewing ? undefined : onReconnect}
+        isValidConnection={isValidConnection}
+        onNodeDoubleClick={isPreviewing ? undefined : onNodeDoubleClick}
         onNodeClick={onNodeClick}
+        onEdgeClick={onEdgeClick}
+        onNodeContextMenu={isPreviewing ? undefined : onNodeContextMenu}
         onNodeDragStart={onNodeDragStart}
         onPaneClick={onPaneClick}
         onInit={onInit}
@@ -612,16 +779,36 @@ function App() {
         edgeTypes={edgeTypes}
         colorMode="dark"
         style={{ background: THEME.canvas.background }}
+        nodesDraggable={!isPreviewing}
+        nodesConnectable={!isPreviewing}
+        elementsSelectable={!isPreviewing}
         fitView
         fitViewOptions={{ padding: fitViewPadding }}
         proOptions={{ hideAttribution: true }}
       >
-        <GroupHaloOverlay halos={groupHalos} onCollapse={collapseExpandedGroup} />
+        <GroupHaloOverlay halos={isPreviewing ? [] : groupHalos} onCollapse={collapseExpandedGroup} />
       </ReactFlow>
+      {styleMenuTarget && (
+        <NodeStyleMenu
+          node={styleMenuTarget}
+          position={styleMenu}
+          onStyle={styleMenuNode}
+          onClose={closeStyleMenu}
+        />
+      )}
+      {inspectedTarget && (
+        <PropertyInspector
+          element={inspectedTarget}
+          kind={inspectedElement.kind}
+          onSetProperties={setInspectedProperties}
+          onClose={() => setInspectedElement(null)}
+        />
+      )}
       <ChatInterface
         onFlowUpdate={handleFlowUpdate}
         isNotesPanelOpen={isNotesPanelOpen}
         onNotesUpdate={setNotesBullets}
+        flowName={activeFlow}
       />
       <KeyboardShortcutsPanel tooltipConfig={tooltipConfig} />
     </div>
@@ -35,6 +35,7 @@ const COLOR_INDIGO_ALPHA_70 = 'rgba(129, 140, 248, 0.7)';
 
 // Neutrals - Text, borders, backgrounds
 const COLOR_WHITE = '#ffffff';
+const COLOR_EDGE_GRAY = '#3e3e3e';  // React Flow's dark colorMode edge stroke
 const COLOR_WHITE_ALPHA_40 = 'rgba(255, 255, 255, 0.4)';
 const COLOR_DARK_GRAY_ALPHA_95 = 'rgba(30, 30, 30, 0.95)';
 
@@ -175,6 +176,8 @@ export const THEME = {
   // Text Colors (for inline use)
   // --------------------------------------------------------------------------
   text: {
+    fontFamily: FONT_FAMILY_BASE,
+    monoFontFamily: FONT_FAMILY_MONO,
     primary: COLOR_WHITE,
     secondary: COLOR_NEUTRAL_200,
     tertiary: COLOR_NEUTRAL_400,
@@ -202,6 +205,14 @@ export const THEME = {
       borderRadius: NODE_BORDER_RADIUS,
     },
 
+    // Accent (border and type badge) per registered node type; default nodes have none
+    types: {
+      task: { accent: COLOR_SUCCESS },
+      decision: { accent: COLOR_WARNING },
+      page: { accent: COLOR_BLUE_500 },
+      service: { accent: COLOR_INDIGO_LIGHT },
+    },
+
     // Interactive states
     states: {
       selection: {
@@ -258,6 +269,48 @@ export const THEME = {
     }
   },
 
+  // --------------------------------------------------------------------------
+  // Edges (drawn by React Flow's dark colorMode; mirrored by the server renderer)
+  // --------------------------------------------------------------------------
+  edge: {
+    colors: {
+      stroke: COLOR_EDGE_GRAY,
+      labelBackground: COLOR_DEEP_PURPLE,
+      labelText: COLOR_WHITE,
+    },
+    strokeWidth: 1,
+    labelFontSize: 12,
+
+    // Stroke per registered edge kind; plain edges keep colors.stroke
+    kinds: {
+      'depends-on': { stroke: COLOR_WARNING },
+      blocks: { stroke: COLOR_ERROR },
+      calls: { stroke: COLOR_BLUE_500 },
+      contains: { stroke: COLOR_INDIGO_LIGHT },
+      related: { stroke: COLOR_NEUTRAL_400 },
+    },
+    kindStrokeWidth: 1.5,
+    dashArrays: {
+      dashed: '6 4',
+      dotted: '2 3',
+    },
+    arrowheadSize: 16,
+  },
+
+  // --------------------------------------------------------------------------
+  // Diff Overlay (reviewing what a change did)
+  // --------------------------------------------------------------------------
+  diff: {
+    colors: {
+      added: COLOR_SUCCESS,
+      removed: COLOR_ERROR,
+      changed: COLOR_WARNING,
+    },
+    borderWidth: BORDER_WIDTH_MEDIUM,
+    edgeStrokeWidth: 2,
+    removedOpacity: 0.45,
+  },
+
   // --------------------------------------------------------------------------
   // Tooltips
   // --------------------------------------------------------------------------
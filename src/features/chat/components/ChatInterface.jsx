@@ -1,9 +1,12 @@
 // ABOUTME: Chat interface for AI tool interaction
 // ABOUTME: Provides text input and sends messages to backend
 import { useState, useCallback, useRef, useEffect } from 'react';
-import { sendMessage, clearConversation, getConversationDebug, sendNotesMessage } from '../../../services/api';
+import { sendMessage, clearConversation, getConversationDebug, sendNotesMessage, createCheckpoint } from '../../../services/api';
 import { THEME } from '../../../constants/theme.js';
 
+// "/checkpoint <name>" saves a named checkpoint of the active flow
+const CHECKPOINT_COMMAND = /^\/checkpoint(?:\s+(.*))?$/;
+
 export const Kbd = ({ children, style = {} }) => (
   <kbd
     style={{
@@ -26,7 +29,7 @@ export const Kbd = ({ children, style = {} }) => (
   </kbd>
 );
 
-function ChatInterface({ onFlowUpdate, isNotesPanelOpen = false, onNotesUpdate }) {
+function ChatInterface({ onFlowUpdate, isNotesPanelOpen = false, onNotesUpdate, flowName }) {
   const [message, setMessage] = useState('');
   const [historyPosition, setHistoryPosition] = useState(-1);
   const [draftMessage, setDraftMessage] = useState('');
@@ -76,6 +79,25 @@ function ChatInterface({ onFlowUpdate, isNotesPanelOpen = false, onNotesUpdate }
     setMessage('');
     setIsProcessing(true);
 
+    // Slash commands are handled locally and never reach the AI
+    const checkpointMatch = messageToSend.trim().match(CHECKPOINT_COMMAND);
+    if (checkpointMatch) {
+      const checkpointName = checkpointMatch[1]?.trim();
+      try {
+        if (!checkpointName) {
+          throw new Error('Usage: /checkpoint <name>');
+        }
+        await createCheckpoint(checkpointName, flowName);
+        console.log(`📌 Saved checkpoint "${checkpointName}"`);
+      } catch (error) {
+        alert(error.message);
+      } finally {
+        setIsProcessing(false);
+        submissionLockRef.current = false;
+      }
+      return;
+    }
+
     // Route to notes endpoint when panel is open
     if (isNotesPanelOpen) {
       try {
@@ -116,7 +138,7 @@ function ChatInterface({ onFlowUpdate, isNotesPanelOpen = false, onNotesUpdate }
     }
 
     try {
-      const response = await sendMessage(messageToSend);
+      const response = await sendMessage(messageToSend, flowName);
       console.log('✅ AI Response:', response);
 
       // Update the flow visualization if the AI made changes
@@ -142,7 +164,7 @@ function ChatInterface({ onFlowUpdate, isNotesPanelOpen = false, onNotesUpdate }
       setIsProcessing(false);
       submissionLockRef.current = false;
     }
-  }, [message, isProcessing, isNotesPanelOpen, onFlowUpdate, loadConversationHistory]);
+  }, [message, isProcessing, isNotesPanelOpen, onFlowUpdate, loadConversationHistory, flowName]);
 
   const handleKeyDown = useCallback((e) => {
     if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
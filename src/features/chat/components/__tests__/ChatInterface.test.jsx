@@ -13,6 +13,7 @@ vi.mock('../../../../services/api', () => ({
   clearConversation: vi.fn(),
   getConversationDebug: vi.fn(),
   sendNotesMessage: vi.fn(),
+  createCheckpoint: vi.fn(),
 }));
 
 describe('ChatInterface Component', () => {
@@ -73,7 +74,7 @@ describe('ChatInterface Component', () => {
       await user.keyboard('{Meta>}{Enter}{/Meta}');
 
       await waitFor(() => {
-        expect(api.sendMessage).toHaveBeenCalledWith('Hello AI');
+        expect(api.sendMessage).toHaveBeenCalledWith('Hello AI', undefined);
       });
     });
 
@@ -86,7 +87,20 @@ describe('ChatInterface Component', () => {
       await user.keyboard('{Control>}{Enter}{/Control}');
 
       await waitFor(() => {
-        expect(api.sendMessage).toHaveBeenCalledWith('Test message');
+        expect(api.sendMessage).toHaveBeenCalledWith('Test message', undefined);
+      });
+    });
+
+    it('should send message to the active flow', async () => {
+      render(<ChatInterface onFlowUpdate={mockOnFlowUpdate} flowName="roadmap" />);
+
+      const textarea = screen.getByPlaceholderText(/Type a command/i);
+      await user.click(textarea);
+      await user.type(textarea, 'Hello AI');
+      await user.keyboard('{Meta>}{Enter}{/Meta}');
+
+      await waitFor(() => {
+        expect(api.sendMessage).toHaveBeenCalledWith('Hello AI', 'roadmap');
       });
     });
 
@@ -141,7 +155,7 @@ describe('ChatInterface Component', () => {
       await user.keyboard('{Meta>}{Enter}{/Meta}');
 
       await waitFor(() => {
-        expect(api.sendMessage).toHaveBeenCalledWith('  Test message  ');
+        expect(api.sendMessage).toHaveBeenCalledWith('  Test message  ', undefined);
       });
     });
   });
@@ -254,7 +268,7 @@ describe('ChatInterface Component', () => {
 
       // Should only be called once
       expect(api.sendMessage).toHaveBeenCalledTimes(1);
-      expect(api.sendMessage).toHaveBeenCalledWith('First');
+      expect(api.sendMessage).toHaveBeenCalledWith('First', undefined);
     });
 
     it('should ignore repeated Cmd+Enter events during key repeat', async () => {
@@ -371,7 +385,7 @@ describe('ChatInterface Component', () => {
       await user.keyboard('{Meta>}{Enter}{/Meta}');
 
       await waitFor(() => {
-        expect(api.sendMessage).toHaveBeenCalledWith('Second');
+        expect(api.sendMessage).toHaveBeenCalledWith('Second', undefined);
       });
 
       expect(api.clearConversation).not.toHaveBeenCalled();
@@ -398,6 +412,56 @@ describe('ChatInterface Component', () => {
     });
   });
 
+  describe('Checkpoint Slash Command', () => {
+    beforeEach(() => {
+      api.createCheckpoint.mockResolvedValue({ success: true, checkpoint: { id: 1, name: 'before reorg' } });
+      vi.spyOn(window, 'alert').mockImplementation(() => {});
+    });
+
+    it('should save a named checkpoint for the active flow without calling the AI', async () => {
+      render(<ChatInterface onFlowUpdate={mockOnFlowUpdate} flowName="roadmap" />);
+
+      const textarea = screen.getByPlaceholderText(/Type a command/i);
+      await user.click(textarea);
+      await user.type(textarea, '/checkpoint before reorg');
+      await user.keyboard('{Meta>}{Enter}{/Meta}');
+
+      await waitFor(() => {
+        expect(api.createCheckpoint).toHaveBeenCalledWith('before reorg', 'roadmap');
+      });
+      expect(api.sendMessage).not.toHaveBeenCalled();
+      expect(api.clearConversation).not.toHaveBeenCalled();
+    });
+
+    it('should alert with usage when the name is missing', async () => {
+      render(<ChatInterface onFlowUpdate={mockOnFlowUpdate} />);
+
+      const textarea = screen.getByPlaceholderText(/Type a command/i);
+      await user.click(textarea);
+      await user.type(textarea, '/checkpoint');
+      await user.keyboard('{Meta>}{Enter}{/Meta}');
+
+      await waitFor(() => {
+        expect(window.alert).toHaveBeenCalledWith('Usage: /checkpoint <name>');
+      });
+      expect(api.createCheckpoint).not.toHaveBeenCalled();
+    });
+
+    it('should alert when the checkpoint cannot be saved', async () => {
+      api.createCheckpoint.mockRejectedValue(new Error('Checkpoint "v1" already exists'));
+      render(<ChatInterface onFlowUpdate={mockOnFlowUpdate} />);
+
+      const textarea = screen.getByPlaceholderText(/Type a command/i);
+      await user.click(textarea);
+      await user.type(textarea, '/checkpoint v1');
+      await user.keyboard('{Meta>}{Enter}{/Meta}');
+
+      await waitFor(() => {
+        expect(window.alert).toHaveBeenCalledWith('Checkpoint "v1" already exists');
+      });
+    });
+  });
+
   describe('History Navigation', () => {
     beforeEach(() => {
       api.getConversationDebug.mockResolvedValue({
@@ -725,7 +789,7 @@ describe('ChatInterface Component', () => {
         await user.keyboard('{Meta>}{Enter}{/Meta}');
 
         await waitFor(() => {
-          expect(api.sendMessage).toHaveBeenCalledWith('Create a node');
+          expect(api.sendMessage).toHaveBeenCalledWith('Create a node', undefined);
         });
 
         // Should NOT call the notes endpoint
@@ -743,7 +807,7 @@ describe('ChatInterface Component', () => {
         await user.keyboard('{Meta>}{Enter}{/Meta}');
 
         await waitFor(() => {
-          expect(api.sendMessage).toHaveBeenCalledWith('Default behavior');
+          expect(api.sendMessage).toHaveBeenCalledWith('Default behavior', undefined);
         });
 
         // Should NOT call notes endpoint by default
@@ -1,10 +1,11 @@
-// ABOUTME: Custom edge component with inline editable labels
+// ABOUTME: Custom edge component with inline editable labels, drawn in the style of its kind
 // ABOUTME: Allows double-click editing of edge labels directly on the canvas
 import { memo } from 'react';
 import { BaseEdge, EdgeLabelRenderer, getSmoothStepPath } from '@xyflow/react';
 
 import { THEME } from '../../../constants/theme.js';
 import { useInlineEdit } from '../../../shared/hooks/useInlineEdit.js';
+import { getEdgeKindStyle } from '../utils/edgeKinds.js';
 
 const CustomEdge = ({
   id,
@@ -14,6 +15,8 @@ const CustomEdge = ({
   targetY,
   sourcePosition,
   targetPosition,
+  style,
+  markerEnd,
   data,
 }) => {
   const labelEdit = useInlineEdit(data?.label || '', data?.onLabelChange, id, data?.label);
@@ -29,7 +32,7 @@ const CustomEdge = ({
 
   return (
     <>
-      <BaseEdge id={id} path={edgePath} />
+      <BaseEdge id={id} path={edgePath} style={{ ...getEdgeKindStyle(data?.kind), ...style }} markerEnd={markerEnd} />
       <EdgeLabelRenderer>
         <div
           style={{
@@ -43,9 +43,8 @@ export const GroupHaloOverlay = ({ halos, onCollapse }) => {
             ry={THEME.groupNode.halo.borderRadius}
             fill="none"
             stroke={
-              isHovered
-                ? THEME.groupNode.halo.colors.hovered
-                : THEME.groupNode.halo.colors.normal
+              halo.color
+                ?? (isHovered ? THEME.groupNode.halo.colors.hovered : THEME.groupNode.halo.colors.normal)
             }
             strokeWidth={
               isHovered
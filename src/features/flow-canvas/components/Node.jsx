@@ -1,10 +1,26 @@
 // ABOUTME: Custom node component with label and italic description
-// ABOUTME: Displays node data with styling for visual hierarchy
+// ABOUTME: Displays node data with styling for visual hierarchy, its style icon and diamond outline
+// ABOUTME: Selected editable nodes get resize handles that save a manual size
 import { memo } from 'react';
-import { Handle, Position } from '@xyflow/react';
+import { Handle, Position, NodeResizer } from '@xyflow/react';
 import { useInlineEdit } from '../../../shared/hooks/useInlineEdit.js';
+import { getNodeIcon } from '../../../../shared/nodeStyle/index.js';
+import { MIN_NODE_SIZE, MAX_NODE_SIZE } from '../../../../shared/layout/nodeSize.js';
 
-const CustomNode = ({ data, id }) => {
+// Diamond outline behind the node content; the stroke keeps its width however the node is sized
+const ShapeOutline = ({ fill, stroke, strokeWidth }) => (
+  <svg
+    data-testid="node-shape-outline"
+    aria-hidden="true"
+    viewBox="0 0 100 100"
+    preserveAspectRatio="none"
+    style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', overflow: 'visible', zIndex: -1, pointerEvents: 'none' }}
+  >
+    <polygon points="50,0 100,50 50,100 0,50" fill={fill} stroke={stroke} strokeWidth={strokeWidth} vectorEffect="non-scaling-stroke" />
+  </svg>
+);
+
+const CustomNode = ({ data, id, selected }) => {
   const textColor = data.textColor || 'white';
 
   const labelEdit = useInlineEdit(data.label, data.onLabelChange, id, data.label);
@@ -16,11 +32,27 @@ const CustomNode = ({ data, id }) => {
     true  // alwaysSave: true for description
   );
 
+  const icon = getNodeIcon({ data });
   const descriptionText = data.description || 'Add description...';
   const isPlaceholder = !data.description;
 
+  // Resizing from the top or left edge also moves the node, so the new position is saved with the size
+  const handleResizeEnd = (_event, { x, y, width, height }) => {
+    data.onResize(id, { width: Math.round(width), height: Math.round(height) }, { x, y });
+  };
+
   return (
     <>
+      {selected && data.onResize && (
+        <NodeResizer
+          minWidth={MIN_NODE_SIZE.width}
+          minHeight={MIN_NODE_SIZE.height}
+          maxWidth={MAX_NODE_SIZE.width}
+          maxHeight={MAX_NODE_SIZE.height}
+          onResizeEnd={handleResizeEnd}
+        />
+      )}
+      {data.shapeOutline && <ShapeOutline {...data.shapeOutline} />}
       <Handle type="target" position={Position.Left} />
       {labelEdit.isEditing ? (
         <input
@@ -44,6 +76,7 @@ const CustomNode = ({ data, id }) => {
         />
       ) : (
         <div onDoubleClick={labelEdit.handleDoubleClick} style={{ cursor: 'text' }}>
+          {icon && <span data-testid="node-icon" aria-hidden="true" style={{ marginRight: '4px' }}>{icon}</span>}
           {data.label}
         </div>
       )}
@@ -0,0 +1,154 @@
+// ABOUTME: Context menu for styling a node: fill and border colours, shape and icon
+// ABOUTME: Opens at the pointer on right-click and saves each pick straight away
+import { useEffect, useRef } from 'react';
+import { NODE_SHAPES, NODE_ICONS } from '../../../../shared/nodeStyle/index.js';
+import { THEME } from '../../../constants/theme.js';
+
+// Dark fills that keep the white node text readable, and brighter borders to go with them
+const FILL_SWATCHES = ['#1e3a5f', '#14532d', '#713f12', '#7f1d1d', '#4c1d95', '#374151'];
+const BORDER_SWATCHES = ['#3b82f6', '#22c55e', '#f59e0b', '#ef4444', '#a855f7', '#e5e7eb'];
+
+const SHAPE_LABELS = { rounded: 'Rounded', pill: 'Pill', diamond: 'Diamond', circle: 'Circle' };
+
+const itemStyle = {
+  background: 'transparent',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '4px',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '2px 6px',
+};
+
+const sectionLabelStyle = { fontSize: '10px', textTransform: 'uppercase', opacity: 0.6 };
+
+const activeStyle = (isActive) => (isActive ? { borderColor: 'white', background: 'rgba(255, 255, 255, 0.12)' } : {});
+
+function SwatchRow({ label, styleKey, swatches, current, onStyle }) {
+  return (
+    <div role="group" aria-label={label} style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+      {swatches.map(color => (
+        <button
+          key={color}
+          type="button"
+          role="menuitemradio"
+          aria-checked={current === color}
+          aria-label={`${label} ${color}`}
+          onClick={() => onStyle({ [styleKey]: color })}
+          style={{ ...itemStyle, ...activeStyle(current === color), width: '18px', height: '18px', padding: 0, background: color }}
+        />
+      ))}
+      <button type="button" role="menuitem" style={itemStyle} onClick={() => onStyle({ [styleKey]: null })}>
+        Default
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Style menu for one node
+ *
+ * @param {Object} props.node - Node being styled
+ * @param {Object} props.position - Screen position {x, y} to open at
+ * @param {Function} props.onStyle - (changes) => void; changes hold fill, border, shape or icon, null resets
+ * @param {Function} props.onClose - Closes the menu (Escape or a click outside)
+ */
+function NodeStyleMenu({ node, position, onStyle, onClose }) {
+  const menuRef = useRef(null);
+  const style = node.data?.style ?? {};
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    const handlePointerDown = (event) => {
+      if (!menuRef.current?.contains(event.target)) onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('mousedown', handlePointerDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('mousedown', handlePointerDown);
+    };
+  }, [onClose]);
+
+  return (
+    <div
+      ref={menuRef}
+      role="menu"
+      aria-label={`Style ${node.data?.label ?? node.id}`}
+      data-testid="node-style-menu"
+      style={{
+        position: 'fixed',
+        top: position.y,
+        left: position.x,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '8px',
+        padding: '8px 10px',
+        background: THEME.canvas.background,
+        border: '1px solid rgba(255, 255, 255, 0.15)',
+        borderRadius: '8px',
+        color: 'white',
+        fontSize: '12px',
+        zIndex: 100,
+      }}
+    >
+      <div style={sectionLabelStyle}>Fill</div>
+      <SwatchRow label="Fill" styleKey="fill" swatches={FILL_SWATCHES} current={style.fill} onStyle={onStyle} />
+
+      <div style={sectionLabelStyle}>Border</div>
+      <SwatchRow label="Border" styleKey="border" swatches={BORDER_SWATCHES} current={style.border} onStyle={onStyle} />
+
+      <div style={sectionLabelStyle}>Shape</div>
+      <div role="group" aria-label="Shape" style={{ display: 'flex', gap: '4px' }}>
+        {NODE_SHAPES.map(shape => {
+          const isActive = (style.shape ?? 'rounded') === shape;
+          return (
+            <button
+              key={shape}
+              type="button"
+              role="menuitemradio"
+              aria-checked={isActive}
+              style={{ ...itemStyle, ...activeStyle(isActive) }}
+              onClick={() => onStyle({ shape: shape === 'rounded' ? null : shape })}
+            >
+              {SHAPE_LABELS[shape]}
+            </button>
+          );
+        })}
+      </div>
+
+      <div style={sectionLabelStyle}>Icon</div>
+      <div role="group" aria-label="Icon" style={{ display: 'grid', gridTemplateColumns: 'repeat(8, 22px)', gap: '4px' }}>
+        {Object.entries(NODE_ICONS).map(([name, glyph]) => (
+          <button
+            key={name}
+            type="button"
+            role="menuitemradio"
+            aria-checked={style.icon === name}
+            aria-label={`Icon ${name}`}
+            title={name}
+            style={{ ...itemStyle, ...activeStyle(style.icon === name), padding: 0, height: '22px' }}
+            onClick={() => onStyle({ icon: name })}
+          >
+            {glyph}
+          </button>
+        ))}
+        <button
+          type="button"
+          role="menuitem"
+          aria-label="No icon"
+          title="No icon"
+          style={{ ...itemStyle, padding: 0, height: '22px' }}
+          onClick={() => onStyle({ icon: null })}
+        >
+          ∅
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default NodeStyleMenu;
@@ -0,0 +1,103 @@
+// ABOUTME: Renderers for the registered node types (task, decision, page, service)
+// ABOUTME: Each adds a type badge and its own fields around the shared editable label and description
+import { memo } from 'react';
+import CustomNode from './Node.jsx';
+import { NODE_TYPES } from '../../../../shared/nodeTypes/index.js';
+import { THEME } from '../../../constants/theme.js';
+
+const TASK_STATUS = {
+  todo: { mark: '○', label: 'To do' },
+  in_progress: { mark: '◐', label: 'In progress' },
+  done: { mark: '●', label: 'Done' },
+};
+
+const detailStyle = {
+  fontSize: '10px',
+  opacity: 0.8,
+  marginTop: '4px',
+  maxWidth: '100%',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+  whiteSpace: 'nowrap',
+};
+
+const monoDetailStyle = { ...detailStyle, fontFamily: THEME.text.monoFontFamily };
+
+// Small uppercase type name in the type's accent colour, with optional trailing text
+const TypeBadge = ({ typeName, children }) => (
+  <div
+    data-testid="node-type-badge"
+    style={{
+      fontSize: '9px',
+      textTransform: 'uppercase',
+      letterSpacing: '0.08em',
+      color: THEME.node.types[typeName].accent,
+      marginBottom: '2px',
+    }}
+  >
+    {NODE_TYPES[typeName].label}
+    {children}
+  </div>
+);
+
+const TaskNode = (props) => {
+  const { data } = props;
+  const status = TASK_STATUS[data.status] ?? TASK_STATUS.todo;
+
+  return (
+    <>
+      <TypeBadge typeName="task">{` · ${status.mark} ${status.label}`}</TypeBadge>
+      <CustomNode {...props} />
+      {data.assignee && <div style={detailStyle}>@{data.assignee}</div>}
+    </>
+  );
+};
+
+const DecisionNode = (props) => {
+  const { data } = props;
+
+  return (
+    <>
+      <TypeBadge typeName="decision">{' ?'}</TypeBadge>
+      <CustomNode {...props} />
+      {data.criteria && <div style={detailStyle}>Criteria: {data.criteria}</div>}
+    </>
+  );
+};
+
+const PageNode = (props) => {
+  const { data } = props;
+
+  return (
+    <>
+      <TypeBadge typeName="page" />
+      <CustomNode {...props} />
+      {data.route && <div style={monoDetailStyle}>{data.route}</div>}
+    </>
+  );
+};
+
+const ServiceNode = (props) => {
+  const { data } = props;
+
+  return (
+    <>
+      <TypeBadge typeName="service">{data.technology ? ` · ${data.technology}` : ''}</TypeBadge>
+      <CustomNode {...props} />
+      {data.endpoint && <div style={monoDetailStyle}>{data.endpoint}</div>}
+    </>
+  );
+};
+
+/**
+ * React Flow nodeTypes: a renderer for every registered node type, plus groups
+ * Nodes of unregistered types get React Flow's fallback, the `default` renderer
+ */
+export const NODE_RENDERERS = {
+  default: CustomNode,
+  group: CustomNode,
+  task: memo(TaskNode),
+  decision: memo(DecisionNode),
+  page: memo(PageNode),
+  service: memo(ServiceNode),
+};
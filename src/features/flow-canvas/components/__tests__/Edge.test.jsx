@@ -6,14 +6,16 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { render, screen, fireEvent } from '@testing-library/react';
 import { ReactFlowProvider, getSmoothStepPath } from '@xyflow/react';
 import CustomEdge from '../Edge.jsx';
+import { getEdgeKindMarker } from '../../utils/edgeKinds.js';
+import { THEME } from '../../../../constants/theme.js';
 
 // Mock React Flow components
 vi.mock('@xyflow/react', async () => {
   const actual = await vi.importActual('@xyflow/react');
   return {
     ...actual,
-    BaseEdge: ({ id, path }) => (
-      <path data-testid={`base-edge-${id}`} d={path} />
+    BaseEdge: ({ id, path, style, markerEnd }) => (
+      <path data-testid={`base-edge-${id}`} d={path} style={style} markerEnd={markerEnd} />
     ),
     EdgeLabelRenderer: ({ children }) => (
       <div data-testid="edge-label-renderer">{children}</div>
@@ -43,6 +45,16 @@ describe('CustomEdge Component', () => {
   });
 
   describe('Edge Rendering', () => {
+    it('should pass the edge style to BaseEdge (diff mode colours)', () => {
+      render(
+        <ReactFlowProvider>
+          <CustomEdge {...baseProps} data={{}} style={{ stroke: 'rgb(239, 68, 68)' }} />
+        </ReactFlowProvider>
+      );
+
+      expect(screen.getByTestId('base-edge-edge-1')).toHaveStyle({ stroke: 'rgb(239, 68, 68)' });
+    });
+
     it('should render BaseEdge with correct path', () => {
       const data = { label: 'Test Edge' };
 
@@ -611,4 +623,47 @@ describe('CustomEdge Component', () => {
       expect(onLabelChange).toHaveBeenCalledTimes(2);
     });
   });
+
+  describe('Edge Kinds', () => {
+    it('should draw the kind\'s colour and dash pattern and pass the arrowhead through', () => {
+      render(
+        <ReactFlowProvider>
+          <svg>
+            <CustomEdge {...baseProps} data={{ kind: 'depends-on' }} markerEnd="url(#arrow)" />
+          </svg>
+        </ReactFlowProvider>
+      );
+
+      const path = screen.getByTestId('base-edge-edge-1');
+      expect(path.style.stroke).toBe(THEME.edge.kinds['depends-on'].stroke);
+      expect(path.style.strokeDasharray).toBe(THEME.edge.dashArrays.dashed);
+      expect(path.getAttribute('marker-end')).toBe('url(#arrow)');
+    });
+
+    it('should let diff highlights override the kind colour', () => {
+      render(
+        <ReactFlowProvider>
+          <svg>
+            <CustomEdge {...baseProps} data={{ kind: 'blocks' }} style={{ stroke: '#10b981' }} />
+          </svg>
+        </ReactFlowProvider>
+      );
+
+      expect(screen.getByTestId('base-edge-edge-1').style.stroke).toBe('#10b981');
+    });
+  });
+
+  describe('getEdgeKindMarker', () => {
+    it('should give directed kinds a coloured arrowhead and others none', () => {
+      expect(getEdgeKindMarker('calls')).toEqual({
+        type: 'arrow',
+        color: THEME.edge.kinds.calls.stroke,
+        width: THEME.edge.arrowheadSize,
+        height: THEME.edge.arrowheadSize,
+      });
+      expect(getEdgeKindMarker('blocks').type).toBe('arrowclosed');
+      expect(getEdgeKindMarker('related')).toBeUndefined();
+      expect(getEdgeKindMarker(undefined)).toBeUndefined();
+    });
+  });
 });
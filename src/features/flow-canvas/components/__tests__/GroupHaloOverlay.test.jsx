@@ -59,4 +59,16 @@ describe('GroupHaloOverlay', () => {
     expect(rect).toHaveAttribute('stroke', `${THEME.groupNode.halo.colors.hovered}`);
     expect(rect).toHaveAttribute('stroke-width', `${THEME.groupNode.halo.strokeWidth.hovered}`);
   });
+
+  test('uses the group style colour in place of the theme colours', () => {
+    const { container } = render(<GroupHaloOverlay halos={[{ ...halo, color: '#22c55e' }]} onCollapse={vi.fn()} />);
+    const rect = container.querySelector('rect');
+    expect(rect).toHaveAttribute('stroke', '#22c55e');
+
+    act(() => {
+      fireEvent.mouseEnter(rect);
+    });
+
+    expect(rect).toHaveAttribute('stroke', '#22c55e');
+  });
 });
@@ -7,12 +7,19 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { ReactFlowProvider } from '@xyflow/react';
 import CustomNode from '../Node.jsx';
 
-// Mock React Flow's Handle component
+// Mock React Flow's Handle component, and NodeResizer with a button that ends a resize
 vi.mock('@xyflow/react', async () => {
   const actual = await vi.importActual('@xyflow/react');
   return {
     ...actual,
     Handle: ({ type, position }) => <div data-testid={`handle-${type}-${position}`} />,
+    NodeResizer: ({ minWidth, minHeight, onResizeEnd }) => (
+      <button
+        data-testid="node-resizer"
+        data-min={`${minWidth}x${minHeight}`}
+        onClick={() => onResizeEnd({}, { x: -20, y: 10, width: 240.4, height: 119.6 })}
+      />
+    ),
     Position: actual.Position,
   };
 });
@@ -890,4 +897,64 @@ describe('CustomNode Component', () => {
       // In JSDOM, autofocus behavior is not fully simulated, so we just verify the input exists
     });
   });
+
+  describe('Node Style', () => {
+    const renderStyled = (data) => render(
+      <ReactFlowProvider>
+        <CustomNode data={{ label: 'Styled', onLabelChange: vi.fn(), onDescriptionChange: vi.fn(), ...data }} id="node-1" />
+      </ReactFlowProvider>
+    );
+
+    it('should show the style icon before the label', () => {
+      renderStyled({ style: { icon: 'check' } });
+
+      expect(screen.getByTestId('node-icon')).toHaveTextContent('✓');
+      expect(screen.getByTestId('node-icon').parentElement).toHaveTextContent('✓Styled');
+    });
+
+    it('should render no icon or outline for an unstyled node', () => {
+      renderStyled({});
+
+      expect(screen.queryByTestId('node-icon')).not.toBeInTheDocument();
+      expect(screen.queryByTestId('node-shape-outline')).not.toBeInTheDocument();
+    });
+
+    it('should draw the diamond outline with the given colours', () => {
+      renderStyled({ shapeOutline: { fill: '#1e3a5f', stroke: '#f59e0b', strokeWidth: 2 } });
+
+      const polygon = screen.getByTestId('node-shape-outline').querySelector('polygon');
+      expect(polygon).toHaveAttribute('fill', '#1e3a5f');
+      expect(polygon).toHaveAttribute('stroke', '#f59e0b');
+    });
+  });
+
+  describe('Resizing', () => {
+    const renderResizable = (props) => render(
+      <ReactFlowProvider>
+        <CustomNode data={{ label: 'Sized', onLabelChange: vi.fn(), onDescriptionChange: vi.fn(), ...props.data }} id="node-1" selected={props.selected} />
+      </ReactFlowProvider>
+    );
+
+    it('should show resize handles only on a selected node that can be resized', () => {
+      const onResize = vi.fn();
+
+      const { unmount } = renderResizable({ data: { onResize }, selected: false });
+      expect(screen.queryByTestId('node-resizer')).not.toBeInTheDocument();
+      unmount();
+
+      renderResizable({ data: {}, selected: true });
+      expect(screen.queryByTestId('node-resizer')).not.toBeInTheDocument();
+    });
+
+    it('should save the rounded size and the new position when a resize ends', () => {
+      const onResize = vi.fn();
+      renderResizable({ data: { onResize }, selected: true });
+
+      const resizer = screen.getByTestId('node-resizer');
+      expect(resizer).toHaveAttribute('data-min', '80x40');
+
+      fireEvent.click(resizer);
+      expect(onResize).toHaveBeenCalledWith('node-1', { width: 240, height: 120 }, { x: -20, y: 10 });
+    });
+  });
 });
@@ -0,0 +1,75 @@
+// ABOUTME: Unit tests for the node style context menu
+// ABOUTME: Tests colour, shape and icon picks, resets and closing the menu
+
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import NodeStyleMenu from '../NodeStyleMenu.jsx';
+
+const renderMenu = (style, handlers = {}) => {
+  const onStyle = handlers.onStyle ?? vi.fn();
+  const onClose = handlers.onClose ?? vi.fn();
+  render(
+    <NodeStyleMenu
+      node={{ id: 'n1', data: { label: 'Login', ...(style ? { style } : {}) } }}
+      position={{ x: 40, y: 60 }}
+      onStyle={onStyle}
+      onClose={onClose}
+    />
+  );
+  return { onStyle, onClose };
+};
+
+describe('NodeStyleMenu', () => {
+  it('opens at the given position, named after the node', () => {
+    renderMenu();
+    const menu = screen.getByRole('menu', { name: 'Style Login' });
+    expect(menu.style.left).toBe('40px');
+    expect(menu.style.top).toBe('60px');
+  });
+
+  it('sends the picked colour, shape or icon', () => {
+    const { onStyle } = renderMenu();
+
+    fireEvent.click(screen.getByRole('menuitemradio', { name: 'Fill #14532d' }));
+    fireEvent.click(screen.getByRole('menuitemradio', { name: 'Border #ef4444' }));
+    fireEvent.click(screen.getByRole('menuitemradio', { name: 'Diamond' }));
+    fireEvent.click(screen.getByRole('menuitemradio', { name: 'Icon star' }));
+
+    expect(onStyle.mock.calls).toEqual([
+      [{ fill: '#14532d' }],
+      [{ border: '#ef4444' }],
+      [{ shape: 'diamond' }],
+      [{ icon: 'star' }],
+    ]);
+  });
+
+  it('resets with null, including picking the default rounded shape', () => {
+    const { onStyle } = renderMenu({ fill: '#14532d', shape: 'pill', icon: 'star' });
+
+    fireEvent.click(within(screen.getByRole('group', { name: 'Fill' })).getByRole('menuitem', { name: 'Default' }));
+    fireEvent.click(screen.getByRole('menuitemradio', { name: 'Rounded' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: 'No icon' }));
+
+    expect(onStyle.mock.calls).toEqual([[{ fill: null }], [{ shape: null }], [{ icon: null }]]);
+  });
+
+  it('marks the current choices as checked', () => {
+    renderMenu({ border: '#22c55e', shape: 'circle' });
+
+    expect(screen.getByRole('menuitemradio', { name: 'Border #22c55e' })).toHaveAttribute('aria-checked', 'true');
+    expect(screen.getByRole('menuitemradio', { name: 'Circle' })).toHaveAttribute('aria-checked', 'true');
+    expect(screen.getByRole('menuitemradio', { name: 'Rounded' })).toHaveAttribute('aria-checked', 'false');
+  });
+
+  it('closes on Escape and on a click outside, but not on a click inside', () => {
+    const { onClose } = renderMenu();
+
+    fireEvent.mouseDown(screen.getByRole('menuitemradio', { name: 'Pill' }));
+    expect(onClose).not.toHaveBeenCalled();
+
+    fireEvent.mouseDown(document.body);
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(onClose).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,67 @@
+// ABOUTME: Unit tests for the typed node renderers
+// ABOUTME: Tests type badges, type-specific fields and the nodeTypes map
+
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { ReactFlowProvider } from '@xyflow/react';
+import CustomNode from '../Node.jsx';
+import { NODE_RENDERERS } from '../TypedNodes.jsx';
+
+// Mock React Flow's Handle component
+vi.mock('@xyflow/react', async () => {
+  const actual = await vi.importActual('@xyflow/react');
+  return {
+    ...actual,
+    Handle: ({ type, position }) => <div data-testid={`handle-${type}-${position}`} />,
+    Position: actual.Position,
+  };
+});
+
+const renderNode = (type, data) => {
+  const Renderer = NODE_RENDERERS[type];
+  return render(
+    <ReactFlowProvider>
+      <Renderer id="node-1" type={type} data={{ onLabelChange: vi.fn(), onDescriptionChange: vi.fn(), ...data }} />
+    </ReactFlowProvider>
+  );
+};
+
+describe('Typed node renderers', () => {
+  it('renders default and group nodes with the plain node', () => {
+    expect(NODE_RENDERERS.default).toBe(CustomNode);
+    expect(NODE_RENDERERS.group).toBe(CustomNode);
+  });
+
+  it('renders a task with its status and assignee', () => {
+    const { container } = renderNode('task', { label: 'Ship it', status: 'in_progress', assignee: 'sam' });
+
+    expect(screen.getByTestId('node-type-badge').textContent).toContain('In progress');
+    expect(container.textContent).toContain('Ship it');
+    expect(container.textContent).toContain('@sam');
+  });
+
+  it('renders decision criteria', () => {
+    const { container } = renderNode('decision', { label: 'Paid plan?', criteria: 'Has a card' });
+
+    expect(screen.getByTestId('node-type-badge').textContent).toContain('Decision');
+    expect(container.textContent).toContain('Criteria: Has a card');
+  });
+
+  it('renders the page route and the service technology and endpoint', () => {
+    const page = renderNode('page', { label: 'Home', route: '/home' });
+    expect(page.container.textContent).toContain('/home');
+    page.unmount();
+
+    renderNode('service', { label: 'API', technology: 'Express', endpoint: '/api' });
+    expect(screen.getByTestId('node-type-badge').textContent).toBe('Service · Express');
+    expect(screen.getByText('/api')).toBeTruthy();
+  });
+
+  it('keeps the label editable and the handles of the plain node', () => {
+    renderNode('page', { label: 'Home' });
+
+    expect(screen.getByTestId('handle-target-left')).toBeTruthy();
+    expect(screen.getByTestId('handle-source-right')).toBeTruthy();
+  });
+});
@@ -10,15 +10,8 @@ import { getAllDescendants } from '../../../../shared/flowUtils/subtreeHelpers.j
 export { getAllDescendants };
 
 export const getLayoutedElements = (nodes, edges, direction = 'LR') => {
-  return applyDagreLayout({
-    nodes,
-    edges,
-    direction,
-    nodeDimensions: {
-      width: THEME.node.dimensions.width,
-      height: THEME.node.dimensions.height,
-    },
-  });
+  // Each node is laid out at its own size, so the animation lands where autoLayout puts nodes
+  return applyDagreLayout({ nodes, edges, direction });
 };
 
 export function useFlowLayout(setNodes, setEdges, reactFlowInstance) {
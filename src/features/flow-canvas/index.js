@@ -1,7 +1,12 @@
 // ABOUTME: Flow canvas feature barrel exports
 // ABOUTME: Public API for flow canvas components, hooks, and utilities
 export { default as Node } from './components/Node.jsx';
+export { NODE_RENDERERS } from './components/TypedNodes.jsx';
 export { default as Edge } from './components/Edge.jsx';
 export { GroupHaloOverlay } from './components/GroupHaloOverlay.jsx';
+export { default as NodeStyleMenu } from './components/NodeStyleMenu.jsx';
 export { useFlowLayout, getAllDescendants } from './hooks/useFlowLayout.js';
 export * from './utils/groupUtils.js';
+export * from './utils/diffOverlay.js';
+export * from './utils/nodeShapes.js';
+export * from './utils/edgeKinds.js';
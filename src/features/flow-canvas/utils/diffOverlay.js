@@ -0,0 +1,70 @@
+// ABOUTME: Canvas diff mode helpers - colour added, removed and changed nodes/edges
+// ABOUTME: Consumes diffs from shared/flowUtils/flowDiff (via the history diff API)
+import { THEME } from '../../../constants/theme.js';
+
+/**
+ * Map node and edge ids to their diff status ('added' | 'removed' | 'changed').
+ *
+ * @param {Object} diff - Result of diffFlows
+ * @returns {Object} {nodes: Map, edges: Map}
+ */
+export function getDiffStatuses(diff) {
+  const statuses = ({ added, removed, changed }) => new Map([
+    ...added.map(item => [item.id, 'added']),
+    ...removed.map(item => [item.id, 'removed']),
+    ...changed.map(item => [item.id, 'changed']),
+  ]);
+
+  return { nodes: statuses(diff.nodes), edges: statuses(diff.edges) };
+}
+
+/**
+ * Add the diff's removed nodes and edges back into a flow so they can be shown as ghosts.
+ * Items whose ids are already present are skipped.
+ *
+ * @param {Object} flow - Displayed flow {nodes, edges} (the diff's "after" side)
+ * @param {Object} diff - Result of diffFlows
+ * @returns {Object} Flow {nodes, edges} including removed items
+ */
+export function includeRemovedItems(flow, diff) {
+  const withRemoved = (items, removed) => {
+    const ids = new Set(items.map(item => item.id));
+    return [...items, ...removed.filter(item => !ids.has(item.id))];
+  };
+
+  return {
+    nodes: withRemoved(flow.nodes, diff.nodes.removed),
+    edges: withRemoved(flow.edges, diff.edges.removed),
+  };
+}
+
+/**
+ * Style overrides for a node with the given diff status (empty when unchanged).
+ */
+export function getDiffNodeStyle(status) {
+  if (!status) return {};
+
+  const color = THEME.diff.colors[status];
+  return {
+    borderWidth: THEME.diff.borderWidth,
+    borderColor: color,
+    borderStyle: status === 'removed' ? 'dashed' : 'solid',
+    boxShadow: `0 0 0 2px ${color}`,
+    ...(status === 'removed' ? { opacity: THEME.diff.removedOpacity } : {}),
+  };
+}
+
+/**
+ * Style overrides for an edge with the given diff status (empty when unchanged).
+ */
+export function getDiffEdgeStyle(status) {
+  if (!status) return {};
+
+  return {
+    stroke: THEME.diff.colors[status],
+    strokeWidth: THEME.diff.edgeStrokeWidth,
+    ...(status === 'removed'
+      ? { strokeDasharray: '6 4', opacity: THEME.diff.removedOpacity }
+      : {}),
+  };
+}
@@ -0,0 +1,44 @@
+// ABOUTME: Turns an edge's kind into React Flow stroke styles and arrowhead markers for the canvas
+// ABOUTME: Plain edges (no kind) keep React Flow's default look
+
+import { getEdgeKind } from '../../../../shared/edgeKinds/index.js';
+import { THEME } from '../../../constants/theme.js';
+
+// Arrowheads are named after React Flow's MarkerType values ('arrow', 'arrowclosed')
+const MARKER_TYPES = new Set(['arrow', 'arrowclosed']);
+
+/**
+ * Stroke colour, width and dash pattern for an edge kind
+ *
+ * @param {string} kind - Value of edge.data.kind, may be undefined
+ * @returns {Object} SVG path style; empty for plain edges
+ */
+export function getEdgeKindStyle(kind) {
+  const edgeKind = getEdgeKind(kind);
+  if (!edgeKind) return {};
+
+  const dashArray = THEME.edge.dashArrays[edgeKind.lineStyle];
+  return {
+    stroke: THEME.edge.kinds[kind].stroke,
+    strokeWidth: THEME.edge.kindStrokeWidth,
+    ...(dashArray ? { strokeDasharray: dashArray } : {}),
+  };
+}
+
+/**
+ * Arrowhead for the target end of an edge of this kind
+ *
+ * @param {string} kind - Value of edge.data.kind, may be undefined
+ * @returns {Object|undefined} React Flow markerEnd, undefined for plain and undirected edges
+ */
+export function getEdgeKindMarker(kind) {
+  const edgeKind = getEdgeKind(kind);
+  if (!edgeKind || !MARKER_TYPES.has(edgeKind.arrowhead)) return undefined;
+
+  return {
+    type: edgeKind.arrowhead,
+    color: THEME.edge.kinds[kind].stroke,
+    width: THEME.edge.arrowheadSize,
+    height: THEME.edge.arrowheadSize,
+  };
+}
@@ -3,6 +3,7 @@
 
 import { THEME } from '../../../constants/theme.js';
 import { collapseSubtreeByHandles as collapseSubtreeCore } from '../../../../shared/flowUtils/subtreeHelpers.js';
+import { getNodeSize } from '../../../../shared/layout/nodeSize.js';
 
 const GROUP_EDGE_PREFIX = 'group-edge-';
 
@@ -494,9 +495,10 @@ const computeHaloPaddingForDepth = (depth, config) => {
 
 /**
  * Computes the axis-aligned bounding box for a collection of nodes.
+ * Nodes are measured with getNodeDimensions, by default each node's own size.
  * Returns null if nodes array is empty or bounds are invalid (non-finite).
  */
-export const computeNodeBounds = (nodes, getNodeDimensions) => {
+export const computeNodeBounds = (nodes, getNodeDimensions = getNodeSize) => {
   if (!nodes || nodes.length === 0) return null;
 
   let minX = Infinity;
@@ -522,7 +524,7 @@ export const computeNodeBounds = (nodes, getNodeDimensions) => {
   return { minX, minY, maxX, maxY };
 };
 
-export const getExpandedGroupHalos = (nodes, getNodeDimensions, paddingConfig = THEME.groupNode.halo.padding) => {
+export const getExpandedGroupHalos = (nodes, getNodeDimensions = getNodeSize, paddingConfig = THEME.groupNode.halo.padding) => {
   if (!Array.isArray(nodes) || !nodes.length) return [];
 
   const config = normalizeHaloPaddingConfig(paddingConfig);
@@ -564,9 +566,13 @@ export const getExpandedGroupHalos = (nodes, getNodeDimensions, paddingConfig =
     const horizontalPadding = computeHaloPaddingForDepth(0, config.x);
     const verticalPadding = computeHaloPaddingForDepth(nestedDepth, config.y);
 
+    // A group's styled border (or fill) colours its halo
+    const color = node.data?.style?.border ?? node.data?.style?.fill;
+
     return {
       groupId: node.id,
       label: node?.data?.label ?? 'Group',
+      ...(color ? { color } : {}),
       bounds: {
         x: bounds.minX - horizontalPadding,
         y: bounds.minY - verticalPadding,
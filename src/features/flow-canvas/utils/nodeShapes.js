@@ -0,0 +1,33 @@
+// ABOUTME: Turns a node's shape into React Flow node styles for the canvas
+// ABOUTME: Rounded, pill and circle are border radii; diamonds are drawn by the node as an SVG outline
+
+/**
+ * Apply a node shape to its computed canvas style
+ *
+ * The style's final background and border (after selection and diff
+ * highlights) are kept: rounded, pill and circle adjust the border radius;
+ * a diamond moves them to an outline that Node.jsx draws behind its content.
+ *
+ * @param {string} shape - One of NODE_SHAPES
+ * @param {Object} style - Node style with background, borderColor, borderWidth and numeric height
+ * @returns {Object} {style, outline}; outline is {fill, stroke, strokeWidth} for diamonds, otherwise null
+ */
+export function applyNodeShape(shape, style) {
+  switch (shape) {
+    case 'pill':
+      return { style: { ...style, borderRadius: `${style.height / 2}px` }, outline: null };
+    case 'circle':
+      return { style: { ...style, borderRadius: '50%' }, outline: null };
+    case 'diamond':
+      return {
+        style: { ...style, background: 'transparent', borderColor: 'transparent', boxShadow: 'none' },
+        outline: {
+          fill: style.background,
+          stroke: style.borderColor,
+          strokeWidth: parseFloat(style.borderWidth) || 1,
+        },
+      };
+    default:
+      return { style, outline: null };
+  }
+}
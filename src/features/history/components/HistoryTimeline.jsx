@@ -0,0 +1,178 @@
+// ABOUTME: Timeline scrubber over a flow's undo snapshots
+// ABOUTME: Previews past states on the canvas, highlights their changes and restores the selected one
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getFlowHistory, getHistorySnapshot, getHistoryDiff, restoreSnapshot } from '../../../services/api';
+import { THEME } from '../../../constants/theme.js';
+
+const buttonStyle = {
+  background: 'transparent',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '4px',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '4px 8px',
+};
+
+// "+2 nodes, -1 edge, 3 changed" style description of a snapshot's change summary
+function describeChange(summary) {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const parts = [];
+
+  if (summary.nodes.added) parts.push(`+${plural(summary.nodes.added, 'node')}`);
+  if (summary.nodes.removed) parts.push(`-${plural(summary.nodes.removed, 'node')}`);
+  if (summary.edges.added) parts.push(`+${plural(summary.edges.added, 'edge')}`);
+  if (summary.edges.removed) parts.push(`-${plural(summary.edges.removed, 'edge')}`);
+
+  const changed = summary.nodes.changed + summary.edges.changed;
+  if (changed) parts.push(`${changed} changed`);
+
+  return parts.length > 0 ? parts.join(', ') : 'no changes';
+}
+
+function HistoryTimeline({ flowName, onPreview, onDiff, onRestore }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [position, setPosition] = useState(0);
+  const [showChanges, setShowChanges] = useState(false);
+  const latestRequestRef = useRef(null);
+
+  const close = useCallback(() => {
+    latestRequestRef.current = null;
+    setIsOpen(false);
+    setSnapshots([]);
+    setShowChanges(false);
+    onPreview?.(null);
+    onDiff?.(null);
+  }, [onPreview, onDiff]);
+
+  // A preview belongs to one flow; switching flows closes the timeline
+  useEffect(() => {
+    close();
+  }, [flowName, close]);
+
+  const open = useCallback(async () => {
+    try {
+      const timeline = await getFlowHistory(flowName);
+      const currentPosition = timeline.snapshots.findIndex(snapshot => snapshot.isCurrent);
+      setSnapshots(timeline.snapshots);
+      setPosition(currentPosition === -1 ? timeline.snapshots.length - 1 : currentPosition);
+      setIsOpen(true);
+    } catch (error) {
+      console.error('Failed to load history:', error);
+    }
+  }, [flowName]);
+
+  // Show a snapshot on the canvas, optionally highlighting what it changed from its parent
+  const showSnapshot = useCallback(async (snapshot, highlight) => {
+    const request = {};
+    latestRequestRef.current = request;
+
+    try {
+      const [preview, comparison] = await Promise.all([
+        snapshot.isCurrent ? null : getHistorySnapshot(snapshot.id, flowName),
+        highlight && snapshot.parentId !== null
+          ? getHistoryDiff(snapshot.parentId, snapshot.id, flowName)
+          : null,
+      ]);
+
+      // Ignore responses that arrive after the user scrubbed elsewhere
+      if (latestRequestRef.current === request) {
+        onPreview?.(preview ? preview.flow : null);
+        onDiff?.(comparison ? comparison.diff : null);
+      }
+    } catch (error) {
+      console.error('Failed to preview snapshot:', error);
+    }
+  }, [flowName, onPreview, onDiff]);
+
+  const handleScrub = useCallback((event) => {
+    const nextPosition = Number(event.target.value);
+    setPosition(nextPosition);
+    showSnapshot(snapshots[nextPosition], showChanges);
+  }, [snapshots, showChanges, showSnapshot]);
+
+  const handleToggleChanges = useCallback(() => {
+    const nextShowChanges = !showChanges;
+    setShowChanges(nextShowChanges);
+    showSnapshot(snapshots[position], nextShowChanges);
+  }, [snapshots, position, showChanges, showSnapshot]);
+
+  const handleRestore = useCallback(async () => {
+    const snapshot = snapshots[position];
+    try {
+      const result = await restoreSnapshot(snapshot.id, flowName);
+      close();
+      onRestore?.(result.flow);
+    } catch (error) {
+      alert(error.message);
+    }
+  }, [snapshots, position, flowName, close, onRestore]);
+
+  const selected = snapshots[position];
+
+  return (
+    <div
+      data-testid="history-timeline"
+      style={{
+        position: 'fixed',
+        top: '64px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        padding: '6px 10px',
+        background: THEME.canvas.background,
+        border: '1px solid rgba(255, 255, 255, 0.15)',
+        borderRadius: '8px',
+        color: 'white',
+        fontSize: '12px',
+        zIndex: 100,
+      }}
+    >
+      {!isOpen ? (
+        <button type="button" style={buttonStyle} onClick={open}>History</button>
+      ) : snapshots.length === 0 ? (
+        <>
+          <span>No history yet</span>
+          <button type="button" style={buttonStyle} onClick={close}>Close</button>
+        </>
+      ) : (
+        <>
+          <input
+            type="range"
+            aria-label="History position"
+            min={0}
+            max={snapshots.length - 1}
+            value={position}
+            onChange={handleScrub}
+            style={{ width: '220px' }}
+          />
+          <span data-testid="history-timeline-label" style={{ minWidth: '220px' }}>
+            {new Date(selected.createdAt).toLocaleTimeString()}
+            {' · '}
+            {selected.origin ?? 'manual'}
+            {' · '}
+            {describeChange(selected.summary)}
+          </span>
+          <button
+            type="button"
+            style={{ ...buttonStyle, ...(showChanges ? { borderColor: THEME.diff.colors.changed } : {}) }}
+            onClick={handleToggleChanges}
+            aria-pressed={showChanges}
+            title="Highlight what this snapshot changed"
+          >
+            Changes
+          </button>
+          <button type="button" style={buttonStyle} onClick={handleRestore} disabled={selected.isCurrent}>
+            Restore
+          </button>
+          <button type="button" style={buttonStyle} onClick={close}>Close</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HistoryTimeline;
@@ -0,0 +1,178 @@
+// ABOUTME: Unit tests for HistoryTimeline component
+// ABOUTME: Tests loading the timeline, previewing while scrubbing, highlighting changes, and restoring
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import HistoryTimeline from '../HistoryTimeline.jsx';
+import * as api from '../../../../services/api';
+
+vi.mock('../../../../services/api', () => ({
+  getFlowHistory: vi.fn(),
+  getHistorySnapshot: vi.fn(),
+  getHistoryDiff: vi.fn(),
+  restoreSnapshot: vi.fn(),
+}));
+
+const emptySummary = {
+  nodeCount: 1,
+  edgeCount: 0,
+  nodes: { added: 0, removed: 0, changed: 0 },
+  edges: { added: 0, removed: 0, changed: 0 },
+};
+
+const timeline = {
+  currentId: 2,
+  snapshots: [
+    {
+      id: 1,
+      parentId: null,
+      createdAt: '2025-01-01T10:00:00.000Z',
+      origin: 'llm.tool',
+      isCurrent: false,
+      summary: { ...emptySummary, nodes: { added: 1, removed: 0, changed: 0 } },
+    },
+    {
+      id: 2,
+      parentId: 1,
+      createdAt: '2025-01-01T10:05:00.000Z',
+      origin: 'ui.node.update',
+      isCurrent: true,
+      summary: { ...emptySummary, nodes: { added: 0, removed: 0, changed: 1 } },
+    },
+  ],
+};
+
+describe('HistoryTimeline Component', () => {
+  let onPreview;
+  let onDiff;
+  let onRestore;
+  let user;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    onPreview = vi.fn();
+    onDiff = vi.fn();
+    onRestore = vi.fn();
+    user = userEvent.setup();
+    api.getFlowHistory.mockResolvedValue(timeline);
+    vi.spyOn(window, 'alert').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should open at the current snapshot with its origin and summary', async () => {
+    render(<HistoryTimeline flowName="main" onPreview={onPreview} onRestore={onRestore} />);
+
+    await user.click(screen.getByRole('button', { name: 'History' }));
+
+    expect(api.getFlowHistory).toHaveBeenCalledWith('main');
+    expect(await screen.findByRole('slider', { name: /history position/i })).toHaveValue('1');
+    expect(screen.getByTestId('history-timeline-label')).toHaveTextContent('ui.node.update · 1 changed');
+    expect(screen.getByRole('button', { name: 'Restore' })).toBeDisabled();
+  });
+
+  it('should preview a past snapshot while scrubbing', async () => {
+    const pastFlow = { nodes: [{ id: 'a' }], edges: [] };
+    api.getHistorySnapshot.mockResolvedValue({ success: true, snapshotId: 1, flow: pastFlow });
+    render(<HistoryTimeline flowName="roadmap" onPreview={onPreview} onRestore={onRestore} />);
+    await user.click(screen.getByRole('button', { name: 'History' }));
+
+    fireEvent.change(await screen.findByRole('slider', { name: /history position/i }), { target: { value: '0' } });
+
+    await waitFor(() => {
+      expect(onPreview).toHaveBeenCalledWith(pastFlow);
+    });
+    expect(api.getHistorySnapshot).toHaveBeenCalledWith(1, 'roadmap');
+    expect(screen.getByTestId('history-timeline-label')).toHaveTextContent('llm.tool · +1 node');
+  });
+
+  it('should restore the previewed snapshot and close', async () => {
+    const restoredFlow = { nodes: [{ id: 'a' }], edges: [] };
+    api.getHistorySnapshot.mockResolvedValue({ success: true, snapshotId: 1, flow: restoredFlow });
+    api.restoreSnapshot.mockResolvedValue({ success: true, flow: restoredFlow });
+    render(<HistoryTimeline flowName="main" onPreview={onPreview} onRestore={onRestore} />);
+    await user.click(screen.getByRole('button', { name: 'History' }));
+    fireEvent.change(await screen.findByRole('slider', { name: /history position/i }), { target: { value: '0' } });
+
+    await user.click(screen.getByRole('button', { name: 'Restore' }));
+
+    await waitFor(() => {
+      expect(onRestore).toHaveBeenCalledWith(restoredFlow);
+    });
+    expect(api.restoreSnapshot).toHaveBeenCalledWith(1, 'main');
+    expect(onPreview).toHaveBeenLastCalledWith(null);
+    expect(screen.getByRole('button', { name: 'History' })).toBeInTheDocument();
+  });
+
+  it('should clear the preview when closed', async () => {
+    render(<HistoryTimeline flowName="main" onPreview={onPreview} onRestore={onRestore} />);
+    await user.click(screen.getByRole('button', { name: 'History' }));
+    await screen.findByRole('slider', { name: /history position/i });
+    onPreview.mockClear();
+
+    await user.click(screen.getByRole('button', { name: 'Close' }));
+
+    expect(onPreview).toHaveBeenCalledWith(null);
+  });
+
+  it('should highlight the changes of the selected snapshot against its parent', async () => {
+    const diff = {
+      nodes: { added: [], removed: [], changed: [{ id: 'a', changes: { label: { from: 'A', to: 'B' } } }] },
+      edges: { added: [], removed: [], changed: [] },
+    };
+    api.getHistoryDiff.mockResolvedValue({ success: true, from: 1, to: 2, diff });
+    render(<HistoryTimeline flowName="main" onPreview={onPreview} onDiff={onDiff} onRestore={onRestore} />);
+    await user.click(screen.getByRole('button', { name: 'History' }));
+    await screen.findByRole('slider', { name: /history position/i });
+
+    await user.click(screen.getByRole('button', { name: 'Changes' }));
+
+    await waitFor(() => {
+      expect(onDiff).toHaveBeenCalledWith(diff);
+    });
+    expect(api.getHistoryDiff).toHaveBeenCalledWith(1, 2, 'main');
+    expect(screen.getByRole('button', { name: 'Changes' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('should not highlight changes for a snapshot without a parent', async () => {
+    api.getHistorySnapshot.mockResolvedValue({ success: true, snapshotId: 1, flow: { nodes: [], edges: [] } });
+    render(<HistoryTimeline flowName="main" onPreview={onPreview} onDiff={onDiff} onRestore={onRestore} />);
+    await user.click(screen.getByRole('button', { name: 'History' }));
+    fireEvent.change(await screen.findByRole('slider', { name: /history position/i }), { target: { value: '0' } });
+
+    await user.click(screen.getByRole('button', { name: 'Changes' }));
+
+    await waitFor(() => {
+      expect(onDiff).toHaveBeenLastCalledWith(null);
+    });
+    expect(api.getHistoryDiff).not.toHaveBeenCalled();
+  });
+
+  it('should leave diff mode when closed', async () => {
+    render(<HistoryTimeline flowName="main" onPreview={onPreview} onDiff={onDiff} onRestore={onRestore} />);
+    await user.click(screen.getByRole('button', { name: 'History' }));
+    await screen.findByRole('slider', { name: /history position/i });
+    onDiff.mockClear();
+
+    await user.click(screen.getByRole('button', { name: 'Close' }));
+
+    expect(onDiff).toHaveBeenCalledWith(null);
+  });
+
+  it('should alert when restore fails', async () => {
+    api.getHistorySnapshot.mockResolvedValue({ success: true, snapshotId: 1, flow: { nodes: [], edges: [] } });
+    api.restoreSnapshot.mockRejectedValue(new Error('Snapshot 1 not found'));
+    render(<HistoryTimeline flowName="main" onPreview={onPreview} onRestore={onRestore} />);
+    await user.click(screen.getByRole('button', { name: 'History' }));
+    fireEvent.change(await screen.findByRole('slider', { name: /history position/i }), { target: { value: '0' } });
+
+    await user.click(screen.getByRole('button', { name: 'Restore' }));
+
+    await waitFor(() => {
+      expect(window.alert).toHaveBeenCalledWith('Snapshot 1 not found');
+    });
+    expect(onRestore).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,3 @@
+// ABOUTME: History feature barrel export - public API
+// ABOUTME: Exports the timeline scrubber for previewing and restoring snapshots
+export { default as HistoryTimeline } from './components/HistoryTimeline.jsx';
@@ -0,0 +1,271 @@
+// ABOUTME: Side panel listing the selected node's or edge's user-defined properties
+// ABOUTME: Edits, adds and removes typed properties, checking them with the shared rules before saving
+import { useState, useEffect, useCallback } from 'react';
+import { PROPERTY_TYPES, mergeProperties } from '../../../../shared/properties/index.js';
+import { THEME } from '../../../constants/theme.js';
+
+const buttonStyle = {
+  background: 'transparent',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '4px',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '2px 6px',
+};
+
+const inputStyle = {
+  background: 'rgba(255, 255, 255, 0.06)',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '4px',
+  color: 'white',
+  fontSize: '12px',
+  padding: '3px 6px',
+  minWidth: 0,
+  boxSizing: 'border-box',
+};
+
+// HTML input type used to edit each text-entered property type
+const INPUT_TYPES = { string: 'text', number: 'number', date: 'date', url: 'url' };
+
+// Typed value for text typed into an input; an empty or unparseable number stays NaN so validation names it
+const toValue = (type, text) => {
+  if (type !== 'number') return text;
+  return text.trim() === '' ? NaN : Number(text);
+};
+
+// Value editor for one property: text-like types save on blur (Enter blurs), booleans and enums on change
+function PropertyValueEditor({ name, property, onCommit }) {
+  const [draft, setDraft] = useState(String(property.value));
+
+  useEffect(() => {
+    setDraft(String(property.value));
+  }, [property.value]);
+
+  if (property.type === 'boolean') {
+    return (
+      <input
+        type="checkbox"
+        aria-label={name}
+        checked={property.value}
+        onChange={(event) => onCommit(event.target.checked)}
+      />
+    );
+  }
+
+  if (property.type === 'enum') {
+    return (
+      <select
+        aria-label={name}
+        value={property.value}
+        onChange={(event) => onCommit(event.target.value)}
+        style={inputStyle}
+      >
+        {property.options.map(option => <option key={option} value={option}>{option}</option>)}
+      </select>
+    );
+  }
+
+  const commit = () => {
+    if (draft !== String(property.value)) {
+      onCommit(toValue(property.type, draft));
+    }
+  };
+
+  return (
+    <input
+      type={INPUT_TYPES[property.type]}
+      aria-label={name}
+      value={draft}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') event.currentTarget.blur();
+        if (event.key === 'Escape') setDraft(String(property.value));
+      }}
+      style={{ ...inputStyle, flex: 1 }}
+    />
+  );
+}
+
+// Form for a new property; enums take their options as a comma-separated list and start at the first one
+function AddPropertyForm({ onAdd }) {
+  const [name, setName] = useState('');
+  const [type, setType] = useState('string');
+  const [text, setText] = useState('');
+  const [checked, setChecked] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    let property;
+    if (type === 'enum') {
+      const options = text.split(',').map(option => option.trim()).filter(Boolean);
+      property = { type, value: options[0], options };
+    } else {
+      property = { type, value: type === 'boolean' ? checked : toValue(type, text) };
+    }
+
+    if (await onAdd(name.trim(), property)) {
+      setName('');
+      setText('');
+      setChecked(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <input
+          aria-label="New property name"
+          placeholder="Name"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <select
+          aria-label="New property type"
+          value={type}
+          onChange={(event) => setType(event.target.value)}
+          style={inputStyle}
+        >
+          {PROPERTY_TYPES.map(propertyType => <option key={propertyType} value={propertyType}>{propertyType}</option>)}
+        </select>
+      </div>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        {type === 'boolean' ? (
+          <input
+            type="checkbox"
+            aria-label="New property value"
+            checked={checked}
+            onChange={(event) => setChecked(event.target.checked)}
+          />
+        ) : (
+          <input
+            type={type === 'enum' ? 'text' : INPUT_TYPES[type]}
+            aria-label={type === 'enum' ? 'New property options' : 'New property value'}
+            placeholder={type === 'enum' ? 'Options, comma separated' : 'Value'}
+            value={text}
+            onChange={(event) => setText(event.target.value)}
+            style={{ ...inputStyle, flex: 1 }}
+          />
+        )}
+        <button type="submit" style={buttonStyle}>Add</button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Property inspector for one node or edge
+ *
+ * @param {Object} props.element - Node or edge being inspected
+ * @param {'node'|'edge'} props.kind - What the element is
+ * @param {Function} props.onSetProperties - (changes) => Promise; rejects with the server's error
+ * @param {Function} props.onClose - Closes the inspector
+ */
+function PropertyInspector({ element, kind, onSetProperties, onClose }) {
+  const [error, setError] = useState(null);
+  const properties = element.data?.properties ?? {};
+  const title = element.data?.label || element.id;
+
+  useEffect(() => {
+    setError(null);
+  }, [element.id]);
+
+  // Checks changes with the shared rules first, so invalid input never reaches the server
+  const applyChanges = useCallback(async (changes) => {
+    const { error: validationError } = mergeProperties(element.data?.properties, changes);
+    if (validationError) {
+      setError(validationError);
+      return false;
+    }
+
+    try {
+      await onSetProperties(changes);
+      setError(null);
+      return true;
+    } catch (saveError) {
+      setError(saveError.message);
+      return false;
+    }
+  }, [element, onSetProperties]);
+
+  const handleAdd = useCallback((name, property) => {
+    if (Object.hasOwn(properties, name)) {
+      setError(`Property "${name}" already exists`);
+      return false;
+    }
+    return applyChanges({ [name]: property });
+  }, [properties, applyChanges]);
+
+  return (
+    <aside
+      data-testid="property-inspector"
+      aria-label={`${kind === 'node' ? 'Node' : 'Edge'} properties`}
+      style={{
+        position: 'fixed',
+        top: '16px',
+        right: '16px',
+        width: '280px',
+        maxHeight: 'calc(100vh - 120px)',
+        overflowY: 'auto',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '10px',
+        padding: '10px 12px',
+        background: THEME.canvas.background,
+        border: '1px solid rgba(255, 255, 255, 0.15)',
+        borderRadius: '8px',
+        color: 'white',
+        fontSize: '12px',
+        zIndex: 100,
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: '10px', textTransform: 'uppercase', opacity: 0.6 }}>
+            {kind === 'node' ? 'Node' : 'Edge'} properties
+          </div>
+          <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{title}</div>
+        </div>
+        <button type="button" style={buttonStyle} onClick={onClose} aria-label="Close inspector">×</button>
+      </div>
+
+      {Object.keys(properties).length === 0 ? (
+        <div style={{ opacity: 0.6 }}>No properties yet</div>
+      ) : (
+        Object.entries(properties).map(([name, property]) => (
+          <div key={name} data-testid="property-row" style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span title={property.type} style={{ width: '90px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {name}
+            </span>
+            <PropertyValueEditor
+              name={name}
+              property={property}
+              onCommit={(value) => applyChanges({ [name]: value })}
+            />
+            {property.type === 'url' && (
+              <a href={property.value} target="_blank" rel="noreferrer" style={{ color: 'inherit' }}>
+                Open
+              </a>
+            )}
+            <button
+              type="button"
+              style={buttonStyle}
+              onClick={() => applyChanges({ [name]: null })}
+              aria-label={`Remove ${name}`}
+            >
+              −
+            </button>
+          </div>
+        ))
+      )}
+
+      <AddPropertyForm onAdd={handleAdd} />
+
+      {error && <div role="alert" style={{ color: THEME.diff.colors.removed }}>{error}</div>}
+    </aside>
+  );
+}
+
+export default PropertyInspector;
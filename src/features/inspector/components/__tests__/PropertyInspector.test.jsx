@@ -0,0 +1,130 @@
+// ABOUTME: Unit tests for the PropertyInspector component
+// ABOUTME: Tests listing, editing, adding and removing properties and showing validation errors
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import PropertyInspector from '../PropertyInspector.jsx';
+
+const node = {
+  id: 'login',
+  data: {
+    label: 'Login',
+    properties: {
+      owner: { type: 'string', value: 'sam' },
+      blocked: { type: 'boolean', value: false },
+      priority: { type: 'enum', value: 'low', options: ['low', 'high'] },
+      spec: { type: 'url', value: 'https://example.com/spec' },
+    },
+  },
+};
+
+describe('PropertyInspector Component', () => {
+  let onSetProperties;
+  let onClose;
+  let user;
+
+  beforeEach(() => {
+    onSetProperties = vi.fn().mockResolvedValue(undefined);
+    onClose = vi.fn();
+    user = userEvent.setup();
+  });
+
+  const renderInspector = (element = node, kind = 'node') => render(
+    <PropertyInspector element={element} kind={kind} onSetProperties={onSetProperties} onClose={onClose} />
+  );
+
+  it('lists the element and its properties', () => {
+    renderInspector();
+
+    expect(screen.getByText('Login')).toBeTruthy();
+    expect(screen.getAllByTestId('property-row')).toHaveLength(4);
+    expect(screen.getByLabelText('owner').value).toBe('sam');
+    expect(screen.getByRole('link', { name: 'Open' }).getAttribute('href')).toBe('https://example.com/spec');
+  });
+
+  it('shows an empty state for edges without properties', () => {
+    renderInspector({ id: 'e1', data: { label: '' } }, 'edge');
+
+    expect(screen.getByText('Edge properties')).toBeTruthy();
+    expect(screen.getByText('e1')).toBeTruthy();
+    expect(screen.getByText('No properties yet')).toBeTruthy();
+  });
+
+  it('saves text values on Enter and other types on change', async () => {
+    renderInspector();
+
+    const owner = screen.getByLabelText('owner');
+    await user.clear(owner);
+    await user.type(owner, 'alex{Enter}');
+    await user.click(screen.getByLabelText('blocked'));
+    await user.selectOptions(screen.getByLabelText('priority'), 'high');
+
+    expect(onSetProperties.mock.calls).toEqual([
+      [{ owner: 'alex' }],
+      [{ blocked: true }],
+      [{ priority: 'high' }],
+    ]);
+  });
+
+  it('removes a property', async () => {
+    renderInspector();
+
+    await user.click(screen.getByRole('button', { name: 'Remove owner' }));
+
+    expect(onSetProperties).toHaveBeenCalledWith({ owner: null });
+  });
+
+  it('adds a property of the chosen type', async () => {
+    renderInspector();
+
+    await user.type(screen.getByLabelText('New property name'), 'points');
+    await user.selectOptions(screen.getByLabelText('New property type'), 'number');
+    await user.type(screen.getByLabelText('New property value'), '8');
+    await user.click(screen.getByRole('button', { name: 'Add' }));
+
+    expect(onSetProperties).toHaveBeenCalledWith({ points: { type: 'number', value: 8 } });
+    expect(screen.getByLabelText('New property name').value).toBe('');
+  });
+
+  it('adds an enum from its comma-separated options', async () => {
+    renderInspector();
+
+    await user.type(screen.getByLabelText('New property name'), 'size');
+    await user.selectOptions(screen.getByLabelText('New property type'), 'enum');
+    await user.type(screen.getByLabelText('New property options'), 's, m, l');
+    await user.click(screen.getByRole('button', { name: 'Add' }));
+
+    expect(onSetProperties).toHaveBeenCalledWith({ size: { type: 'enum', value: 's', options: ['s', 'm', 'l'] } });
+  });
+
+  it('shows validation errors without saving', async () => {
+    renderInspector();
+
+    await user.type(screen.getByLabelText('New property name'), 'owner');
+    await user.click(screen.getByRole('button', { name: 'Add' }));
+    expect(screen.getByRole('alert').textContent).toBe('Property "owner" already exists');
+
+    fireEvent.change(screen.getByLabelText('spec'), { target: { value: 'nope' } });
+    fireEvent.blur(screen.getByLabelText('spec'));
+    expect(screen.getByRole('alert').textContent).toBe('Property "spec" must be an http(s) URL');
+
+    expect(onSetProperties).not.toHaveBeenCalled();
+  });
+
+  it('shows errors from the server', async () => {
+    onSetProperties.mockRejectedValue(new Error('Node login not found'));
+    renderInspector();
+
+    await user.click(screen.getByRole('button', { name: 'Remove owner' }));
+
+    expect((await screen.findByRole('alert')).textContent).toBe('Node login not found');
+  });
+
+  it('closes', async () => {
+    renderInspector();
+
+    await user.click(screen.getByRole('button', { name: 'Close inspector' }));
+
+    expect(onClose).toHaveBeenCalled();
+  });
+});
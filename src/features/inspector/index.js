@@ -0,0 +1,3 @@
+// ABOUTME: Inspector feature barrel export - public API
+// ABOUTME: Exports the property inspector for the selected node or edge
+export { default as PropertyInspector } from './components/PropertyInspector.jsx';
@@ -106,7 +106,7 @@ const buildActionPrompt = (rawBullets) => {
   return `Please execute these actions.\n${bulletList}\n${guidance}`;
 };
 
-function NotesPanel({ isOpen, onToggle, externalBullets, onFlowUpdate }) {
+function NotesPanel({ isOpen, onToggle, externalBullets, onFlowUpdate, flowName }) {
   const [notesText, setNotesText] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [isSending, setIsSending] = useState(false);
@@ -171,7 +171,7 @@ function NotesPanel({ isOpen, onToggle, externalBullets, onFlowUpdate }) {
 
       setIsSending(true);
       try {
-        const response = await sendMessage(prompt);
+        const response = await sendMessage(prompt, flowName);
         if (response?.updatedFlow) {
           onFlowUpdate?.(response.updatedFlow);
         }
@@ -181,7 +181,7 @@ function NotesPanel({ isOpen, onToggle, externalBullets, onFlowUpdate }) {
         setIsSending(false);
       }
     },
-    [isSending, onFlowUpdate]
+    [isSending, onFlowUpdate, flowName]
   );
 
   const handleLoadToGraph = useCallback(async () => {
@@ -193,7 +193,7 @@ function NotesPanel({ isOpen, onToggle, externalBullets, onFlowUpdate }) {
 
     setIsSending(true);
     try {
-      const response = await sendMessage(prompt);
+      const response = await sendMessage(prompt, flowName);
       if (response?.updatedFlow) {
         onFlowUpdate?.(response.updatedFlow);
       }
@@ -202,7 +202,7 @@ function NotesPanel({ isOpen, onToggle, externalBullets, onFlowUpdate }) {
     } finally {
       setIsSending(false);
     }
-  }, [isSending, notesText, onFlowUpdate]);
+  }, [isSending, notesText, onFlowUpdate, flowName]);
 
   // Ref to the textarea for programmatic focus/selection
   const textareaRef = useRef(null);
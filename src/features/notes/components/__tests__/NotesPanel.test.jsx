@@ -719,7 +719,8 @@ describe('NotesPanel Component', () => {
       });
 
       expect(api.sendMessage).toHaveBeenCalledWith(
-        'Please execute this action. Build a login page If this change has already been applied, leave the graph as-is and do not repeat it.'
+        'Please execute this action. Build a login page If this change has already been applied, leave the graph as-is and do not repeat it.',
+        undefined
       );
       expect(mockOnFlowUpdate).toHaveBeenCalledTimes(1);
       expect(mockOnFlowUpdate).toHaveBeenCalledWith(updatedFlow);
@@ -738,7 +739,7 @@ describe('NotesPanel Component', () => {
         updatedFlow,
       });
 
-      render(<NotesPanel isOpen={true} onToggle={mockOnToggle} onFlowUpdate={mockOnFlowUpdate} />);
+      render(<NotesPanel isOpen={true} onToggle={mockOnToggle} onFlowUpdate={mockOnFlowUpdate} flowName="roadmap" />);
 
       await waitFor(() => {
         expect(api.loadNotes).toHaveBeenCalled();
@@ -752,7 +753,8 @@ describe('NotesPanel Component', () => {
       });
 
       expect(api.sendMessage).toHaveBeenCalledWith(
-        'Please execute these actions.\n- Build a login page\n- Implement signup flow\nIf this change has already been applied, leave the graph as-is and do not repeat it.'
+        'Please execute these actions.\n- Build a login page\n- Implement signup flow\nIf this change has already been applied, leave the graph as-is and do not repeat it.',
+        'roadmap'
       );
       expect(mockOnFlowUpdate).toHaveBeenCalledTimes(1);
       expect(mockOnFlowUpdate).toHaveBeenCalledWith(updatedFlow);
@@ -0,0 +1,125 @@
+// ABOUTME: Canvas menu with export and import actions for the interchange formats
+// ABOUTME: Downloads the active flow in a chosen format or imports a file as a new flow
+import { useState, useRef, useCallback } from 'react';
+import { exportFlow, importFlow } from '../../../services/api';
+import { FLOW_FORMATS, canImportFormat } from '../../../../shared/formats/index.js';
+import { downloadFile, baseFileName } from '../../../utils/fileTransfer.js';
+import { THEME } from '../../../constants/theme.js';
+
+const FORMAT_ENTRIES = Object.entries(FLOW_FORMATS);
+
+const buttonStyle = {
+  background: 'transparent',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '4px',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '4px 8px',
+};
+
+const itemStyle = {
+  ...buttonStyle,
+  border: 'none',
+  textAlign: 'left',
+  whiteSpace: 'nowrap',
+};
+
+function CanvasMenu({ activeFlow, onFlowChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const fileInputRef = useRef(null);
+  const importFormatRef = useRef(null);
+
+  const handleExport = useCallback(async (formatName) => {
+    setIsOpen(false);
+    const format = FLOW_FORMATS[formatName];
+
+    try {
+      const content = await exportFlow(formatName, activeFlow);
+      downloadFile(`${activeFlow}.${format.extension}`, content, format.mimeType);
+    } catch (error) {
+      alert(error.message);
+    }
+  }, [activeFlow]);
+
+  const handleImport = useCallback((formatName) => {
+    setIsOpen(false);
+    importFormatRef.current = formatName;
+    fileInputRef.current?.click();
+  }, []);
+
+  // Imports the picked file as a new flow, then switches to it
+  const handleFileChange = useCallback(async (event) => {
+    const [file] = event.target.files ?? [];
+    event.target.value = '';
+    if (!file) return;
+
+    const name = prompt('Name for the imported flow', baseFileName(file.name))?.trim();
+    if (!name) return;
+
+    try {
+      await importFlow(name, importFormatRef.current, await file.text());
+      onFlowChange?.(name);
+    } catch (error) {
+      alert(error.message);
+    }
+  }, [onFlowChange]);
+
+  return (
+    <div
+      data-testid="canvas-menu"
+      style={{
+        position: 'fixed',
+        top: '16px',
+        left: '16px',
+        zIndex: 100,
+      }}
+    >
+      <button
+        type="button"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        style={{ ...buttonStyle, background: THEME.canvas.background }}
+        onClick={() => setIsOpen(open => !open)}
+      >
+        Export / Import
+      </button>
+
+      {isOpen && (
+        <div
+          role="menu"
+          style={{
+            display: 'flex',
+            flexDirection: 'column',
+            marginTop: '6px',
+            padding: '4px',
+            background: THEME.canvas.background,
+            border: '1px solid rgba(255, 255, 255, 0.15)',
+            borderRadius: '8px',
+          }}
+        >
+          {FORMAT_ENTRIES.filter(([, format]) => format.serialize).map(([formatName, format]) => (
+            <button key={`export-${formatName}`} type="button" role="menuitem" style={itemStyle} onClick={() => handleExport(formatName)}>
+              Export as {format.label}
+            </button>
+          ))}
+          {FORMAT_ENTRIES.filter(([, format]) => canImportFormat(format)).map(([formatName, format]) => (
+            <button key={`import-${formatName}`} type="button" role="menuitem" style={itemStyle} onClick={() => handleImport(formatName)}>
+              Import {format.label}…
+            </button>
+          ))}
+        </div>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        data-testid="canvas-menu-file"
+        style={{ display: 'none' }}
+        onChange={handleFileChange}
+      />
+    </div>
+  );
+}
+
+export default CanvasMenu;
@@ -0,0 +1,117 @@
+// ABOUTME: Flow switcher for picking, creating, renaming, duplicating, and deleting named flows
+// ABOUTME: Lists flows from the workspace API and reports the selected flow to the parent
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { listFlows, createFlow, renameFlow, duplicateFlow, deleteFlow } from '../../../services/api';
+import { THEME } from '../../../constants/theme.js';
+
+const DEFAULT_FLOW_NAME = 'main';
+
+const buttonStyle = {
+  background: 'transparent',
+  border: '1px solid rgba(255, 255, 255, 0.2)',
+  borderRadius: '4px',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '4px 8px',
+};
+
+function FlowSwitcher({ activeFlow = DEFAULT_FLOW_NAME, onFlowChange }) {
+  const [flows, setFlows] = useState([DEFAULT_FLOW_NAME]);
+
+  const refreshFlows = useCallback(async () => {
+    try {
+      const result = await listFlows();
+      setFlows(result.flows.map(flow => flow.name));
+    } catch (error) {
+      console.error('Failed to load flow list:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshFlows();
+  }, [refreshFlows]);
+
+  // Flows created elsewhere (e.g. imported from the canvas menu) are listed once they become active
+  const refreshedForRef = useRef(null);
+  useEffect(() => {
+    if (flows.includes(activeFlow) || refreshedForRef.current === activeFlow) return;
+    refreshedForRef.current = activeFlow;
+    refreshFlows();
+  }, [activeFlow, flows, refreshFlows]);
+
+  // Runs a workspace operation, then refreshes the list and optionally switches flows
+  const runOperation = useCallback(async (operation, nextFlow) => {
+    try {
+      await operation();
+      await refreshFlows();
+      if (nextFlow) {
+        onFlowChange?.(nextFlow);
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+  }, [refreshFlows, onFlowChange]);
+
+  const handleCreate = useCallback(() => {
+    const name = prompt('New flow name');
+    if (!name) return;
+    runOperation(() => createFlow(name), name.trim());
+  }, [runOperation]);
+
+  const handleRename = useCallback(() => {
+    const name = prompt(`Rename "${activeFlow}" to`, activeFlow);
+    if (!name || name === activeFlow) return;
+    runOperation(() => renameFlow(activeFlow, name), name.trim());
+  }, [activeFlow, runOperation]);
+
+  const handleDuplicate = useCallback(() => {
+    const name = prompt(`Duplicate "${activeFlow}" as`, `${activeFlow} copy`);
+    if (!name) return;
+    runOperation(() => duplicateFlow(activeFlow, name), name.trim());
+  }, [activeFlow, runOperation]);
+
+  const handleDelete = useCallback(() => {
+    if (!confirm(`Delete flow "${activeFlow}"? This cannot be undone.`)) return;
+    runOperation(() => deleteFlow(activeFlow), DEFAULT_FLOW_NAME);
+  }, [activeFlow, runOperation]);
+
+  const isDefaultFlow = activeFlow === DEFAULT_FLOW_NAME;
+
+  return (
+    <div
+      data-testid="flow-switcher"
+      style={{
+        position: 'fixed',
+        top: '16px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px',
+        padding: '6px 10px',
+        background: THEME.canvas.background,
+        border: '1px solid rgba(255, 255, 255, 0.15)',
+        borderRadius: '8px',
+        zIndex: 100,
+      }}
+    >
+      <select
+        aria-label="Active flow"
+        value={activeFlow}
+        onChange={(event) => onFlowChange?.(event.target.value)}
+        style={{ ...buttonStyle, background: '#1a1a1a' }}
+      >
+        {flows.map(name => (
+          <option key={name} value={name}>{name}</option>
+        ))}
+      </select>
+      <button type="button" style={buttonStyle} onClick={handleCreate}>New</button>
+      <button type="button" style={buttonStyle} onClick={handleRename} disabled={isDefaultFlow}>Rename</button>
+      <button type="button" style={buttonStyle} onClick={handleDuplicate}>Duplicate</button>
+      <button type="button" style={buttonStyle} onClick={handleDelete} disabled={isDefaultFlow}>Delete</button>
+    </div>
+  );
+}
+
+export default FlowSwitcher;
@@ -0,0 +1,95 @@
+// ABOUTME: Unit tests for CanvasMenu component
+// ABOUTME: Tests format export downloads and importing a file as a new flow
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CanvasMenu from '../CanvasMenu.jsx';
+import * as api from '../../../../services/api';
+import { downloadFile } from '../../../../utils/fileTransfer.js';
+
+vi.mock('../../../../services/api', () => ({
+  exportFlow: vi.fn(),
+  importFlow: vi.fn(),
+}));
+
+vi.mock('../../../../utils/fileTransfer.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  downloadFile: vi.fn(),
+}));
+
+describe('CanvasMenu Component', () => {
+  let mockOnFlowChange;
+  let user;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockOnFlowChange = vi.fn();
+    user = userEvent.setup();
+    vi.spyOn(window, 'prompt');
+    vi.spyOn(window, 'alert').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const openMenu = async () => {
+    await user.click(screen.getByRole('button', { name: 'Export / Import' }));
+  };
+
+  it('should list export and import actions for each format', async () => {
+    render(<CanvasMenu activeFlow="main" onFlowChange={mockOnFlowChange} />);
+
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+    await openMenu();
+
+    expect(screen.getByRole('menuitem', { name: 'Export as Mermaid' })).toBeInTheDocument();
+    expect(screen.getByRole('menuitem', { name: 'Import Mermaid…' })).toBeInTheDocument();
+  });
+
+  it('should download the active flow in the chosen format', async () => {
+    api.exportFlow.mockResolvedValue('flowchart LR\n');
+    render(<CanvasMenu activeFlow="roadmap" onFlowChange={mockOnFlowChange} />);
+
+    await openMenu();
+    await user.click(screen.getByRole('menuitem', { name: 'Export as Mermaid' }));
+
+    await waitFor(() => {
+      expect(downloadFile).toHaveBeenCalledWith('roadmap.mmd', 'flowchart LR\n', 'text/vnd.mermaid');
+    });
+    expect(api.exportFlow).toHaveBeenCalledWith('mermaid', 'roadmap');
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+
+  it('should import a picked file as a new flow and switch to it', async () => {
+    window.prompt.mockReturnValue(' ideas ');
+    api.importFlow.mockResolvedValue({ success: true, name: 'ideas' });
+    render(<CanvasMenu activeFlow="main" onFlowChange={mockOnFlowChange} />);
+
+    await openMenu();
+    await user.click(screen.getByRole('menuitem', { name: 'Import Mermaid…' }));
+    const file = new File(['flowchart LR\n  a --> b'], 'brainstorm.mmd', { type: 'text/plain' });
+    await user.upload(screen.getByTestId('canvas-menu-file'), file);
+
+    await waitFor(() => {
+      expect(mockOnFlowChange).toHaveBeenCalledWith('ideas');
+    });
+    expect(window.prompt).toHaveBeenCalledWith('Name for the imported flow', 'brainstorm');
+    expect(api.importFlow).toHaveBeenCalledWith('ideas', 'mermaid', 'flowchart LR\n  a --> b');
+  });
+
+  it('should alert and stay on the current flow when an import fails', async () => {
+    window.prompt.mockReturnValue('ideas');
+    api.importFlow.mockRejectedValue(new Error('Invalid Mermaid: Line 1: Only Mermaid flowcharts are supported'));
+    render(<CanvasMenu activeFlow="main" onFlowChange={mockOnFlowChange} />);
+
+    await openMenu();
+    await user.click(screen.getByRole('menuitem', { name: 'Import Mermaid…' }));
+    await user.upload(screen.getByTestId('canvas-menu-file'), new File(['pie'], 'chart.mmd'));
+
+    await waitFor(() => {
+      expect(window.alert).toHaveBeenCalledWith('Invalid Mermaid: Line 1: Only Mermaid flowcharts are supported');
+    });
+    expect(mockOnFlowChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+// ABOUTME: Unit tests for FlowSwitcher component
+// ABOUTME: Tests flow listing, switching, and workspace operations
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FlowSwitcher from '../FlowSwitcher.jsx';
+import * as api from '../../../../services/api';
+
+vi.mock('../../../../services/api', () => ({
+  listFlows: vi.fn(),
+  createFlow: vi.fn(),
+  renameFlow: vi.fn(),
+  duplicateFlow: vi.fn(),
+  deleteFlow: vi.fn(),
+}));
+
+describe('FlowSwitcher Component', () => {
+  let mockOnFlowChange;
+  let user;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockOnFlowChange = vi.fn();
+    user = userEvent.setup();
+    api.listFlows.mockResolvedValue({ flows: [{ name: 'main' }, { name: 'roadmap' }] });
+    vi.spyOn(window, 'prompt');
+    vi.spyOn(window, 'confirm');
+    vi.spyOn(window, 'alert').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should list flows from the workspace API', async () => {
+    render(<FlowSwitcher activeFlow="main" onFlowChange={mockOnFlowChange} />);
+
+    await waitFor(() => {
+      expect(screen.getByRole('option', { name: 'roadmap' })).toBeInTheDocument();
+    });
+    expect(screen.getByRole('combobox', { name: /active flow/i })).toHaveValue('main');
+  });
+
+  it('should report the selected flow', async () => {
+    render(<FlowSwitcher activeFlow="main" onFlowChange={mockOnFlowChange} />);
+    await screen.findByRole('option', { name: 'roadmap' });
+
+    await user.selectOptions(screen.getByRole('combobox', { name: /active flow/i }), 'roadmap');
+
+    expect(mockOnFlowChange).toHaveBeenCalledWith('roadmap');
+  });
+
+  it('should create a flow and switch to it', async () => {
+    window.prompt.mockReturnValue('ideas');
+    api.createFlow.mockResolvedValue({ success: true, name: 'ideas' });
+    render(<FlowSwitcher activeFlow="main" onFlowChange={mockOnFlowChange} />);
+
+    await user.click(screen.getByRole('button', { name: 'New' }));
+
+    await waitFor(() => {
+      expect(mockOnFlowChange).toHaveBeenCalledWith('ideas');
+    });
+    expect(api.createFlow).toHaveBeenCalledWith('ideas');
+    expect(api.listFlows).toHaveBeenCalledTimes(2);
+  });
+
+  it('should disable rename and delete for the main flow', async () => {
+    render(<FlowSwitcher activeFlow="main" onFlowChange={mockOnFlowChange} />);
+    await screen.findByRole('option', { name: 'roadmap' });
+
+    expect(screen.getByRole('button', { name: 'Rename' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Delete' })).toBeDisabled();
+  });
+
+  it('should delete the active flow and fall back to main', async () => {
+    window.confirm.mockReturnValue(true);
+    api.deleteFlow.mockResolvedValue({ success: true });
+    render(<FlowSwitcher activeFlow="roadmap" onFlowChange={mockOnFlowChange} />);
+
+    await user.click(screen.getByRole('button', { name: 'Delete' }));
+
+    await waitFor(() => {
+      expect(mockOnFlowChange).toHaveBeenCalledWith('main');
+    });
+    expect(api.deleteFlow).toHaveBeenCalledWith('roadmap');
+  });
+
+  it('should reload the list when switched to a flow it does not know yet', async () => {
+    const { rerender } = render(<FlowSwitcher activeFlow="main" onFlowChange={mockOnFlowChange} />);
+    await screen.findByRole('option', { name: 'roadmap' });
+
+    api.listFlows.mockResolvedValue({ flows: [{ name: 'main' }, { name: 'roadmap' }, { name: 'imported' }] });
+    rerender(<FlowSwitcher activeFlow="imported" onFlowChange={mockOnFlowChange} />);
+
+    expect(await screen.findByRole('option', { name: 'imported' })).toBeInTheDocument();
+    expect(api.listFlows).toHaveBeenCalledTimes(2);
+  });
+
+  it('should alert and stay on the current flow when an operation fails', async () => {
+    window.prompt.mockReturnValue('roadmap');
+    api.duplicateFlow.mockRejectedValue(new Error('Flow "roadmap" already exists'));
+    render(<FlowSwitcher activeFlow="main" onFlowChange={mockOnFlowChange} />);
+
+    await user.click(screen.getByRole('button', { name: 'Duplicate' }));
+
+    await waitFor(() => {
+      expect(window.alert).toHaveBeenCalledWith('Flow "roadmap" already exists');
+    });
+    expect(mockOnFlowChange).not.toHaveBeenCalled();
+  });
+});
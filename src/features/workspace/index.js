@@ -0,0 +1,4 @@
+// ABOUTME: Workspace feature barrel export - public API
+// ABOUTME: Exports the flow switcher and the canvas export/import menu
+export { default as FlowSwitcher } from './components/FlowSwitcher.jsx';
+export { default as CanvasMenu } from './components/CanvasMenu.jsx';
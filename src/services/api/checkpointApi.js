@@ -0,0 +1,87 @@
+// ABOUTME: Checkpoint API client for named flow checkpoints
+// ABOUTME: Handles saving, listing, diffing, restoring, and deleting checkpoints of a flow
+import { flowUrl } from './flowUrls.js';
+import { fetchFlowWrite } from './flowWrites.js';
+
+const checkpointUrl = (flowName, name, path = '') =>
+  flowUrl(flowName, `/checkpoints/${encodeURIComponent(name)}${path}`);
+
+export const listCheckpoints = async (flowName) => {
+  try {
+    const response = await fetch(flowUrl(flowName, '/checkpoints'));
+    if (!response.ok) {
+      throw new Error('Failed to list checkpoints');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error listing checkpoints:', error);
+    throw error;
+  }
+};
+
+export const createCheckpoint = async (name, flowName) => {
+  try {
+    const response = await fetch(flowUrl(flowName, '/checkpoints'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to create checkpoint');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error creating checkpoint:', error);
+    throw error;
+  }
+};
+
+export const diffCheckpoint = async (name, flowName) => {
+  try {
+    const response = await fetch(checkpointUrl(flowName, name, '/diff'));
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to diff checkpoint');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error diffing checkpoint:', error);
+    throw error;
+  }
+};
+
+// Retried on 409: each attempt restores over the flow as the server reads it then
+export const restoreCheckpoint = async (name, flowName) => {
+  try {
+    const response = await fetchFlowWrite(checkpointUrl(flowName, name, '/restore'), {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to restore checkpoint');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error restoring checkpoint:', error);
+    throw error;
+  }
+};
+
+export const deleteCheckpoint = async (name, flowName) => {
+  try {
+    const response = await fetch(checkpointUrl(flowName, name), {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete checkpoint');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error deleting checkpoint:', error);
+    throw error;
+  }
+};
@@ -2,14 +2,14 @@
 // ABOUTME: Handles message sending and conversation management
 const API_BASE_URL = '/api';
 
-export const sendMessage = async (message) => {
+export const sendMessage = async (message, flowName) => {
   try {
     const response = await fetch(`${API_BASE_URL}/conversation/message`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ message }),
+      body: JSON.stringify({ message, flowName }),
     });
     if (!response.ok) {
       throw new Error('Failed to send message');
@@ -1,10 +1,11 @@
 // ABOUTME: Flow API client for backend flow operations
-// ABOUTME: Handles flow CRUD, history, nodes, and edges
-const API_BASE_URL = '/api';
+// ABOUTME: Handles flow CRUD, export, history, nodes, and edges
+import { flowUrl, entityUrl } from './flowUrls.js';
+import { fetchFlowWrite } from './flowWrites.js';
 
-export const loadFlow = async () => {
+export const loadFlow = async (flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/flow`);
+    const response = await fetch(flowUrl(flowName));
     if (!response.ok) {
       throw new Error('Failed to load flow');
     }
@@ -15,9 +16,51 @@ export const loadFlow = async () => {
   }
 };
 
-export const undoFlow = async () => {
+// Saves the whole document; pass the `revision` from loadFlow to only save over that revision.
+// A stale save is not retried (it would overwrite the other change): the thrown error has
+// `conflict: true` and the server's current `revision`, so the caller can reload and decide.
+export const saveFlow = async (flow, flowName, { skipSnapshot = false } = {}) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/flow/undo`, {
+    const query = skipSnapshot ? '?skipSnapshot=true' : '';
+    const response = await fetch(flowUrl(flowName, query), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(flow),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw Object.assign(new Error(error.error || 'Failed to save flow'), {
+        conflict: response.status === 409,
+        revision: error.revision,
+      });
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error saving flow:', error);
+    throw error;
+  }
+};
+
+// Returns the flow serialized in an interchange format (e.g. 'mermaid') as text
+export const exportFlow = async (format, flowName) => {
+  try {
+    const response = await fetch(flowUrl(flowName, `/export?format=${encodeURIComponent(format)}`));
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to export flow');
+    }
+    return await response.text();
+  } catch (error) {
+    console.error('Error exporting flow:', error);
+    throw error;
+  }
+};
+
+export const undoFlow = async (flowName) => {
+  try {
+    const response = await fetch(flowUrl(flowName, '/undo'), {
       method: 'POST',
     });
     if (!response.ok) {
@@ -30,9 +73,9 @@ export const undoFlow = async () => {
   }
 };
 
-export const redoFlow = async () => {
+export const redoFlow = async (flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/flow/redo`, {
+    const response = await fetch(flowUrl(flowName, '/redo'), {
       method: 'POST',
     });
     if (!response.ok) {
@@ -45,9 +88,9 @@ export const redoFlow = async () => {
   }
 };
 
-export const getHistoryStatus = async () => {
+export const getHistoryStatus = async (flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/flow/history-status`);
+    const response = await fetch(flowUrl(flowName, '/history-status'));
     if (!response.ok) {
       throw new Error('Failed to get history status');
     }
@@ -58,9 +101,103 @@ export const getHistoryStatus = async () => {
   }
 };
 
-export const createNode = async (params) => {
+export const getFlowHistory = async (flowName) => {
+  try {
+    const response = await fetch(flowUrl(flowName, '/history'));
+    if (!response.ok) {
+      throw new Error('Failed to load history');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading history:', error);
+    throw error;
+  }
+};
+
+export const getHistorySnapshot = async (snapshotId, flowName) => {
+  try {
+    const response = await fetch(flowUrl(flowName, `/history/${snapshotId}`));
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to load snapshot');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error loading snapshot:', error);
+    throw error;
+  }
+};
+
+// Omitting `to` compares the snapshot against the current flow
+export const getHistoryDiff = async (fromId, toId, flowName) => {
+  try {
+    const query = new URLSearchParams({ from: fromId });
+    if (toId !== undefined && toId !== null) query.set('to', toId);
+
+    const response = await fetch(flowUrl(flowName, `/history-diff?${query}`));
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to diff snapshots');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error diffing snapshots:', error);
+    throw error;
+  }
+};
+
+export const restoreSnapshot = async (snapshotId, flowName) => {
+  try {
+    const response = await fetch(flowUrl(flowName, `/history/${snapshotId}/restore`), {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to restore snapshot');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error restoring snapshot:', error);
+    throw error;
+  }
+};
+
+export const getHistoryBranches = async (flowName) => {
+  try {
+    const response = await fetch(flowUrl(flowName, '/history-branches'));
+    if (!response.ok) {
+      throw new Error('Failed to get history branches');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error getting history branches:', error);
+    throw error;
+  }
+};
+
+export const jumpToSnapshot = async (snapshotId, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/node`, {
+    const response = await fetch(flowUrl(flowName, '/history-jump'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ snapshotId }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to jump to snapshot');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error jumping to snapshot:', error);
+    throw error;
+  }
+};
+
+export const createNode = async (params, flowName) => {
+  try {
+    const response = await fetchFlowWrite(entityUrl(flowName, '/node'), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -78,9 +215,9 @@ export const createNode = async (params) => {
   }
 };
 
-export const updateNode = async (nodeId, params) => {
+export const updateNode = async (nodeId, params, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/node/${nodeId}`, {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/node/${nodeId}`), {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -98,9 +235,51 @@ export const updateNode = async (nodeId, params) => {
   }
 };
 
-export const deleteNode = async (nodeId) => {
+// properties maps names to {type, value, options?}, a bare value, or null to remove the property
+export const setNodeProperties = async (nodeId, properties, flowName) => {
+  try {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/node/${nodeId}/properties`), {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ properties }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to set node properties');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error setting node properties:', error);
+    throw error;
+  }
+};
+
+// style holds fill, border, shape and/or icon; null clears a key
+export const styleNode = async (nodeId, style, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/node/${nodeId}`, {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/node/${nodeId}/style`), {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(style),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to style node');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error styling node:', error);
+    throw error;
+  }
+};
+
+export const deleteNode = async (nodeId, flowName) => {
+  try {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/node/${nodeId}`), {
       method: 'DELETE',
     });
     if (!response.ok) {
@@ -114,9 +293,9 @@ export const deleteNode = async (nodeId) => {
   }
 };
 
-export const createEdge = async (params) => {
+export const createEdge = async (params, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/edge`, {
+    const response = await fetchFlowWrite(entityUrl(flowName, '/edge'), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -134,9 +313,9 @@ export const createEdge = async (params) => {
   }
 };
 
-export const updateEdge = async (edgeId, params) => {
+export const updateEdge = async (edgeId, params, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/edge/${edgeId}`, {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/edge/${edgeId}`), {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -154,9 +333,29 @@ export const updateEdge = async (edgeId, params) => {
   }
 };
 
-export const deleteEdge = async (edgeId) => {
+export const setEdgeProperties = async (edgeId, properties, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/edge/${edgeId}`, {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/edge/${edgeId}/properties`), {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ properties }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to set edge properties');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error setting edge properties:', error);
+    throw error;
+  }
+};
+
+export const deleteEdge = async (edgeId, flowName) => {
+  try {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/edge/${edgeId}`), {
       method: 'DELETE',
     });
     if (!response.ok) {
@@ -170,9 +369,30 @@ export const deleteEdge = async (edgeId) => {
   }
 };
 
-export const toggleSubtreeCollapse = async (nodeId, collapsed) => {
+// Applies several tool operations ({name, params}) as one all-or-nothing write with a single undo step
+export const applyBatch = async (operations, flowName) => {
+  try {
+    const response = await fetchFlowWrite(flowUrl(flowName, '/batch'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ operations }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to apply batch');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error applying batch:', error);
+    throw error;
+  }
+};
+
+export const toggleSubtreeCollapse = async (nodeId, collapsed, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/subtree/${nodeId}/collapse`, {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/subtree/${nodeId}/collapse`), {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -0,0 +1,13 @@
+// ABOUTME: URL builders for flow-scoped API routes
+// ABOUTME: Omitting flowName targets the legacy routes, which operate on the main flow
+const API_BASE_URL = '/api';
+
+const namedFlowBase = (flowName) => `${API_BASE_URL}/flows/${encodeURIComponent(flowName)}`;
+
+// Flow-level routes (load, save, undo/redo, history)
+export const flowUrl = (flowName, path = '') =>
+  flowName ? `${namedFlowBase(flowName)}${path}` : `${API_BASE_URL}/flow${path}`;
+
+// Node, edge, group and subtree routes
+export const entityUrl = (flowName, path) =>
+  flowName ? `${namedFlowBase(flowName)}${path}` : `${API_BASE_URL}${path}`;
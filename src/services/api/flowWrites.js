@@ -0,0 +1,13 @@
+// ABOUTME: Fetch wrapper for flow writes under optimistic concurrency
+// ABOUTME: Retries edits the server rejected with 409 because another writer changed the flow
+
+// Extra attempts after a 409; each retry makes the server re-read the latest flow
+const MAX_CONFLICT_RETRIES = 2;
+
+export const fetchFlowWrite = async (url, options) => {
+  let response = await fetch(url, options);
+  for (let retry = 0; response.status === 409 && retry < MAX_CONFLICT_RETRIES; retry++) {
+    response = await fetch(url, options);
+  }
+  return response;
+};
@@ -1,10 +1,11 @@
 // ABOUTME: Group API client for group operations
 // ABOUTME: Handles group creation, deletion, and expansion
-const API_BASE_URL = '/api';
+import { entityUrl } from './flowUrls.js';
+import { fetchFlowWrite } from './flowWrites.js';
 
-export const createGroup = async (params) => {
+export const createGroup = async (params, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/group`, {
+    const response = await fetchFlowWrite(entityUrl(flowName, '/group'), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -22,9 +23,9 @@ export const createGroup = async (params) => {
   }
 };
 
-export const ungroup = async (groupId) => {
+export const ungroup = async (groupId, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/group/${groupId}`, {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/group/${groupId}`), {
       method: 'DELETE',
     });
     if (!response.ok) {
@@ -38,9 +39,9 @@ export const ungroup = async (groupId) => {
   }
 };
 
-export const toggleGroupExpansion = async (groupId, expand) => {
+export const toggleGroupExpansion = async (groupId, expand, flowName) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/group/${groupId}/expand`, {
+    const response = await fetchFlowWrite(entityUrl(flowName, `/group/${groupId}/expand`), {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
@@ -4,3 +4,5 @@ export * from './flowApi.js';
 export * from './groupApi.js';
 export * from './conversationApi.js';
 export * from './notesApi.js';
+export * from './workspaceApi.js';
+export * from './checkpointApi.js';
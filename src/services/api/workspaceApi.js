@@ -0,0 +1,113 @@
+// ABOUTME: Workspace API client for named flow management
+// ABOUTME: Handles listing, creating, renaming, duplicating, importing, and deleting flows
+const API_BASE_URL = '/api';
+
+export const listFlows = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/flows`);
+    if (!response.ok) {
+      throw new Error('Failed to list flows');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error listing flows:', error);
+    throw error;
+  }
+};
+
+export const createFlow = async (name) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/flows`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to create flow');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error creating flow:', error);
+    throw error;
+  }
+};
+
+export const renameFlow = async (flowName, name) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/flows/${encodeURIComponent(flowName)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to rename flow');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error renaming flow:', error);
+    throw error;
+  }
+};
+
+export const duplicateFlow = async (flowName, name) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/flows/${encodeURIComponent(flowName)}/duplicate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to duplicate flow');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error duplicating flow:', error);
+    throw error;
+  }
+};
+
+export const deleteFlow = async (flowName) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/flows/${encodeURIComponent(flowName)}`, {
+      method: 'DELETE',
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to delete flow');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error deleting flow:', error);
+    throw error;
+  }
+};
+
+// Creates flowName from a document in an interchange format (e.g. 'mermaid'); the server lays it out
+export const importFlow = async (flowName, format, content) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/flows/${encodeURIComponent(flowName)}/import`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ format, content }),
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to import flow');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error importing flow:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,27 @@
+// ABOUTME: Browser helpers for saving text as a file download and reading picked files
+// ABOUTME: Used by the canvas menu's export and import actions
+
+/**
+ * Offer content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File contents
+ * @param {string} mimeType - Content type for string contents
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * File name without its extension, e.g. "roadmap.mmd" -> "roadmap"
+ */
+export function baseFileName(filename) {
+  return filename.replace(/\.[^.]*$/, '');
+}
@@ -0,0 +1,70 @@
+// ABOUTME: Integration tests for the admin history reset endpoint
+// ABOUTME: Verifies history is only dropped on purpose, per flow
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+import { getHistoryStatus } from '../server/historyService.js';
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('POST /api/admin/history/reset', () => {
+  it('should reset main history to the current flow state', async () => {
+    await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Second' }).expect(200);
+
+    const response = await request(app).post('/api/admin/history/reset').expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.flowName).toBe('main');
+    expect(response.body.status.snapshotCount).toBe(1);
+    expect(response.body.status.canUndo).toBe(false);
+
+    const flow = await request(app).get('/api/flow').expect(200);
+    expect(flow.body.nodes).toHaveLength(2);
+  });
+
+  it('should reset only the requested flow', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Main' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Main 2' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'Road' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'Road 2' }).expect(200);
+
+    await request(app)
+      .post('/api/admin/history/reset')
+      .send({ flowName: 'roadmap' })
+      .expect(200);
+
+    expect((await getHistoryStatus('roadmap')).snapshotCount).toBe(1);
+    expect((await getHistoryStatus()).snapshotCount).toBe(2);
+  });
+
+  it('should return 404 for a missing flow', async () => {
+    const response = await request(app)
+      .post('/api/admin/history/reset')
+      .send({ flowName: 'missing' })
+      .expect(404);
+
+    expect(response.body.error).toContain('not found');
+  });
+
+  it('should return 400 for an invalid flow name', async () => {
+    await request(app)
+      .post('/api/admin/history/reset')
+      .send({ flowName: '../etc' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,101 @@
+// ABOUTME: Integration tests for named flow checkpoints
+// ABOUTME: Verifies checkpoints survive undo pruning and restore as undoable steps
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+const labels = (flow) => flow.nodes.map(node => node.data.label);
+
+describe('/api/flow/checkpoints', () => {
+  it('should save, list and delete checkpoints', async () => {
+    await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+
+    const created = await request(app)
+      .post('/api/flow/checkpoints')
+      .send({ name: 'before reorg' })
+      .expect(200);
+
+    expect(created.body.success).toBe(true);
+    expect(created.body.checkpoint).toMatchObject({ name: 'before reorg' });
+    expect(created.body.checkpoint.createdAt).toBeDefined();
+
+    const listed = await request(app).get('/api/flow/checkpoints').expect(200);
+    expect(listed.body.checkpoints.map(checkpoint => checkpoint.name)).toEqual(['before reorg']);
+
+    await request(app).delete('/api/flow/checkpoints/before%20reorg').expect(200);
+    const afterDelete = await request(app).get('/api/flow/checkpoints').expect(200);
+    expect(afterDelete.body.checkpoints).toEqual([]);
+  });
+
+  it('should reject invalid and duplicate names', async () => {
+    await request(app).post('/api/flow/checkpoints').send({ name: '' }).expect(400);
+    await request(app).post('/api/flow/checkpoints').send({ name: 'v1' }).expect(200);
+
+    const duplicate = await request(app).post('/api/flow/checkpoints').send({ name: 'v1' }).expect(409);
+    expect(duplicate.body.error).toContain('already exists');
+  });
+
+  it('should return 404 for unknown checkpoints', async () => {
+    await request(app).post('/api/flow/checkpoints/missing/restore').expect(404);
+    await request(app).delete('/api/flow/checkpoints/missing').expect(404);
+  });
+
+  it('should restore a checkpoint as a new undoable step', async () => {
+    await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    await request(app).post('/api/flow/checkpoints').send({ name: 'v1' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Second' }).expect(200);
+
+    const restored = await request(app).post('/api/flow/checkpoints/v1/restore').expect(200);
+
+    expect(labels(restored.body.flow)).toEqual(['First']);
+    expect(labels((await request(app).get('/api/flow')).body)).toEqual(['First']);
+
+    const { body: timeline } = await request(app).get('/api/flow/history');
+    expect(timeline.snapshots.at(-1).origin).toBe('checkpoint.restore');
+
+    const undo = await request(app).post('/api/flow/undo').expect(200);
+    expect(labels(undo.body.flow)).toEqual(['First', 'Second']);
+  });
+
+  it('should keep checkpoints when the undo window prunes their snapshot', async () => {
+    await request(app).put('/api/flow/history-settings').send({ snapshotLimit: 2 }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Original' }).expect(200);
+    await request(app).post('/api/flow/checkpoints').send({ name: 'original' }).expect(200);
+
+    for (let i = 0; i < 3; i++) {
+      await request(app).post('/api/node').send({ label: `Later ${i}` }).expect(200);
+    }
+
+    const status = await request(app).get('/api/flow/history-status').expect(200);
+    expect(status.body.snapshotCount).toBe(2);
+
+    const restored = await request(app).post('/api/flow/checkpoints/original/restore').expect(200);
+    expect(labels(restored.body.flow)).toEqual(['Original']);
+  });
+
+  it('should keep checkpoints per flow', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+    await request(app).post('/api/flows/roadmap/checkpoints').send({ name: 'v1' }).expect(200);
+
+    const main = await request(app).get('/api/flow/checkpoints').expect(200);
+    const roadmap = await request(app).get('/api/flows/roadmap/checkpoints').expect(200);
+
+    expect(main.body.checkpoints).toEqual([]);
+    expect(roadmap.body.checkpoints).toHaveLength(1);
+  });
+});
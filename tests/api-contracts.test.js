@@ -4,7 +4,8 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import request from 'supertest';
 import app from '../server/server.js';
-import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+import { setupTestDb, cleanupTestDb, seedTestFlow } from './test-db-setup.js';
+import { CURRENT_SCHEMA_VERSION } from '../server/storage/flowSchema.js';
 
 beforeEach(async () => {
   await setupTestDb();
@@ -105,6 +106,21 @@ describe('API Contract: POST /api/flow', () => {
     expect(response.body.error).toContain('Invalid flow data');
   });
 
+  it('should report precise structural errors', async () => {
+    const invalidFlow = {
+      nodes: [{ id: 'a', position: { x: 0, y: 0 }, data: { label: 'A' } }],
+      edges: [{ id: 'e1', source: 'a', target: 'gone' }],
+    };
+
+    const response = await request(app)
+      .post('/api/flow')
+      .send(invalidFlow)
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid flow data: edges[0] ("e1").target "gone" is not a node in the flow');
+    expect(response.body.problems).toEqual(['edges[0] ("e1").target "gone" is not a node in the flow']);
+  });
+
   it('should persist flow data after POST', async () => {
     const flow = {
       nodes: [
@@ -262,6 +278,26 @@ describe('API Contract: Error Handling', () => {
       .expect(404);
   });
 
+  it('should return 422 with the reason for flows stored by a newer schema', async () => {
+    const newer = CURRENT_SCHEMA_VERSION + 1;
+    await seedTestFlow('default', 'main', {
+      schemaVersion: newer,
+      nodes: [{ id: 'a', position: { x: 0, y: 0 }, data: { label: 'A' } }],
+      edges: [],
+    });
+    const error = `Flow schema version ${newer} is newer than the supported version ${CURRENT_SCHEMA_VERSION}; upgrade the server to open this flow`;
+
+    const reads = [
+      request(app).get('/api/flow'),
+      request(app).put('/api/node/a').send({ label: 'B' }),
+      request(app).post('/api/flows/main/duplicate').send({ name: 'copy' }),
+    ];
+    for (const response of await Promise.all(reads)) {
+      expect(response.status).toBe(422);
+      expect(response.body).toEqual({ success: false, error });
+    }
+  });
+
   it.skip('should return 500 on server errors with error message', async () => {
     // TODO: Re-enable after implementing Supabase connection failure testing
     // Legacy test relied on invalid DB_PATH to force errors, which doesn't work with Supabase
@@ -130,6 +130,30 @@ describe('POST /api/edge', () => {
     expect(response.body.success).toBe(false);
     expect(response.body.error).toContain('not found');
   });
+
+  it('should create an edge with a kind', async () => {
+    await executeTool('addNode', { id: 'api', label: 'API' });
+    await executeTool('addNode', { id: 'db', label: 'DB' });
+
+    const response = await request(app)
+      .post('/api/edge')
+      .send({ sourceNodeId: 'api', targetNodeId: 'db', kind: 'calls' })
+      .expect(200);
+
+    expect(response.body.flow.edges[0].data).toEqual({ kind: 'calls' });
+  });
+
+  it('should fail for an unknown kind', async () => {
+    await executeTool('addNode', { id: 'api', label: 'API' });
+    await executeTool('addNode', { id: 'db', label: 'DB' });
+
+    const response = await request(app)
+      .post('/api/edge')
+      .send({ sourceNodeId: 'api', targetNodeId: 'db', kind: 'likes' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Unknown edge kind "likes". Kinds: depends-on, blocks, calls, contains, related');
+  });
 });
 
 describe('PUT /api/edge/:id', () => {
@@ -167,6 +191,25 @@ describe('PUT /api/edge/:id', () => {
     expect(response.body.success).toBe(false);
     expect(response.body.error).toContain('not found');
   });
+
+  it('should change the kind, reverse and reconnect an edge', async () => {
+    await executeTool('addNode', { id: 'a', label: 'A' });
+    await executeTool('addNode', { id: 'b', label: 'B' });
+    await executeTool('addNode', { id: 'c', label: 'C' });
+    const { edgeId } = await executeTool('addEdge', { sourceNodeId: 'a', targetNodeId: 'b' });
+
+    const reversed = await request(app)
+      .put(`/api/edge/${edgeId}`)
+      .send({ kind: 'depends-on', reverse: true })
+      .expect(200);
+    expect(reversed.body.flow.edges[0]).toMatchObject({ source: 'b', target: 'a', data: { kind: 'depends-on' } });
+
+    const reconnected = await request(app)
+      .put(`/api/edge/${edgeId}`)
+      .send({ targetNodeId: 'c' })
+      .expect(200);
+    expect(reconnected.body.flow.edges[0]).toMatchObject({ source: 'b', target: 'c', data: { kind: 'depends-on' } });
+  });
 });
 
 describe('DELETE /api/edge/:id', () => {
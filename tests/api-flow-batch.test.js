@@ -0,0 +1,161 @@
+// ABOUTME: Integration tests for the atomic batch mutation route
+// ABOUTME: Verifies all-or-nothing application, a single snapshot per batch and per-operation results
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb, countUndoSnapshots } from './test-db-setup.js';
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+async function createNodes(labels, basePath = '/api') {
+  const ids = [];
+  for (const label of labels) {
+    const response = await request(app).post(`${basePath}/node`).send({ label }).expect(200);
+    ids.push(response.body.nodeId);
+  }
+  return ids;
+}
+
+const labels = (flow) => flow.nodes.map(node => node.data.label);
+
+describe('POST /api/flow/batch', () => {
+  it('should apply every operation with one save and one snapshot', async () => {
+    const [a, b] = await createNodes(['A', 'B']);
+    const snapshotsBefore = await countUndoSnapshots();
+
+    const response = await request(app)
+      .post('/api/flow/batch')
+      .send({
+        operations: [
+          { name: 'updateNode', params: { nodeId: a, position: { x: 10, y: 20 } } },
+          { name: 'updateNode', params: { nodeId: b, position: { x: 30, y: 40 } } },
+          { name: 'addNode', params: { label: 'C' } },
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(labels(response.body.flow)).toEqual(['A', 'B', 'C']);
+    expect(response.body.results.map(result => [result.name, result.success])).toEqual([
+      ['updateNode', true],
+      ['updateNode', true],
+      ['addNode', true],
+    ]);
+    expect(response.body.results[2].nodeId).toBeDefined();
+    expect(response.body.results[0].updatedFlow).toBeUndefined();
+    expect(await countUndoSnapshots()).toBe(snapshotsBefore + 1);
+
+    const current = await request(app).get('/api/flow').expect(200);
+    expect(current.body.revision).toBe(response.body.revision);
+    expect(current.body.nodes.find(node => node.id === b).position).toEqual({ x: 30, y: 40 });
+  });
+
+  it('should apply nothing when any operation fails', async () => {
+    const [a] = await createNodes(['A']);
+    const before = await request(app).get('/api/flow').expect(200);
+    const snapshotsBefore = await countUndoSnapshots();
+
+    const response = await request(app)
+      .post('/api/flow/batch')
+      .send({
+        operations: [
+          { name: 'deleteNode', params: { nodeId: a } },
+          { name: 'deleteNode', params: { nodeId: 'missing' } },
+        ]
+      })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.failedIndex).toBe(1);
+    expect(response.body.error).toContain('Operation 2 (deleteNode) failed');
+    expect(response.body.results).toHaveLength(2);
+    expect(response.body.results[0].success).toBe(true);
+
+    const after = await request(app).get('/api/flow').expect(200);
+    expect(after.body).toEqual(before.body);
+    expect(await countUndoSnapshots()).toBe(snapshotsBefore);
+  });
+
+  it('should undo the whole batch in one step', async () => {
+    const [a, b] = await createNodes(['A', 'B']);
+    await request(app).post('/api/edge').send({ sourceNodeId: a, targetNodeId: b }).expect(200);
+
+    await request(app)
+      .post('/api/flow/batch')
+      .send({
+        operations: [
+          { name: 'deleteNode', params: { nodeId: a } },
+          { name: 'deleteNode', params: { nodeId: b } },
+        ]
+      })
+      .expect(200);
+
+    await request(app).post('/api/flow/undo').expect(200);
+
+    const current = await request(app).get('/api/flow').expect(200);
+    expect(labels(current.body)).toEqual(['A', 'B']);
+    expect(current.body.edges).toHaveLength(1);
+  });
+
+  it('should reject undo and redo inside a batch', async () => {
+    await createNodes(['A']);
+
+    const response = await request(app)
+      .post('/api/flow/batch')
+      .send({ operations: [{ name: 'undo' }] })
+      .expect(400);
+
+    expect(response.body.error).toContain('undo cannot be part of a batch');
+  });
+
+  it('should reject unknown tools without saving', async () => {
+    const snapshotsBefore = await countUndoSnapshots();
+
+    const response = await request(app)
+      .post('/api/flow/batch')
+      .send({ operations: [{ name: 'addNode', params: { label: 'A' } }, { name: 'noSuchTool' }] })
+      .expect(400);
+
+    expect(response.body.failedIndex).toBe(1);
+    expect(await countUndoSnapshots()).toBe(snapshotsBefore);
+  });
+
+  it('should validate the operation list', async () => {
+    await request(app).post('/api/flow/batch').send({}).expect(400);
+    await request(app).post('/api/flow/batch').send({ operations: [] }).expect(400);
+    await request(app).post('/api/flow/batch').send({ operations: [{ params: {} }] }).expect(400);
+
+    const response = await request(app)
+      .post('/api/flow/batch')
+      .send({ operations: [{ name: 'addNode', params: 'label' }] })
+      .expect(400);
+    expect(response.body.error).toContain('Operation 1');
+  });
+
+  it('should apply batches to named flows', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+    const [a] = await createNodes(['Roadmap node'], '/api/flows/roadmap');
+
+    await request(app)
+      .post('/api/flows/roadmap/batch')
+      .send({ operations: [{ name: 'updateNode', params: { nodeId: a, label: 'Renamed' } }] })
+      .expect(200);
+
+    const roadmap = await request(app).get('/api/flows/roadmap').expect(200);
+    expect(labels(roadmap.body)).toEqual(['Renamed']);
+    const main = await request(app).get('/api/flow').expect(200);
+    expect(main.body.nodes).toEqual([]);
+  });
+});
@@ -0,0 +1,109 @@
+// ABOUTME: Integration tests for the snapshot and checkpoint diff routes
+// ABOUTME: Verifies structural diffs between history snapshots and against checkpoints
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+async function getSnapshotIds(basePath = '/api/flow') {
+  const response = await request(app).get(`${basePath}/history`).expect(200);
+  return response.body.snapshots.map(snapshot => snapshot.id);
+}
+
+describe('GET /api/flow/history-diff', () => {
+  it('should diff two snapshots', async () => {
+    const created = await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    await request(app).put(`/api/node/${created.body.nodeId}`).send({ label: 'Renamed' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Second' }).expect(200);
+    const [first, , third] = await getSnapshotIds();
+
+    const response = await request(app).get(`/api/flow/history-diff?from=${first}&to=${third}`).expect(200);
+    const { diff } = response.body;
+
+    expect(response.body).toMatchObject({ success: true, from: first, to: third });
+    expect(diff.nodes.added.map(node => node.data.label)).toEqual(['Second']);
+    expect(diff.nodes.changed).toEqual([
+      { id: created.body.nodeId, changes: { label: { from: 'First', to: 'Renamed' } } },
+    ]);
+    expect(diff.nodes.removed).toEqual([]);
+  });
+
+  it('should diff a snapshot against the current flow when to is omitted', async () => {
+    const created = await request(app).post('/api/node').send({ label: 'Keep' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Later' }).expect(200);
+    await request(app).delete(`/api/node/${created.body.nodeId}`).expect(200);
+    const [first] = await getSnapshotIds();
+
+    const response = await request(app).get(`/api/flow/history-diff?from=${first}`).expect(200);
+
+    expect(response.body.to).toBeNull();
+    expect(response.body.diff.nodes.removed.map(node => node.data.label)).toEqual(['Keep']);
+    expect(response.body.diff.nodes.added.map(node => node.data.label)).toEqual(['Later']);
+  });
+
+  it('should diff snapshots of a named flow', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'One' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'Two' }).expect(200);
+    const [first, second] = await getSnapshotIds('/api/flows/roadmap');
+
+    const response = await request(app)
+      .get(`/api/flows/roadmap/history-diff?from=${first}&to=${second}`)
+      .expect(200);
+
+    expect(response.body.diff.nodes.added.map(node => node.data.label)).toEqual(['Two']);
+  });
+
+  it('should return 400 for invalid snapshot ids', async () => {
+    await request(app).get('/api/flow/history-diff').expect(400);
+    await request(app).get('/api/flow/history-diff?from=abc').expect(400);
+    const response = await request(app).get('/api/flow/history-diff?from=1&to=0').expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should return 404 when a snapshot is not in the flow', async () => {
+    await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    const [first] = await getSnapshotIds();
+
+    const response = await request(app).get(`/api/flow/history-diff?from=${first}&to=9999`).expect(404);
+
+    expect(response.body.success).toBe(false);
+  });
+});
+
+describe('GET /api/flow/checkpoints/:name/diff', () => {
+  it('should diff a checkpoint against the current flow', async () => {
+    const created = await request(app).post('/api/node').send({ label: 'Before' }).expect(200);
+    await request(app).post('/api/flow/checkpoints').send({ name: 'v1' }).expect(200);
+    await request(app).put(`/api/node/${created.body.nodeId}`).send({ label: 'After' }).expect(200);
+
+    const response = await request(app).get('/api/flow/checkpoints/v1/diff').expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.checkpoint).toMatchObject({ name: 'v1' });
+    expect(response.body.diff.nodes.changed).toEqual([
+      { id: created.body.nodeId, changes: { label: { from: 'Before', to: 'After' } } },
+    ]);
+  });
+
+  it('should return 404 for an unknown checkpoint', async () => {
+    const response = await request(app).get('/api/flow/checkpoints/missing/diff').expect(404);
+
+    expect(response.body.error).toContain('not found');
+  });
+});
@@ -0,0 +1,261 @@
+// ABOUTME: Integration tests for flow export and import routes
+// ABOUTME: Verifies Mermaid, DOT, Markdown outline, JSON Canvas, OPML and FreeMind export of stored flows and import into new flows
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('GET /api/flow/export', () => {
+  it('should export the flow as a Mermaid download', async () => {
+    await request(app).post('/api/node').send({ label: 'Idea' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Launch', parentNodeId: 'idea', edgeLabel: 'ship it' }).expect(200);
+
+    const response = await request(app).get('/api/flow/export?format=mermaid').expect(200);
+
+    expect(response.headers['content-type']).toContain('text/vnd.mermaid');
+    expect(response.headers['content-disposition']).toContain('main.mmd');
+    expect(response.text).toContain('flowchart LR');
+    expect(response.text).toContain('idea["Idea"]');
+    expect(response.text).toContain('idea -->|"ship it"| launch');
+  });
+
+  it('should export named flows', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'Q1' }).expect(200);
+
+    const response = await request(app).get('/api/flows/roadmap/export?format=mermaid').expect(200);
+
+    expect(response.headers['content-disposition']).toContain('roadmap.mmd');
+    expect(response.text).toContain('q1["Q1"]');
+  });
+
+  it('should export the flow as a Graphviz DOT download', async () => {
+    await request(app).post('/api/node').send({ label: 'Idea', description: 'Why we start' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Launch', parentNodeId: 'idea', edgeLabel: 'ship it' }).expect(200);
+
+    const response = await request(app).get('/api/flow/export?format=dot').expect(200);
+
+    expect(response.headers['content-type']).toContain('text/vnd.graphviz');
+    expect(response.headers['content-disposition']).toContain('main.dot');
+    expect(response.text).toContain('digraph flow {');
+    expect(response.text).toContain('"idea" [label="Idea", tooltip="Why we start"];');
+    expect(response.text).toContain('"idea" -> "launch" [label="ship it"];');
+  });
+
+  it('should export the edge hierarchy as a Markdown outline', async () => {
+    await request(app).post('/api/node').send({ label: 'Idea', description: 'Why we start' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Launch', parentNodeId: 'idea', edgeLabel: 'ship it' }).expect(200);
+
+    const response = await request(app).get('/api/flow/export?format=markdown').expect(200);
+
+    expect(response.headers['content-type']).toContain('text/markdown');
+    expect(response.headers['content-disposition']).toContain('main.md');
+    expect(response.text).toBe('- Idea\n  > Why we start\n  - *ship it* → Launch\n');
+  });
+
+  it('should reject unknown formats', async () => {
+    const response = await request(app).get('/api/flow/export?format=visio').expect(400);
+
+    expect(response.body.error).toContain('Unsupported format "visio"');
+    expect(response.body.error).toContain('mermaid');
+  });
+});
+
+describe('POST /api/flows/:flowName/import', () => {
+  const source = [
+    'flowchart LR',
+    '  subgraph team[Team]',
+    '    plan[Plan] -->|then| build[Build]',
+    '  end',
+    '  build --> ship[Ship]',
+  ].join('\n');
+
+  it('should create a laid-out flow from Mermaid', async () => {
+    const response = await request(app)
+      .post('/api/flows/imported/import')
+      .send({ format: 'mermaid', content: source })
+      .expect(200);
+
+    expect(response.body).toMatchObject({ success: true, name: 'imported' });
+
+    const flow = (await request(app).get('/api/flows/imported').expect(200)).body;
+    const byId = Object.fromEntries(flow.nodes.map(node => [node.id, node]));
+
+    expect(byId.team).toMatchObject({ type: 'group', isCollapsed: false });
+    expect(byId.build.parentGroupId).toBe('team');
+    expect(byId.plan.position.x).toBeLessThan(byId.build.position.x);
+    expect(byId.build.position.x).toBeLessThan(byId.ship.position.x);
+    expect(flow.edges.find(edge => edge.source === 'plan').data.label).toBe('then');
+
+    const list = await request(app).get('/api/flows').expect(200);
+    expect(list.body.flows.map(item => item.name)).toContain('imported');
+  });
+
+  it('should round-trip an exported flow', async () => {
+    await request(app).post('/api/flows/original/import').send({ format: 'mermaid', content: source }).expect(200);
+    const exported = await request(app).get('/api/flows/original/export?format=mermaid').expect(200);
+
+    await request(app).post('/api/flows/copy/import').send({ format: 'mermaid', content: exported.text }).expect(200);
+
+    const original = (await request(app).get('/api/flows/original').expect(200)).body;
+    const copy = (await request(app).get('/api/flows/copy').expect(200)).body;
+    expect(copy.nodes).toEqual(original.nodes);
+    expect(copy.edges).toEqual(original.edges);
+  });
+
+  it('should create a flow with nested groups from DOT', async () => {
+    const dot = [
+      'digraph {',
+      '  subgraph cluster_team {',
+      '    label="Team";',
+      '    subgraph cluster_core { label="Core"; plan [label="Plan", tooltip="Draft it"] }',
+      '  }',
+      '  plan -> ship [label="then"]',
+      '}',
+    ].join('\n');
+
+    await request(app).post('/api/flows/graph/import').send({ format: 'dot', content: dot }).expect(200);
+
+    const flow = (await request(app).get('/api/flows/graph').expect(200)).body;
+    const byId = Object.fromEntries(flow.nodes.map(node => [node.id, node]));
+
+    expect(byId.team).toMatchObject({ type: 'group', data: { label: 'Team' } });
+    expect(byId.core).toMatchObject({ type: 'group', parentGroupId: 'team' });
+    expect(byId.plan).toMatchObject({ parentGroupId: 'core', data: { label: 'Plan', description: 'Draft it' } });
+    expect(byId.plan.position.x).toBeLessThan(byId.ship.position.x);
+    expect(flow.edges).toEqual([{ id: 'e-plan-ship', source: 'plan', target: 'ship', data: { label: 'then' } }]);
+
+    const invalid = await request(app).post('/api/flows/bad-dot/import').send({ format: 'dot', content: 'digraph {' }).expect(400);
+    expect(invalid.body.error).toBe('Invalid Graphviz DOT: Line 1: Expected "}" before the end of the file');
+  });
+
+  it('should build a Markdown outline through addNode and lay it out', async () => {
+    const outline = [
+      '- Plan',
+      '  > Draft it',
+      '  - *then* → Build',
+      '    - Ship',
+      '      - *rework* → [Build](#build)',
+      '  - Build again {#build}',
+    ].join('\n');
+
+    await request(app).post('/api/flows/outline/import').send({ format: 'markdown', content: outline }).expect(200);
+
+    const flow = (await request(app).get('/api/flows/outline').expect(200)).body;
+    const byId = Object.fromEntries(flow.nodes.map(node => [node.id, node]));
+
+    expect(Object.keys(byId)).toEqual(['plan', 'build', 'ship', 'build_2']);
+    expect(byId.plan.data).toEqual({ label: 'Plan', description: 'Draft it' });
+    expect(byId.plan.position.x).toBeLessThan(byId.build.position.x);
+    expect(byId.build.position.x).toBeLessThan(byId.ship.position.x);
+    expect(flow.edges.map(edge => [edge.source, edge.target, edge.data?.label])).toEqual([
+      ['plan', 'build', 'then'],
+      ['build', 'ship', undefined],
+      ['plan', 'build_2', undefined],
+      ['ship', 'build_2', 'rework'],
+    ]);
+
+    const exported = await request(app).get('/api/flows/outline/export?format=markdown').expect(200);
+    expect(exported.text).toBe([
+      '- Plan',
+      '  > Draft it',
+      '  - *then* → Build',
+      '    - Ship',
+      '      - *rework* → [Build again](#build_again)',
+      '  - Build again {#build_again}',
+      '',
+    ].join('\n'));
+
+    const invalid = await request(app).post('/api/flows/bad-outline/import').send({ format: 'markdown', content: '- [X](#x)' }).expect(400);
+    expect(invalid.body.error).toBe('Invalid Markdown outline: Line 1: A link item needs a parent item');
+  });
+
+  it('should import a JSON Canvas with its own layout and export it back', async () => {
+    const canvas = {
+      nodes: [
+        { id: 'team', type: 'group', x: -40, y: -40, width: 600, height: 200, label: 'Team' },
+        { id: 'plan', type: 'text', x: 0, y: 0, width: 172, height: 70, text: 'Plan\n\nDraft it' },
+        { id: 'ship', type: 'text', x: 700, y: 300, width: 172, height: 70, text: 'Ship' },
+      ],
+      edges: [{ id: 'e1', fromNode: 'plan', toNode: 'ship', label: 'then' }],
+    };
+
+    await request(app).post('/api/flows/vault/import').send({ format: 'canvas', content: JSON.stringify(canvas) }).expect(200);
+
+    const flow = (await request(app).get('/api/flows/vault').expect(200)).body;
+    const byId = Object.fromEntries(flow.nodes.map(node => [node.id, node]));
+    expect(byId.plan).toMatchObject({ position: { x: 0, y: 0 }, parentGroupId: 'team', data: { description: 'Draft it' } });
+    expect(byId.ship.position).toEqual({ x: 700, y: 300 });
+
+    const exported = await request(app).get('/api/flows/vault/export?format=canvas').expect(200);
+    expect(exported.headers['content-disposition']).toContain('vault.canvas');
+    const document = JSON.parse(exported.text);
+    expect(document.nodes.find(node => node.id === 'team')).toEqual({
+      id: 'team', type: 'group', x: -20, y: -20, width: 212, height: 110, label: 'Team',
+    });
+    expect(document.edges).toEqual([{ id: 'e1', fromNode: 'plan', fromSide: 'right', toNode: 'ship', toSide: 'left', label: 'then' }]);
+  });
+
+  it('should import an OPML outline with collapsed subtrees laid out and export it back', async () => {
+    const opml = [
+      '<opml version="2.0"><head><expansionState>1</expansionState></head><body>',
+      '  <outline text="Plan" _note="Draft it">',
+      '    <outline text="Build" _edgeLabel="then"><outline text="Ship"/></outline>',
+      '  </outline>',
+      '</body></opml>',
+    ].join('\n');
+
+    await request(app).post('/api/flows/brainstorm/import').send({ format: 'opml', content: opml }).expect(200);
+
+    const flow = (await request(app).get('/api/flows/brainstorm').expect(200)).body;
+    const byId = Object.fromEntries(flow.nodes.map(node => [node.id, node]));
+    expect(byId.plan.data).toEqual({ label: 'Plan', description: 'Draft it' });
+    expect(byId.build.data).toEqual({ label: 'Build', collapsed: true });
+    expect(byId.ship).toMatchObject({ hidden: true, subtreeHidden: true });
+    expect(byId.build.position.x).toBeLessThan(byId.ship.position.x);
+
+    const exported = await request(app).get('/api/flows/brainstorm/export?format=opml').expect(200);
+    expect(exported.headers['content-type']).toContain('text/x-opml');
+    expect(exported.headers['content-disposition']).toContain('brainstorm.opml');
+    expect(exported.text).toContain('<expansionState>1</expansionState>');
+    expect(exported.text).toContain('<outline text="Build" _edgeLabel="then">');
+
+    const mindMap = await request(app).get('/api/flows/brainstorm/export?format=freemind').expect(200);
+    expect(mindMap.headers['content-disposition']).toContain('brainstorm.mm');
+    expect(mindMap.text).toContain('<node ID="build" TEXT="Build" FOLDED="true">');
+
+    const invalid = await request(app).post('/api/flows/bad-map/import').send({ format: 'freemind', content: '<map><node>' }).expect(400);
+    expect(invalid.body.error).toBe('Invalid FreeMind: Line 1: Missing closing tag </node>');
+  });
+
+  it('should report parse errors without creating the flow', async () => {
+    const response = await request(app)
+      .post('/api/flows/broken/import')
+      .send({ format: 'mermaid', content: 'flowchart LR\n  A --> B\n  end' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid Mermaid: Line 3: "end" without a matching "subgraph"');
+    await request(app).get('/api/flows/broken').expect(404);
+  });
+
+  it('should validate the request', async () => {
+    await request(app).post('/api/flows/x/import').send({ format: 'visio', content: 'A' }).expect(400);
+    await request(app).post('/api/flows/x/import').send({ format: 'mermaid', content: '' }).expect(400);
+    await request(app).post('/api/flows/main/import').send({ format: 'mermaid', content: source }).expect(409);
+    await request(app).post('/api/flows/bad%2Fname/import').send({ format: 'mermaid', content: source }).expect(400);
+  });
+});
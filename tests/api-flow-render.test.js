@@ -0,0 +1,79 @@
+// ABOUTME: Integration tests for the flow image route
+// ABOUTME: Verifies SVG rendering of current flows, named flows and history snapshots
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+// supertest buffers image/svg+xml as a Buffer rather than text
+const getSvg = async (path) => {
+  const response = await request(app).get(path).buffer(true).parse((res, done) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => done(null, body));
+  }).expect(200);
+  return response;
+};
+
+describe('GET /api/flow/render', () => {
+  it('should render the current flow as SVG', async () => {
+    await request(app).post('/api/node').send({ label: 'Idea' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Launch', parentNodeId: 'idea', edgeLabel: 'ship it' }).expect(200);
+
+    const response = await getSvg('/api/flow/render');
+
+    expect(response.headers['content-type']).toContain('image/svg+xml');
+    expect(response.headers['content-disposition']).toBe('inline; filename="main.svg"');
+    expect(response.body).toContain('data-id="idea"');
+    expect(response.body).toContain('>Launch</text>');
+    expect(response.body).toContain('>ship it</text>');
+  });
+
+  it('should render a history snapshot of a named flow', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'Q1' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'Q2' }).expect(200);
+    const history = await request(app).get('/api/flows/roadmap/history').expect(200);
+    const [first] = history.body.snapshots.map(snapshot => snapshot.id);
+
+    const response = await getSvg(`/api/flows/roadmap/render?format=svg&snapshotId=${first}`);
+
+    expect(response.headers['content-disposition']).toContain(`roadmap-snapshot-${first}.svg`);
+    expect(response.body).toContain('>Q1</text>');
+    expect(response.body).not.toContain('>Q2</text>');
+  });
+
+  it('should render PNG when the rasterizer is installed', async () => {
+    const response = await request(app).get('/api/flow/render?format=png');
+
+    if (response.status === 501) {
+      expect(response.body.error).toContain('@resvg/resvg-js');
+    } else {
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('image/png');
+    }
+  });
+
+  it('should validate the request', async () => {
+    const format = await request(app).get('/api/flow/render?format=gif').expect(400);
+    expect(format.body.error).toContain('Unsupported image format "gif"');
+
+    await request(app).get('/api/flow/render?snapshotId=abc').expect(400);
+    await request(app).get('/api/flow/render?snapshotId=999999').expect(404);
+  });
+});
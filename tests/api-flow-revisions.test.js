@@ -0,0 +1,255 @@
+// ABOUTME: Integration tests for optimistic concurrency on flow writes
+// ABOUTME: Verifies revision numbers, stale-save 409s, replay of conflicting tool writes and guarded history restores
+import { describe, it, expect, beforeEach, afterEach, beforeAll, vi } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb, countUndoSnapshots } from './test-db-setup.js';
+import * as db from '../server/db.js';
+import { executeToolCalls } from '../server/tools/executor.js';
+
+// Lets a test slip a competing write in right after a flow is read
+vi.mock('../server/db.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    getFlowRecord: vi.fn(actual.getFlowRecord),
+    jumpToSnapshot: vi.fn(actual.jumpToSnapshot)
+  };
+});
+
+let app;
+let actualGetFlowRecord;
+let actualJumpToSnapshot;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+  ({ getFlowRecord: actualGetFlowRecord, jumpToSnapshot: actualJumpToSnapshot } = await vi.importActual('../server/db.js'));
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+  db.getFlowRecord.mockImplementation(actualGetFlowRecord);
+  db.jumpToSnapshot.mockImplementation(actualJumpToSnapshot);
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+// Every read is followed by another writer saving `competingFlow` before the reader writes back
+function interleaveCompetingWrite(competingFlow, { once = true } = {}) {
+  const competing = async (userId, name) => {
+    const record = await actualGetFlowRecord(userId, name);
+    await db.saveFlow(competingFlow, userId, name);
+    return record;
+  };
+
+  if (once) {
+    db.getFlowRecord.mockImplementationOnce(competing);
+  } else {
+    db.getFlowRecord.mockImplementation(competing);
+  }
+}
+
+const labels = (flow) => flow.nodes.map(node => node.data.label);
+const competingFlow = {
+  nodes: [{ id: 'other', position: { x: 0, y: 0 }, data: { label: 'Other tab' } }],
+  edges: []
+};
+
+describe('flow revisions', () => {
+  it('should return the revision with the flow and bump it on every write', async () => {
+    const initial = await request(app).get('/api/flow').expect(200);
+    expect(initial.body.revision).toBe(0);
+
+    const created = await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    expect(created.body.revision).toBe(1);
+
+    const saved = await request(app).post('/api/flow').send({ nodes: [], edges: [] }).expect(200);
+    expect(saved.body).toEqual({ success: true, revision: 2 });
+
+    const loaded = await request(app).get('/api/flow').expect(200);
+    expect(loaded.body).toEqual({ nodes: [], edges: [], revision: 2 });
+  });
+
+  it('should save a whole flow when its revision is current', async () => {
+    await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    const { body: flow } = await request(app).get('/api/flow').expect(200);
+
+    const response = await request(app)
+      .post('/api/flow')
+      .send({ ...flow, nodes: [] })
+      .expect(200);
+
+    expect(response.body.revision).toBe(flow.revision + 1);
+  });
+
+  it('should reject a stale whole-flow save with 409 and leave the flow untouched', async () => {
+    await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    const { body: staleFlow } = await request(app).get('/api/flow').expect(200);
+    await request(app).post('/api/node').send({ label: 'Second' }).expect(200);
+    const snapshotsBefore = await countUndoSnapshots();
+
+    const response = await request(app)
+      .post('/api/flow')
+      .send({ ...staleFlow, nodes: [] })
+      .expect(409);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.revision).toBe(staleFlow.revision + 1);
+
+    const current = await request(app).get('/api/flow').expect(200);
+    expect(labels(current.body)).toEqual(['First', 'Second']);
+    expect(await countUndoSnapshots()).toBe(snapshotsBefore);
+  });
+
+  it('should reject an invalid revision', async () => {
+    await request(app).post('/api/flow').send({ nodes: [], edges: [], revision: -1 }).expect(400);
+    await request(app).post('/api/flow').send({ nodes: [], edges: [], revision: 'abc' }).expect(400);
+  });
+
+  it('should keep the revision out of undo snapshots', async () => {
+    await request(app).post('/api/flow').send({ nodes: [], edges: [], revision: 0 }).expect(200);
+
+    const timeline = await request(app).get('/api/flow/history').expect(200);
+    const snapshot = await request(app).get(`/api/flow/history/${timeline.body.currentId}`).expect(200);
+
+    expect(snapshot.body.flow).toEqual({ nodes: [], edges: [] });
+  });
+});
+
+describe('conflicting tool writes', () => {
+  it('should replay a node edit against the latest flow instead of dropping the other write', async () => {
+    interleaveCompetingWrite(competingFlow);
+
+    const response = await request(app).post('/api/node').send({ label: 'Mine' }).expect(200);
+
+    expect(labels(response.body.flow)).toEqual(['Other tab', 'Mine']);
+    const current = await request(app).get('/api/flow').expect(200);
+    expect(labels(current.body)).toEqual(['Other tab', 'Mine']);
+  });
+
+  it('should return 409 when every attempt conflicts', async () => {
+    interleaveCompetingWrite(competingFlow, { once: false });
+
+    const response = await request(app).post('/api/node').send({ label: 'Mine' }).expect(409);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toContain('changed by another writer');
+  });
+
+  it('should replay LLM tool batches against the latest flow', async () => {
+    interleaveCompetingWrite(competingFlow);
+
+    const results = await executeToolCalls([{ name: 'addNode', params: { label: 'From AI' } }]);
+
+    expect(results[0].success).toBe(true);
+    const current = await request(app).get('/api/flow').expect(200);
+    expect(labels(current.body)).toEqual(['Other tab', 'From AI']);
+  });
+
+  it('should fail every result with status 409 when an LLM batch keeps conflicting', async () => {
+    interleaveCompetingWrite(competingFlow, { once: false });
+
+    const results = await executeToolCalls([
+      { name: 'addNode', params: { label: 'One' } },
+      { name: 'addNode', params: { label: 'Two' } }
+    ]);
+
+    expect(results).toHaveLength(2);
+    results.forEach(result => {
+      expect(result).toMatchObject({ success: false, status: 409 });
+    });
+  });
+});
+
+describe('conflicting history writes', () => {
+  async function createHistory() {
+    await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Second' }).expect(200);
+    const { body: timeline } = await request(app).get('/api/flow/history').expect(200);
+    return timeline;
+  }
+
+  it('should refuse a snapshot restore over a concurrent edit with 409', async () => {
+    const timeline = await createHistory();
+    interleaveCompetingWrite(competingFlow);
+
+    const response = await request(app)
+      .post(`/api/flow/history/${timeline.snapshots[0].id}/restore`)
+      .expect(409);
+
+    expect(response.body.error).toContain('changed by another writer');
+    const current = await request(app).get('/api/flow').expect(200);
+    expect(labels(current.body)).toEqual(['Other tab']);
+    const { body: after } = await request(app).get('/api/flow/history').expect(200);
+    expect(after.snapshots).toHaveLength(2);
+  });
+
+  it('should refuse a history jump over a concurrent edit with 409 and keep the history position', async () => {
+    const timeline = await createHistory();
+    interleaveCompetingWrite(competingFlow);
+
+    await request(app)
+      .post('/api/flow/history-jump')
+      .send({ snapshotId: timeline.snapshots[0].id })
+      .expect(409);
+
+    const current = await request(app).get('/api/flow').expect(200);
+    expect(labels(current.body)).toEqual(['Other tab']);
+    const { body: after } = await request(app).get('/api/flow/history').expect(200);
+    expect(after.currentId).toBe(timeline.currentId);
+  });
+
+  it('should put the flow back and return 409 when the history position cannot move', async () => {
+    const timeline = await createHistory();
+    // The snapshot was pruned, or the position moved, between the read and the jump
+    db.jumpToSnapshot.mockResolvedValueOnce(null);
+
+    await request(app)
+      .post('/api/flow/history-jump')
+      .send({ snapshotId: timeline.snapshots[0].id })
+      .expect(409);
+
+    const current = await request(app).get('/api/flow').expect(200);
+    expect(labels(current.body)).toEqual(['First', 'Second']);
+    const { body: after } = await request(app).get('/api/flow/history').expect(200);
+    expect(after.currentId).toBe(timeline.currentId);
+  });
+
+  it('should refuse a checkpoint restore over a concurrent edit with 409', async () => {
+    await createHistory();
+    await request(app).post('/api/flow/checkpoints').send({ name: 'v1' }).expect(200);
+    interleaveCompetingWrite(competingFlow);
+
+    const response = await request(app).post('/api/flow/checkpoints/v1/restore').expect(409);
+
+    expect(response.body.error).toContain('changed by another writer');
+    const current = await request(app).get('/api/flow').expect(200);
+    expect(labels(current.body)).toEqual(['Other tab']);
+  });
+
+  it('should return the new revision after a checkpoint restore', async () => {
+    await createHistory();
+    await request(app).post('/api/flow/checkpoints').send({ name: 'v1' }).expect(200);
+
+    const restored = await request(app).post('/api/flow/checkpoints/v1/restore').expect(200);
+
+    expect(restored.body.revision).toBe(3);
+  });
+
+  it('should return the new revision after a restore or jump', async () => {
+    const timeline = await createHistory();
+
+    const restored = await request(app)
+      .post(`/api/flow/history/${timeline.snapshots[0].id}/restore`)
+      .expect(200);
+    const jumped = await request(app)
+      .post('/api/flow/history-jump')
+      .send({ snapshotId: timeline.snapshots[1].id })
+      .expect(200);
+
+    expect(restored.body.revision).toBe(3);
+    expect(jumped.body.revision).toBe(4);
+  });
+});
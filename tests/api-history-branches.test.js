@@ -0,0 +1,97 @@
+// ABOUTME: Integration tests for undo tree branch listing and jumping
+// ABOUTME: Verifies abandoned redo states stay reachable through the API
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+// First -> Second, undo, then First -> Replacement
+async function createTwoBranches(basePath = '/api') {
+  await request(app).post(`${basePath}/node`).send({ label: 'First' }).expect(200);
+  await request(app).post(`${basePath}/node`).send({ label: 'Second' }).expect(200);
+  await request(app).post(`${basePath}/undo`).expect(200);
+  await request(app).post(`${basePath}/node`).send({ label: 'Replacement' }).expect(200);
+}
+
+describe('GET /api/flow/history-branches', () => {
+  it('should list both branches after pushing past an undo', async () => {
+    await createTwoBranches();
+
+    const response = await request(app).get('/api/flow/history-branches').expect(200);
+
+    expect(response.body.branches).toHaveLength(2);
+    expect(response.body.branches[0].isCurrent).toBe(true);
+    expect(response.body.branches[0].headId).toBe(response.body.currentId);
+    expect(response.body.branches[1].origin).toBe('ui.node.create');
+  });
+
+  it('should list branches per flow', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+    await createTwoBranches('/api/flows/roadmap');
+
+    const roadmap = await request(app).get('/api/flows/roadmap/history-branches').expect(200);
+    const main = await request(app).get('/api/flow/history-branches').expect(200);
+
+    expect(roadmap.body.branches).toHaveLength(2);
+    expect(main.body.branches).toHaveLength(0);
+  });
+});
+
+describe('POST /api/flow/history-jump', () => {
+  it('should restore an abandoned branch and redo along it', async () => {
+    await createTwoBranches();
+    const { body: tree } = await request(app).get('/api/flow/history-branches');
+    const [rootId, abandonedHead] = tree.branches[1].snapshotIds;
+
+    const response = await request(app)
+      .post('/api/flow/history-jump')
+      .send({ snapshotId: rootId })
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.flow.nodes.map(node => node.data.label)).toEqual(['First']);
+
+    const redo = await request(app).post('/api/flow/redo').expect(200);
+    expect(redo.body.flow.nodes.map(node => node.data.label)).toEqual(['First', 'Replacement']);
+
+    await request(app).post('/api/flow/history-jump').send({ snapshotId: abandonedHead }).expect(200);
+    const flow = await request(app).get('/api/flow').expect(200);
+    expect(flow.body.nodes.map(node => node.data.label)).toEqual(['First', 'Second']);
+
+    const status = await request(app).get('/api/flow/history-status').expect(200);
+    expect(status.body.snapshotCount).toBe(3);
+    expect(status.body.canRedo).toBe(false);
+  });
+
+  it('should return 400 for an invalid snapshot id', async () => {
+    const response = await request(app)
+      .post('/api/flow/history-jump')
+      .send({ snapshotId: 'latest' })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should return 404 for a snapshot outside the flow', async () => {
+    const response = await request(app)
+      .post('/api/flow/history-jump')
+      .send({ snapshotId: 9999 })
+      .expect(404);
+
+    expect(response.body.error).toContain('9999');
+  });
+});
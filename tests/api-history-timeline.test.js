@@ -0,0 +1,102 @@
+// ABOUTME: Integration tests for the history timeline, snapshot preview and restore routes
+// ABOUTME: Verifies origin metadata and change summaries are readable through the API
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('GET /api/flow/history', () => {
+  it('should list snapshots oldest first with origin and change summary', async () => {
+    const created = await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Second' }).expect(200);
+    await request(app).put(`/api/node/${created.body.nodeId}`).send({ label: 'Renamed' }).expect(200);
+
+    const response = await request(app).get('/api/flow/history').expect(200);
+    const { snapshots, currentId } = response.body;
+
+    expect(snapshots.map(snapshot => snapshot.origin)).toEqual(['ui.node.create', 'ui.node.create', 'ui.node.update']);
+    expect(snapshots[0].summary).toEqual({
+      nodeCount: 1,
+      edgeCount: 0,
+      nodes: { added: 1, removed: 0, changed: 0 },
+      edges: { added: 0, removed: 0, changed: 0 }
+    });
+    expect(snapshots[2].summary.nodes).toEqual({ added: 0, removed: 0, changed: 1 });
+    expect(snapshots[2].isCurrent).toBe(true);
+    expect(snapshots[2].id).toBe(currentId);
+    expect(snapshots[1].parentId).toBe(snapshots[0].id);
+    expect(snapshots[0].createdAt).toBeDefined();
+  });
+
+  it('should return an empty timeline for a flow without history', async () => {
+    const response = await request(app).get('/api/flow/history').expect(200);
+
+    expect(response.body).toEqual({ currentId: null, snapshots: [] });
+  });
+});
+
+describe('GET /api/flow/history/:snapshotId', () => {
+  it('should return a past state without moving the undo position', async () => {
+    await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Second' }).expect(200);
+    const { body: timeline } = await request(app).get('/api/flow/history');
+
+    const response = await request(app).get(`/api/flow/history/${timeline.snapshots[0].id}`).expect(200);
+
+    expect(response.body.flow.nodes.map(node => node.data.label)).toEqual(['First']);
+    expect(response.body.flow._meta).toBeUndefined();
+    const status = await request(app).get('/api/flow/history-status').expect(200);
+    expect(status.body.canRedo).toBe(false);
+  });
+
+  it('should return 400 for an invalid id and 404 for an unknown one', async () => {
+    await request(app).get('/api/flow/history/abc').expect(400);
+    await request(app).get('/api/flow/history/9999').expect(404);
+  });
+});
+
+describe('POST /api/flow/history/:snapshotId/restore', () => {
+  it('should restore a snapshot as a new undoable step', async () => {
+    await request(app).post('/api/node').send({ label: 'First' }).expect(200);
+    await request(app).post('/api/node').send({ label: 'Second' }).expect(200);
+    const { body: timeline } = await request(app).get('/api/flow/history');
+
+    const response = await request(app)
+      .post(`/api/flow/history/${timeline.snapshots[0].id}/restore`)
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    const flow = await request(app).get('/api/flow').expect(200);
+    expect(flow.body.nodes.map(node => node.data.label)).toEqual(['First']);
+
+    const { body: after } = await request(app).get('/api/flow/history');
+    expect(after.snapshots).toHaveLength(3);
+    expect(after.snapshots[2].origin).toBe('history.restore');
+
+    const undo = await request(app).post('/api/flow/undo').expect(200);
+    expect(undo.body.flow.nodes).toHaveLength(2);
+  });
+
+  it('should restore within a named flow only', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'Roadmap' }).expect(200);
+    const { body: timeline } = await request(app).get('/api/flows/roadmap/history');
+
+    await request(app).post(`/api/flow/history/${timeline.snapshots[0].id}/restore`).expect(404);
+    await request(app).post(`/api/flows/roadmap/history/${timeline.snapshots[0].id}/restore`).expect(200);
+  });
+});
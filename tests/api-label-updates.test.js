@@ -100,6 +100,49 @@ describe('PUT /api/node/:id - Label Updates', () => {
     expect(node.position.y).toBe(200);
   });
 
+  it('should update node size and position together, as a resize from the top-left does', async () => {
+    const nodeResult = await executeTool('addNode', { label: 'Test Node' });
+
+    const response = await request(app)
+      .put(`/api/node/${nodeResult.nodeId}`)
+      .send({
+        size: { width: 260, height: 110 },
+        position: { x: -40, y: -20 }
+      })
+      .expect(200);
+
+    const node = response.body.flow.nodes.find(n => n.id === nodeResult.nodeId);
+    expect(node.data.size).toEqual({ width: 260, height: 110 });
+    expect(node.position).toEqual({ x: -40, y: -20 });
+  });
+
+  it('should reject a node size out of bounds', async () => {
+    const nodeResult = await executeTool('addNode', { label: 'Test Node' });
+
+    const response = await request(app)
+      .put(`/api/node/${nodeResult.nodeId}`)
+      .send({
+        size: { width: 2000, height: 110 }
+      })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toBe('size must be between 80×40 and 800×600');
+  });
+
+  it('should update the node in the URL even when the body names another', async () => {
+    await executeTool('addNode', { id: 'a', label: 'A' });
+    await executeTool('addNode', { id: 'b', label: 'B' });
+
+    const response = await request(app)
+      .put('/api/node/a')
+      .send({ nodeId: 'b', label: 'Renamed' })
+      .expect(200);
+
+    const labels = Object.fromEntries(response.body.flow.nodes.map(n => [n.id, n.data.label]));
+    expect(labels).toEqual({ a: 'Renamed', b: 'B' });
+  });
+
   it('should fail when node does not exist', async () => {
     const response = await request(app)
       .put('/api/node/nonexistent-node')
@@ -185,6 +228,21 @@ describe('PUT /api/edge/:id - Label Updates', () => {
     expect(edge.data.label).toBe('Updated Edge Label');
   });
 
+  it('should update the edge in the URL even when the body names another', async () => {
+    await executeTool('addNode', { id: 'a', label: 'A' });
+    await executeTool('addNode', { id: 'b', label: 'B' });
+    const first = await executeTool('addEdge', { sourceNodeId: 'a', targetNodeId: 'b' });
+    const second = await executeTool('addEdge', { sourceNodeId: 'b', targetNodeId: 'a' });
+
+    const response = await request(app)
+      .put(`/api/edge/${first.edgeId}`)
+      .send({ edgeId: second.edgeId, label: 'first' })
+      .expect(200);
+
+    const labels = Object.fromEntries(response.body.flow.edges.map(e => [e.id, e.data?.label]));
+    expect(labels).toEqual({ [first.edgeId]: 'first', [second.edgeId]: undefined });
+  });
+
   it('should fail when edge does not exist', async () => {
     const response = await request(app)
       .put('/api/edge/nonexistent-edge')
@@ -0,0 +1,73 @@
+// ABOUTME: Integration tests for the node style endpoint
+// ABOUTME: Tests styling a node via API, resetting styles and validation errors
+
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+import { executeToolCalls } from '../server/tools/executor.js';
+
+async function executeTool(toolName, params) {
+  const results = await executeToolCalls([{ name: toolName, params }]);
+  return results[0];
+}
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('PUT /api/node/:id/style', () => {
+  it('styles the node and returns the style with the flow', async () => {
+    await executeTool('addNode', { id: 'login', label: 'Login' });
+
+    const response = await request(app)
+      .put('/api/node/login/style')
+      .send({ border: '#22C55E', shape: 'pill' })
+      .expect(200);
+
+    expect(response.body.style).toEqual({ border: '#22c55e', shape: 'pill' });
+    const node = response.body.flow.nodes.find(n => n.id === 'login');
+    expect(node.data.style).toEqual({ border: '#22c55e', shape: 'pill' });
+  });
+
+  it('resets keys sent as null', async () => {
+    await executeTool('addNode', { id: 'login', label: 'Login' });
+    await request(app).put('/api/node/login/style').send({ icon: 'star' }).expect(200);
+
+    const response = await request(app).put('/api/node/login/style').send({ icon: null }).expect(200);
+
+    expect(response.body.flow.nodes[0].data).not.toHaveProperty('style');
+  });
+
+  it('returns 400 with the validation error', async () => {
+    await executeTool('addNode', { id: 'login', label: 'Login' });
+
+    const response = await request(app)
+      .put('/api/node/login/style')
+      .send({ fill: 'green' })
+      .expect(400);
+
+    expect(response.body).toEqual({ success: false, error: 'fill must be a hex colour such as #1f6feb' });
+  });
+
+  it('ignores a nodeId in the body in favour of the URL', async () => {
+    await executeTool('addNode', { id: 'a', label: 'A' });
+    await executeTool('addNode', { id: 'b', label: 'B' });
+
+    await request(app).put('/api/node/a/style').send({ nodeId: 'b', icon: 'flag' }).expect(200);
+
+    const listed = await request(app).get('/api/flow').expect(200);
+    expect(listed.body.nodes.find(n => n.id === 'a').data.style).toEqual({ icon: 'flag' });
+    expect(listed.body.nodes.find(n => n.id === 'b').data).not.toHaveProperty('style');
+  });
+});
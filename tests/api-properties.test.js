@@ -0,0 +1,90 @@
+// ABOUTME: Integration tests for the node and edge property endpoints
+// ABOUTME: Tests setting properties via API and validation errors
+
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+import { executeToolCalls } from '../server/tools/executor.js';
+
+async function executeTool(toolName, params) {
+  const results = await executeToolCalls([{ name: toolName, params }]);
+  return results[0];
+}
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('PUT /api/node/:id/properties', () => {
+  it('sets properties and returns them with the flow', async () => {
+    await executeTool('addNode', { id: 'login', label: 'Login' });
+
+    const response = await request(app)
+      .put('/api/node/login/properties')
+      .send({ properties: { blocked: true } })
+      .expect(200);
+
+    expect(response.body.properties).toEqual({ blocked: { type: 'boolean', value: true } });
+    const node = response.body.flow.nodes.find(n => n.id === 'login');
+    expect(node.data.properties.blocked.value).toBe(true);
+  });
+
+  it('returns 400 with the validation error', async () => {
+    await executeTool('addNode', { id: 'login', label: 'Login' });
+
+    const response = await request(app)
+      .put('/api/node/login/properties')
+      .send({ properties: { due: { type: 'date', value: 'tomorrow' } } })
+      .expect(400);
+
+    expect(response.body).toEqual({ success: false, error: 'Property "due" must be a date written YYYY-MM-DD' });
+  });
+
+  it('works on named flows', async () => {
+    await request(app).post('/api/flows').send({ name: 'plans' }).expect(200);
+    await request(app).post('/api/flows/plans/node').send({ id: 'x', label: 'X' }).expect(200);
+
+    const response = await request(app)
+      .put('/api/flows/plans/node/x/properties')
+      .send({ properties: { owner: 'sam' } })
+      .expect(200);
+
+    expect(response.body.flow.nodes[0].data.properties.owner.value).toBe('sam');
+  });
+});
+
+describe('PUT /api/edge/:id/properties', () => {
+  it('sets properties on an edge', async () => {
+    await executeTool('addNode', { id: 'a', label: 'A' });
+    await executeTool('addNode', { id: 'b', label: 'B', parentNodeId: 'a' });
+    const listed = await request(app).get('/api/flow').expect(200);
+    const edgeId = listed.body.edges[0].id;
+
+    const response = await request(app)
+      .put(`/api/edge/${edgeId}/properties`)
+      .send({ properties: { protocol: { type: 'enum', value: 'https', options: ['http', 'https'] } } })
+      .expect(200);
+
+    expect(response.body.properties.protocol.value).toBe('https');
+  });
+
+  it('returns 400 for an unknown edge', async () => {
+    const response = await request(app)
+      .put('/api/edge/ghost/properties')
+      .send({ properties: {} })
+      .expect(400);
+
+    expect(response.body.error).toBe('Edge ghost not found');
+  });
+});
@@ -2,7 +2,7 @@
 // ABOUTME: Covers backend subtree collapse functionality added in Phase 2
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import request from 'supertest';
-import { setupTestDb, cleanupTestDb, testSupabase } from './test-db-setup.js';
+import { setupTestDb, cleanupTestDb, seedTestFlow, countUndoSnapshots, getLatestUndoSnapshot } from './test-db-setup.js';
 import app from '../server/app.js';
 import { executeTool } from '../server/tools/executor.js';
 
@@ -143,17 +143,7 @@ describe('PUT /api/flow/subtree/:id/collapse endpoint', () => {
       ],
     };
 
-    const { error } = await testSupabase
-      .from('flows')
-      .insert({
-        user_id: 'default',
-        name: 'main',
-        data: initialFlow,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      });
-
-    if (error) throw error;
+    await seedTestFlow('default', 'main', initialFlow);
   });
 
   afterEach(async () => {
@@ -219,9 +209,7 @@ describe('PUT /api/flow/subtree/:id/collapse endpoint', () => {
 
   it('should create snapshot with operation', async () => {
     // Get initial snapshot count
-    const { count: beforeCount } = await testSupabase
-      .from('undo_history')
-      .select('*', { count: 'exact', head: true });
+    const beforeCount = await countUndoSnapshots();
 
     // Collapse subtree
     await request(app)
@@ -230,9 +218,7 @@ describe('PUT /api/flow/subtree/:id/collapse endpoint', () => {
       .expect(200);
 
     // Check snapshot was created
-    const { count: afterCount } = await testSupabase
-      .from('undo_history')
-      .select('*', { count: 'exact', head: true });
+    const afterCount = await countUndoSnapshots();
 
     expect(afterCount).toBe(beforeCount + 1);
   });
@@ -245,15 +231,7 @@ describe('PUT /api/flow/subtree/:id/collapse endpoint', () => {
       .expect(200);
 
     // Get the latest snapshot
-    const { data: latestSnapshot } = await testSupabase
-      .from('undo_history')
-      .select('snapshot')
-      .order('created_at', { ascending: false })
-      .order('id', { ascending: false })
-      .limit(1)
-      .single();
-
-    const snapshotData = latestSnapshot.snapshot;
+    const snapshotData = await getLatestUndoSnapshot();
 
     // Verify origin metadata
     expect(snapshotData._meta).toBeDefined();
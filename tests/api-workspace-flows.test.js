@@ -0,0 +1,238 @@
+// ABOUTME: Integration tests for named flow workspace endpoints
+// ABOUTME: Covers flow CRUD under /api/flows and per-flow node/edge routes
+
+import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
+import request from 'supertest';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+import { getFlow, renameFlow as dbRenameFlow } from '../server/db.js';
+import { createFlow, duplicateFlow, renameFlow } from '../server/workspaceService.js';
+
+let app;
+
+beforeAll(async () => {
+  const serverModule = await import('../server/server.js');
+  app = serverModule.default || serverModule.app;
+});
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('GET /api/flows', () => {
+  it('should always list the main flow', async () => {
+    const response = await request(app).get('/api/flows').expect(200);
+
+    expect(response.body.flows.map(flow => flow.name)).toEqual(['main']);
+  });
+
+  it('should list created flows after main', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+
+    const response = await request(app).get('/api/flows').expect(200);
+
+    expect(response.body.flows.map(flow => flow.name)).toEqual(['main', 'roadmap']);
+  });
+});
+
+describe('POST /api/flows', () => {
+  it('should create an empty flow', async () => {
+    const response = await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+
+    expect(response.body).toEqual({ success: true, name: 'roadmap', flow: { nodes: [], edges: [] } });
+  });
+
+  it('should reject duplicate names with 409', async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+
+    const response = await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(409);
+
+    expect(response.body.error).toContain('already exists');
+  });
+
+  it('should let only one of two concurrent creates with the same name win', async () => {
+    const first = { nodes: [{ id: 'a', type: 'default', position: { x: 0, y: 0 }, data: { label: 'A' } }], edges: [] };
+
+    const results = await Promise.all([createFlow('roadmap', first), createFlow('roadmap')]);
+
+    expect(results.map(result => result.status ?? 200)).toEqual([200, 409]);
+    expect(results[1].error).toBe('Flow "roadmap" already exists');
+    expect((await getFlow('default', 'roadmap')).nodes).toHaveLength(1);
+  });
+
+  it('should reject invalid names with 400', async () => {
+    const response = await request(app).post('/api/flows').send({ name: '../etc' }).expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+});
+
+describe('PATCH /api/flows/:flowName', () => {
+  it('should rename a flow', async () => {
+    await request(app).post('/api/flows').send({ name: 'draft' }).expect(200);
+    await request(app).post('/api/flows/draft/node').send({ label: 'Kept' }).expect(200);
+
+    await request(app).patch('/api/flows/draft').send({ name: 'final' }).expect(200);
+
+    const flow = await getFlow('default', 'final');
+    expect(flow.nodes[0].data.label).toBe('Kept');
+    await request(app).get('/api/flows/draft').expect(404);
+  });
+
+  it('should refuse to rename main', async () => {
+    await request(app).patch('/api/flows/main').send({ name: 'other' }).expect(400);
+  });
+
+  it('should return 404 for a missing flow', async () => {
+    await request(app).patch('/api/flows/missing').send({ name: 'other' }).expect(404);
+  });
+
+  it('should never rename over another flow, even one the name check missed', async () => {
+    await request(app).post('/api/flows').send({ name: 'draft' }).expect(200);
+    await request(app).post('/api/flows').send({ name: 'final' }).expect(200);
+    await request(app).post('/api/flows/final/node').send({ label: 'Kept' }).expect(200);
+
+    expect(await dbRenameFlow('draft', 'final')).toBeNull();
+    expect((await getFlow('default', 'final')).nodes[0].data.label).toBe('Kept');
+    await request(app).get('/api/flows/draft').expect(200);
+  });
+
+  it('should let only one of a concurrent create and rename to the same name win', async () => {
+    await request(app).post('/api/flows').send({ name: 'draft' }).expect(200);
+    await request(app).post('/api/flows/draft/node').send({ label: 'Draft' }).expect(200);
+
+    const [created, renamed] = await Promise.all([createFlow('final'), renameFlow('draft', 'final')]);
+
+    expect([created.status ?? 200, renamed.status ?? 200].sort()).toEqual([200, 409]);
+    const loser = created.success ? renamed : created;
+    expect(loser.error).toBe('Flow "final" already exists');
+    expect((await getFlow('default', 'final')).nodes).toHaveLength(renamed.success ? 1 : 0);
+  });
+});
+
+describe('POST /api/flows/:flowName/duplicate', () => {
+  it('should copy nodes and edges into a new flow', async () => {
+    await request(app).post('/api/node').send({ label: 'Root' }).expect(200);
+
+    const response = await request(app)
+      .post('/api/flows/main/duplicate')
+      .send({ name: 'copy' })
+      .expect(200);
+
+    expect(response.body.flow.nodes).toHaveLength(1);
+    expect(await getFlow('default', 'copy')).toEqual(await getFlow('default', 'main'));
+  });
+
+  it('should not overwrite a flow created under the new name at the same time', async () => {
+    await request(app).post('/api/flows').send({ name: 'source' }).expect(200);
+    await request(app).post('/api/flows/source/node').send({ label: 'A' }).expect(200);
+
+    const results = await Promise.all([createFlow('copy'), duplicateFlow('source', 'copy')]);
+
+    expect(results.map(result => result.status ?? 200)).toEqual([200, 409]);
+    expect((await getFlow('default', 'copy')).nodes).toEqual([]);
+  });
+});
+
+describe('DELETE /api/flows/:flowName', () => {
+  it('should delete a flow', async () => {
+    await request(app).post('/api/flows').send({ name: 'scratch' }).expect(200);
+
+    await request(app).delete('/api/flows/scratch').expect(200);
+
+    const response = await request(app).get('/api/flows').expect(200);
+    expect(response.body.flows.map(flow => flow.name)).toEqual(['main']);
+  });
+
+  it('should refuse to delete main', async () => {
+    await request(app).delete('/api/flows/main').expect(400);
+  });
+});
+
+describe('Per-flow routes', () => {
+  beforeEach(async () => {
+    await request(app).post('/api/flows').send({ name: 'roadmap' }).expect(200);
+  });
+
+  it('should keep node changes inside the targeted flow', async () => {
+    const response = await request(app)
+      .post('/api/flows/roadmap/node')
+      .send({ label: 'Milestone' })
+      .expect(200);
+
+    expect(response.body.flow.nodes).toHaveLength(1);
+    expect((await getFlow('default', 'roadmap')).nodes).toHaveLength(1);
+    expect((await getFlow('default', 'main')).nodes).toHaveLength(0);
+  });
+
+  it('should load and save a named flow', async () => {
+    const flow = {
+      nodes: [{ id: 'a', position: { x: 0, y: 0 }, data: { label: 'A' } }],
+      edges: []
+    };
+
+    const saved = await request(app).post('/api/flows/roadmap').send(flow).expect(200);
+    const response = await request(app).get('/api/flows/roadmap').expect(200);
+
+    expect(response.body).toEqual({ ...flow, revision: saved.body.revision });
+  });
+
+  it('should create edges in the targeted flow', async () => {
+    const first = await request(app).post('/api/flows/roadmap/node').send({ label: 'First' });
+    const second = await request(app).post('/api/flows/roadmap/node').send({ label: 'Second' });
+
+    const response = await request(app)
+      .post('/api/flows/roadmap/edge')
+      .send({ sourceNodeId: first.body.nodeId, targetNodeId: second.body.nodeId })
+      .expect(200);
+
+    expect(response.body.flow.edges).toHaveLength(1);
+  });
+
+  it('should undo only within the targeted flow', async () => {
+    await request(app).post('/api/node').send({ label: 'Main node' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'Milestone' }).expect(200);
+    await request(app).post('/api/flows/roadmap/node').send({ label: 'Launch' }).expect(200);
+
+    const response = await request(app).post('/api/flows/roadmap/undo').expect(200);
+
+    expect(response.body.flow.nodes.map(node => node.data.label)).toEqual(['Milestone']);
+    expect((await getFlow('default', 'main')).nodes).toHaveLength(1);
+
+    const status = await request(app).get('/api/flows/roadmap/history-status').expect(200);
+    expect(status.body.canRedo).toBe(true);
+  });
+
+  it('should update the snapshot limit of a flow', async () => {
+    const response = await request(app)
+      .put('/api/flows/roadmap/history-settings')
+      .send({ snapshotLimit: 10 })
+      .expect(200);
+
+    expect(response.body.status.snapshotLimit).toBe(10);
+
+    const mainStatus = await request(app).get('/api/flow/history-status').expect(200);
+    expect(mainStatus.body.snapshotLimit).toBe(50);
+  });
+
+  it('should reject invalid snapshot limits', async () => {
+    const response = await request(app)
+      .put('/api/flows/roadmap/history-settings')
+      .send({ snapshotLimit: 0 })
+      .expect(400);
+
+    expect(response.body.error).toContain('snapshotLimit');
+  });
+
+  it('should return 404 for routes on a missing flow', async () => {
+    const response = await request(app)
+      .post('/api/flows/missing/node')
+      .send({ label: 'Nope' })
+      .expect(404);
+
+    expect(response.body.error).toContain('not found');
+  });
+});
@@ -1,10 +1,13 @@
 // ABOUTME: Tests for database layer (db.js) operations
-// ABOUTME: Ensures Supabase CRUD operations work correctly
+// ABOUTME: Ensures storage adapter CRUD operations work correctly
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
   getFlow,
+  getFlowRecord,
   saveFlow,
+  stageFlow,
+  flushStagedFlow,
   addConversationMessage,
   getConversationHistory,
   clearConversationHistory,
@@ -15,7 +18,8 @@ import {
   clearUndoHistory,
   initializeUndoHistory
 } from '../server/db.js';
-import { setupTestDb, cleanupTestDb, testSupabase } from './test-db-setup.js';
+import { getStorageAdapter } from '../server/storage/index.js';
+import { setupTestDb, cleanupTestDb, getTableRows, countUndoSnapshots } from './test-db-setup.js';
 
 beforeEach(async () => {
   await setupTestDb();
@@ -26,28 +30,18 @@ afterEach(async () => {
 });
 
 describe('Database Connection', () => {
-  it('should have tables in Supabase', async () => {
-    // Query Supabase to verify tables exist
-    const { data: flows, error: flowsError } = await testSupabase.from('flows').select('*').limit(0);
-    const { data: conversations, error: convError } = await testSupabase.from('conversation_history').select('*').limit(0);
-    const { data: undoHistory, error: undoError } = await testSupabase.from('undo_history').select('*').limit(0);
-    const { data: undoState, error: stateError} = await testSupabase.from('undo_state').select('*').limit(0);
-
-    expect(flowsError).toBeNull();
-    expect(convError).toBeNull();
-    expect(undoError).toBeNull();
-    expect(stateError).toBeNull();
+  it('should start with empty tables', async () => {
+    expect(await getTableRows('flows')).toHaveLength(0);
+    expect(await getTableRows('conversation_history')).toHaveLength(0);
+    expect(await getTableRows('undo_history')).toHaveLength(0);
   });
 
-  it('should initialize undo_state table', async () => {
-    const { data: state } = await testSupabase
-      .from('undo_state')
-      .select('*')
-      .eq('id', 1)
-      .single();
+  it('should initialize undo state with no current snapshot', async () => {
+    const status = await getUndoStatus();
 
-    expect(state).toBeDefined();
-    expect(state.current_index).toBeNull();
+    expect(status.currentTimestamp).toBeNull();
+    expect(status.currentIndex).toBe(-1);
+    expect(status.snapshotCount).toBe(0);
   });
 });
 
@@ -202,6 +196,76 @@ describe('Flow Operations', () => {
   });
 });
 
+describe('Flow Cache', () => {
+  const flowWith = (label, x = 0) => ({ nodes: [{ id: '1', position: { x, y: 0 }, data: { label } }], edges: [] });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete process.env.FLOW_WRITE_BEHIND_MS;
+  });
+
+  it('should serve repeat reads without hitting storage', async () => {
+    await saveFlow(flowWith('Cached'));
+    const storageRead = vi.spyOn(getStorageAdapter(), 'getFlowRecord');
+
+    const first = await getFlowRecord();
+    first.flow.nodes[0].data.label = 'Mutated by caller';
+    const second = await getFlow();
+
+    expect(storageRead).not.toHaveBeenCalled();
+    expect(second.nodes[0].data.label).toBe('Cached');
+  });
+
+  it('should drop the cached flow when a conditional save conflicts', async () => {
+    const revision = await saveFlow(flowWith('First'));
+    await saveFlow(flowWith('Second'));
+
+    expect(await saveFlow(flowWith('Stale'), 'default', 'main', revision)).toBeNull();
+    expect((await getFlow()).nodes[0].data.label).toBe('Second');
+  });
+
+  it('should coalesce staged writes into one save and one snapshot', async () => {
+    process.env.FLOW_WRITE_BEHIND_MS = '60000';
+    const base = await saveFlow(flowWith('Start'));
+    await pushUndoSnapshot(flowWith('Start'));
+    const adapterSave = vi.spyOn(getStorageAdapter(), 'saveFlow');
+
+    let revision = base;
+    for (let x = 1; x <= 5; x++) {
+      const flow = flowWith('Start', x * 10);
+      revision = await stageFlow(flow, { ...flow, _meta: { origin: 'ui.node.update' } }, 'default', 'main', revision);
+    }
+
+    expect(revision).toBe(base + 5);
+    expect((await getFlowRecord()).flow.nodes[0].position.x).toBe(50);
+    expect(adapterSave).not.toHaveBeenCalled();
+    expect(await countUndoSnapshots()).toBe(1);
+
+    await flushStagedFlow();
+
+    expect(adapterSave).toHaveBeenCalledTimes(1);
+    expect(await countUndoSnapshots()).toBe(2);
+    const stored = await getStorageAdapter().getFlowRecord('default', 'main');
+    expect(stored.revision).toBe(base + 5);
+    expect(stored.flow.nodes[0].position.x).toBe(50);
+  });
+
+  it('should persist staged writes before history operations', async () => {
+    process.env.FLOW_WRITE_BEHIND_MS = '60000';
+    await saveFlow(flowWith('Start'));
+    await pushUndoSnapshot(flowWith('Start'));
+
+    const moved = flowWith('Start', 99);
+    await stageFlow(moved, { ...moved, _meta: { origin: 'ui.node.update' } });
+    expect(await stageFlow(flowWith('Stale'), flowWith('Stale'), 'default', 'main', 0)).toBeNull();
+
+    const previous = await undo();
+
+    expect(previous.nodes[0].position.x).toBe(0);
+    expect((await getStorageAdapter().getFlowRecord('default', 'main')).flow.nodes[0].position.x).toBe(99);
+  });
+});
+
 describe('Conversation Operations', () => {
   it('should add and retrieve conversation messages', async () => {
     await addConversationMessage('user', 'Hello');
@@ -323,7 +387,7 @@ describe('Undo/Redo Operations', () => {
     }
   });
 
-  it('should truncate redo chain on new snapshot after undo', async () => {
+  it('should not redo into an abandoned branch after a new snapshot', async () => {
     const stateA = { nodes: [{ id: '1', position: { x: 0, y: 0 }, data: { label: 'A' } }], edges: [] };
     const stateB = { nodes: [{ id: '1', position: { x: 0, y: 0 }, data: { label: 'B' } }], edges: [] };
     const stateC = { nodes: [{ id: '1', position: { x: 0, y: 0 }, data: { label: 'C' } }], edges: [] };
@@ -335,12 +399,12 @@ describe('Undo/Redo Operations', () => {
     await undo(); // Back to B
     await undo(); // Back to A
 
-    // Push new state D (should truncate B and C)
+    // Push new state D (B and C stay on their own branch)
     const stateD = { nodes: [{ id: '1', position: { x: 0, y: 0 }, data: { label: 'D' } }], edges: [] };
     await pushUndoSnapshot(stateD);
 
     const status = await getUndoStatus();
-    expect(status.canRedo).toBe(false); // Can't redo to B or C anymore
+    expect(status.canRedo).toBe(false); // Redo follows D's branch, not B or C
   });
 
   it('should limit snapshots to 50', async () => {
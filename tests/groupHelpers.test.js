@@ -139,6 +139,31 @@ describe('getExpandedGroupHalos', () => {
     });
   });
 
+  test('sizes members by their own node size by default', () => {
+    const nodes = [
+      { id: 'group-1', type: 'group', isCollapsed: false, data: { label: 'Checkout' } },
+      { id: 'a', parentGroupId: 'group-1', position: { x: 100, y: 100 }, data: { label: 'A', size: { width: 300, height: 150 } } },
+      { id: 'b', parentGroupId: 'group-1', position: { x: 100, y: 300 }, data: { label: 'B' } },
+    ];
+
+    expect(computeNodeBounds(nodes.slice(1))).toEqual({ minX: 100, minY: 100, maxX: 400, maxY: 370 });
+
+    const halos = getExpandedGroupHalos(nodes, undefined, { x: { base: 20 }, y: { base: 20 } });
+    expect(halos[0].bounds).toEqual({ x: 80, y: 80, width: 340, height: 310 });
+  });
+
+  test('colours the halo from the group style border, falling back to its fill', () => {
+    const member = { id: 'a', parentGroupId: 'group-1', position: { x: 0, y: 0 } };
+    const haloFor = (style) => getExpandedGroupHalos([
+      { id: 'group-1', type: 'group', isCollapsed: false, data: { label: 'G', ...(style ? { style } : {}) } },
+      member,
+    ], dimensions)[0];
+
+    expect(haloFor({ fill: '#111111', border: '#22c55e' }).color).toBe('#22c55e');
+    expect(haloFor({ fill: '#111111' }).color).toBe('#111111');
+    expect(haloFor(undefined)).not.toHaveProperty('color');
+  });
+
   test('includes nested descendants in bounding box', () => {
     const nodes = [
       { id: 'group-outer', type: 'group', isCollapsed: false },
@@ -7,8 +7,18 @@ import {
   canRedo,
   getHistoryStatus,
   clearHistory,
-  initializeHistory
+  initializeHistory,
+  setHistoryLimit,
+  validateHistoryLimit,
+  reconcileHistory,
+  reconcileAllHistories,
+  listBranches,
+  jumpTo,
+  getTimeline,
+  diffSnapshots,
+  getSnapshot
 } from '../server/historyService.js';
+import { saveFlow } from '../server/db.js';
 import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
 
 describe('historyService', () => {
@@ -47,7 +57,7 @@ describe('historyService', () => {
       expect(status.canRedo).toBe(false);
     });
 
-    it('should truncate future states when pushing after undo', async () => {
+    it('should start a new branch when pushing after undo', async () => {
       const state1 = { nodes: [{ id: '1' }], edges: [] };
       const state2 = { nodes: [{ id: '1' }, { id: '2' }], edges: [] };
       const state3 = { nodes: [{ id: '1' }, { id: '3' }], edges: [] };
@@ -56,11 +66,15 @@ describe('historyService', () => {
       await pushSnapshot(state2);
       const statusBeforeUndo = await getHistoryStatus();
       await undo(); // Back to state1
-      await pushSnapshot(state3); // Should remove state2, add state3
+      await pushSnapshot(state3); // state2 stays on its own branch
 
       const status = await getHistoryStatus();
-      expect(status.snapshotCount).toBe(2); // state1 and state3
+      expect(status.snapshotCount).toBe(3);
+      expect(status.branchCount).toBe(2);
+      expect(status.canRedo).toBe(false);
       expect(new Date(status.currentTimestamp).getTime()).toBeGreaterThan(new Date(statusBeforeUndo.currentTimestamp).getTime()); // state3 gets newer timestamp
+      expect(await undo()).toEqual(state1);
+      expect(await redo()).toEqual(state3); // Redo follows the newest branch
     });
 
     it('should limit snapshots to 50', async () => {
@@ -256,4 +270,250 @@ describe('historyService', () => {
       expect(new Date(status.currentTimestamp).getTime()).toBeGreaterThan(new Date(statusAfterOld.currentTimestamp).getTime()); // New snapshot gets newer timestamp
     });
   });
+
+  describe('per-flow history', () => {
+    it('should never undo into another flow', async () => {
+      await pushSnapshot({ nodes: [{ id: 'main-1' }], edges: [] });
+      await pushSnapshot({ nodes: [{ id: 'main-2' }], edges: [] });
+      await pushSnapshot({ nodes: [{ id: 'road-1' }], edges: [] }, null, 'roadmap');
+
+      expect(await undo('roadmap')).toBeNull();
+      expect(await undo()).toEqual({ nodes: [{ id: 'main-1' }], edges: [] });
+    });
+
+    it('should report positions per flow', async () => {
+      await pushSnapshot({ nodes: [{ id: 'main-1' }], edges: [] });
+      await pushSnapshot({ nodes: [{ id: 'main-2' }], edges: [] });
+      await pushSnapshot({ nodes: [{ id: 'road-1' }], edges: [] }, null, 'roadmap');
+      await undo();
+
+      const mainStatus = await getHistoryStatus();
+      const roadmapStatus = await getHistoryStatus('roadmap');
+
+      expect(mainStatus.currentIndex).toBe(1);
+      expect(mainStatus.canRedo).toBe(true);
+      expect(roadmapStatus.currentIndex).toBe(1);
+      expect(roadmapStatus.snapshotCount).toBe(1);
+      expect(roadmapStatus.canRedo).toBe(false);
+    });
+
+    it('should clear only the targeted flow', async () => {
+      await pushSnapshot({ nodes: [{ id: 'main-1' }], edges: [] });
+      await pushSnapshot({ nodes: [{ id: 'road-1' }], edges: [] }, null, 'roadmap');
+
+      await clearHistory('roadmap');
+
+      expect((await getHistoryStatus()).snapshotCount).toBe(1);
+      expect((await getHistoryStatus('roadmap')).snapshotCount).toBe(0);
+    });
+
+    it('should report empty status for a flow without history', async () => {
+      const status = await getHistoryStatus('never-used');
+
+      expect(status.snapshotCount).toBe(0);
+      expect(status.currentIndex).toBe(-1);
+      expect(status.snapshotLimit).toBe(50);
+    });
+  });
+
+  describe('setHistoryLimit', () => {
+    it('should apply the limit to one flow only', async () => {
+      await setHistoryLimit(3, 'roadmap');
+
+      for (let i = 0; i < 5; i++) {
+        await pushSnapshot({ nodes: [{ id: `road-${i}` }], edges: [] }, null, 'roadmap');
+        await pushSnapshot({ nodes: [{ id: `main-${i}` }], edges: [] });
+      }
+
+      expect((await getHistoryStatus('roadmap')).snapshotCount).toBe(3);
+      expect((await getHistoryStatus()).snapshotCount).toBe(5);
+    });
+
+    it('should prune existing snapshots when lowered', async () => {
+      for (let i = 0; i < 5; i++) {
+        await pushSnapshot({ nodes: [{ id: `${i}` }], edges: [] });
+      }
+
+      const status = await setHistoryLimit(2);
+
+      expect(status.snapshotLimit).toBe(2);
+      expect(status.snapshotCount).toBe(2);
+      expect(await undo()).toEqual({ nodes: [{ id: '3' }], edges: [] });
+      expect(await undo()).toBeNull();
+    });
+
+    it('should keep the limit when history is cleared', async () => {
+      await setHistoryLimit(5);
+      await clearHistory();
+
+      expect((await getHistoryStatus()).snapshotLimit).toBe(5);
+    });
+
+    it('should validate limits', () => {
+      expect(validateHistoryLimit(10)).toBeNull();
+      expect(validateHistoryLimit(0)).toContain('snapshotLimit');
+      expect(validateHistoryLimit(2.5)).toContain('snapshotLimit');
+      expect(validateHistoryLimit('10')).toContain('snapshotLimit');
+      expect(validateHistoryLimit(501)).toContain('snapshotLimit');
+    });
+  });
+
+  describe('branches', () => {
+    const state1 = { nodes: [{ id: '1' }], edges: [] };
+    const state2 = { nodes: [{ id: '1' }, { id: '2' }], edges: [] };
+    const state3 = { nodes: [{ id: '1' }, { id: '3' }], edges: [] };
+
+    async function pushTwoBranches() {
+      await pushSnapshot(state1);
+      await pushSnapshot(state2, 'llm.tool');
+      await undo();
+      await pushSnapshot(state3, 'ui.node.update');
+    }
+
+    it('should list branches newest first with their snapshot ids', async () => {
+      await pushTwoBranches();
+
+      const { currentId, headId, branches } = await listBranches();
+
+      expect(branches).toHaveLength(2);
+      expect(branches[0]).toMatchObject({ headId: currentId, origin: 'ui.node.update', length: 2, isCurrent: true });
+      expect(branches[1]).toMatchObject({ origin: 'llm.tool', length: 2, isCurrent: false, containsCurrent: false });
+      expect(branches[0].snapshotIds[0]).toBe(branches[1].snapshotIds[0]); // Shared root
+      expect(headId).toBe(currentId);
+    });
+
+    it('should return an empty tree for flows without history', async () => {
+      expect(await listBranches()).toEqual({ currentId: null, headId: null, branches: [] });
+    });
+
+    it('should jump to another branch and keep undo/redo working on it', async () => {
+      await pushTwoBranches();
+      const { branches } = await listBranches();
+      const [root, abandonedHead] = branches[1].snapshotIds;
+
+      expect(await jumpTo(abandonedHead)).toEqual(state2); // Metadata stripped
+
+      let tree = await listBranches();
+      expect(tree.headId).toBe(abandonedHead);
+      expect(tree.branches.find(branch => branch.isCurrent).headId).toBe(abandonedHead);
+
+      expect(await undo()).toEqual(state1);
+      expect(await redo()).toEqual(state2);
+
+      await jumpTo(root);
+      tree = await listBranches();
+      expect(tree.currentId).toBe(root);
+      expect(tree.headId).toBe(abandonedHead); // Root lies on the current branch
+    });
+
+    it('should branch from the jumped-to snapshot on the next push', async () => {
+      await pushTwoBranches();
+      const { branches } = await listBranches();
+      await jumpTo(branches[1].snapshotIds[0]);
+
+      await pushSnapshot({ nodes: [{ id: '4' }], edges: [] });
+
+      const status = await getHistoryStatus();
+      expect(status.branchCount).toBe(3);
+      expect(status.currentIndex).toBe(2);
+    });
+
+    it('should return null when jumping to a snapshot of another flow', async () => {
+      await pushSnapshot(state1, null, 'roadmap');
+      const { branches } = await listBranches('roadmap');
+
+      expect(await jumpTo(branches[0].headId)).toBeNull();
+      expect(await jumpTo(9999, 'roadmap')).toBeNull();
+    });
+  });
+
+  describe('getTimeline', () => {
+    it('should summarize each snapshot against its parent', async () => {
+      await pushSnapshot({ nodes: [{ id: 'a' }], edges: [] }, 'llm.tool');
+      await pushSnapshot({
+        nodes: [{ id: 'a', data: { label: 'A' } }, { id: 'b' }],
+        edges: [{ id: 'e1', source: 'a', target: 'b' }]
+      });
+
+      const { currentId, snapshots } = await getTimeline();
+
+      expect(snapshots).toHaveLength(2);
+      expect(snapshots[0].origin).toBe('llm.tool');
+      expect(snapshots[1].origin).toBeNull();
+      expect(snapshots[1].id).toBe(currentId);
+      expect(snapshots[1].summary).toEqual({
+        nodeCount: 2,
+        edgeCount: 1,
+        nodes: { added: 1, removed: 0, changed: 1 },
+        edges: { added: 1, removed: 0, changed: 0 }
+      });
+    });
+
+    it('should read a snapshot without metadata or moving the position', async () => {
+      await pushSnapshot({ nodes: [{ id: 'a' }], edges: [] }, 'llm.tool');
+      await pushSnapshot({ nodes: [{ id: 'b' }], edges: [] });
+      const { snapshots } = await getTimeline();
+
+      expect(await getSnapshot(snapshots[0].id)).toEqual({ nodes: [{ id: 'a' }], edges: [] });
+      expect(await getSnapshot(snapshots[0].id, 'roadmap')).toBeNull();
+      expect((await getHistoryStatus()).canRedo).toBe(false);
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should diff two snapshots, or a snapshot against the current flow', async () => {
+      await pushSnapshot({ nodes: [{ id: 'a', data: { label: 'A' } }], edges: [] }, 'llm.tool');
+      await pushSnapshot({ nodes: [{ id: 'a', data: { label: 'B' } }], edges: [] });
+      await saveFlow({ nodes: [], edges: [] });
+      const { snapshots } = await getTimeline();
+
+      const between = await diffSnapshots(snapshots[0].id, snapshots[1].id);
+      expect(between.nodes.changed).toEqual([{ id: 'a', changes: { label: { from: 'A', to: 'B' } } }]);
+
+      const againstCurrent = await diffSnapshots(snapshots[1].id);
+      expect(againstCurrent.nodes.removed.map(node => node.id)).toEqual(['a']);
+
+      expect(await diffSnapshots(snapshots[0].id, 9999)).toBeNull();
+    });
+  });
+
+  describe('reconcileHistory', () => {
+    it('should keep existing history when the stored flow matches the current snapshot', async () => {
+      const state1 = { nodes: [{ id: '1' }], edges: [] };
+      const state2 = { nodes: [{ id: '1' }, { id: '2' }], edges: [] };
+      await pushSnapshot(state1);
+      await pushSnapshot(state2);
+
+      const pushed = await reconcileHistory(state2);
+
+      expect(pushed).toBe(false);
+      const status = await getHistoryStatus();
+      expect(status.snapshotCount).toBe(2);
+      expect(status.canUndo).toBe(true);
+    });
+
+    it('should push a snapshot when the stored flow drifted from history', async () => {
+      await pushSnapshot({ nodes: [{ id: '1' }], edges: [] });
+
+      const pushed = await reconcileHistory({ nodes: [{ id: '1' }, { id: 'unsnapshotted' }], edges: [] });
+
+      expect(pushed).toBe(true);
+      expect((await getHistoryStatus()).snapshotCount).toBe(2);
+      expect(await undo()).toEqual({ nodes: [{ id: '1' }], edges: [] });
+    });
+
+    it('should reconcile every flow in the workspace', async () => {
+      const mainFlow = { nodes: [{ id: 'm' }], edges: [] };
+      const roadmapFlow = { nodes: [{ id: 'r' }], edges: [] };
+      await saveFlow(mainFlow, 'default', 'main');
+      await pushSnapshot(mainFlow);
+      await saveFlow(roadmapFlow, 'default', 'roadmap');
+
+      const reconciled = await reconcileAllHistories();
+
+      expect(reconciled).toEqual(['roadmap']);
+      expect((await getHistoryStatus()).snapshotCount).toBe(1);
+      expect((await getHistoryStatus('roadmap')).snapshotCount).toBe(1);
+    });
+  });
 });
@@ -3,7 +3,7 @@
 
 import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
 import request from 'supertest';
-import { setupTestDb, cleanupTestDb, testSupabase } from '../test-db-setup.js';
+import { setupTestDb, cleanupTestDb, countUndoSnapshots } from '../test-db-setup.js';
 import { executeToolCalls } from '../../server/tools/executor.js';
 import { clearHistory, getHistoryStatus } from '../../server/historyService.js';
 
@@ -27,10 +27,7 @@ afterEach(async () => {
  * Helper: Get snapshot count from undo_history table
  */
 async function getSnapshotCount() {
-  const { count } = await testSupabase
-    .from('undo_history')
-    .select('*', { count: 'exact', head: true });
-  return count || 0;
+  return await countUndoSnapshots();
 }
 
 /**
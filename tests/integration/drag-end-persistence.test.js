@@ -3,7 +3,7 @@
 
 import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
 import request from 'supertest';
-import { setupTestDb, cleanupTestDb, testSupabase } from '../test-db-setup.js';
+import { setupTestDb, cleanupTestDb, countUndoSnapshots, getLatestUndoSnapshot } from '../test-db-setup.js';
 import { clearHistory, initializeHistory } from '../../server/historyService.js';
 
 let app;
@@ -27,24 +27,14 @@ afterEach(async () => {
  * Get the most recent snapshot from undo_history
  */
 async function getLatestSnapshot() {
-  const { data: result } = await testSupabase
-    .from('undo_history')
-    .select('snapshot')
-    .order('created_at', { ascending: false })
-    .order('id', { ascending: false })
-    .limit(1)
-    .maybeSingle();
-  return result?.snapshot || null;
+  return await getLatestUndoSnapshot();
 }
 
 /**
  * Get snapshot count
  */
 async function getSnapshotCount() {
-  const { count } = await testSupabase
-    .from('undo_history')
-    .select('*', { count: 'exact', head: true });
-  return count || 0;
+  return await countUndoSnapshots();
 }
 
 describe('Drag-end Position Persistence', () => {
@@ -6,7 +6,7 @@ import request from 'supertest';
 import { getFlow as dbGetFlow } from '../../server/db.js';
 import { executeToolCalls } from '../../server/tools/executor.js';
 import { clearHistory, getHistoryStatus } from '../../server/historyService.js';
-import { setupTestDb, cleanupTestDb, testSupabase } from '../test-db-setup.js';
+import { setupTestDb, cleanupTestDb, getUndoSnapshots } from '../test-db-setup.js';
 
 let app;
 
@@ -28,11 +28,7 @@ afterEach(async () => {
  * Helper: Get all snapshots from undo_history
  */
 async function getAllSnapshots() {
-  const { data: snapshots } = await testSupabase
-    .from('undo_history')
-    .select('id, snapshot')
-    .order('created_at', { ascending: true })
-    .order('id', { ascending: true });
+  const snapshots = await getUndoSnapshots();
 
   return snapshots.map(row => ({
     id: row.id,
@@ -272,7 +268,7 @@ describe('Save path verification', () => {
       ]);
 
       const statusBefore = await getHistoryStatus();
-      const flowBefore = dbGetFlow();
+      const flowBefore = await dbGetFlow();
 
       // Try to save identical state again (simulating autosave)
       const { pushSnapshot } = await import('../../server/historyService.js');
@@ -293,7 +289,7 @@ describe('Save path verification', () => {
       ]);
 
       const statusBefore = await getHistoryStatus();
-      const flow = dbGetFlow();
+      const flow = await dbGetFlow();
 
       // Update position (simulate drag)
       flow.nodes[0].position = { x: 100, y: 200 };
@@ -315,7 +311,7 @@ describe('Save path verification', () => {
       ]);
 
       const statusBefore = await getHistoryStatus();
-      const flow = dbGetFlow();
+      const flow = await dbGetFlow();
 
       // Manual save with skipSnapshot
       await request(app)
@@ -78,7 +78,7 @@ describe('Save race conditions', () => {
       });
 
       // Verify final state
-      const finalFlow = dbGetFlow();
+      const finalFlow = await dbGetFlow();
       expect(finalFlow.nodes.length).toBe(5);
       verifyFlowIntegrity(finalFlow);
 
@@ -109,7 +109,7 @@ describe('Save race conditions', () => {
       });
 
       // Final state should be valid (one of the updates)
-      const finalFlow = dbGetFlow();
+      const finalFlow = await dbGetFlow();
       verifyFlowIntegrity(finalFlow);
       const node = finalFlow.nodes.find(n => n.id === nodeId);
       expect(node).toBeDefined();
@@ -143,7 +143,7 @@ describe('Save race conditions', () => {
       });
 
       // Verify final state is valid
-      const finalFlow = dbGetFlow();
+      const finalFlow = await dbGetFlow();
       verifyFlowIntegrity(finalFlow);
     });
   });
@@ -162,7 +162,7 @@ describe('Save race conditions', () => {
       const statusAfterUndo = await getHistoryStatus();
       expect(statusAfterUndo.canRedo).toBe(true);
 
-      // Now create a new node (should truncate redo chain)
+      // Now create a new node (starts a new branch)
       await executeToolCalls([{ name: 'addNode', params: { label: 'Node 4' } }]);
 
       // Redo should no longer be available
@@ -170,7 +170,7 @@ describe('Save race conditions', () => {
       expect(statusAfterNew.canRedo).toBe(false);
 
       // Verify flow is valid
-      const finalFlow = dbGetFlow();
+      const finalFlow = await dbGetFlow();
       verifyFlowIntegrity(finalFlow);
     });
 
@@ -189,7 +189,7 @@ describe('Save race conditions', () => {
       await redo();
 
       // Verify we're at a valid state
-      const flow = dbGetFlow();
+      const flow = await dbGetFlow();
       verifyFlowIntegrity(flow);
 
       // Verify undo/redo state is consistent
@@ -221,7 +221,7 @@ describe('Save race conditions', () => {
       }
 
       // Verify node still has correct data
-      const finalFlow = dbGetFlow();
+      const finalFlow = await dbGetFlow();
       const node = finalFlow.nodes.find(n => n.id === nodeId);
       expect(node.data.label).toBe('Test Node');
       expect(node.data.description).toBe('Test Description');
@@ -305,7 +305,7 @@ describe('Save race conditions', () => {
       ]);
 
       // Verify group and member are both valid
-      const finalFlow = dbGetFlow();
+      const finalFlow = await dbGetFlow();
       verifyFlowIntegrity(finalFlow);
 
       const groupNode = finalFlow.nodes.find(n => n.id === groupResult[0].groupId);
@@ -346,7 +346,7 @@ describe('Save race conditions', () => {
       ]);
 
       // Verify final state
-      const finalFlow = dbGetFlow();
+      const finalFlow = await dbGetFlow();
       verifyFlowIntegrity(finalFlow);
 
       const groupNode = finalFlow.nodes.find(n => n.id === groupResult[0].groupId);
@@ -368,7 +368,7 @@ describe('Save race conditions', () => {
       expect(status.snapshotCount).toBe(50);
 
       // Verify current flow is valid
-      const flow = dbGetFlow();
+      const flow = await dbGetFlow();
       verifyFlowIntegrity(flow);
       expect(flow.nodes.length).toBe(52);
 
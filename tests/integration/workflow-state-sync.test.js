@@ -3,7 +3,7 @@
 
 import { describe, it, expect, beforeEach, afterEach, beforeAll } from 'vitest';
 import request from 'supertest';
-import { setupTestDb, cleanupTestDb, testSupabase } from '../test-db-setup.js';
+import { setupTestDb, cleanupTestDb, countUndoSnapshots } from '../test-db-setup.js';
 import { clearHistory, initializeHistory } from '../../server/historyService.js';
 
 let app;
@@ -28,10 +28,7 @@ afterEach(async () => {
  * Get snapshot count
  */
 async function getSnapshotCount() {
-  const { count } = await testSupabase
-    .from('undo_history')
-    .select('*', { count: 'exact', head: true });
-  return count || 0;
+  return await countUndoSnapshots();
 }
 
 /**
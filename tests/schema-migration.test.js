@@ -3,7 +3,8 @@
 
 import { describe, test, expect, beforeEach, afterEach } from 'vitest';
 import { saveFlow, getFlow } from '../server/db.js';
-import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+import { setupTestDb, cleanupTestDb, seedTestFlow, getTableRows } from './test-db-setup.js';
+import { CURRENT_SCHEMA_VERSION } from '../server/storage/flowSchema.js';
 
 describe('Group Fields Schema Migration', () => {
   beforeEach(async () => {
@@ -130,4 +131,26 @@ describe('Group Fields Schema Migration', () => {
     expect(flow.nodes[2].type).toBe('group');
     expect(flow.nodes[3].parentGroupId).toBe('group-1');
   });
+
+  test('stored flows carry the current schemaVersion', async () => {
+    await saveFlow({ nodes: [{ id: 'a', data: { label: 'A' }, position: { x: 0, y: 0 } }], edges: [] });
+
+    const [row] = await getTableRows('flows');
+
+    expect(row.data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(await getFlow()).toEqual({ nodes: [{ id: 'a', data: { label: 'A' }, position: { x: 0, y: 0 } }], edges: [] });
+  });
+
+  test('unversioned stored flows are read unchanged', async () => {
+    const legacy = {
+      nodes: [
+        { id: 'g', type: 'group', isCollapsed: true, data: { label: 'G' }, position: { x: 0, y: 0 } },
+        { id: 'a', parentGroupId: 'g', groupHidden: true, data: { label: 'A' }, position: { x: 0, y: 0 } },
+      ],
+      edges: [{ id: 'e1', source: 'a', target: 'g' }],
+    };
+    await seedTestFlow('default', 'main', legacy);
+
+    expect(await getFlow()).toEqual(legacy);
+  });
 });
@@ -1,98 +1,101 @@
-// ABOUTME: Supabase test database setup and cleanup utilities
-// ABOUTME: Provides helpers for test isolation and data seeding
+// ABOUTME: Test database setup and cleanup utilities for both storage backends
+// ABOUTME: Provides helpers for test isolation, data seeding and snapshot inspection
 
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { resolveStorageBackend, resolveFileStorePath } from '../server/storage/index.js';
+import {
+  createEmptyStore,
+  loadStore,
+  saveStore,
+  insertRow
+} from '../server/storage/fileAdapter.js';
+import { rebuildSnapshots } from '../server/storage/snapshotPatches.js';
+import { resetFlowCache } from '../server/db.js';
 
 // Load environment variables
 dotenv.config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const TABLES = ['conversation_history', 'undo_history', 'flow_checkpoints', 'flows'];
 
-if (!supabaseUrl || !supabaseServiceRoleKey) {
-  throw new Error(
-    'Missing test environment variables: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY required for tests'
-  );
+let testSupabaseClient = null;
+
+const usesSupabase = () => resolveStorageBackend() === 'supabase';
+
+/**
+ * Supabase client with service role key (for test cleanup)
+ * Only created when the suite runs against the Supabase backend
+ */
+export function getTestSupabase() {
+  if (testSupabaseClient) return testSupabaseClient;
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceRoleKey) {
+    throw new Error(
+      'Missing test environment variables: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY required for Supabase tests'
+    );
+  }
+
+  testSupabaseClient = createClient(supabaseUrl, supabaseServiceRoleKey);
+  return testSupabaseClient;
 }
 
-// Create Supabase client with service role key (for test cleanup)
-export const testSupabase = createClient(supabaseUrl, supabaseServiceRoleKey);
+// Applies a change to the local JSON store used by the file backend
+function updateFileStore(mutate) {
+  const filePath = resolveFileStorePath();
+  const store = loadStore(filePath);
+  const result = mutate(store);
+  saveStore(filePath, store);
+  return result;
+}
 
 /**
  * Truncate all tables to ensure test isolation
- * Uses service_role key to bypass RLS policies
+ * Uses service_role key to bypass RLS policies on Supabase
  */
 export async function truncateAllTables() {
-  const tables = ['conversation_history', 'undo_history', 'flows'];
+  // Flows cached by the server would outlive the rows removed here
+  resetFlowCache();
 
-  for (const table of tables) {
+  if (!usesSupabase()) {
+    saveStore(resolveFileStorePath(), createEmptyStore());
+    return;
+  }
+
+  const testSupabase = getTestSupabase();
+
+  for (const table of TABLES) {
     const { error } = await testSupabase.from(table).delete().neq('id', 0);
     if (error) {
       console.error(`Failed to truncate ${table}:`, error);
       throw error;
     }
-
-    // Verify table is empty
-    const { count, error: countError } = await testSupabase
-      .from(table)
-      .select('*', { count: 'exact', head: true });
-
-    if (countError) {
-      console.error(`Failed to count ${table}:`, countError);
-    } else {
-      console.log(`[CLEANUP] ${table}: ${count} rows remaining`);
-    }
-  }
-
-  // Ensure undo_state row exists first
-  const { data: undoStateExists } = await testSupabase
-    .from('undo_state')
-    .select('id')
-    .eq('id', 1)
-    .maybeSingle();
-
-  if (!undoStateExists) {
-    const { error: insertError } = await testSupabase
-      .from('undo_state')
-      .insert({ id: 1, current_snapshot_time: null, current_index: null });
-
-    if (insertError) {
-      console.error('Failed to initialize undo_state:', insertError);
-      throw insertError;
-    }
-  } else {
-    // Reset undo_state to initial state (both active and deprecated fields)
-    const { error: undoStateError } = await testSupabase
-      .from('undo_state')
-      .update({ current_snapshot_time: null, current_index: null })
-      .eq('id', 1)
-      .select();
-
-    if (undoStateError) {
-      console.error('Failed to reset undo_state:', undoStateError);
-      throw undoStateError;
-    }
   }
 
-  // Final verification
-  const { data: finalState } = await testSupabase
+  // undo_state rows are keyed by flow_id rather than id
+  const { error: undoStateError } = await testSupabase
     .from('undo_state')
-    .select('current_snapshot_time')
-    .eq('id', 1)
-    .single();
+    .delete()
+    .neq('flow_id', 0);
 
-  console.log(`[CLEANUP] undo_state.current_snapshot_time: ${finalState?.current_snapshot_time}`);
+  if (undoStateError) {
+    console.error('Failed to truncate undo_state:', undoStateError);
+    throw undoStateError;
+  }
 }
 
 /**
- * Seed a basic flow for testing
+ * Seed a flow for testing
+ * Defaults to a single-node flow; pass data to seed a custom document
  */
-export async function seedTestFlow(userId = 'default', name = 'main') {
+export async function seedTestFlow(userId = 'default', name = 'main', data = null) {
+  const now = new Date().toISOString();
   const testFlow = {
     user_id: userId,
     name: name,
-    data: {
+    data: data || {
       nodes: [
         {
           id: 'test-node-1',
@@ -103,11 +106,17 @@ export async function seedTestFlow(userId = 'default', name = 'main') {
       ],
       edges: []
     },
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
+    created_at: now,
+    updated_at: now
   };
 
-  const { data, error } = await testSupabase
+  resetFlowCache();
+
+  if (!usesSupabase()) {
+    return updateFileStore(store => insertRow(store, 'flows', testFlow));
+  }
+
+  const { data: row, error } = await getTestSupabase()
     .from('flows')
     .insert(testFlow)
     .select()
@@ -117,14 +126,22 @@ export async function seedTestFlow(userId = 'default', name = 'main') {
     throw error;
   }
 
-  return data;
+  return row;
 }
 
 /**
  * Seed conversation history for testing
  */
 export async function seedConversationHistory(messages) {
-  const { data, error } = await testSupabase
+  if (!usesSupabase()) {
+    return updateFileStore(store => messages.map(message => insertRow(store, 'conversation_history', {
+      tool_calls: null,
+      timestamp: new Date().toISOString(),
+      ...message
+    })));
+  }
+
+  const { data, error } = await getTestSupabase()
     .from('conversation_history')
     .insert(messages)
     .select();
@@ -136,6 +153,55 @@ export async function seedConversationHistory(messages) {
   return data;
 }
 
+/**
+ * Read every row of a table, ordered by id
+ */
+export async function getTableRows(table) {
+  if (!usesSupabase()) {
+    return [...loadStore(resolveFileStorePath())[table]].sort((a, b) => a.id - b.id);
+  }
+
+  const { data, error } = await getTestSupabase()
+    .from(table)
+    .select('*')
+    .order('id', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get all undo snapshots ordered oldest first
+ * Returns rows shaped as {id, snapshot, created_at}, with patch rows rebuilt into full snapshots
+ */
+export async function getUndoSnapshots() {
+  const rows = (await getTableRows('undo_history')).sort((a, b) =>
+    new Date(a.created_at).getTime() - new Date(b.created_at).getTime() || a.id - b.id
+  );
+  const snapshots = rebuildSnapshots(rows);
+
+  return rows.map(row => ({ ...row, snapshot: snapshots.get(row.id) }));
+}
+
+/**
+ * Get the most recent undo snapshot payload, or null when history is empty
+ */
+export async function getLatestUndoSnapshot() {
+  const rows = await getUndoSnapshots();
+  return rows.length > 0 ? rows[rows.length - 1].snapshot : null;
+}
+
+/**
+ * Count stored undo snapshots
+ */
+export async function countUndoSnapshots() {
+  const rows = await getUndoSnapshots();
+  return rows.length;
+}
+
 /**
  * Setup function for tests - call in beforeEach
  */
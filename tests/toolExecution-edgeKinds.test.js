@@ -0,0 +1,125 @@
+// ABOUTME: Tests for edge kinds on addEdge and updateEdge, and edge reversal and reconnection
+// ABOUTME: Covers setting and clearing kinds, swapping ends, moving ends and connection rule checks
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { executeToolCalls } from '../server/tools/executor.js';
+import { readFlow } from '../server/server.js';
+import { formatFlowContext } from '../server/llm/tools.js';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+async function executeTool(toolName, params) {
+  const results = await executeToolCalls([{ name: toolName, params }]);
+  return results[0];
+}
+
+async function addNodes(...ids) {
+  for (const id of ids) {
+    await executeTool('addNode', { id, label: id.toUpperCase() });
+  }
+}
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('addEdge - kind', () => {
+  it('stores the kind beside the label', async () => {
+    await addNodes('api', 'db');
+    const result = await executeTool('addEdge', { sourceNodeId: 'api', targetNodeId: 'db', label: 'reads', kind: 'calls' });
+
+    expect(result.success).toBe(true);
+    expect((await readFlow()).edges[0].data).toEqual({ label: 'reads', kind: 'calls' });
+  });
+
+  it('rejects an unknown kind without adding the edge', async () => {
+    await addNodes('api', 'db');
+    const result = await executeTool('addEdge', { sourceNodeId: 'api', targetNodeId: 'db', kind: 'uses' });
+
+    expect(result).toEqual({ success: false, error: 'Unknown edge kind "uses". Kinds: depends-on, blocks, calls, contains, related' });
+    expect((await readFlow()).edges).toEqual([]);
+  });
+});
+
+describe('updateEdge - kind, reverse and reconnect', () => {
+  it('changes and clears the kind, keeping the label', async () => {
+    await addNodes('a', 'b');
+    const { edgeId } = await executeTool('addEdge', { sourceNodeId: 'a', targetNodeId: 'b', label: 'needs' });
+
+    await executeTool('updateEdge', { edgeId, kind: 'depends-on' });
+    expect((await readFlow()).edges[0].data).toEqual({ label: 'needs', kind: 'depends-on' });
+
+    await executeTool('updateEdge', { edgeId, kind: null });
+    expect((await readFlow()).edges[0].data).toEqual({ label: 'needs' });
+  });
+
+  it('drops data once clearing the kind leaves it empty', async () => {
+    await addNodes('a', 'b');
+    const { edgeId } = await executeTool('addEdge', { sourceNodeId: 'a', targetNodeId: 'b', kind: 'related' });
+
+    await executeTool('updateEdge', { edgeId, kind: null });
+    expect((await readFlow()).edges[0]).toEqual({ id: edgeId, source: 'a', target: 'b' });
+  });
+
+  it('reverses the edge', async () => {
+    await addNodes('a', 'b');
+    const { edgeId } = await executeTool('addEdge', { sourceNodeId: 'a', targetNodeId: 'b', kind: 'blocks' });
+
+    const result = await executeTool('updateEdge', { edgeId, reverse: true });
+
+    expect(result.success).toBe(true);
+    expect((await readFlow()).edges[0]).toMatchObject({ source: 'b', target: 'a', data: { kind: 'blocks' } });
+  });
+
+  it('moves either end to another node, after any reversal', async () => {
+    await addNodes('a', 'b', 'c');
+    const { edgeId } = await executeTool('addEdge', { sourceNodeId: 'a', targetNodeId: 'b' });
+
+    await executeTool('updateEdge', { edgeId, sourceNodeId: 'c' });
+    expect((await readFlow()).edges[0]).toMatchObject({ source: 'c', target: 'b' });
+
+    await executeTool('updateEdge', { edgeId, reverse: true, targetNodeId: 'a' });
+    expect((await readFlow()).edges[0]).toMatchObject({ source: 'b', target: 'a' });
+  });
+
+  it('rejects missing nodes and unknown kinds without changing the edge', async () => {
+    await addNodes('a', 'b');
+    const { edgeId } = await executeTool('addEdge', { sourceNodeId: 'a', targetNodeId: 'b' });
+
+    expect(await executeTool('updateEdge', { edgeId, targetNodeId: 'ghost' })).toEqual({
+      success: false,
+      error: 'Target node ghost not found',
+    });
+    expect(await executeTool('updateEdge', { edgeId, kind: 'owns', label: 'x' })).toEqual({
+      success: false,
+      error: 'Unknown edge kind "owns". Kinds: depends-on, blocks, calls, contains, related',
+    });
+    expect((await readFlow()).edges[0]).toEqual({ id: edgeId, source: 'a', target: 'b' });
+  });
+
+  it('applies the node types\' connection rules to the new direction', async () => {
+    await executeTool('addNode', { id: 'home', label: 'Home', nodeType: 'page' });
+    await executeTool('addNode', { id: 'auth', label: 'Auth', nodeType: 'service' });
+    const { edgeId } = await executeTool('addEdge', { sourceNodeId: 'home', targetNodeId: 'auth' });
+
+    const result = await executeTool('updateEdge', { edgeId, reverse: true });
+
+    expect(result).toEqual({ success: false, error: 'A service node cannot connect to a page node (allowed: node, service, task)' });
+    expect((await readFlow()).edges[0]).toMatchObject({ source: 'home', target: 'auth' });
+  });
+});
+
+describe('formatFlowContext - edge kinds', () => {
+  it('includes the kind only on edges that have one', () => {
+    const context = formatFlowContext([], [
+      { id: 'e1', source: 'a', target: 'b', data: { kind: 'calls' } },
+      { id: 'e2', source: 'a', target: 'b' },
+    ]);
+
+    expect(context.edges[0].kind).toBe('calls');
+    expect(context.edges[1]).not.toHaveProperty('kind');
+  });
+});
@@ -0,0 +1,103 @@
+// ABOUTME: Tests for manual node sizes set through updateNode and per-node sizes in autoLayout
+// ABOUTME: Covers storing, clearing and validating data.size, wide nodes pushing their neighbours along, and sizes in the LLM context
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { executeToolCalls } from '../server/tools/executor.js';
+import { readFlow } from '../server/server.js';
+import { formatFlowContext } from '../server/llm/tools.js';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+async function executeTool(toolName, params) {
+  const results = await executeToolCalls([{ name: toolName, params }]);
+  return results[0];
+}
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('executeTool - updateNode size', () => {
+  it('stores a manual size in whole pixels', async () => {
+    await executeTool('addNode', { id: 'db', label: 'Database' });
+    const result = await executeTool('updateNode', { nodeId: 'db', size: { width: 240.4, height: 119.6 } });
+
+    expect(result.success).toBe(true);
+    expect((await readFlow()).nodes[0].data).toEqual({ label: 'Database', size: { width: 240, height: 120 } });
+  });
+
+  it('clears the manual size with null', async () => {
+    await executeTool('addNode', { id: 'db', label: 'Database' });
+    await executeTool('updateNode', { nodeId: 'db', size: { width: 240, height: 120 } });
+
+    const result = await executeTool('updateNode', { nodeId: 'db', size: null });
+
+    expect(result.success).toBe(true);
+    expect((await readFlow()).nodes[0].data).toEqual({ label: 'Database' });
+  });
+
+  it('refuses sizes out of bounds and changes nothing', async () => {
+    await executeTool('addNode', { id: 'db', label: 'Database' });
+    const result = await executeTool('updateNode', { nodeId: 'db', label: 'Store', size: { width: 20, height: 120 } });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('size must be between 80×40 and 800×600');
+    expect((await readFlow()).nodes[0].data).toEqual({ label: 'Database' });
+  });
+
+  it('refuses a size that is not {width, height}', async () => {
+    await executeTool('addNode', { id: 'db', label: 'Database' });
+    const result = await executeTool('updateNode', { nodeId: 'db', size: { width: 240 } });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/size must be \{width, height\}/);
+  });
+});
+
+describe('executeTool - autoLayout with node sizes', () => {
+  const gapAfterFirst = async () => {
+    await executeTool('autoLayout', {});
+    const { nodes } = await readFlow();
+    const byId = Object.fromEntries(nodes.map(node => [node.id, node]));
+    return byId.b.position.x - byId.a.position.x;
+  };
+
+  it('lays nodes out by their manual sizes', async () => {
+    await executeTool('addNode', { id: 'a', label: 'A' });
+    await executeTool('addNode', { id: 'b', label: 'B', parentNodeId: 'a' });
+    const before = await gapAfterFirst();
+
+    await executeTool('updateNode', { nodeId: 'a', size: { width: 500, height: 70 } });
+    const after = await gapAfterFirst();
+
+    expect(after - before).toBe(500 - 172);
+  });
+
+  it('lays nodes out by sizes fitted to long labels', async () => {
+    await executeTool('addNode', { id: 'a', label: 'A' });
+    await executeTool('addNode', { id: 'b', label: 'B', parentNodeId: 'a' });
+    const before = await gapAfterFirst();
+
+    await executeTool('updateNode', { nodeId: 'a', label: 'Validate the payment details entered' });
+    const after = await gapAfterFirst();
+
+    expect(after).toBeGreaterThan(before);
+  });
+});
+
+describe('node sizes in the LLM context', () => {
+  it('includes manual sizes only on nodes that have one', async () => {
+    await executeTool('addNode', { id: 'a', label: 'A' });
+    await executeTool('addNode', { id: 'b', label: 'B' });
+    await executeTool('updateNode', { nodeId: 'a', size: { width: 240, height: 120 } });
+
+    const flow = await readFlow();
+    const context = formatFlowContext(flow.nodes, flow.edges);
+
+    expect(context.nodes[0].size).toEqual({ width: 240, height: 120 });
+    expect(context.nodes[1]).not.toHaveProperty('size');
+  });
+});
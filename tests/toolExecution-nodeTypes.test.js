@@ -0,0 +1,141 @@
+// ABOUTME: Tests for node types in the addNode, updateNode and addEdge tools
+// ABOUTME: Covers typed creation, field validation, retyping, connection rules and types in the LLM context
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { executeToolCalls } from '../server/tools/executor.js';
+import { readFlow } from '../server/server.js';
+import { formatFlowContext } from '../server/llm/tools.js';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+async function executeTool(toolName, params) {
+  const results = await executeToolCalls([{ name: toolName, params }]);
+  return results[0];
+}
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('addNode with a nodeType', () => {
+  it('creates default nodes when no nodeType is given', async () => {
+    await executeTool('addNode', { id: 'plain', label: 'Plain' });
+
+    const flow = await readFlow();
+    expect(flow.nodes[0].type).toBe('default');
+    expect(flow.nodes[0].data).toEqual({ label: 'Plain' });
+  });
+
+  it('stores the type and merges fields over the type defaults', async () => {
+    const result = await executeTool('addNode', {
+      id: 'ship',
+      label: 'Ship it',
+      nodeType: 'task',
+      fields: { assignee: 'sam' },
+    });
+
+    expect(result.success).toBe(true);
+    const flow = await readFlow();
+    expect(flow.nodes[0].type).toBe('task');
+    expect(flow.nodes[0].data).toEqual({ label: 'Ship it', status: 'todo', assignee: 'sam' });
+  });
+
+  it('rejects unknown types and invalid fields without writing', async () => {
+    const unknown = await executeTool('addNode', { label: 'X', nodeType: 'widget' });
+    const invalid = await executeTool('addNode', { label: 'X', nodeType: 'task', fields: { status: 'later' } });
+
+    expect(unknown).toMatchObject({ success: false, error: 'Unknown node type "widget"' });
+    expect(invalid).toMatchObject({ success: false, error: 'status must be one of: todo, in_progress, done' });
+    expect((await readFlow()).nodes).toHaveLength(0);
+  });
+
+  it('rejects a parent whose type cannot connect to the new node', async () => {
+    await executeTool('addNode', { id: 'api', label: 'API', nodeType: 'service' });
+    const result = await executeTool('addNode', { label: 'Home', nodeType: 'page', parentNodeId: 'api' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('A service node cannot connect to a page node');
+    expect((await readFlow()).nodes).toHaveLength(1);
+  });
+});
+
+describe('updateNode with nodeType and fields', () => {
+  it('updates fields of the current type', async () => {
+    await executeTool('addNode', { id: 'ship', label: 'Ship it', nodeType: 'task' });
+    const result = await executeTool('updateNode', { nodeId: 'ship', fields: { status: 'done' } });
+
+    expect(result.success).toBe(true);
+    expect((await readFlow()).nodes[0].data.status).toBe('done');
+  });
+
+  it('replaces the old type fields when the type changes', async () => {
+    await executeTool('addNode', { id: 'ship', label: 'Ship it', nodeType: 'task', fields: { assignee: 'sam' } });
+    await executeTool('updateNode', { nodeId: 'ship', nodeType: 'page', fields: { route: '/ship' } });
+
+    const [node] = (await readFlow()).nodes;
+    expect(node.type).toBe('page');
+    expect(node.data).toEqual({ label: 'Ship it', route: '/ship' });
+  });
+
+  it('validates fields against the requested type', async () => {
+    await executeTool('addNode', { id: 'ship', label: 'Ship it', nodeType: 'task' });
+    const result = await executeTool('updateNode', { nodeId: 'ship', nodeType: 'page', fields: { status: 'done' } });
+
+    expect(result).toMatchObject({ success: false, error: 'Page nodes have no field "status". Fields: route' });
+    expect((await readFlow()).nodes[0].type).toBe('task');
+  });
+
+  it('refuses a type that an existing edge does not allow', async () => {
+    await executeTool('addNode', { id: 'api', label: 'API', nodeType: 'service' });
+    await executeTool('addNode', { id: 'worker', label: 'Worker', nodeType: 'service', parentNodeId: 'api' });
+    const result = await executeTool('updateNode', { nodeId: 'worker', nodeType: 'page' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^A service node cannot connect to a page node .*, so edge .+ rules out this type$/);
+  });
+
+  it('refuses types on group nodes', async () => {
+    await executeTool('addNode', { id: 'a', label: 'A' });
+    await executeTool('addNode', { id: 'b', label: 'B' });
+    const group = await executeTool('createGroup', { memberIds: ['a', 'b'], label: 'Group' });
+    const result = await executeTool('updateNode', { nodeId: group.groupId, nodeType: 'task' });
+
+    expect(result).toMatchObject({ success: false, error: 'Group nodes have no node type or fields' });
+  });
+});
+
+describe('addEdge connection rules', () => {
+  it('rejects edges the source type does not allow', async () => {
+    await executeTool('addNode', { id: 'api', label: 'API', nodeType: 'service' });
+    await executeTool('addNode', { id: 'home', label: 'Home', nodeType: 'page' });
+
+    const blocked = await executeTool('addEdge', { sourceNodeId: 'api', targetNodeId: 'home' });
+    const allowed = await executeTool('addEdge', { sourceNodeId: 'home', targetNodeId: 'api' });
+
+    expect(blocked.success).toBe(false);
+    expect(blocked.error).toBe('A service node cannot connect to a page node (allowed: node, service, task)');
+    expect(allowed.success).toBe(true);
+    expect((await readFlow()).edges).toHaveLength(1);
+  });
+});
+
+describe('node types in the LLM context', () => {
+  it('includes each node type and its field values', async () => {
+    await executeTool('addNode', { id: 'plain', label: 'Plain' });
+    await executeTool('addNode', { id: 'fix', label: 'Fix bug', nodeType: 'task', fields: { assignee: 'sam' } });
+
+    const flow = await readFlow();
+    const context = formatFlowContext(flow.nodes, flow.edges);
+
+    expect(context.nodes[0]).toMatchObject({ id: 'plain', type: 'default' });
+    expect(context.nodes[0]).not.toHaveProperty('fields');
+    expect(context.nodes[1]).toMatchObject({
+      id: 'fix',
+      type: 'task',
+      fields: { status: 'todo', assignee: 'sam' },
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// ABOUTME: Tests for the setNodeProperties and setEdgeProperties tools and properties in the LLM context
+// ABOUTME: Covers typed values, partial updates, removal and validation failures
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { executeToolCalls } from '../server/tools/executor.js';
+import { readFlow } from '../server/server.js';
+import { formatFlowContext } from '../server/llm/tools.js';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+async function executeTool(toolName, params) {
+  const results = await executeToolCalls([{ name: toolName, params }]);
+  return results[0];
+}
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('executeTool - setNodeProperties', () => {
+  it('stores typed properties in the node data and returns them', async () => {
+    await executeTool('addNode', { id: 'login', label: 'Login' });
+    const result = await executeTool('setNodeProperties', {
+      nodeId: 'login',
+      properties: {
+        owner: 'sam',
+        priority: { type: 'enum', value: 'high', options: ['low', 'high'] },
+        due: { type: 'date', value: '2025-03-01' },
+      },
+    });
+
+    expect(result.success).toBe(true);
+    expect(Object.keys(result.properties)).toEqual(['owner', 'priority', 'due']);
+
+    const flow = await readFlow();
+    expect(flow.nodes[0].data).toEqual({
+      label: 'Login',
+      properties: {
+        owner: { type: 'string', value: 'sam' },
+        priority: { type: 'enum', value: 'high', options: ['low', 'high'] },
+        due: { type: 'date', value: '2025-03-01' },
+      },
+    });
+  });
+
+  it('updates and removes properties, dropping data.properties once empty', async () => {
+    await executeTool('addNode', { id: 'login', label: 'Login' });
+    await executeTool('setNodeProperties', { nodeId: 'login', properties: { owner: 'sam', points: 3 } });
+
+    await executeTool('setNodeProperties', { nodeId: 'login', properties: { points: 5, owner: null } });
+    expect((await readFlow()).nodes[0].data.properties).toEqual({ points: { type: 'number', value: 5 } });
+
+    await executeTool('setNodeProperties', { nodeId: 'login', properties: { points: null } });
+    expect((await readFlow()).nodes[0].data).toEqual({ label: 'Login' });
+  });
+
+  it('applies none of the changes when one is invalid', async () => {
+    await executeTool('addNode', { id: 'login', label: 'Login' });
+    const result = await executeTool('setNodeProperties', {
+      nodeId: 'login',
+      properties: { owner: 'sam', spec: { type: 'url', value: 'not a url' } },
+    });
+
+    expect(result).toMatchObject({ success: false, error: 'Property "spec" must be an http(s) URL' });
+    expect((await readFlow()).nodes[0].data.properties).toBeUndefined();
+  });
+
+  it('requires an existing node', async () => {
+    expect(await executeTool('setNodeProperties', { properties: {} }))
+      .toMatchObject({ success: false, error: 'nodeId is required' });
+    expect(await executeTool('setNodeProperties', { nodeId: 'ghost', properties: {} }))
+      .toMatchObject({ success: false, error: 'Node ghost not found' });
+  });
+});
+
+describe('executeTool - setEdgeProperties', () => {
+  it('stores properties on the edge alongside its label', async () => {
+    await executeTool('addNode', { id: 'home', label: 'Home' });
+    await executeTool('addNode', { id: 'login', label: 'Login', parentNodeId: 'home', edgeLabel: 'signs in' });
+    const [edge] = (await readFlow()).edges;
+
+    const result = await executeTool('setEdgeProperties', { edgeId: edge.id, properties: { latencyMs: 120 } });
+
+    expect(result.success).toBe(true);
+    const [saved] = (await readFlow()).edges;
+    expect(saved.data).toEqual({ label: 'signs in', properties: { latencyMs: { type: 'number', value: 120 } } });
+  });
+
+  it('requires an existing edge', async () => {
+    expect(await executeTool('setEdgeProperties', { edgeId: 'ghost', properties: {} }))
+      .toMatchObject({ success: false, error: 'Edge ghost not found' });
+  });
+});
+
+describe('formatFlowContext', () => {
+  it('includes properties for the nodes and edges that have them', () => {
+    const properties = { owner: { type: 'string', value: 'sam' } };
+    const context = formatFlowContext(
+      [
+        { id: 'a', position: { x: 0, y: 0 }, data: { label: 'A', properties } },
+        { id: 'b', position: { x: 0, y: 0 }, data: { label: 'B' } },
+      ],
+      [{ id: 'e1', source: 'a', target: 'b', data: { properties } }]
+    );
+
+    expect(context.nodes[0].properties).toEqual(properties);
+    expect(context.nodes[1]).not.toHaveProperty('properties');
+    expect(context.edges[0].properties).toEqual(properties);
+  });
+});
@@ -0,0 +1,79 @@
+// ABOUTME: Tests for the styleNode tool and node styles in the LLM context
+// ABOUTME: Covers setting, partially updating and resetting styles, and validation failures
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { executeToolCalls } from '../server/tools/executor.js';
+import { readFlow } from '../server/server.js';
+import { formatFlowContext } from '../server/llm/tools.js';
+import { setupTestDb, cleanupTestDb } from './test-db-setup.js';
+
+async function executeTool(toolName, params) {
+  const results = await executeToolCalls([{ name: toolName, params }]);
+  return results[0];
+}
+
+beforeEach(async () => {
+  await setupTestDb();
+});
+
+afterEach(async () => {
+  await cleanupTestDb();
+});
+
+describe('executeTool - styleNode', () => {
+  it('stores the style in the node data and returns it', async () => {
+    await executeTool('addNode', { id: 'db', label: 'Database' });
+    const result = await executeTool('styleNode', { nodeId: 'db', fill: '#1E3A5F', shape: 'circle', icon: 'database' });
+
+    expect(result.success).toBe(true);
+    expect(result.style).toEqual({ fill: '#1e3a5f', shape: 'circle', icon: 'database' });
+
+    const flow = await readFlow();
+    expect(flow.nodes[0].data).toEqual({
+      label: 'Database',
+      style: { fill: '#1e3a5f', shape: 'circle', icon: 'database' },
+    });
+  });
+
+  it('changes only the given keys and drops data.style once every key is reset', async () => {
+    await executeTool('addNode', { id: 'db', label: 'Database' });
+    await executeTool('styleNode', { nodeId: 'db', fill: '#111111', border: '#f59e0b' });
+
+    await executeTool('styleNode', { nodeId: 'db', fill: null, icon: 'star' });
+    expect((await readFlow()).nodes[0].data.style).toEqual({ border: '#f59e0b', icon: 'star' });
+
+    await executeTool('styleNode', { nodeId: 'db', border: null, icon: null });
+    expect((await readFlow()).nodes[0].data).toEqual({ label: 'Database' });
+  });
+
+  it('applies none of the changes when one is invalid', async () => {
+    await executeTool('addNode', { id: 'db', label: 'Database' });
+    const result = await executeTool('styleNode', { nodeId: 'db', fill: '#000000', shape: 'hexagon' });
+
+    expect(result).toEqual({ success: false, error: 'shape must be one of: rounded, pill, diamond, circle' });
+    expect((await readFlow()).nodes[0].data).toEqual({ label: 'Database' });
+  });
+
+  it('requires an existing node and at least one style', async () => {
+    await executeTool('addNode', { id: 'db', label: 'Database' });
+
+    expect(await executeTool('styleNode', { fill: '#000000' })).toEqual({ success: false, error: 'nodeId is required' });
+    expect(await executeTool('styleNode', { nodeId: 'nope', fill: '#000000' })).toEqual({ success: false, error: 'Node nope not found' });
+    expect(await executeTool('styleNode', { nodeId: 'db' })).toEqual({
+      success: false,
+      error: 'Provide at least one of: fill, border, shape, icon',
+    });
+  });
+});
+
+describe('formatFlowContext - styles', () => {
+  it('includes a node style only when the node has one', () => {
+    const context = formatFlowContext([
+      { id: 'a', position: { x: 0, y: 0 }, data: { label: 'A', style: { shape: 'pill' } } },
+      { id: 'b', position: { x: 0, y: 0 }, data: { label: 'B' } },
+    ], []);
+
+    expect(context.nodes[0].style).toEqual({ shape: 'pill' });
+    expect(context.nodes[1]).not.toHaveProperty('style');
+  });
+});
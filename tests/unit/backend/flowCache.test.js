@@ -0,0 +1,73 @@
+// ABOUTME: Tests for the in-process flow cache used by the db facade
+// ABOUTME: Covers copy isolation, revision ordering and stale loads racing writes
+
+import { describe, it, expect } from 'vitest';
+import { createFlowCache } from '../../../server/storage/flowCache.js';
+
+const record = (label, revision) => ({
+  flow: { nodes: [{ id: 'a', data: { label } }], edges: [] },
+  revision
+});
+
+describe('flowCache', () => {
+  it('should load once and hand out private copies', async () => {
+    const cache = createFlowCache();
+    let loads = 0;
+    const load = async () => {
+      loads++;
+      return record('A', 1);
+    };
+
+    const first = await cache.read('default', 'main', load);
+    first.flow.nodes[0].data.label = 'Changed';
+    const second = await cache.read('default', 'main', load);
+
+    expect(loads).toBe(1);
+    expect(second).toEqual(record('A', 1));
+  });
+
+  it('should never replace a newer revision with an older one', async () => {
+    const cache = createFlowCache();
+
+    cache.store('default', 'main', record('New', 3));
+    cache.store('default', 'main', record('Old', 2));
+
+    expect(cache.peek('default', 'main').flow.nodes[0].data.label).toBe('New');
+  });
+
+  it('should not cache a load that raced a store or invalidation', async () => {
+    const cache = createFlowCache();
+    let finishLoad;
+    const pending = cache.read('default', 'main', () => new Promise(resolve => {
+      finishLoad = resolve;
+    }));
+
+    cache.store('default', 'main', record('Saved', 2));
+    finishLoad(record('Loaded', 1));
+    await pending;
+
+    expect(cache.peek('default', 'main').revision).toBe(2);
+
+    const racing = cache.read('default', 'other', () => new Promise(resolve => {
+      finishLoad = resolve;
+    }));
+    cache.clear();
+    finishLoad(record('Loaded', 1));
+    await racing;
+
+    expect(cache.peek('default', 'other')).toBeNull();
+  });
+
+  it('should track the persisted revision behind staged writes', () => {
+    const cache = createFlowCache();
+
+    cache.store('default', 'main', record('Staged', 4), 1);
+    expect(cache.peek('default', 'main')).toMatchObject({ revision: 4, persistedRevision: 1 });
+
+    cache.markPersisted('default', 'main', 4);
+    expect(cache.peek('default', 'main').persistedRevision).toBe(4);
+
+    cache.invalidate('default', 'main');
+    expect(cache.peek('default', 'main')).toBeNull();
+  });
+});
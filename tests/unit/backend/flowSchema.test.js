@@ -0,0 +1,104 @@
+// ABOUTME: Unit tests for the versioned flow schema
+// ABOUTME: Tests migrateFlow's ordered upgrades and validateFlowDocument's structural errors
+import { describe, it, expect } from 'vitest';
+import {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  UnsupportedSchemaVersionError,
+  migrateFlow,
+  validateFlowDocument,
+} from '../../../server/storage/flowSchema.js';
+
+const node = (id, overrides = {}) => ({ id, position: { x: 0, y: 0 }, data: { label: id }, ...overrides });
+
+describe('migrateFlow', () => {
+  it('should list migrations in ascending order up to the current version', () => {
+    const versions = MIGRATIONS.map(migration => migration.version);
+
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(versions.at(-1)).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('should start from a baseline that leaves unversioned documents as they are', () => {
+    const document = {
+      nodes: [node('g', { type: 'group', isExpanded: false }), node('a', { parentGroupId: 'g', groupHidden: true })],
+      edges: [{ id: 'e', source: 'a', target: 'g' }],
+    };
+
+    expect(MIGRATIONS[0].version).toBe(1);
+    expect(migrateFlow(document)).toEqual(document);
+  });
+
+  it('should drop the version from the result', () => {
+    const document = { schemaVersion: CURRENT_SCHEMA_VERSION, nodes: [node('a')], edges: [] };
+
+    expect(migrateFlow(document)).toEqual({ nodes: document.nodes, edges: [] });
+  });
+
+  it('should refuse documents from a newer schema', () => {
+    const migrateNewer = () => migrateFlow({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, nodes: [], edges: [] });
+
+    expect(migrateNewer).toThrow(UnsupportedSchemaVersionError);
+    expect(migrateNewer)
+      .toThrow(`Flow schema version ${CURRENT_SCHEMA_VERSION + 1} is newer than the supported version ${CURRENT_SCHEMA_VERSION}`);
+  });
+});
+
+describe('validateFlowDocument', () => {
+  it('should accept well-formed documents', () => {
+    expect(validateFlowDocument({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      nodes: [node('g', { type: 'group', isCollapsed: false }), node('a', { parentGroupId: 'g', hidden: false })],
+      edges: [{ id: 'e', source: 'a', target: 'g' }],
+    })).toEqual([]);
+  });
+
+  it('should report the top-level shape', () => {
+    expect(validateFlowDocument(null)).toEqual(['flow must be an object with nodes and edges arrays']);
+    expect(validateFlowDocument({ schemaVersion: 'x', nodes: {} })).toEqual([
+      `schemaVersion must be an integer from 1 to ${CURRENT_SCHEMA_VERSION}`,
+      'nodes must be an array',
+      'edges must be an array',
+    ]);
+  });
+
+  it('should check node styles', () => {
+    expect(validateFlowDocument({
+      nodes: [
+        node('a', { data: { label: 'A', style: { fill: '#1f6feb', shape: 'pill' } } }),
+        node('b', { data: { label: 'B', style: { fill: '"/><script>alert(1)</script>' } } }),
+        node('c', { data: { label: 'C', style: 'red' } }),
+      ],
+      edges: [],
+    })).toEqual([
+      'nodes[1] ("b").data.style: fill must be a hex colour such as #1f6feb',
+      'nodes[2] ("c").data.style: style must be an object',
+    ]);
+  });
+
+  it('should name the node or edge each problem belongs to', () => {
+    expect(validateFlowDocument({
+      nodes: [
+        node('a'),
+        node('a', { position: { x: 'left' } }),
+        { id: '', data: {}, position: { x: 0, y: 0 } },
+        node('b', { data: null, hidden: 'yes', parentGroupId: 'a' }),
+        'c',
+      ],
+      edges: [
+        { id: 'e1', source: 'a', target: 'missing' },
+        { id: 'e1', source: 'a', target: 'b' },
+      ],
+    })).toEqual([
+      'nodes[1] ("a").id duplicates an earlier node',
+      'nodes[1] ("a").position must have numeric x and y',
+      'nodes[2].id must be a non-empty string',
+      'nodes[3] ("b").data must be an object',
+      'nodes[3] ("b").hidden must be a boolean',
+      'nodes[4] must be an object',
+      'nodes[3] ("b").parentGroupId "a" is not a group node',
+      'edges[0] ("e1").target "missing" is not a node in the flow',
+      'edges[1] ("e1").id duplicates an earlier edge',
+    ]);
+  });
+});
@@ -0,0 +1,177 @@
+// ABOUTME: Tests for the server-side SVG renderer
+// ABOUTME: Covers node placement, theme colours, edge labels, group halos and collapsed content
+
+import { describe, it, expect } from 'vitest';
+import { renderFlowSvg } from '../../../server/render/flowSvg.js';
+import { THEME } from '../../../src/constants/theme.js';
+import { NODE_WIDTH, NODE_HEIGHT } from '../../../shared/constants/nodeDimensions.js';
+
+const node = (id, x, y, overrides = {}) => ({
+  id,
+  type: 'default',
+  position: { x, y },
+  data: { label: id.toUpperCase() },
+  ...overrides,
+});
+
+const nodeIds = (svg) => [...svg.matchAll(/class="node[^"]*" data-id="([^"]+)"/g)].map(match => match[1]);
+
+describe('renderFlowSvg', () => {
+  it('should draw nodes at their stored positions with theme colours', () => {
+    const svg = renderFlowSvg({
+      nodes: [node('a', 0, 0, { data: { label: 'Alpha', description: 'First <step>' } }), node('b', 300, 100)],
+      edges: [],
+    });
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(svg).toContain(`viewBox="-40 -40 ${300 + NODE_WIDTH + 80} ${100 + NODE_HEIGHT + 80}"`);
+    expect(svg).toContain(`<rect x="300.5" y="100.5" width="${NODE_WIDTH - 1}" height="${NODE_HEIGHT - 1}"`);
+    expect(svg).toContain(`fill="${THEME.node.colors.background}" stroke="${THEME.node.colors.border}"`);
+    expect(svg).toContain('>Alpha</text>');
+    expect(svg).toContain('font-style="italic"');
+    expect(svg).toContain('>First &lt;step&gt;</text>');
+    expect(svg).toContain('stop-color="#0f0a1a"');
+  });
+
+  it('should draw smoothstep edges with labels', () => {
+    const svg = renderFlowSvg({
+      nodes: [node('a', 0, 0), node('b', 300, 0)],
+      edges: [{ id: 'e1', source: 'a', target: 'b', data: { label: 'next' } }],
+    });
+
+    const y = NODE_HEIGHT / 2;
+    expect(svg).toContain(`<path d="M${NODE_WIDTH} ${y}`);
+    expect(svg).toContain(`L300 ${y}" fill="none" stroke="${THEME.edge.colors.stroke}"`);
+    expect(svg).toContain(`fill="${THEME.edge.colors.labelBackground}"`);
+    expect(svg).toContain('>next</text>');
+  });
+
+  it('should draw expanded groups as halos around their members', () => {
+    const svg = renderFlowSvg({
+      nodes: [
+        node('g', 0, 0, { type: 'group', isCollapsed: false }),
+        node('a', 0, 0, { parentGroupId: 'g' }),
+        node('b', 0, 100, { parentGroupId: 'g' }),
+      ],
+      edges: [],
+    });
+
+    expect(nodeIds(svg)).toEqual(['a', 'b']);
+    expect(svg).toContain('class="group-halo" data-id="g"');
+    expect(svg).toContain(`stroke="${THEME.groupNode.halo.colors.normal}"`);
+  });
+
+  it('should draw collapsed groups as nodes with their edges rerouted', () => {
+    const svg = renderFlowSvg({
+      nodes: [
+        node('g', 300, 0, { type: 'group', isCollapsed: true }),
+        node('a', 0, 0),
+        node('b', 300, 0, { parentGroupId: 'g' }),
+      ],
+      edges: [{ id: 'e1', source: 'a', target: 'b' }],
+    });
+
+    expect(nodeIds(svg)).toEqual(['g', 'a']);
+    expect(svg).toContain(`fill="${THEME.groupNode.colors.background}"`);
+    expect(svg).not.toContain('group-halo" data-id');
+    expect((svg.match(/<path /g) ?? []).length).toBe(1);
+  });
+
+  it('should hide collapsed subtrees and mark the collapsed node', () => {
+    const svg = renderFlowSvg({
+      nodes: [
+        node('a', 0, 0, { data: { label: 'A', collapsed: true } }),
+        node('b', 300, 0, { hidden: true, subtreeHidden: true }),
+      ],
+      edges: [{ id: 'e1', source: 'a', target: 'b', hidden: true }],
+    });
+
+    expect(nodeIds(svg)).toEqual(['a']);
+    expect(svg).not.toContain('<path ');
+    expect(svg).toContain(`stroke="${THEME.node.states.collapsedSubtree.colors.border}" stroke-width="4"`);
+  });
+
+  it('should render an empty flow', () => {
+    const svg = renderFlowSvg({ nodes: [], edges: [] });
+
+    expect(svg).toContain('viewBox="0 0 200 100"');
+    expect(nodeIds(svg)).toEqual([]);
+  });
+
+  it('should draw node styles: fill and border colours, shapes and icons', () => {
+    const svg = renderFlowSvg({
+      nodes: [
+        node('a', 0, 0, { data: { label: 'Alpha', style: { fill: '#111111', border: '#22c55e', icon: 'star' } } }),
+        node('b', 300, 0, { data: { label: 'B', style: { shape: 'circle' } } }),
+        node('c', 600, 0, { data: { label: 'C', style: { shape: 'diamond' } } }),
+        node('d', 900, 0, { data: { label: 'D', style: { shape: 'pill' } } }),
+      ],
+      edges: [],
+    });
+
+    expect(svg).toContain('fill="#111111" stroke="#22c55e"');
+    expect(svg).toContain('>★ Alpha</text>');
+    expect(svg).toMatch(/data-id="b"><ellipse cx="\d+(\.\d+)?" cy="[\d.]+" rx=/);
+    expect(svg).toMatch(/data-id="c"><polygon points="/);
+    expect(svg).toContain(`rx="${(NODE_HEIGHT - 1) / 2}"`);
+  });
+
+  it('should draw nodes at their manual size or grown to fit their text', () => {
+    const description = 'Checks the card number, expiry date and security code against the processor before the order is confirmed';
+    const svg = renderFlowSvg({
+      nodes: [
+        node('a', 0, 0, { data: { label: 'A', size: { width: 240, height: 120 } } }),
+        node('b', 300, 0, { data: { label: 'Validate payment', description } }),
+      ],
+      edges: [],
+    });
+
+    expect(svg).toContain('<rect x="0.5" y="0.5" width="239" height="119"');
+    const [, grownHeight] = svg.match(/<rect x="300.5" y="0.5" width="319" height="(\d+)"/);
+    expect(Number(grownHeight)).toBeGreaterThan(NODE_HEIGHT - 1);
+    expect(svg).not.toContain('…');
+  });
+
+  it('should colour group halos with the group style', () => {
+    const svg = renderFlowSvg({
+      nodes: [
+        node('g', 0, 0, { type: 'group', isCollapsed: false, data: { label: 'G', style: { border: '#f59e0b' } } }),
+        node('a', 0, 0, { parentGroupId: 'g' }),
+      ],
+      edges: [],
+    });
+
+    expect(svg).toMatch(/class="group-halo" data-id="g"[^>]*stroke="#f59e0b"/);
+  });
+
+  it('should draw only hex style colours, falling back to the theme for anything else', () => {
+    const hostile = '"/><script>alert(1)</script><x a="';
+    const svg = renderFlowSvg({
+      nodes: [
+        node('g', 0, 0, { type: 'group', isCollapsed: false, data: { label: 'G', style: { border: hostile } } }),
+        node('a', 0, 0, { parentGroupId: 'g', data: { label: 'A', style: { fill: hostile, border: hostile } } }),
+      ],
+      edges: [],
+    });
+
+    expect(svg).not.toContain('<script');
+    expect(svg).toContain(`fill="${THEME.node.colors.background}" stroke="${THEME.node.colors.border}"`);
+    const halo = svg.match(/<rect class="group-halo" data-id="g"[^>]*>/)[0];
+    expect(halo).toContain(`stroke="${THEME.groupNode.halo.colors.normal}"`);
+  });
+
+  it('should draw edge kinds with their colour, dash pattern and arrowhead', () => {
+    const svg = renderFlowSvg({
+      nodes: [node('a', 0, 0), node('b', 300, 0), node('c', 300, 200)],
+      edges: [
+        { id: 'e1', source: 'a', target: 'b', data: { kind: 'depends-on' } },
+        { id: 'e2', source: 'a', target: 'c', data: { kind: 'related' } },
+      ],
+    });
+
+    expect(svg).toContain(`stroke="${THEME.edge.kinds['depends-on'].stroke}" stroke-width="${THEME.edge.kindStrokeWidth}" stroke-dasharray="${THEME.edge.dashArrays.dashed}" marker-end="url(#arrowhead-depends-on)"/>`);
+    expect(svg).toContain('<marker id="arrowhead-depends-on"');
+    expect(svg).toContain(`stroke="${THEME.edge.kinds.related.stroke}" stroke-width="${THEME.edge.kindStrokeWidth}" stroke-dasharray="${THEME.edge.dashArrays.dotted}"/>`);
+    expect(svg).not.toContain('arrowhead-related');
+  });
+});
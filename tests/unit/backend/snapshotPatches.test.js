@@ -0,0 +1,99 @@
+// ABOUTME: Tests for the keyframe/patch helpers behind compact undo history
+// ABOUTME: Covers patch round-trips, deduplication, keyframe spacing and rebuilding
+
+import { describe, it, expect } from 'vitest';
+import { indexRows } from '../../../server/storage/undoTree.js';
+import {
+  KEYFRAME_INTERVAL,
+  createSnapshotPatch,
+  applySnapshotPatch,
+  rebuildSnapshot,
+  rebuildSnapshots,
+  createHistoryEntry,
+  rowOrigin
+} from '../../../server/storage/snapshotPatches.js';
+
+const node = (id, label, x = 0) => ({ id, position: { x, y: 0 }, data: { label } });
+
+describe('snapshotPatches', () => {
+  it('should round-trip node and edge changes', () => {
+    const before = {
+      nodes: [node('a', 'A'), node('b', 'B'), node('c', 'C')],
+      edges: [{ id: 'e1', source: 'a', target: 'b' }]
+    };
+    const after = {
+      nodes: [node('a', 'A', 50), node('c', 'C'), node('d', 'D')],
+      edges: [{ id: 'e2', source: 'a', target: 'd' }],
+      _meta: { origin: 'ui.batch' }
+    };
+
+    const patch = createSnapshotPatch(before, after);
+
+    expect(patch.items.nodes.upsert.map(item => item.id)).toEqual(['a', 'd']);
+    expect(patch.items.nodes.remove).toEqual(['b']);
+    expect(applySnapshotPatch(before, patch)).toEqual(after);
+  });
+
+  it('should record reordering', () => {
+    const before = { nodes: [node('a', 'A'), node('b', 'B')], edges: [] };
+    const after = { nodes: [node('b', 'B'), node('a', 'A')], edges: [] };
+
+    const patch = createSnapshotPatch(before, after);
+
+    expect(patch.items.nodes.order).toEqual(['b', 'a']);
+    expect(applySnapshotPatch(before, patch)).toEqual(after);
+  });
+
+  it('should ignore key order and origin tags when deciding nothing changed', () => {
+    const before = { nodes: [{ id: 'a', data: { label: 'A', description: '' } }], edges: [], _meta: { origin: 'llm.tool' } };
+    const after = { edges: [], nodes: [{ data: { description: '', label: 'A' }, id: 'a' }], _meta: { origin: 'ui.node.update' } };
+
+    expect(createSnapshotPatch(before, after)).toBeNull();
+  });
+
+  it('should replace item lists wholesale when ids are not unique', () => {
+    const before = { nodes: [{ id: '1' }], edges: [] };
+    const after = { nodes: [{ id: '1' }, { id: '1', data: { label: 'dup' } }], edges: [] };
+
+    const patch = createSnapshotPatch(before, after);
+
+    expect(patch.set.nodes).toEqual(after.nodes);
+    expect(applySnapshotPatch(before, patch)).toEqual(after);
+  });
+
+  it('should not inherit the base origin', () => {
+    const base = { nodes: [], edges: [], _meta: { origin: 'llm.tool' } };
+    const patch = createSnapshotPatch(base, { nodes: [{ id: 'a' }], edges: [] });
+
+    expect(applySnapshotPatch(base, patch)).toEqual({ nodes: [{ id: 'a' }], edges: [] });
+  });
+
+  it('should store a keyframe first and then every KEYFRAME_INTERVAL steps', () => {
+    const first = createHistoryEntry(null, { nodes: [], edges: [] });
+    expect(first).toEqual({ snapshot: { nodes: [], edges: [] }, patch: null });
+
+    const current = { snapshot: { nodes: [], edges: [] }, depth: 0 };
+    const next = { nodes: [{ id: 'a' }], edges: [] };
+
+    expect(createHistoryEntry(current, next).patch).not.toBeNull();
+    expect(createHistoryEntry({ ...current, depth: KEYFRAME_INTERVAL - 1 }, next))
+      .toEqual({ snapshot: next, patch: null });
+    expect(createHistoryEntry(current, { nodes: [], edges: [] })).toBeNull();
+  });
+
+  it('should rebuild snapshots from keyframes and patches', () => {
+    const states = [
+      { nodes: [], edges: [] },
+      { nodes: [node('a', 'A')], edges: [], _meta: { origin: 'ui.node.create' } },
+      { nodes: [node('a', 'Renamed')], edges: [] },
+    ];
+    const rows = [{ id: 1, parent_id: null, snapshot: states[0], patch: null }];
+    rows.push({ id: 2, parent_id: 1, snapshot: null, patch: createSnapshotPatch(states[0], states[1]) });
+    rows.push({ id: 3, parent_id: 2, snapshot: null, patch: createSnapshotPatch(states[1], states[2]) });
+
+    expect(rebuildSnapshot(indexRows(rows), 3)).toEqual({ snapshot: states[2], depth: 2 });
+    expect(rebuildSnapshot(indexRows(rows), 99)).toBeNull();
+    expect([...rebuildSnapshots(rows).values()]).toEqual(states);
+    expect(rows.map(rowOrigin)).toEqual([null, 'ui.node.create', null]);
+  });
+});
@@ -0,0 +1,263 @@
+// ABOUTME: Tests for storage backend selection and the file-backed adapter
+// ABOUTME: Covers env-based backend resolution and persistence across adapter instances
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { resolveStorageBackend, resolveFileStorePath } from '../../../server/storage/index.js';
+import { createFileAdapter, loadStore } from '../../../server/storage/fileAdapter.js';
+import { KEYFRAME_INTERVAL } from '../../../server/storage/snapshotPatches.js';
+
+const ENV_KEYS = ['STORAGE_BACKEND', 'SUPABASE_URL', 'SUPABASE_ANON_KEY', 'FLOW_STORE_PATH'];
+
+describe('resolveStorageBackend', () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+  });
+
+  it('should fall back to the file backend without Supabase credentials', () => {
+    expect(resolveStorageBackend()).toBe('file');
+  });
+
+  it('should pick Supabase when credentials are configured', () => {
+    process.env.SUPABASE_URL = 'https://example.supabase.co';
+    process.env.SUPABASE_ANON_KEY = 'anon-key';
+
+    expect(resolveStorageBackend()).toBe('supabase');
+  });
+
+  it('should honour an explicit STORAGE_BACKEND', () => {
+    process.env.SUPABASE_URL = 'https://example.supabase.co';
+    process.env.SUPABASE_ANON_KEY = 'anon-key';
+    process.env.STORAGE_BACKEND = 'File';
+
+    expect(resolveStorageBackend()).toBe('file');
+  });
+
+  it('should reject unknown backends', () => {
+    process.env.STORAGE_BACKEND = 'mongo';
+
+    expect(() => resolveStorageBackend()).toThrow('Unknown STORAGE_BACKEND');
+  });
+
+  it('should resolve relative FLOW_STORE_PATH values from the project root', () => {
+    process.env.FLOW_STORE_PATH = 'tests/test-data/custom.json';
+
+    expect(resolveFileStorePath()).toMatch(/tests[\\/]test-data[\\/]custom\.json$/);
+  });
+});
+
+describe('createFileAdapter', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'flow-store-'));
+    filePath = join(dir, 'nested', 'store.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should persist flows to disk for new adapter instances', async () => {
+    const flow = { nodes: [{ id: 'a', position: { x: 0, y: 0 }, data: { label: 'A' } }], edges: [] };
+
+    await createFileAdapter(filePath).saveFlow(flow, 'default', 'main');
+
+    expect(await createFileAdapter(filePath).getFlow('default', 'main')).toEqual(flow);
+    expect(JSON.parse(readFileSync(filePath, 'utf-8')).flows).toHaveLength(1);
+  });
+
+  it('should bump flow revisions and reject saves at a stale revision', async () => {
+    const adapter = createFileAdapter(filePath);
+    const flow = { nodes: [{ id: 'a' }], edges: [] };
+
+    expect(await adapter.getFlowRecord('default', 'main')).toEqual({ flow: { nodes: [], edges: [] }, revision: 0 });
+    expect(await adapter.saveFlow(flow, 'default', 'main', 0)).toBe(1);
+    expect(await adapter.saveFlow({ nodes: [], edges: [] }, 'default', 'main', 0)).toBeNull();
+    expect(await adapter.saveFlow({ nodes: [], edges: [] }, 'default', 'main')).toBe(2);
+
+    expect(await adapter.getFlowRecord('default', 'main')).toEqual({ flow: { nodes: [], edges: [] }, revision: 2 });
+  });
+
+  it('should keep undo position across adapter instances', async () => {
+    const first = createFileAdapter(filePath);
+    await first.pushUndoSnapshot(1, { nodes: [{ id: '1' }], edges: [] });
+    await first.pushUndoSnapshot(1, { nodes: [{ id: '2' }], edges: [] });
+    await first.undo(1);
+
+    const status = await createFileAdapter(filePath).getUndoStatus(1);
+    expect(status.currentIndex).toBe(1);
+    expect(status.canRedo).toBe(true);
+  });
+
+  it('should issue strictly increasing snapshot timestamps', async () => {
+    const adapter = createFileAdapter(filePath);
+    const timestamps = [];
+
+    for (let i = 0; i < 5; i++) {
+      await adapter.pushUndoSnapshot(1, { nodes: [{ id: `${i}` }], edges: [] });
+      timestamps.push((await adapter.getUndoStatus(1)).currentTimestamp);
+    }
+
+    const millis = timestamps.map(ts => new Date(ts).getTime());
+    millis.slice(1).forEach((value, index) => {
+      expect(value).toBeGreaterThan(millis[index]);
+    });
+  });
+
+  it('should keep undo history separate per flow', async () => {
+    const adapter = createFileAdapter(filePath);
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'a1' }], edges: [] });
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'a2' }], edges: [] });
+    await adapter.pushUndoSnapshot(2, { nodes: [{ id: 'b1' }], edges: [] });
+
+    expect(await adapter.undo(2)).toBeNull();
+    expect(await adapter.undo(1)).toEqual({ nodes: [{ id: 'a1' }], edges: [] });
+    expect((await adapter.getUndoStatus(2)).snapshotCount).toBe(1);
+  });
+
+  it('should prune to the flow snapshot limit without dropping the current snapshot', async () => {
+    const adapter = createFileAdapter(filePath);
+    for (let i = 1; i <= 5; i++) {
+      await adapter.pushUndoSnapshot(1, { nodes: [{ id: `${i}` }], edges: [] });
+    }
+    await adapter.undo(1);
+    await adapter.undo(1);
+
+    await adapter.setUndoSnapshotLimit(1, 2);
+
+    const status = await adapter.getUndoStatus(1);
+    expect(status.snapshotLimit).toBe(2);
+    expect(status.snapshotCount).toBe(3);
+    expect(status.currentIndex).toBe(1);
+    expect(await adapter.redo(1)).toEqual({ nodes: [{ id: '4' }], edges: [] });
+  });
+
+  it('should keep abandoned redo states on their own branch', async () => {
+    const adapter = createFileAdapter(filePath);
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'a' }], edges: [] });
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'b' }], edges: [] });
+    await adapter.undo(1);
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'c' }], edges: [] });
+
+    const tree = await adapter.getUndoTree(1);
+    expect(tree.rows.map(row => row.parent_id)).toEqual([null, 1, 1]);
+    expect(tree.currentId).toBe(3);
+
+    expect(await adapter.jumpToSnapshot(1, 2)).toEqual({ nodes: [{ id: 'b' }], edges: [] });
+    expect(await adapter.jumpToSnapshot(2, 2)).toBeNull();
+    expect((await adapter.getUndoTree(1)).headId).toBe(2);
+  });
+
+  it('should turn children of pruned snapshots into roots', async () => {
+    const adapter = createFileAdapter(filePath);
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'a' }], edges: [] });
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'b' }], edges: [] });
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'c' }], edges: [] });
+
+    await adapter.setUndoSnapshotLimit(1, 2);
+
+    const tree = await adapter.getUndoTree(1);
+    expect(tree.rows.map(row => [row.id, row.parent_id])).toEqual([[2, null], [3, 2]]);
+    expect(await adapter.undo(1)).toEqual({ nodes: [{ id: 'b' }], edges: [] });
+    expect(await adapter.undo(1)).toBeNull();
+  });
+
+  it('should store snapshots as patches between periodic keyframes', async () => {
+    const adapter = createFileAdapter(filePath);
+    const states = Array.from({ length: KEYFRAME_INTERVAL + 2 }, (_, i) => ({
+      nodes: [{ id: 'a', position: { x: i, y: 0 } }, { id: 'b', position: { x: 0, y: 0 } }],
+      edges: []
+    }));
+    for (const state of states) {
+      await adapter.pushUndoSnapshot(1, state);
+    }
+
+    const rows = loadStore(filePath).undo_history;
+    expect(rows.map(row => row.patch === null)).toEqual(
+      states.map((_, i) => i % KEYFRAME_INTERVAL === 0)
+    );
+    expect(rows[1].patch.items.nodes.upsert.map(node => node.id)).toEqual(['a']);
+
+    const snapshots = await adapter.listUndoSnapshots(1);
+    expect(snapshots.map(row => row.snapshot)).toEqual(states);
+    expect(await adapter.undo(1)).toEqual(states[states.length - 2]);
+  });
+
+  it('should keep children of pruned snapshots rebuildable', async () => {
+    const adapter = createFileAdapter(filePath);
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'a' }], edges: [] });
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'a' }, { id: 'b' }], edges: [] });
+    await adapter.pushUndoSnapshot(1, { nodes: [{ id: 'a' }, { id: 'b' }, { id: 'c' }], edges: [] });
+
+    await adapter.setUndoSnapshotLimit(1, 1);
+
+    const [root] = loadStore(filePath).undo_history;
+    expect(root).toMatchObject({ id: 3, parent_id: null, patch: null });
+    expect(await adapter.getUndoSnapshot(1, 3)).toEqual({ nodes: [{ id: 'a' }, { id: 'b' }, { id: 'c' }], edges: [] });
+  });
+
+  it('should chain concurrent pushes instead of branching them off the same parent', async () => {
+    const adapter = createFileAdapter(filePath);
+    await adapter.setUndoSnapshotLimit(1, 3);
+
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(id =>
+      adapter.pushUndoSnapshot(1, { nodes: [{ id }], edges: [] })
+    ));
+
+    const tree = await adapter.getUndoTree(1);
+    expect(tree.rows.map(row => [row.id, row.parent_id])).toEqual([[3, null], [4, 3], [5, 4]]);
+    expect((await adapter.getUndoStatus(1)).branchCount).toBe(1);
+  });
+
+  it('should attach a legacy global undo stack to the main flow', async () => {
+    const legacyStore = {
+      flows: [{ id: 7, user_id: 'default', name: 'main', data: { nodes: [], edges: [] } }],
+      undo_history: [
+        { id: 1, snapshot: { nodes: [{ id: 'old' }], edges: [] }, created_at: '2025-01-01T00:00:00.000Z' },
+        { id: 2, snapshot: { nodes: [{ id: 'new' }], edges: [] }, created_at: '2025-01-01T00:00:01.000Z' }
+      ],
+      undo_state: { current_snapshot_id: 2 }
+    };
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, JSON.stringify(legacyStore));
+
+    const adapter = createFileAdapter(filePath);
+
+    expect((await adapter.getUndoStatus(7)).currentIndex).toBe(2);
+    expect((await adapter.getUndoTree(7)).rows.map(row => row.parent_id)).toEqual([null, 1]);
+    expect(await adapter.undo(7)).toEqual({ nodes: [{ id: 'old' }], edges: [] });
+    expect(await adapter.redo(7)).toEqual({ nodes: [{ id: 'new' }], edges: [] });
+  });
+
+  it('should drop a flow\'s checkpoints when the flow is deleted', async () => {
+    const adapter = createFileAdapter(filePath);
+    await adapter.saveFlow({ nodes: [], edges: [] }, 'default', 'roadmap');
+    const flowId = await adapter.getFlowId('default', 'roadmap');
+
+    expect(await adapter.saveCheckpoint(flowId, 'v1', { nodes: [{ id: 'a' }], edges: [] })).toMatchObject({ name: 'v1' });
+    expect(await adapter.saveCheckpoint(flowId, 'v1', { nodes: [], edges: [] })).toBeNull();
+
+    await adapter.deleteFlow('default', 'roadmap');
+    expect(await adapter.listCheckpoints(flowId)).toEqual([]);
+  });
+
+  it('should reject unknown conversation roles', async () => {
+    await expect(
+      createFileAdapter(filePath).addConversationMessage('system', 'hi', null)
+    ).rejects.toThrow('Invalid conversation role');
+  });
+});
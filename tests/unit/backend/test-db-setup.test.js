@@ -1,4 +1,4 @@
-// ABOUTME: Tests for Supabase test infrastructure (test-db-setup.js)
+// ABOUTME: Tests for test infrastructure (test-db-setup.js)
 // ABOUTME: Verifies that test helpers work correctly for database isolation
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
@@ -6,10 +6,12 @@ import {
   truncateAllTables,
   seedTestFlow,
   seedConversationHistory,
+  getTableRows,
+  getUndoSnapshots,
   setupTestDb,
-  cleanupTestDb,
-  testSupabase
+  cleanupTestDb
 } from '../../test-db-setup.js';
+import { getFlow, pushUndoSnapshot, getUndoStatus } from '../../../server/db.js';
 
 beforeEach(async () => {
   await setupTestDb();
@@ -25,15 +27,13 @@ describe('Test Infrastructure - truncateAllTables', () => {
     await seedTestFlow();
 
     // Verify data exists
-    const { data: beforeData } = await testSupabase.from('flows').select('*');
-    expect(beforeData).toHaveLength(1);
+    expect(await getTableRows('flows')).toHaveLength(1);
 
     // Truncate
     await truncateAllTables();
 
     // Verify data is cleared
-    const { data: afterData } = await testSupabase.from('flows').select('*');
-    expect(afterData).toHaveLength(0);
+    expect(await getTableRows('flows')).toHaveLength(0);
   });
 
   it('should clear all data from conversation_history table', async () => {
@@ -43,42 +43,29 @@ describe('Test Infrastructure - truncateAllTables', () => {
     ]);
 
     // Verify data exists
-    const { data: beforeData } = await testSupabase.from('conversation_history').select('*');
-    expect(beforeData).toHaveLength(1);
+    expect(await getTableRows('conversation_history')).toHaveLength(1);
 
     // Truncate
     await truncateAllTables();
 
     // Verify data is cleared
-    const { data: afterData } = await testSupabase.from('conversation_history').select('*');
-    expect(afterData).toHaveLength(0);
+    expect(await getTableRows('conversation_history')).toHaveLength(0);
   });
 
-  it('should reset undo_state to initial state', async () => {
-    // Set current_index to something other than -1
-    await testSupabase
-      .from('undo_state')
-      .update({ current_index: 999 })
-      .eq('id', 1);
+  it('should reset undo state to initial state', async () => {
+    await pushUndoSnapshot({ nodes: [{ id: '1' }], edges: [] });
 
     // Verify it changed
-    const { data: beforeData } = await testSupabase
-      .from('undo_state')
-      .select('current_index')
-      .eq('id', 1)
-      .single();
-    expect(beforeData.current_index).toBe(999);
+    const before = await getUndoStatus();
+    expect(before.currentTimestamp).not.toBeNull();
 
     // Truncate
     await truncateAllTables();
 
-    // Verify reset to null
-    const { data: afterData } = await testSupabase
-      .from('undo_state')
-      .select('current_index')
-      .eq('id', 1)
-      .single();
-    expect(afterData.current_index).toBeNull();
+    // Verify reset
+    const after = await getUndoStatus();
+    expect(after.currentTimestamp).toBeNull();
+    expect(await getUndoSnapshots()).toHaveLength(0);
   });
 });
 
@@ -101,18 +88,19 @@ describe('Test Infrastructure - seedTestFlow', () => {
     expect(flow.name).toBe('custom-flow');
   });
 
+  it('should seed a test flow with custom data', async () => {
+    const data = { nodes: [{ id: 'a', position: { x: 0, y: 0 }, data: { label: 'A' } }], edges: [] };
+    await seedTestFlow('default', 'main', data);
+
+    expect(await getFlow()).toEqual(data);
+  });
+
   it('should create retrievable flow data', async () => {
     await seedTestFlow();
 
-    const { data } = await testSupabase
-      .from('flows')
-      .select('*')
-      .eq('user_id', 'default')
-      .eq('name', 'main')
-      .single();
+    const flow = await getFlow('default', 'main');
 
-    expect(data).toBeDefined();
-    expect(data.data.nodes).toHaveLength(1);
+    expect(flow.nodes).toHaveLength(1);
   });
 });
 
@@ -137,9 +125,7 @@ describe('Test Infrastructure - seedConversationHistory', () => {
       { role: 'user', content: 'Test message' }
     ]);
 
-    const { data } = await testSupabase
-      .from('conversation_history')
-      .select('*');
+    const data = await getTableRows('conversation_history');
 
     expect(data).toHaveLength(1);
     expect(data[0].content).toBe('Test message');
@@ -149,13 +135,9 @@ describe('Test Infrastructure - seedConversationHistory', () => {
 describe('Test Infrastructure - Test Isolation', () => {
   it('should start with clean database in each test', async () => {
     // This test should have no data from previous tests
-    const { data: flows } = await testSupabase.from('flows').select('*');
-    const { data: conversations } = await testSupabase.from('conversation_history').select('*');
-    const { data: undoHistory } = await testSupabase.from('undo_history').select('*');
-
-    expect(flows).toHaveLength(0);
-    expect(conversations).toHaveLength(0);
-    expect(undoHistory).toHaveLength(0);
+    expect(await getTableRows('flows')).toHaveLength(0);
+    expect(await getTableRows('conversation_history')).toHaveLength(0);
+    expect(await getTableRows('undo_history')).toHaveLength(0);
   });
 
   it('should clean up data after test runs', async () => {
@@ -164,8 +146,7 @@ describe('Test Infrastructure - Test Isolation', () => {
     await seedConversationHistory([{ role: 'user', content: 'test' }]);
 
     // Verify data exists
-    const { data: flows } = await testSupabase.from('flows').select('*');
-    expect(flows).toHaveLength(1);
+    expect(await getTableRows('flows')).toHaveLength(1);
 
     // After this test, afterEach will clean up
     // The next test will verify cleanup happened
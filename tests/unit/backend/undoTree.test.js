@@ -0,0 +1,82 @@
+// ABOUTME: Tests for the pure undo tree helpers shared by storage adapters
+// ABOUTME: Covers redo paths, branch switching, pruning and branch listing
+
+import { describe, it, expect } from 'vitest';
+import {
+  indexRows,
+  pathToRoot,
+  findNextOnBranch,
+  resolveBranchHead,
+  selectPrunableIds,
+  describeTreePosition,
+  listBranches
+} from '../../../server/storage/undoTree.js';
+
+// 1 ─ 2 ─ 3
+//      └─ 4 ─ 5
+const rows = [
+  { id: 1, parent_id: null, created_at: 't1' },
+  { id: 2, parent_id: 1, created_at: 't2' },
+  { id: 3, parent_id: 2, created_at: 't3', origin: 'llm.tool' },
+  { id: 4, parent_id: 2, created_at: 't4' },
+  { id: 5, parent_id: 4, created_at: 't5', origin: 'ui.node.update' }
+];
+
+describe('undoTree', () => {
+  it('should walk from a snapshot up to its root', () => {
+    expect(pathToRoot(indexRows(rows), 5)).toEqual([5, 4, 2, 1]);
+    expect(pathToRoot(indexRows(rows), 99)).toEqual([]);
+  });
+
+  it('should find the next snapshot towards the branch head', () => {
+    const rowsById = indexRows(rows);
+
+    expect(findNextOnBranch(rowsById, 2, 5)).toBe(4);
+    expect(findNextOnBranch(rowsById, 2, 3)).toBe(3);
+    expect(findNextOnBranch(rowsById, 5, 5)).toBeNull();
+    expect(findNextOnBranch(rowsById, 3, 5)).toBeNull(); // Head on another branch
+  });
+
+  it('should keep the head when jumping along the current branch', () => {
+    expect(resolveBranchHead(rows, 2, 3)).toBe(3);
+  });
+
+  it('should follow the newest leaf when jumping off the current branch', () => {
+    expect(resolveBranchHead(rows, 4, 3)).toBe(5);
+    expect(resolveBranchHead(rows, 3, 5)).toBe(3);
+    expect(resolveBranchHead(rows, 1, null)).toBe(5);
+  });
+
+  it('should prune oldest snapshots but never the current one or newer', () => {
+    expect(selectPrunableIds(rows, 5, 3)).toEqual([1, 2]);
+    expect(selectPrunableIds(rows, 2, 3)).toEqual([1]);
+    expect(selectPrunableIds(rows, 5, 10)).toEqual([]);
+  });
+
+  it('should describe the position within the tree', () => {
+    expect(describeTreePosition(rows, 2, 3)).toEqual({
+      canUndo: true,
+      canRedo: true,
+      snapshotCount: 5,
+      branchCount: 2,
+      currentTimestamp: 't2',
+      currentIndex: 2
+    });
+    expect(describeTreePosition(rows, 3, 5).canRedo).toBe(false);
+    expect(describeTreePosition([], null, null).currentIndex).toBe(-1);
+  });
+
+  it('should list one branch per leaf, newest first', () => {
+    const branches = listBranches(rows, 2, 3);
+
+    expect(branches.map(branch => branch.headId)).toEqual([5, 3]);
+    expect(branches[0]).toMatchObject({
+      origin: 'ui.node.update',
+      length: 4,
+      snapshotIds: [1, 2, 4, 5],
+      isCurrent: false,
+      containsCurrent: true
+    });
+    expect(branches[1]).toMatchObject({ origin: 'llm.tool', isCurrent: true });
+  });
+});
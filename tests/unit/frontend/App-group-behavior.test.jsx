@@ -111,9 +111,13 @@ vi.mock('../../../src/services/api', () => ({
   updateNode: vi.fn(),
   createEdge: vi.fn(),
   updateEdge: vi.fn(),
+  applyBatch: vi.fn(),
   createGroup: vi.fn(),
   ungroup: vi.fn(),
   toggleGroupExpansion: vi.fn(),
+  listFlows: vi.fn(),
+  exportFlow: vi.fn(),
+  importFlow: vi.fn(),
 }));
 
 const getChatHandlers = () => {
@@ -147,6 +151,7 @@ describe('App group behaviour', () => {
     api.loadFlow.mockResolvedValue(defaultFlow);
     api.getHistoryStatus.mockResolvedValue({ canUndo: false });
     api.toggleGroupExpansion.mockResolvedValue({ success: true, flow: defaultFlow });
+    api.listFlows.mockResolvedValue({ flows: [{ name: 'main' }] });
   });
 
   afterEach(async () => {
@@ -178,7 +183,7 @@ describe('App group behaviour', () => {
       onNodeDoubleClick({ metaKey: false, ctrlKey: false }, nodes[0]);
     });
 
-    expect(api.toggleGroupExpansion).toHaveBeenCalledWith('group-1', true);
+    expect(api.toggleGroupExpansion).toHaveBeenCalledWith('group-1', true, 'main');
   });
 
   test('double-click on expanded group triggers collapse API call', async () => {
@@ -198,7 +203,7 @@ describe('App group behaviour', () => {
       onNodeDoubleClick({ metaKey: false, ctrlKey: false }, nodes[0]);
     });
 
-    expect(api.toggleGroupExpansion).toHaveBeenCalledWith('group-1', false);
+    expect(api.toggleGroupExpansion).toHaveBeenCalledWith('group-1', false, 'main');
   });
 
   test('tooltip shows group shortcut when multiple nodes selected', async () => {
@@ -4,24 +4,44 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
   loadFlow,
+  saveFlow,
   sendMessage,
   getConversationDebug,
   clearConversation,
   undoFlow,
   redoFlow,
   getHistoryStatus,
+  getFlowHistory,
+  getHistorySnapshot,
+  getHistoryDiff,
+  restoreSnapshot,
+  getHistoryBranches,
+  jumpToSnapshot,
   createNode,
   updateNode,
   deleteNode,
   createEdge,
   updateEdge,
   deleteEdge,
+  applyBatch,
+  exportFlow,
   createGroup,
   ungroup,
   toggleGroupExpansion,
   loadNotes,
   sendNotesMessage,
   updateNotes,
+  listFlows,
+  createFlow,
+  renameFlow,
+  duplicateFlow,
+  deleteFlow,
+  importFlow,
+  listCheckpoints,
+  createCheckpoint,
+  diffCheckpoint,
+  restoreCheckpoint,
+  deleteCheckpoint,
 } from '../../../src/services/api';
 
 // Mock global fetch
@@ -59,6 +79,17 @@ describe('loadFlow', () => {
     expect(result).toEqual(mockFlowData);
   });
 
+  it('should fetch a named flow from its workspace route', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ nodes: [], edges: [] }),
+    });
+
+    await loadFlow('road map');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/road%20map');
+  });
+
   it('should throw error on failed fetch', async () => {
     global.fetch.mockResolvedValueOnce({
       ok: false,
@@ -300,6 +331,247 @@ describe('getHistoryStatus', () => {
   });
 });
 
+describe('getFlowHistory', () => {
+  it('should fetch the history timeline', async () => {
+    const mockTimeline = { currentId: 2, snapshots: [] };
+
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => mockTimeline,
+    });
+
+    const result = await getFlowHistory();
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flow/history');
+    expect(result).toEqual(mockTimeline);
+  });
+
+  it('should throw error on failed fetch', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 500,
+    });
+
+    await expect(getFlowHistory('roadmap')).rejects.toThrow('Failed to load history');
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/history');
+  });
+});
+
+describe('getHistorySnapshot', () => {
+  it('should fetch one snapshot for preview', async () => {
+    const mockResponse = { success: true, snapshotId: 4, flow: { nodes: [], edges: [] } };
+
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => mockResponse,
+    });
+
+    const result = await getHistorySnapshot(4, 'roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/history/4');
+    expect(result).toEqual(mockResponse);
+  });
+
+  it('should throw error with server error message on failure', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Snapshot 4 not found' }),
+    });
+
+    await expect(getHistorySnapshot(4)).rejects.toThrow('Snapshot 4 not found');
+  });
+});
+
+describe('getHistoryDiff', () => {
+  it('should compare two snapshots', async () => {
+    const mockResponse = { success: true, from: 3, to: 4, diff: {} };
+
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => mockResponse,
+    });
+
+    const result = await getHistoryDiff(3, 4, 'roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/history-diff?from=3&to=4');
+    expect(result).toEqual(mockResponse);
+  });
+
+  it('should compare against the current flow when no target is given', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true }),
+    });
+
+    await getHistoryDiff(3);
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flow/history-diff?from=3');
+  });
+
+  it('should throw error with server error message on failure', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Snapshot not found' }),
+    });
+
+    await expect(getHistoryDiff(3, 4)).rejects.toThrow('Snapshot not found');
+  });
+});
+
+describe('restoreSnapshot', () => {
+  it('should restore a snapshot successfully', async () => {
+    const mockResponse = { success: true, flow: { nodes: [], edges: [] } };
+
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => mockResponse,
+    });
+
+    const result = await restoreSnapshot(4);
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flow/history/4/restore', {
+      method: 'POST',
+    });
+    expect(result).toEqual(mockResponse);
+  });
+
+  it('should throw error with server error message on failure', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Snapshot 4 not found' }),
+    });
+
+    await expect(restoreSnapshot(4)).rejects.toThrow('Snapshot 4 not found');
+    expect(console.error).toHaveBeenCalledWith(
+      'Error restoring snapshot:',
+      expect.any(Error)
+    );
+  });
+});
+
+describe('getHistoryBranches', () => {
+  it('should fetch history branches of a named flow', async () => {
+    const mockTree = { currentId: 3, headId: 3, branches: [] };
+
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => mockTree,
+    });
+
+    const result = await getHistoryBranches('roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/history-branches');
+    expect(result).toEqual(mockTree);
+  });
+
+  it('should throw error on failed fetch', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 500,
+    });
+
+    await expect(getHistoryBranches()).rejects.toThrow(
+      'Failed to get history branches'
+    );
+  });
+});
+
+describe('jumpToSnapshot', () => {
+  it('should jump to a snapshot successfully', async () => {
+    const mockResponse = { success: true, flow: { nodes: [], edges: [] } };
+
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => mockResponse,
+    });
+
+    const result = await jumpToSnapshot(7);
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flow/history-jump', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ snapshotId: 7 }),
+    });
+    expect(result).toEqual(mockResponse);
+  });
+
+  it('should throw error with server error message on failure', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Snapshot 7 not found' }),
+    });
+
+    await expect(jumpToSnapshot(7)).rejects.toThrow('Snapshot 7 not found');
+    expect(console.error).toHaveBeenCalledWith(
+      'Error jumping to snapshot:',
+      expect.any(Error)
+    );
+  });
+});
+
+describe('saveFlow', () => {
+  it('should post the flow with its revision', async () => {
+    const flow = { nodes: [], edges: [], revision: 4 };
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true, revision: 5 }),
+    });
+
+    const result = await saveFlow(flow, 'roadmap', { skipSnapshot: true });
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap?skipSnapshot=true', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(flow),
+    });
+    expect(result).toEqual({ success: true, revision: 5 });
+  });
+
+  it('should surface a revision conflict without retrying', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 409,
+      json: async () => ({ success: false, error: 'Flow "main" was changed by another writer, please retry', revision: 7 }),
+    });
+
+    const error = await saveFlow({ nodes: [], edges: [], revision: 4 }).catch(e => e);
+
+    expect(error.message).toContain('changed by another writer');
+    expect(error.conflict).toBe(true);
+    expect(error.revision).toBe(7);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith('/api/flow', expect.any(Object));
+  });
+});
+
+describe('flow write conflicts', () => {
+  it('should retry an edit the server rejected with 409', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: false, status: 409, json: async () => ({ error: 'conflict' }) })
+      .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ success: true, nodeId: 'n1' }) });
+
+    const result = await createNode({ label: 'Retried' });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ success: true, nodeId: 'n1' });
+  });
+
+  it('should give up after repeated conflicts and surface the error', async () => {
+    global.fetch.mockResolvedValue({
+      ok: false,
+      status: 409,
+      json: async () => ({ error: 'Flow "main" was changed by another writer, please retry' }),
+    });
+
+    await expect(toggleGroupExpansion('g1', true)).rejects.toThrow('changed by another writer');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+});
+
 describe('createNode', () => {
   it('should create node successfully', async () => {
     const params = {
@@ -377,6 +649,17 @@ describe('updateNode', () => {
     expect(result).toEqual(mockResponse);
   });
 
+  it('should target the named flow when flowName is given', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true }),
+    });
+
+    await updateNode('node-123', { label: 'x' }, 'roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/node/node-123', expect.objectContaining({ method: 'PUT' }));
+  });
+
   it('should throw error with server error message on failure', async () => {
     global.fetch.mockResolvedValueOnce({
       ok: false,
@@ -543,6 +826,77 @@ describe('deleteEdge', () => {
   });
 });
 
+describe('exportFlow', () => {
+  it('should fetch the serialized flow as text', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      text: async () => 'flowchart LR\n',
+    });
+
+    const result = await exportFlow('mermaid', 'roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/export?format=mermaid');
+    expect(result).toBe('flowchart LR\n');
+  });
+
+  it('should throw the server error for unsupported formats', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Unsupported format "visio". Supported: mermaid' }),
+    });
+
+    await expect(exportFlow('visio')).rejects.toThrow('Unsupported format "visio"');
+    expect(global.fetch).toHaveBeenCalledWith('/api/flow/export?format=visio');
+  });
+});
+
+describe('applyBatch', () => {
+  const operations = [
+    { name: 'updateNode', params: { nodeId: 'a', position: { x: 10, y: 20 } } },
+    { name: 'deleteNode', params: { nodeId: 'b' } },
+  ];
+
+  it('should post the operations to the batch endpoint', async () => {
+    const mockResponse = {
+      success: true,
+      flow: { nodes: [], edges: [] },
+      revision: 4,
+      results: [{ name: 'updateNode', success: true }, { name: 'deleteNode', success: true }],
+    };
+
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => mockResponse,
+    });
+
+    const result = await applyBatch(operations, 'roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/batch', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ operations }),
+    });
+    expect(result).toEqual(mockResponse);
+  });
+
+  it('should throw the server error when an operation fails', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      json: async () => ({ success: false, error: 'Operation 2 (deleteNode) failed: Node b not found' }),
+    });
+
+    await expect(applyBatch(operations)).rejects.toThrow('Operation 2 (deleteNode) failed');
+    expect(global.fetch).toHaveBeenCalledWith('/api/flow/batch', expect.any(Object));
+    expect(console.error).toHaveBeenCalledWith(
+      'Error applying batch:',
+      expect.any(Error)
+    );
+  });
+});
+
 describe('createGroup', () => {
   it('should create group successfully', async () => {
     const params = {
@@ -714,6 +1068,77 @@ describe('toggleGroupExpansion', () => {
   });
 });
 
+describe('checkpoint API', () => {
+  it('should list checkpoints of the main flow', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ checkpoints: [] }),
+    });
+
+    await listCheckpoints();
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flow/checkpoints');
+  });
+
+  it('should create a checkpoint on a named flow', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true }),
+    });
+
+    await createCheckpoint('before reorg', 'roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/checkpoints', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name: 'before reorg' }),
+    });
+  });
+
+  it('should encode checkpoint names when restoring and deleting', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+    await restoreCheckpoint('before reorg');
+    await deleteCheckpoint('before reorg');
+
+    expect(global.fetch).toHaveBeenNthCalledWith(1, '/api/flow/checkpoints/before%20reorg/restore', { method: 'POST' });
+    expect(global.fetch).toHaveBeenNthCalledWith(2, '/api/flow/checkpoints/before%20reorg', { method: 'DELETE' });
+  });
+
+  it('should retry a checkpoint restore the server rejected with 409', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: false, status: 409, json: async () => ({ error: 'conflict' }) })
+      .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ success: true, revision: 4 }) });
+
+    const result = await restoreCheckpoint('v1');
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(result.revision).toBe(4);
+  });
+
+  it('should diff a checkpoint against the current flow', async () => {
+    global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+
+    await diffCheckpoint('before reorg', 'roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/checkpoints/before%20reorg/diff');
+  });
+
+  it('should throw with the server error message', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Checkpoint "v1" already exists' }),
+    });
+
+    await expect(createCheckpoint('v1')).rejects.toThrow('Checkpoint "v1" already exists');
+    expect(console.error).toHaveBeenCalledWith('Error creating checkpoint:', expect.any(Error));
+  });
+});
+
 describe('Error Handling', () => {
   it('should handle malformed JSON responses', async () => {
     global.fetch.mockResolvedValueOnce({
@@ -925,3 +1350,104 @@ describe('Notes API Functions (T2.4-T2.6)', () => {
     });
   });
 });
+
+describe('Workspace API Functions', () => {
+  it('should list flows', async () => {
+    const mockResponse = { flows: [{ name: 'main' }, { name: 'roadmap' }] };
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => mockResponse,
+    });
+
+    const result = await listFlows();
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows');
+    expect(result).toEqual(mockResponse);
+  });
+
+  it('should create a flow', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true, name: 'roadmap' }),
+    });
+
+    await createFlow('roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name: 'roadmap' }),
+    });
+  });
+
+  it('should rename a flow', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true }),
+    });
+
+    await renameFlow('roadmap', 'plan');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap', expect.objectContaining({
+      method: 'PATCH',
+      body: JSON.stringify({ name: 'plan' }),
+    }));
+  });
+
+  it('should duplicate a flow', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true }),
+    });
+
+    await duplicateFlow('roadmap', 'roadmap copy');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap/duplicate', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ name: 'roadmap copy' }),
+    }));
+  });
+
+  it('should delete a flow', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true }),
+    });
+
+    await deleteFlow('roadmap');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/roadmap', { method: 'DELETE' });
+  });
+
+  it('should import a document as a new flow', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true, name: 'imported' }),
+    });
+
+    await importFlow('imported', 'mermaid', 'flowchart LR\n  a --> b');
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flows/imported/import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ format: 'mermaid', content: 'flowchart LR\n  a --> b' }),
+    });
+  });
+
+  it('should surface the server error message on conflict', async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Flow "roadmap" already exists' }),
+    });
+
+    await expect(createFlow('roadmap')).rejects.toThrow('Flow "roadmap" already exists');
+    expect(console.error).toHaveBeenCalledWith(
+      'Error creating flow:',
+      expect.any(Error)
+    );
+  });
+});
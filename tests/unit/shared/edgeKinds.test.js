@@ -0,0 +1,31 @@
+// ABOUTME: Unit tests for the edge kind registry
+// ABOUTME: Tests kind lookup, resolving an edge's kind and kind validation
+import { describe, it, expect } from 'vitest';
+import { EDGE_KINDS, getEdgeKind, resolveEdgeKind, validateEdgeKind } from '../../../shared/edgeKinds/index.js';
+
+describe('edge kind registry', () => {
+  it('should give every kind a line style, an arrowhead and a direction', () => {
+    Object.values(EDGE_KINDS).forEach(kind => {
+      expect(['solid', 'dashed', 'dotted']).toContain(kind.lineStyle);
+      expect(['arrow', 'arrowclosed', 'none']).toContain(kind.arrowhead);
+      expect(kind.arrowhead === 'none').toBe(!kind.directed);
+    });
+  });
+
+  it('should look up registered kinds only', () => {
+    expect(getEdgeKind('blocks')).toBe(EDGE_KINDS.blocks);
+    expect(getEdgeKind('hasOwnProperty')).toBeNull();
+    expect(getEdgeKind(undefined)).toBeNull();
+  });
+
+  it('should resolve an edge to its kind, or null for plain edges', () => {
+    expect(resolveEdgeKind({ id: 'e', data: { kind: 'related' } })).toBe(EDGE_KINDS.related);
+    expect(resolveEdgeKind({ id: 'e', data: { label: 'x' } })).toBeNull();
+    expect(resolveEdgeKind({ id: 'e' })).toBeNull();
+  });
+
+  it('should name the registered kinds when a kind is unknown', () => {
+    expect(validateEdgeKind('calls')).toBeNull();
+    expect(validateEdgeKind('owns')).toBe('Unknown edge kind "owns". Kinds: depends-on, blocks, calls, contains, related');
+  });
+});
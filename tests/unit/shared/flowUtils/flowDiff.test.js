@@ -0,0 +1,132 @@
+// ABOUTME: Unit tests for the shared structural flow diff
+// ABOUTME: Tests diffFlows, summarizeDiff and isEmptyDiff pure functions
+import { describe, it, expect } from 'vitest';
+import { diffFlows, summarizeDiff, isEmptyDiff } from '../../../../shared/flowUtils/flowDiff.js';
+
+const node = (id, overrides = {}) => ({
+  id,
+  position: { x: 0, y: 0 },
+  data: { label: id.toUpperCase() },
+  ...overrides,
+});
+
+describe('diffFlows', () => {
+  it('should report added and removed nodes and edges', () => {
+    const before = {
+      nodes: [node('a'), node('b')],
+      edges: [{ id: 'e1', source: 'a', target: 'b' }],
+    };
+    const after = {
+      nodes: [node('a'), node('c')],
+      edges: [{ id: 'e2', source: 'a', target: 'c' }],
+    };
+
+    const diff = diffFlows(before, after);
+
+    expect(diff.nodes.added.map(n => n.id)).toEqual(['c']);
+    expect(diff.nodes.removed.map(n => n.id)).toEqual(['b']);
+    expect(diff.nodes.changed).toEqual([]);
+    expect(diff.edges.added.map(e => e.id)).toEqual(['e2']);
+    expect(diff.edges.removed.map(e => e.id)).toEqual(['e1']);
+  });
+
+  it('should report label, description and position changes with before and after values', () => {
+    const before = { nodes: [node('a', { data: { label: 'A' } })], edges: [] };
+    const after = {
+      nodes: [node('a', { position: { x: 100, y: 50 }, data: { label: 'Renamed', description: 'Details' } })],
+      edges: [],
+    };
+
+    const { nodes } = diffFlows(before, after);
+
+    expect(nodes.changed).toEqual([
+      {
+        id: 'a',
+        changes: {
+          label: { from: 'A', to: 'Renamed' },
+          description: { from: null, to: 'Details' },
+          position: { from: { x: 0, y: 0 }, to: { x: 100, y: 50 } },
+        },
+      },
+    ]);
+  });
+
+  it('should report group membership and collapse changes', () => {
+    const before = {
+      nodes: [node('g', { type: 'group', isCollapsed: false }), node('a'), node('b')],
+      edges: [],
+    };
+    const after = {
+      nodes: [
+        node('g', { type: 'group', isCollapsed: true }),
+        node('a', { parentGroupId: 'g' }),
+        node('b', { data: { label: 'B', collapsed: true } }),
+      ],
+      edges: [],
+    };
+
+    const { nodes } = diffFlows(before, after);
+    const changesById = Object.fromEntries(nodes.changed.map(entry => [entry.id, entry.changes]));
+
+    expect(changesById.g).toEqual({ groupCollapsed: { from: false, to: true } });
+    expect(changesById.a).toEqual({ group: { from: null, to: 'g' } });
+    expect(changesById.b).toEqual({ collapsed: { from: false, to: true } });
+  });
+
+  it('should ignore derived visibility flags', () => {
+    const before = { nodes: [node('a')], edges: [{ id: 'e1', source: 'a', target: 'a' }] };
+    const after = {
+      nodes: [node('a', { hidden: true, subtreeHidden: true })],
+      edges: [{ id: 'e1', source: 'a', target: 'a', hidden: true }],
+    };
+
+    expect(isEmptyDiff(diffFlows(before, after))).toBe(true);
+  });
+
+  it('should report edge endpoint and label changes', () => {
+    const before = { nodes: [], edges: [{ id: 'e1', source: 'a', target: 'b' }] };
+    const after = { nodes: [], edges: [{ id: 'e1', source: 'a', target: 'c', data: { label: 'next' } }] };
+
+    const { edges } = diffFlows(before, after);
+
+    expect(edges.changed).toEqual([
+      {
+        id: 'e1',
+        changes: {
+          target: { from: 'b', to: 'c' },
+          label: { from: null, to: 'next' },
+        },
+      },
+    ]);
+  });
+
+  it('should treat a missing document as an empty flow', () => {
+    const after = { nodes: [node('a')], edges: [] };
+
+    const diff = diffFlows(null, after);
+
+    expect(diff.nodes.added.map(n => n.id)).toEqual(['a']);
+    expect(diffFlows(after, null).nodes.removed.map(n => n.id)).toEqual(['a']);
+  });
+});
+
+describe('summarizeDiff', () => {
+  it('should count each kind of change', () => {
+    const before = { nodes: [node('a'), node('b')], edges: [] };
+    const after = { nodes: [node('a', { data: { label: 'New' } }), node('c')], edges: [{ id: 'e1', source: 'a', target: 'c' }] };
+
+    expect(summarizeDiff(diffFlows(before, after))).toEqual({
+      nodes: { added: 1, removed: 1, changed: 1 },
+      edges: { added: 1, removed: 0, changed: 0 },
+    });
+  });
+});
+
+describe('isEmptyDiff', () => {
+  it('should be true for identical flows and false otherwise', () => {
+    const flow = { nodes: [node('a')], edges: [] };
+
+    expect(isEmptyDiff(diffFlows(flow, flow))).toBe(true);
+    expect(isEmptyDiff(diffFlows(flow, { nodes: [], edges: [] }))).toBe(false);
+  });
+});
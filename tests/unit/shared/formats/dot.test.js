@@ -0,0 +1,146 @@
+// ABOUTME: Unit tests for the Graphviz DOT converter
+// ABOUTME: Tests toDot and parseDot pure functions, including nested clusters and label escapes
+import { describe, it, expect } from 'vitest';
+import { toDot, parseDot } from '../../../../shared/formats/dot.js';
+
+const node = (id, label, overrides = {}) => ({
+  id,
+  type: 'default',
+  position: { x: 0, y: 0 },
+  data: { label },
+  ...overrides,
+});
+
+const byId = (flow) => Object.fromEntries(flow.nodes.map(item => [item.id, item]));
+
+describe('toDot', () => {
+  it('should write nodes with tooltips, labelled edges and nested groups as clusters', () => {
+    const flow = {
+      nodes: [
+        node('start', 'Start', { data: { label: 'Start', description: 'Kick "off"' } }),
+        node('outer', 'Outer', { type: 'group', isCollapsed: false }),
+        node('inner', 'Inner', { type: 'group', isCollapsed: true, parentGroupId: 'outer' }),
+        node('a', 'Step\nA', { parentGroupId: 'outer' }),
+        node('b', 'Step B', { parentGroupId: 'inner' }),
+      ],
+      edges: [
+        { id: 'e1', source: 'start', target: 'a', data: { label: 'go' } },
+        { id: 'e2', source: 'a', target: 'b' },
+        { id: 'e3', source: 'a', target: 'missing' },
+      ],
+    };
+
+    expect(toDot(flow)).toBe([
+      'digraph flow {',
+      '  rankdir=LR;',
+      '  node [shape=box];',
+      '  "start" [label="Start", tooltip="Kick \\"off\\""];',
+      '  subgraph "cluster_outer" {',
+      '    label="Outer";',
+      '    subgraph "cluster_inner" {',
+      '      label="Inner";',
+      '      "b" [label="Step B"];',
+      '    }',
+      '    "a" [label="Step\\nA"];',
+      '  }',
+      '  "start" -> "a" [label="go"];',
+      '  "a" -> "b";',
+      '}',
+      '',
+    ].join('\n'));
+  });
+
+  it('should write node styles as shape, fill and border attributes', () => {
+    const source = toDot({
+      nodes: [
+        node('a', 'A', { data: { label: 'A', style: { shape: 'rounded', fill: '#111111', border: '#22c55e' } } }),
+        node('b', 'B', { data: { label: 'B', style: { shape: 'diamond' } } }),
+        node('c', 'C', { data: { label: 'C', style: { fill: '#222222' } } }),
+      ],
+      edges: [],
+    });
+
+    expect(source).toContain('"a" [label="A", shape="box", style="rounded,filled", fillcolor="#111111", color="#22c55e"];');
+    expect(source).toContain('"b" [label="B", shape="diamond"];');
+    expect(source).toContain('"c" [label="C", style="filled", fillcolor="#222222"];');
+  });
+});
+
+describe('parseDot', () => {
+  it('should read nodes, attributes, chains and edge labels', () => {
+    const flow = parseDot([
+      '// a comment',
+      'strict digraph G {',
+      '  node [shape=box]; rankdir=LR',
+      '  a [label="Alpha", tooltip="First\\nstep"]',
+      '  b [label=<<b>Beta</b><br/>two>];',
+      '  a -> b -> c [label="next"];',
+      '  c:port -> { d e }',
+      '  /* block',
+      '     comment */',
+      '  f [label="Node \\N"]',
+      '}',
+    ].join('\n'));
+
+    const nodes = byId(flow);
+    expect(Object.keys(nodes)).toEqual(['a', 'b', 'c', 'd', 'e', 'f']);
+    expect(nodes.a.data).toEqual({ label: 'Alpha', description: 'First\nstep' });
+    expect(nodes.b.data.label).toBe('Beta\ntwo');
+    expect(nodes.c.data.label).toBe('c');
+    expect(nodes.f.data.label).toBe('Node f');
+    expect(flow.edges).toEqual([
+      { id: 'e-a-b', source: 'a', target: 'b', data: { label: 'next' } },
+      { id: 'e-b-c', source: 'b', target: 'c', data: { label: 'next' } },
+      { id: 'e-c-d', source: 'c', target: 'd' },
+      { id: 'e-c-e', source: 'c', target: 'e' },
+    ]);
+  });
+
+  it('should turn nested clusters into expanded groups', () => {
+    const flow = parseDot([
+      'digraph {',
+      '  subgraph cluster_team {',
+      '    graph [label="Team"];',
+      '    subgraph "cluster_core" { label="Core"; x }',
+      '    y',
+      '  }',
+      '  subgraph plain { z }',
+      '  x -> z',
+      '}',
+    ].join('\n'));
+
+    const nodes = byId(flow);
+    expect(nodes.team).toMatchObject({ type: 'group', isCollapsed: false, data: { label: 'Team' } });
+    expect(nodes.core).toMatchObject({ type: 'group', parentGroupId: 'team', data: { label: 'Core' } });
+    expect(nodes.x.parentGroupId).toBe('core');
+    expect(nodes.y.parentGroupId).toBe('team');
+    expect(nodes.z.parentGroupId).toBeUndefined();
+    expect(nodes.plain).toBeUndefined();
+  });
+
+  it('should round-trip a flow through toDot', () => {
+    const flow = {
+      nodes: [
+        node('team', 'Team "A"', { type: 'group', isCollapsed: false }),
+        node('plan', 'Plan', { parentGroupId: 'team', data: { label: 'Plan', description: 'Line 1\nLine 2' } }),
+        node('ship', 'Ship\\it'),
+      ],
+      edges: [{ id: 'e-plan-ship', source: 'plan', target: 'ship', data: { label: 'then' } }],
+    };
+
+    const parsed = parseDot(toDot(flow));
+    const nodes = byId(parsed);
+
+    expect(nodes.team).toMatchObject({ type: 'group', data: { label: 'Team "A"' } });
+    expect(nodes.plan).toMatchObject({ parentGroupId: 'team', data: { label: 'Plan', description: 'Line 1\nLine 2' } });
+    expect(nodes.ship.data.label).toBe('Ship\\it');
+    expect(parsed.edges).toEqual(flow.edges);
+  });
+
+  it('should report errors with line numbers', () => {
+    expect(() => parseDot('flowchart LR')).toThrow('Line 1: Expected a "graph" or "digraph" header');
+    expect(() => parseDot('digraph {\n  a -> b\n  c [label="x"')).toThrow('Line 3: Expected an id before the end of the file');
+    expect(() => parseDot('digraph {\n  a [label="open]\n}')).toThrow('Line 2: Unterminated string');
+    expect(() => parseDot('digraph { a }\n}')).toThrow('Line 2: Unexpected "}" after the end of the graph');
+  });
+});
@@ -0,0 +1,129 @@
+// ABOUTME: Unit tests for the FreeMind mind map converter
+// ABOUTME: Tests toFreeMind and parseFreeMind pure functions, including folding, notes and arrow links
+import { describe, it, expect } from 'vitest';
+import { toFreeMind, parseFreeMind } from '../../../../shared/formats/freemind.js';
+
+const node = (id, label, overrides = {}) => ({
+  id,
+  type: 'default',
+  position: { x: 0, y: 0 },
+  data: { label },
+  ...overrides,
+});
+
+const edge = (source, target, label) => ({
+  id: `${source}-${target}`,
+  source,
+  target,
+  ...(label ? { data: { label } } : {}),
+});
+
+const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+
+describe('toFreeMind', () => {
+  it('should write the edge tree with notes, edge labels, folding and arrow links', () => {
+    const flow = {
+      nodes: [
+        node('plan', 'Plan', { data: { label: 'Plan', description: 'Draft\n\nReview', collapsed: true } }),
+        node('build', 'Build'),
+        node('team', 'Team', { type: 'group', isCollapsed: false }),
+      ],
+      edges: [edge('plan', 'build', 'then'), edge('build', 'plan', 'again')],
+    };
+
+    expect(toFreeMind(flow)).toBe([
+      '<map version="1.0.1">',
+      '  <node ID="plan" TEXT="Plan" FOLDED="true">',
+      '    <richcontent TYPE="NOTE"><html><head/><body><p>Draft</p><p></p><p>Review</p></body></html></richcontent>',
+      '    <node ID="build" TEXT="Build">',
+      '      <attribute NAME="edge label" VALUE="then"/>',
+      '      <arrowlink DESTINATION="plan" MIDDLE_LABEL="again"/>',
+      '    </node>',
+      '  </node>',
+      '</map>',
+      '',
+    ].join('\n'));
+  });
+
+  it('should hang several roots off a scaffold root', () => {
+    const source = toFreeMind({ nodes: [node('a', 'A'), node('b', 'B')], edges: [] });
+
+    expect(source).toContain('<node ID="visual_scaffolding_root" TEXT="Flow">\n    <node ID="a" TEXT="A"/>\n    <node ID="b" TEXT="B"/>');
+  });
+
+  it('should write the fill as BACKGROUND_COLOR and icons FreeMind has built in', () => {
+    const source = toFreeMind({
+      nodes: [
+        node('a', 'A', { data: { label: 'A', style: { fill: '#111111', icon: 'check' } } }),
+        node('b', 'B', { data: { label: 'B', style: { icon: 'gear' } } }),
+      ],
+      edges: [edge('a', 'b')],
+    });
+
+    expect(source).toContain('<node ID="a" TEXT="A" BACKGROUND_COLOR="#111111">\n    <icon BUILTIN="button_ok"/>');
+    expect(source).toContain('<node ID="b" TEXT="B"/>');
+    expect(parseFreeMind(source).nodes.map(item => item.data.label)).toEqual(['A', 'B']);
+  });
+});
+
+describe('parseFreeMind', () => {
+  it('should read a FreeMind map with rich text, notes, folding and arrow links', () => {
+    const flow = parseFreeMind([
+      '<map version="freeplane 1.9.13">',
+      '<!-- To view this file, download free mind mapping software -->',
+      '<node TEXT="Root" ID="ID_1" FOLDED="false">',
+      '<node ID="ID_2" FOLDED="true">',
+      '<richcontent TYPE="NODE"><html><head><title>x</title></head><body><p>Rich <b>label</b></p></body></html></richcontent>',
+      '<richcontent TYPE="NOTE"><html><body><p>First&nbsp;line</p><p>Second</p></body></html></richcontent>',
+      '<arrowlink DESTINATION="ID_1" MIDDLE_LABEL="loop"/>',
+      '<node TEXT="Leaf" ID="ID_3"/>',
+      '</node>',
+      '<node TEXT="Other" ID="ID_1"/>',
+      '</node>',
+      '</map>',
+    ].join('\n'));
+
+    const nodes = byId(flow.nodes);
+    expect(Object.keys(nodes)).toEqual(['ID_1', 'ID_2', 'ID_3', 'other']);
+    expect(nodes.ID_2.data).toEqual({ label: 'Rich label', description: 'First line\nSecond', collapsed: true });
+    expect(nodes.ID_3).toMatchObject({ hidden: true, subtreeHidden: true });
+    expect(nodes.other.hidden).toBeUndefined();
+    expect(flow.edges.map(item => [item.source, item.target, item.data?.label])).toEqual([
+      ['ID_1', 'ID_2', undefined],
+      ['ID_2', 'ID_3', undefined],
+      ['ID_1', 'other', undefined],
+      ['ID_2', 'ID_1', 'loop'],
+    ]);
+  });
+
+  it('should round-trip ids, labels, notes, edges and collapsed subtrees', () => {
+    const flow = {
+      nodes: [
+        node('a', 'A & co', { data: { label: 'A & co', description: 'Why\nHow', collapsed: true } }),
+        node('b', 'B'),
+        node('c', 'C'),
+      ],
+      edges: [edge('a', 'b', 'go'), edge('c', 'b', 'also')],
+    };
+
+    const parsed = parseFreeMind(toFreeMind(flow));
+    const nodes = byId(parsed.nodes);
+
+    expect(Object.keys(nodes)).toEqual(['a', 'b', 'c']);
+    expect(nodes.a.data).toEqual({ label: 'A & co', description: 'Why\nHow', collapsed: true });
+    expect(nodes.b).toMatchObject({ hidden: true, subtreeHidden: true });
+    expect(nodes.c.hidden).toBeUndefined();
+    expect(parsed.edges.map(item => [item.source, item.target, item.data?.label])).toEqual([
+      ['a', 'b', 'go'],
+      ['c', 'b', 'also'],
+    ]);
+  });
+
+  it('should reject maps it cannot read', () => {
+    expect(() => parseFreeMind('<opml/>')).toThrow('Line 1: Expected a FreeMind <map>, found <opml>');
+    expect(() => parseFreeMind('<map>\n<node ID="a"/></map>')).toThrow('Line 2: Node has no text');
+    expect(() => parseFreeMind('<map><node TEXT="A">\n<arrowlink DESTINATION="b"/></node></map>'))
+      .toThrow('Line 2: Arrow link points to unknown node "b"');
+    expect(() => parseFreeMind('<map><node TEXT="A" ID="a"></map>')).toThrow('Line 1: Unexpected closing tag </map>');
+  });
+});
@@ -0,0 +1,182 @@
+// ABOUTME: Unit tests for the JSON Canvas converter
+// ABOUTME: Tests toJsonCanvas and parseJsonCanvas pure functions, including group boxes and containment
+import { describe, it, expect } from 'vitest';
+import { toJsonCanvas, parseJsonCanvas } from '../../../../shared/formats/jsonCanvas.js';
+import { NODE_WIDTH, NODE_HEIGHT } from '../../../../shared/constants/nodeDimensions.js';
+
+const node = (id, label, x, y, overrides = {}) => ({
+  id,
+  type: 'default',
+  position: { x, y },
+  data: { label },
+  ...overrides,
+});
+
+const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+
+describe('toJsonCanvas', () => {
+  it('should write text nodes at their positions with labelled edges', () => {
+    const canvas = JSON.parse(toJsonCanvas({
+      nodes: [
+        node('a', 'Plan', 0, 0, { data: { label: 'Plan', description: 'Draft it' } }),
+        node('b', 'Build', 300, 50),
+      ],
+      edges: [{ id: 'e1', source: 'a', target: 'b', data: { label: 'then' } }, { id: 'e2', source: 'a', target: 'gone' }],
+    }));
+
+    expect(canvas.nodes).toEqual([
+      { id: 'a', type: 'text', x: 0, y: 0, width: NODE_WIDTH, height: NODE_HEIGHT, text: 'Plan\n\nDraft it' },
+      { id: 'b', type: 'text', x: 300, y: 50, width: NODE_WIDTH, height: NODE_HEIGHT, text: 'Build' },
+    ]);
+    expect(canvas.edges).toEqual([
+      { id: 'e1', fromNode: 'a', fromSide: 'right', toNode: 'b', toSide: 'left', label: 'then' },
+    ]);
+  });
+
+  it('should write each node at its own size', () => {
+    const canvas = JSON.parse(toJsonCanvas({
+      nodes: [
+        node('a', 'Plan', 0, 0, { data: { label: 'Plan', size: { width: 240, height: 120 } } }),
+        node('b', 'Validate the payment details entered', 300, 0),
+      ],
+      edges: [],
+    }));
+    const nodes = byId(canvas.nodes);
+
+    expect(nodes.a).toMatchObject({ width: 240, height: 120 });
+    expect(nodes.b.width).toBeGreaterThan(NODE_WIDTH);
+  });
+
+  it('should box groups around their members, outer groups first and padded past inner ones', () => {
+    const canvas = JSON.parse(toJsonCanvas({
+      nodes: [
+        node('inner', 'Inner', 0, 0, { type: 'group', isCollapsed: false, parentGroupId: 'outer' }),
+        node('outer', 'Outer', 0, 0, { type: 'group', isCollapsed: true }),
+        node('a', 'A', 0, 0, { parentGroupId: 'inner' }),
+        node('b', 'B', 300, 100, { parentGroupId: 'outer' }),
+        node('empty', 'Empty', 600, 0, { type: 'group', isCollapsed: true }),
+      ],
+      edges: [],
+    }));
+
+    expect(canvas.nodes.map(item => item.id)).toEqual(['outer', 'empty', 'inner', 'a', 'b']);
+    const groups = byId(canvas.nodes);
+    expect(groups.inner).toEqual({ id: 'inner', type: 'group', x: -20, y: -20, width: NODE_WIDTH + 40, height: NODE_HEIGHT + 40, label: 'Inner' });
+    expect(groups.outer).toEqual({
+      id: 'outer', type: 'group', x: -40, y: -40, width: 300 + NODE_WIDTH + 80, height: 100 + NODE_HEIGHT + 80, label: 'Outer',
+    });
+    expect(groups.empty).toMatchObject({ x: 600, y: 0, width: NODE_WIDTH, height: NODE_HEIGHT });
+  });
+
+  it('should colour nodes and groups from their border, falling back to their fill', () => {
+    const canvas = JSON.parse(toJsonCanvas({
+      nodes: [
+        node('g', 'G', 0, 0, { type: 'group', isCollapsed: false, data: { label: 'G', style: { fill: '#111111' } } }),
+        node('a', 'A', 0, 0, { parentGroupId: 'g', data: { label: 'A', style: { fill: '#111111', border: '#22c55e' } } }),
+        node('b', 'B', 300, 0),
+      ],
+      edges: [],
+    }));
+
+    const nodes = byId(canvas.nodes);
+    expect(nodes.g.color).toBe('#111111');
+    expect(nodes.a.color).toBe('#22c55e');
+    expect(nodes.b).not.toHaveProperty('color');
+  });
+});
+
+describe('parseJsonCanvas', () => {
+  it('should read text, file and link nodes with their boxes', () => {
+    const flow = parseJsonCanvas(JSON.stringify({
+      nodes: [
+        { id: 'n1', type: 'text', x: 0, y: 0, width: 372, height: 170, text: '# Plan\n\nFirst paragraph\n\nSecond' },
+        { id: 'n2', type: 'file', x: 500, y: 0, width: NODE_WIDTH, height: NODE_HEIGHT, file: 'Notes/Spec.md' },
+        { id: 'n3', type: 'link', x: 500, y: 200, width: NODE_WIDTH, height: NODE_HEIGHT, url: 'https://example.com' },
+      ],
+      edges: [{ id: 'x1', fromNode: 'n1', toNode: 'n2', label: 'see' }, { id: 'x2', fromNode: 'n1', toNode: 'n3' }],
+    }));
+
+    const nodes = byId(flow.nodes);
+    expect(nodes.n1).toEqual({
+      id: 'n1',
+      type: 'default',
+      position: { x: 0, y: 0 },
+      data: { label: '# Plan', description: 'First paragraph\n\nSecond', size: { width: 372, height: 170 } },
+    });
+    expect(nodes.n2.data).toEqual({ label: 'Spec.md', description: 'Notes/Spec.md' });
+    expect(nodes.n3.data.label).toBe('https://example.com');
+    expect(flow.edges).toEqual([
+      { id: 'x1', source: 'n1', target: 'n2', data: { label: 'see' } },
+      { id: 'x2', source: 'n1', target: 'n3' },
+    ]);
+  });
+
+  it('should nest nodes and groups in the smallest group box that encloses them', () => {
+    const flow = parseJsonCanvas(JSON.stringify({
+      nodes: [
+        { id: 'outer', type: 'group', x: -100, y: -100, width: 800, height: 600, label: 'Outer' },
+        { id: 'inner', type: 'group', x: -50, y: -50, width: 300, height: 200 },
+        { id: 'a', type: 'text', x: 0, y: 0, width: 100, height: 50, text: 'A' },
+        { id: 'b', type: 'text', x: 400, y: 300, width: 100, height: 50, text: 'B' },
+        { id: 'c', type: 'text', x: 900, y: 0, width: 100, height: 50, text: 'C' },
+      ],
+      edges: [],
+    }));
+
+    const nodes = byId(flow.nodes);
+    expect(nodes.outer).toMatchObject({ type: 'group', isCollapsed: false, position: { x: -100, y: -100 }, data: { label: 'Outer' } });
+    expect(nodes.inner).toMatchObject({ type: 'group', parentGroupId: 'outer', data: { label: 'inner' } });
+    expect(nodes.a.parentGroupId).toBe('inner');
+    expect(nodes.b.parentGroupId).toBe('outer');
+    expect(nodes.c.parentGroupId).toBeUndefined();
+  });
+
+  it('should round-trip positions, descriptions, edges and group membership', () => {
+    const flow = {
+      nodes: [
+        node('team', 'Team', 0, 0, { type: 'group', isCollapsed: false }),
+        node('a', 'Plan', 10, 20, { parentGroupId: 'team', data: { label: 'Plan', description: 'Draft' } }),
+        node('b', 'Build', 300, 20),
+      ],
+      edges: [{ id: 'e1', source: 'a', target: 'b', data: { label: 'then' } }],
+    };
+
+    const parsed = parseJsonCanvas(toJsonCanvas(flow));
+    const nodes = byId(parsed.nodes);
+
+    expect(nodes.a).toEqual(flow.nodes[1]);
+    expect(nodes.b).toEqual(flow.nodes[2]);
+    expect(nodes.team).toMatchObject({ type: 'group', data: { label: 'Team' } });
+    expect(parsed.edges).toEqual(flow.edges);
+  });
+
+  it('should round-trip manual node sizes and clamp boxes outside the size bounds around their centre', () => {
+    const flow = {
+      nodes: [
+        node('a', 'Plan', 10, 20, { data: { label: 'Plan', size: { width: 240, height: 120 } } }),
+        node('b', 'Build', 300, 20),
+      ],
+      edges: [],
+    };
+
+    const nodes = byId(parseJsonCanvas(toJsonCanvas(flow)).nodes);
+    expect(nodes.a).toEqual(flow.nodes[0]);
+    expect(nodes.b.data).not.toHaveProperty('size');
+
+    const clamped = parseJsonCanvas(JSON.stringify({
+      nodes: [{ id: 'big', type: 'text', x: 0, y: 0, width: 1000, height: 20, text: 'Big' }],
+      edges: [],
+    })).nodes[0];
+    expect(clamped.data.size).toEqual({ width: 800, height: 40 });
+    expect(clamped.position).toEqual({ x: 100, y: -10 });
+  });
+
+  it('should reject malformed canvases', () => {
+    expect(() => parseJsonCanvas('{nodes')).toThrow(/^Not valid JSON/);
+    expect(() => parseJsonCanvas('[]')).toThrow('Expected an object with "nodes" and "edges"');
+    expect(() => parseJsonCanvas('{"nodes": [{"type": "text"}]}')).toThrow('Node 1 has no id');
+    expect(() => parseJsonCanvas('{"nodes": [{"id": "a", "x": 0}]}')).toThrow('Node "a" needs numeric x, y, width and height');
+    expect(() => parseJsonCanvas('{"nodes": [], "edges": [{"id": "e", "fromNode": "a", "toNode": "b"}]}'))
+      .toThrow('Edge e connects nodes that are not on the canvas');
+  });
+});
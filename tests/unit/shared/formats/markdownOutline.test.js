@@ -0,0 +1,150 @@
+// ABOUTME: Unit tests for the Markdown outline converter
+// ABOUTME: Tests toMarkdownOutline, isMarkdownOutline and parseMarkdownOutline pure functions
+import { describe, it, expect } from 'vitest';
+import {
+  toMarkdownOutline,
+  isMarkdownOutline,
+  parseMarkdownOutline,
+} from '../../../../shared/formats/markdownOutline.js';
+
+const node = (id, label, overrides = {}) => ({
+  id,
+  type: 'default',
+  position: { x: 0, y: 0 },
+  data: { label },
+  ...overrides,
+});
+
+const edge = (source, target, label) => ({
+  id: `${source}-${target}`,
+  source,
+  target,
+  ...(label ? { data: { label } } : {}),
+});
+
+describe('toMarkdownOutline', () => {
+  it('should nest the edge hierarchy with descriptions and inline edge labels', () => {
+    const flow = {
+      nodes: [
+        node('idea', 'Idea', { data: { label: 'Idea', description: 'Why we start\nand why now' } }),
+        node('build', 'Build'),
+        node('ship', 'Ship *it*'),
+        node('notes', 'Notes'),
+        node('team', 'Team', { type: 'group', isCollapsed: false }),
+      ],
+      edges: [edge('idea', 'build', 'then'), edge('build', 'ship')],
+    };
+
+    expect(toMarkdownOutline(flow)).toBe([
+      '- Idea',
+      '  > Why we start',
+      '  > and why now',
+      '  - *then* → Build',
+      '    - Ship \\*it\\*',
+      '- Notes',
+      '',
+    ].join('\n'));
+  });
+
+  it('should write edges outside the tree as links to anchored items', () => {
+    const flow = {
+      nodes: [node('a', 'Plan'), node('b', 'Build'), node('c', 'Review')],
+      edges: [edge('a', 'b'), edge('a', 'c'), edge('c', 'b', 'recheck'), edge('b', 'a')],
+    };
+
+    expect(toMarkdownOutline(flow)).toBe([
+      '- Plan {#plan}',
+      '  - Build {#build}',
+      '    - [Plan](#plan)',
+      '  - Review',
+      '    - *recheck* → [Build](#build)',
+      '',
+    ].join('\n'));
+  });
+
+  it('should start cycles without a root at their first node', () => {
+    const flow = {
+      nodes: [node('a', 'A'), node('b', 'B')],
+      edges: [edge('a', 'b'), edge('b', 'a')],
+    };
+
+    expect(toMarkdownOutline(flow)).toBe('- A {#a}\n  - B\n    - [A](#a)\n');
+  });
+});
+
+describe('parseMarkdownOutline', () => {
+  it('should turn items into addNode operations under their parents', () => {
+    const operations = parseMarkdownOutline([
+      '# Roadmap',
+      'Some intro text',
+      '- Idea',
+      '  > Why we start',
+      '  - *then* → Build',
+      '    * [x] Ship \\*it\\*',
+      '\t1. Test',
+      '- Notes',
+      '  plain continuation',
+    ].join('\n'));
+
+    expect(operations).toEqual([
+      { name: 'addNode', params: { id: 'idea', label: 'Idea', description: 'Why we start' } },
+      { name: 'addNode', params: { id: 'build', label: 'Build', parentNodeId: 'idea', edgeLabel: 'then' } },
+      { name: 'addNode', params: { id: 'ship_it', label: 'Ship *it*', parentNodeId: 'build' } },
+      { name: 'addNode', params: { id: 'test', label: 'Test', parentNodeId: 'build' } },
+      { name: 'addNode', params: { id: 'notes', label: 'Notes', description: 'plain continuation' } },
+    ]);
+  });
+
+  it('should resolve links to anchors, including forward references, as addEdge operations', () => {
+    const operations = parseMarkdownOutline([
+      '- Plan',
+      '  - *recheck* → [Review](#review)',
+      '  - Review {#review}',
+    ].join('\n'));
+
+    expect(operations).toEqual([
+      { name: 'addNode', params: { id: 'plan', label: 'Plan' } },
+      { name: 'addNode', params: { id: 'review', label: 'Review', parentNodeId: 'plan' } },
+      { name: 'addEdge', params: { sourceNodeId: 'plan', targetNodeId: 'review', label: 'recheck' } },
+    ]);
+  });
+
+  it('should keep generated ids unique and clear of existing ids', () => {
+    const operations = parseMarkdownOutline('- Task\n- Task\n- 日本', { existingIds: ['task'] });
+
+    expect(operations.map(operation => operation.params.id)).toEqual(['task_2', 'task_3', 'node']);
+  });
+
+  it('should round-trip an exported outline', () => {
+    const flow = {
+      nodes: [
+        node('a', 'Plan', { data: { label: 'Plan', description: 'First' } }),
+        node('b', 'Build [v2]'),
+        node('c', 'Review'),
+      ],
+      edges: [edge('a', 'b', 'go'), edge('a', 'c'), edge('c', 'b', 'recheck')],
+    };
+
+    const operations = parseMarkdownOutline(toMarkdownOutline(flow));
+
+    expect(operations).toEqual([
+      { name: 'addNode', params: { id: 'plan', label: 'Plan', description: 'First' } },
+      { name: 'addNode', params: { id: 'build_v2', label: 'Build [v2]', parentNodeId: 'plan', edgeLabel: 'go' } },
+      { name: 'addNode', params: { id: 'review', label: 'Review', parentNodeId: 'plan' } },
+      { name: 'addEdge', params: { sourceNodeId: 'review', targetNodeId: 'build_v2', label: 'recheck' } },
+    ]);
+  });
+
+  it('should report unreadable outlines with line numbers', () => {
+    expect(() => parseMarkdownOutline('- [Top](#top)')).toThrow('Line 1: A link item needs a parent item');
+    expect(() => parseMarkdownOutline('- A\n  - [B](#b)')).toThrow('Line 2: No item has the anchor {#b}');
+    expect(() => parseMarkdownOutline('- A {#x}\n- B {#x}')).toThrow('Line 2: Anchor {#x} is used twice');
+    expect(() => parseMarkdownOutline('- A\n  - [A](#a)\n    - B')).toThrow('Line 3: Link items cannot have child items');
+  });
+
+  it('should recognise text with list items as an outline', () => {
+    expect(isMarkdownOutline('# Title\n- Item')).toBe(true);
+    expect(isMarkdownOutline('just a sentence')).toBe(false);
+    expect(isMarkdownOutline(undefined)).toBe(false);
+  });
+});
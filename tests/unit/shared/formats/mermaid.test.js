@@ -0,0 +1,185 @@
+// ABOUTME: Unit tests for the Mermaid flowchart converter and the import layout helper
+// ABOUTME: Tests toMermaid, parseMermaid and layoutImportedFlow pure functions
+import { describe, it, expect } from 'vitest';
+import { toMermaid, parseMermaid } from '../../../../shared/formats/mermaid.js';
+import { layoutImportedFlow } from '../../../../shared/formats/importLayout.js';
+
+const node = (id, label, overrides = {}) => ({
+  id,
+  type: 'default',
+  position: { x: 0, y: 0 },
+  data: { label },
+  ...overrides,
+});
+
+const labelsById = (flow) => Object.fromEntries(flow.nodes.map(item => [item.id, item.data.label]));
+
+describe('toMermaid', () => {
+  it('should write nodes, labelled edges and nested groups as subgraphs', () => {
+    const flow = {
+      nodes: [
+        node('start', 'Start'),
+        node('outer', 'Outer', { type: 'group', isCollapsed: false }),
+        node('inner', 'Inner', { type: 'group', isCollapsed: true, parentGroupId: 'outer' }),
+        node('a', 'Step A', { parentGroupId: 'outer' }),
+        node('b', 'Step B', { parentGroupId: 'inner' }),
+      ],
+      edges: [
+        { id: 'e1', source: 'start', target: 'a', data: { label: 'go' } },
+        { id: 'e2', source: 'a', target: 'b' },
+      ],
+    };
+
+    expect(toMermaid(flow)).toBe([
+      'flowchart LR',
+      '  start["Start"]',
+      '  subgraph outer["Outer"]',
+      '    subgraph inner["Inner"]',
+      '      b["Step B"]',
+      '    end',
+      '    a["Step A"]',
+      '  end',
+      '  start -->|"go"| a',
+      '  a --> b',
+      '',
+    ].join('\n'));
+  });
+
+  it('should replace ids Mermaid cannot read and escape labels', () => {
+    const flow = {
+      nodes: [node('test-node-1', 'Say "hi"\nthen go'), node('end', 'End')],
+      edges: [{ id: 'e1', source: 'test-node-1', target: 'end' }],
+    };
+
+    const text = toMermaid(flow);
+
+    expect(text).toContain('test_node_1["Say #quot;hi#quot;<br/>then go"]');
+    expect(text).toContain('end_1["End"]');
+    expect(text).toContain('test_node_1 --> end_1');
+  });
+
+  it('should round-trip labels, edge labels and groups', () => {
+    const flow = {
+      nodes: [
+        node('plan', 'Plan; then "ship"'),
+        node('team', 'Team', { type: 'group', isCollapsed: false }),
+        node('build', 'Build', { parentGroupId: 'team' }),
+      ],
+      edges: [{ id: 'e1', source: 'plan', target: 'build', data: { label: 'hand off' } }],
+    };
+
+    const parsed = parseMermaid(toMermaid(flow));
+
+    expect(labelsById(parsed)).toEqual({ plan: 'Plan; then "ship"', team: 'Team', build: 'Build' });
+    expect(parsed.nodes.find(item => item.id === 'build').parentGroupId).toBe('team');
+    expect(parsed.nodes.find(item => item.id === 'team')).toMatchObject({ type: 'group', isCollapsed: false });
+    expect(parsed.edges).toEqual([{ id: 'e-plan-build', source: 'plan', target: 'build', data: { label: 'hand off' } }]);
+  });
+
+  it('should round-trip pipes, quotes, newlines and entity-like text in labels', () => {
+    const flow = {
+      nodes: [node('a', 'A | B'), node('b', 'Say "hi"\nthen #quot;')],
+      edges: [{ id: 'e1', source: 'a', target: 'b', data: { label: 'x|y "z"\nnext' } }],
+    };
+
+    const text = toMermaid(flow);
+    const parsed = parseMermaid(text);
+
+    expect(text).toContain('a -->|"x#124;y #quot;z#quot;<br/>next"| b');
+    expect(labelsById(parsed)).toEqual({ a: 'A | B', b: 'Say "hi"\nthen #quot;' });
+    expect(parsed.edges).toEqual([{ id: 'e-a-b', source: 'a', target: 'b', data: { label: 'x|y "z"\nnext' } }]);
+  });
+
+  it('should draw styled shapes and colour nodes with style statements', () => {
+    const source = toMermaid({
+      nodes: [
+        node('a', 'A', { data: { label: 'A', style: { shape: 'diamond', fill: '#111111', border: '#22c55e' } } }),
+        node('b', 'B', { data: { label: 'B', style: { shape: 'circle' } } }),
+        node('c', 'C', { data: { label: 'C', style: { shape: 'pill', icon: 'star' } } }),
+        node('d', 'D', { data: { label: 'D', style: { shape: 'rounded', border: '#ef4444' } } }),
+        node('e', 'E'),
+      ],
+      edges: [],
+    });
+
+    expect(source).toBe([
+      'flowchart LR',
+      '  a{"A"}',
+      '  b(("B"))',
+      '  c(["C"])',
+      '  d("D")',
+      '  e["E"]',
+      '  style a fill:#111111,stroke:#22c55e',
+      '  style d stroke:#ef4444',
+      '',
+    ].join('\n'));
+    expect(labelsById(parseMermaid(source))).toEqual({ a: 'A', b: 'B', c: 'C', d: 'D', e: 'E' });
+  });
+});
+
+describe('parseMermaid', () => {
+  it('should read shapes, chains, ampersands and every label style', () => {
+    const flow = parseMermaid(`
+%% hand-written
+graph TD
+  A[Start] --> B(Round) & C{Decide}
+  B -- yes --> D((Done)) --- E
+  C -.->|"maybe"| D; C ==> E:::hot
+  classDef hot fill:#f00
+`);
+
+    expect(labelsById(flow)).toEqual({ A: 'Start', B: 'Round', C: 'Decide', D: 'Done', E: 'E' });
+    expect(flow.edges.map(edge => [edge.source, edge.target, edge.data?.label ?? null])).toEqual([
+      ['A', 'B', null],
+      ['A', 'C', null],
+      ['B', 'D', 'yes'],
+      ['D', 'E', null],
+      ['C', 'D', 'maybe'],
+      ['C', 'E', null],
+    ]);
+  });
+
+  it('should turn subgraphs into groups, including titled and nested ones', () => {
+    const flow = parseMermaid([
+      'flowchart LR',
+      '  subgraph Backend Services',
+      '    api[API]',
+      '    subgraph db["Storage"]',
+      '      pg[(Postgres)]',
+      '    end',
+      '  end',
+      '  web --> api',
+    ].join('\n'));
+
+    const byId = Object.fromEntries(flow.nodes.map(item => [item.id, item]));
+    expect(byId.Backend_Services).toMatchObject({ type: 'group', data: { label: 'Backend Services' } });
+    expect(byId.db).toMatchObject({ type: 'group', parentGroupId: 'Backend_Services', data: { label: 'Storage' } });
+    expect(byId.api.parentGroupId).toBe('Backend_Services');
+    expect(byId.pg).toMatchObject({ parentGroupId: 'db', data: { label: 'Postgres' } });
+    expect(byId.web.parentGroupId).toBeUndefined();
+  });
+
+  it('should reject other diagram types and malformed statements with line numbers', () => {
+    expect(() => parseMermaid('sequenceDiagram\n  A->>B: hi')).toThrow(/Line 1: Only Mermaid flowcharts/);
+    expect(() => parseMermaid('flowchart LR\n  A[unterminated --> B')).toThrow(/Line 2/);
+    expect(() => parseMermaid('flowchart LR\n  A --> B\n  end')).toThrow('Line 3: "end" without a matching "subgraph"');
+    expect(() => parseMermaid('flowchart LR\n  subgraph one\n  A')).toThrow('Missing "end" for subgraph "one"');
+  });
+});
+
+describe('layoutImportedFlow', () => {
+  it('should lay nodes out left to right and place groups at their members', () => {
+    const flow = parseMermaid('flowchart LR\n  subgraph g[Group]\n    a --> b\n  end\n  b --> c');
+
+    const { nodes } = layoutImportedFlow(flow);
+    const byId = Object.fromEntries(nodes.map(item => [item.id, item]));
+
+    expect(byId.a.position.x).toBeLessThan(byId.b.position.x);
+    expect(byId.b.position.x).toBeLessThan(byId.c.position.x);
+    expect(byId.g.position).toEqual({
+      x: Math.min(byId.a.position.x, byId.b.position.x),
+      y: Math.min(byId.a.position.y, byId.b.position.y),
+    });
+    expect(byId.g.hidden).toBeUndefined();
+  });
+});
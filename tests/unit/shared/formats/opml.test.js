@@ -0,0 +1,150 @@
+// ABOUTME: Unit tests for the OPML converter and the XML reader under it
+// ABOUTME: Tests toOpml and parseOpml pure functions, including notes and expansionState round trips
+import { describe, it, expect } from 'vitest';
+import { toOpml, parseOpml } from '../../../../shared/formats/opml.js';
+import { parseXml } from '../../../../shared/formats/xml.js';
+
+const node = (id, label, overrides = {}) => ({
+  id,
+  type: 'default',
+  position: { x: 0, y: 0 },
+  data: { label },
+  ...overrides,
+});
+
+const edge = (source, target, label) => ({
+  id: `${source}-${target}`,
+  source,
+  target,
+  ...(label ? { data: { label } } : {}),
+});
+
+const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+
+describe('toOpml', () => {
+  it('should nest the edge tree with notes and edge labels, leaving out edges outside it', () => {
+    const flow = {
+      nodes: [
+        node('idea', 'Idea', { data: { label: 'Idea', description: 'Why "we" start\nand <when>' } }),
+        node('build', 'Build & test'),
+        node('notes', 'Notes'),
+      ],
+      edges: [edge('idea', 'build', 'then'), edge('build', 'idea')],
+    };
+
+    expect(toOpml(flow)).toBe([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head/>',
+      '  <body>',
+      '    <outline text="Notes"/>',
+      '    <outline text="Idea" _note="Why &quot;we&quot; start&#10;and &lt;when&gt;">',
+      '      <outline text="Build &amp; test" _edgeLabel="then"/>',
+      '    </outline>',
+      '  </body>',
+      '</opml>',
+      '',
+    ].join('\n'));
+  });
+
+  it('should list expanded outlines by visible line number when subtrees are collapsed', () => {
+    const flow = {
+      nodes: [
+        node('a', 'A', { data: { label: 'A', collapsed: true } }),
+        node('a1', 'A1'),
+        node('a2', 'A2'),
+        node('b', 'B'),
+        node('b1', 'B1'),
+      ],
+      edges: [edge('a', 'a1'), edge('a1', 'a2'), edge('b', 'b1')],
+    };
+
+    expect(toOpml(flow)).toContain('<expansionState>2</expansionState>');
+  });
+});
+
+describe('parseOpml', () => {
+  it('should build nodes and hierarchy edges from outlines', () => {
+    const flow = parseOpml([
+      '<?xml version="1.0"?>',
+      '<!DOCTYPE opml>',
+      '<opml version="2.0">',
+      '  <head><title>Ideas</title></head>',
+      '  <body>',
+      '    <!-- brainstorm -->',
+      '    <outline text="Plan" _note="Draft &#x2192; review">',
+      '      <outline text="Build" _edgeLabel="then"/>',
+      "      <outline text='Plan'/>",
+      '    </outline>',
+      '  </body>',
+      '</opml>',
+    ].join('\n'));
+
+    expect(flow.nodes.map(item => [item.id, item.data])).toEqual([
+      ['plan', { label: 'Plan', description: 'Draft → review' }],
+      ['build', { label: 'Build' }],
+      ['plan_2', { label: 'Plan' }],
+    ]);
+    expect(flow.edges).toEqual([
+      { id: 'e-plan-build', source: 'plan', target: 'build', data: { label: 'then' } },
+      { id: 'e-plan-plan_2', source: 'plan', target: 'plan_2' },
+    ]);
+  });
+
+  it('should collapse the outlines an expansionState leaves closed', () => {
+    const flow = parseOpml([
+      '<opml version="2.0"><head><expansionState>1, 3</expansionState></head><body>',
+      '<outline text="A"><outline text="A1"><outline text="A2"/></outline></outline>',
+      '<outline text="B"><outline text="B1"/></outline>',
+      '</body></opml>',
+    ].join('\n'));
+
+    const nodes = byId(flow.nodes);
+    expect(nodes.a.data.collapsed).toBeUndefined();
+    expect(nodes.a1.data.collapsed).toBe(true);
+    expect(nodes.a2).toMatchObject({ hidden: true, subtreeHidden: true });
+    expect(nodes.b.data.collapsed).toBeUndefined();
+    expect(nodes.b1.hidden).toBeUndefined();
+  });
+
+  it('should round-trip labels, notes, edge labels and collapsed subtrees', () => {
+    const flow = {
+      nodes: [
+        node('a', 'A', { data: { label: 'A', description: 'Line one\nLine two' } }),
+        node('b', 'B', { data: { label: 'B', collapsed: true } }),
+        node('c', 'C'),
+        node('d', 'D'),
+      ],
+      edges: [edge('a', 'b', 'go'), edge('b', 'c'), edge('a', 'd')],
+    };
+
+    const parsed = parseOpml(toOpml(flow));
+    const nodes = byId(parsed.nodes);
+
+    expect(nodes.a.data).toEqual({ label: 'A', description: 'Line one\nLine two' });
+    expect(nodes.b.data).toEqual({ label: 'B', collapsed: true });
+    expect(nodes.c).toMatchObject({ hidden: true, subtreeHidden: true });
+    expect(nodes.d.hidden).toBeUndefined();
+    expect(parsed.edges.map(item => [item.source, item.target, item.data?.label, item.hidden])).toEqual([
+      ['a', 'b', 'go', undefined],
+      ['b', 'c', undefined, true],
+      ['a', 'd', undefined, undefined],
+    ]);
+  });
+
+  it('should report malformed documents with line numbers', () => {
+    expect(() => parseOpml('<opml>\n<body>\n</opml>')).toThrow('Line 3: Unexpected closing tag </opml>');
+    expect(() => parseOpml('<opml><body>')).toThrow('Line 1: Missing closing tag </body>');
+    expect(() => parseOpml('<map/>')).toThrow('Line 1: Expected an <opml> document, found <map>');
+    expect(() => parseOpml('<opml><head/></opml>')).toThrow('Line 1: The document has no <body>');
+    expect(() => parseOpml('<opml><body>\n<outline text=""/></body></opml>')).toThrow('Line 2: Outline has no text');
+  });
+});
+
+describe('parseXml', () => {
+  it('should read CDATA, entities and doctype subsets', () => {
+    const root = parseXml('<!DOCTYPE x [<!ENTITY y "z">]><x a="1 &amp; 2"><![CDATA[<raw>]]>&lt;&#65;&unknown;</x>');
+
+    expect(root).toEqual({ name: 'x', attributes: { a: '1 & 2' }, children: ['<raw>', '<A&unknown;'], line: 1 });
+  });
+});
@@ -162,6 +162,32 @@ describe('applyDagreLayout', () => {
       // Layout should complete with custom dimensions
       expect(result.nodes).toHaveLength(3);
     });
+
+    it('should space nodes by their own sizes by default', () => {
+      const flow = createSimpleFlow();
+      const wide = { ...flow.nodes[0], data: { label: 'A', size: { width: 600, height: NODE_HEIGHT } } };
+
+      const fixed = applyDagreLayout({ nodes: flow.nodes, edges: flow.edges });
+      const sized = applyDagreLayout({ nodes: [wide, ...flow.nodes.slice(1)], edges: flow.edges });
+
+      const gap = ({ nodes }) => nodes[1].position.x - nodes[0].position.x;
+      expect(gap(sized) - gap(fixed)).toBe(600 - NODE_WIDTH);
+    });
+
+    it('should accept a function giving each node its dimensions', () => {
+      const flow = createSimpleFlow();
+
+      const result = applyDagreLayout({
+        nodes: flow.nodes,
+        edges: flow.edges,
+        direction: 'TB',
+        nodeDimensions: (node) => ({ width: NODE_WIDTH, height: node.id === 'b' ? 300 : NODE_HEIGHT }),
+      });
+
+      const [a, b, c] = result.nodes;
+      // Top-left positions: each rank gap is the previous node's height plus the rank spacing
+      expect((c.position.y - b.position.y) - (b.position.y - a.position.y)).toBe(300 - NODE_HEIGHT);
+    });
   });
 
   describe('hidden nodes', () => {
@@ -0,0 +1,107 @@
+// ABOUTME: Unit tests for node sizing: automatic sizes fitted to text, manual sizes and their validation
+// ABOUTME: Tests getAutoNodeSize, getNodeSize, validateNodeSize and wrapText pure functions
+import { describe, it, expect } from 'vitest';
+import {
+  getAutoNodeSize,
+  getNodeSize,
+  validateNodeSize,
+  wrapText,
+  getNodeLabelText,
+  MAX_AUTO_WIDTH,
+} from '../../../../shared/layout/nodeSize.js';
+import { NODE_WIDTH, NODE_HEIGHT } from '../../../../shared/constants/nodeDimensions.js';
+
+const node = (data, type = 'default') => ({ id: 'n', type, position: { x: 0, y: 0 }, data });
+
+describe('getAutoNodeSize', () => {
+  it('should keep the type size for short text', () => {
+    expect(getAutoNodeSize(node({ label: 'Login', description: 'User auth' }))).toEqual({ width: NODE_WIDTH, height: NODE_HEIGHT });
+    expect(getAutoNodeSize(node({ label: 'Ship?' }, 'decision'))).toEqual({ width: 192, height: 86 });
+  });
+
+  it('should widen for a long label', () => {
+    const { width, height } = getAutoNodeSize(node({ label: 'Validate the payment details entered' }));
+
+    expect(width).toBeGreaterThan(NODE_WIDTH);
+    expect(width).toBeLessThan(MAX_AUTO_WIDTH);
+    expect(height).toBe(NODE_HEIGHT);
+  });
+
+  it('should stop widening at MAX_AUTO_WIDTH and grow taller instead', () => {
+    const description = 'Checks the card number, expiry date and security code against the processor before the order is confirmed and stock is reserved';
+    const { width, height } = getAutoNodeSize(node({ label: 'Validate payment', description }));
+
+    expect(width).toBe(MAX_AUTO_WIDTH);
+    expect(height).toBeGreaterThan(NODE_HEIGHT);
+  });
+
+  it('should size for the longest line of multi-line text', () => {
+    const lines = getAutoNodeSize(node({ label: 'A', description: 'Twenty characters ok\nTwenty characters ok' }));
+    const joined = getAutoNodeSize(node({ label: 'A', description: 'Twenty characters ok Twenty characters ok' }));
+
+    expect(lines.width).toBe(NODE_WIDTH);
+    expect(joined.width).toBeGreaterThan(NODE_WIDTH);
+  });
+
+  it('should count the style icon as part of the label', () => {
+    const label = 'Twenty-one characters';
+    const plain = getAutoNodeSize(node({ label }));
+    const withIcon = getAutoNodeSize(node({ label, style: { icon: 'star' } }));
+
+    expect(withIcon.width).toBeGreaterThan(plain.width);
+  });
+});
+
+describe('getNodeSize', () => {
+  it('should use a manual size from data.size', () => {
+    expect(getNodeSize(node({ label: 'A', size: { width: 240, height: 120 } }))).toEqual({ width: 240, height: 120 });
+  });
+
+  it('should fall back to the automatic size when data.size is missing or invalid', () => {
+    const auto = getAutoNodeSize(node({ label: 'A' }));
+
+    expect(getNodeSize(node({ label: 'A' }))).toEqual(auto);
+    expect(getNodeSize(node({ label: 'A', size: { width: 10, height: 10 } }))).toEqual(auto);
+    expect(getNodeSize(node({ label: 'A', size: 'big' }))).toEqual(auto);
+  });
+});
+
+describe('validateNodeSize', () => {
+  it('should accept sizes within bounds', () => {
+    expect(validateNodeSize({ width: 80, height: 40 })).toBeNull();
+    expect(validateNodeSize({ width: 800, height: 600 })).toBeNull();
+  });
+
+  it('should reject sizes that are not {width, height} numbers', () => {
+    expect(validateNodeSize(null)).toMatch(/size must be \{width, height\}/);
+    expect(validateNodeSize({ width: 200 })).toMatch(/size must be \{width, height\}/);
+    expect(validateNodeSize({ width: '200', height: 100 })).toMatch(/size must be \{width, height\}/);
+  });
+
+  it('should reject sizes out of bounds', () => {
+    expect(validateNodeSize({ width: 79, height: 100 })).toBe('size must be between 80×40 and 800×600');
+    expect(validateNodeSize({ width: 200, height: 601 })).toBe('size must be between 80×40 and 800×600');
+  });
+});
+
+describe('wrapText', () => {
+  it('should wrap words to the width and keep newlines', () => {
+    // 12px text at 0.6 of the font size is 7.2px a character: 10 characters in 72px
+    expect(wrapText('alpha beta gamma\ndelta', 12, 72)).toEqual(['alpha beta', 'gamma', 'delta']);
+  });
+
+  it('should split words longer than a line', () => {
+    expect(wrapText('abcdefghijklmno', 12, 72)).toEqual(['abcdefghij', 'klmno']);
+  });
+
+  it('should end with an ellipsis past maxLines', () => {
+    expect(wrapText('alpha beta gamma delta', 12, 72, 1)).toEqual(['alpha bet…']);
+  });
+});
+
+describe('getNodeLabelText', () => {
+  it('should put the style icon before the label', () => {
+    expect(getNodeLabelText(node({ label: 'Plan' }))).toBe('Plan');
+    expect(getNodeLabelText(node({ label: 'Plan', style: { icon: 'star' } }))).toMatch(/^\S+ Plan$/);
+  });
+});
@@ -0,0 +1,53 @@
+// ABOUTME: Unit tests for per-node styles: merging style changes and reading shape and icon
+// ABOUTME: Tests mergeNodeStyle, validateNodeStyle, getNodeShape and getNodeIcon pure functions
+import { describe, it, expect } from 'vitest';
+import { mergeNodeStyle, validateNodeStyle, getNodeShape, getNodeIcon, NODE_ICONS } from '../../../shared/nodeStyle/index.js';
+
+describe('mergeNodeStyle', () => {
+  it('should set colours (lowercased), shape and icon', () => {
+    expect(mergeNodeStyle(undefined, { fill: '#1E3A5F', border: '#fff', shape: 'pill', icon: 'star' })).toEqual({
+      style: { fill: '#1e3a5f', border: '#fff', shape: 'pill', icon: 'star' },
+    });
+  });
+
+  it('should keep keys that are not named and clear keys set to null', () => {
+    const current = { fill: '#111111', shape: 'diamond' };
+    expect(mergeNodeStyle(current, { shape: null, icon: 'flag' })).toEqual({ style: { fill: '#111111', icon: 'flag' } });
+    expect(current).toEqual({ fill: '#111111', shape: 'diamond' });
+  });
+
+  it('should reject invalid values without applying any change', () => {
+    expect(mergeNodeStyle({}, { fill: 'red' })).toEqual({ error: 'fill must be a hex colour such as #1f6feb' });
+    expect(mergeNodeStyle({}, { border: '#12345' }).error).toBe('border must be a hex colour such as #1f6feb');
+    expect(mergeNodeStyle({}, { shape: 'hexagon' }).error).toBe('shape must be one of: rounded, pill, diamond, circle');
+    expect(mergeNodeStyle({}, { icon: 'rocket' }).error).toMatch(/^icon must be one of: star, check/);
+    expect(mergeNodeStyle({}, { fill: '#000', opacity: 0.5 }).error).toBe('Unknown style "opacity". Styles: fill, border, shape, icon');
+    expect(mergeNodeStyle({}, { opacity: null }).error).toMatch(/^Unknown style "opacity"/);
+    expect(mergeNodeStyle({}, ['#000'])).toEqual({ error: 'style must be an object' });
+  });
+});
+
+describe('validateNodeStyle', () => {
+  it('should accept stored styles and report the first invalid key', () => {
+    expect(validateNodeStyle({ fill: '#1e3a5f', border: '#fff', shape: 'pill', icon: 'star' })).toBeNull();
+    expect(validateNodeStyle({ shape: 'pill', border: 'url(#x)' })).toBe('border must be a hex colour such as #1f6feb');
+    expect(validateNodeStyle({ fill: null })).toBe('fill must be a hex colour such as #1f6feb');
+    expect(validateNodeStyle(null)).toBe('style must be an object');
+  });
+});
+
+describe('getNodeShape', () => {
+  it('should default to rounded and ignore unknown shapes', () => {
+    expect(getNodeShape({ data: {} })).toBe('rounded');
+    expect(getNodeShape({ data: { style: { shape: 'circle' } } })).toBe('circle');
+    expect(getNodeShape({ data: { style: { shape: 'blob' } } })).toBe('rounded');
+  });
+});
+
+describe('getNodeIcon', () => {
+  it('should return the glyph for a known icon and null otherwise', () => {
+    expect(getNodeIcon({ data: { style: { icon: 'check' } } })).toBe(NODE_ICONS.check);
+    expect(getNodeIcon({ data: { style: { icon: 'toString' } } })).toBeNull();
+    expect(getNodeIcon({ data: {} })).toBeNull();
+  });
+});
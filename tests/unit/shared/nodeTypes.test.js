@@ -0,0 +1,75 @@
+// ABOUTME: Unit tests for the node type registry
+// ABOUTME: Covers type lookup, sizes, default fields, field validation and connection rules
+
+import { describe, it, expect } from 'vitest';
+import {
+  NODE_TYPES,
+  getNodeType,
+  resolveNodeType,
+  getNodeTypeSize,
+  getDefaultFields,
+  validateNodeFields,
+  getConnectionError,
+} from '../../../shared/nodeTypes/index.js';
+import { NODE_WIDTH, NODE_HEIGHT } from '../../../shared/constants/nodeDimensions.js';
+
+describe('node type lookup', () => {
+  it('returns registered types and null for anything else', () => {
+    expect(getNodeType('task')).toBe(NODE_TYPES.task);
+    expect(getNodeType('group')).toBeNull();
+    expect(getNodeType('toString')).toBeNull();
+    expect(getNodeType(undefined)).toBeNull();
+  });
+
+  it('resolves groups and unregistered types to the default type', () => {
+    expect(resolveNodeType({ type: 'service' })).toBe(NODE_TYPES.service);
+    expect(resolveNodeType({ type: 'group' })).toBe(NODE_TYPES.default);
+    expect(resolveNodeType({ type: 'legacy' })).toBe(NODE_TYPES.default);
+  });
+
+  it('sizes nodes by type', () => {
+    expect(getNodeTypeSize({ type: 'default' })).toEqual({ width: NODE_WIDTH, height: NODE_HEIGHT });
+    expect(getNodeTypeSize({ type: 'decision' })).toEqual(NODE_TYPES.decision.size);
+    expect(getNodeTypeSize({})).toEqual({ width: NODE_WIDTH, height: NODE_HEIGHT });
+  });
+});
+
+describe('node type fields', () => {
+  it('starts new nodes from enum defaults only', () => {
+    expect(getDefaultFields('task')).toEqual({ status: 'todo' });
+    expect(getDefaultFields('page')).toEqual({});
+    expect(getDefaultFields('unknown')).toEqual({});
+  });
+
+  it('accepts values that fit the schema', () => {
+    expect(validateNodeFields('task', { status: 'done', assignee: 'sam' })).toBeNull();
+    expect(validateNodeFields('default', {})).toBeNull();
+  });
+
+  it('explains what is wrong with values that do not fit', () => {
+    expect(validateNodeFields('widget', {})).toBe('Unknown node type "widget"');
+    expect(validateNodeFields('task', [])).toBe('fields must be an object');
+    expect(validateNodeFields('task', { route: '/' })).toBe('Task nodes have no field "route". Fields: status, assignee');
+    expect(validateNodeFields('default', { route: '/' })).toBe('Node nodes have no fields');
+    expect(validateNodeFields('task', { status: 'blocked' })).toBe('status must be one of: todo, in_progress, done');
+    expect(validateNodeFields('page', { route: 42 })).toBe('route must be a string');
+  });
+});
+
+describe('getConnectionError', () => {
+  it('allows targets the source type lists', () => {
+    expect(getConnectionError({ type: 'task' }, { type: 'decision' })).toBeNull();
+    expect(getConnectionError({ type: 'decision' }, { type: 'service' })).toBeNull();
+  });
+
+  it('rejects targets the source type does not list', () => {
+    expect(getConnectionError({ type: 'service' }, { type: 'page' }))
+      .toBe('A service node cannot connect to a page node (allowed: node, service, task)');
+  });
+
+  it('lets groups and unregistered types connect to anything', () => {
+    expect(getConnectionError({ type: 'service' }, { type: 'group' })).toBeNull();
+    expect(getConnectionError({ type: 'group' }, { type: 'page' })).toBeNull();
+    expect(getConnectionError({ type: 'legacy' }, { type: 'page' })).toBeNull();
+  });
+});
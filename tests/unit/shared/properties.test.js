@@ -0,0 +1,88 @@
+// ABOUTME: Unit tests for user-defined node and edge properties
+// ABOUTME: Covers per-type value validation, enum options, names and partial merges
+
+import { describe, it, expect } from 'vitest';
+import { validateProperty, mergeProperties } from '../../../shared/properties/index.js';
+
+describe('validateProperty', () => {
+  it('accepts a valid value of every type', () => {
+    expect(validateProperty('owner', { type: 'string', value: 'sam' })).toBeNull();
+    expect(validateProperty('points', { type: 'number', value: 3.5 })).toBeNull();
+    expect(validateProperty('blocked', { type: 'boolean', value: false })).toBeNull();
+    expect(validateProperty('due', { type: 'date', value: '2024-02-29' })).toBeNull();
+    expect(validateProperty('spec', { type: 'url', value: 'https://example.com/spec' })).toBeNull();
+    expect(validateProperty('priority', { type: 'enum', value: 'high', options: ['low', 'high'] })).toBeNull();
+  });
+
+  it('rejects values that do not match the type', () => {
+    expect(validateProperty('points', { type: 'number', value: NaN })).toBe('Property "points" must be a number');
+    expect(validateProperty('blocked', { type: 'boolean', value: 'yes' })).toBe('Property "blocked" must be true or false');
+    expect(validateProperty('due', { type: 'date', value: '2023-02-29' })).toBe('Property "due" must be a date written YYYY-MM-DD');
+    expect(validateProperty('due', { type: 'date', value: '29/02/2024' })).toBe('Property "due" must be a date written YYYY-MM-DD');
+    expect(validateProperty('spec', { type: 'url', value: 'javascript:alert(1)' })).toBe('Property "spec" must be an http(s) URL');
+  });
+
+  it('requires distinct options for enums and none for other types', () => {
+    expect(validateProperty('priority', { type: 'enum', value: 'high', options: [] }))
+      .toBe('Property "priority" needs options: a list of distinct, non-empty strings');
+    expect(validateProperty('priority', { type: 'enum', value: 'high', options: ['high', 'high'] }))
+      .toBe('Property "priority" needs options: a list of distinct, non-empty strings');
+    expect(validateProperty('priority', { type: 'enum', value: 'urgent', options: ['low', 'high'] }))
+      .toBe('Property "priority" must be one of: low, high');
+    expect(validateProperty('owner', { type: 'string', value: 'sam', options: ['sam'] }))
+      .toBe('Property "owner" is not an enum, so it takes no options');
+  });
+
+  it('rejects unknown types and bad names', () => {
+    expect(validateProperty('owner', { type: 'person', value: 'sam' }))
+      .toBe('Property "owner" needs a type: string, number, boolean, date, url, enum');
+    expect(validateProperty(' owner', { type: 'string', value: 'sam' }))
+      .toBe('Property names must be non-empty and have no surrounding spaces');
+    expect(validateProperty('__proto__', { type: 'string', value: 'x' })).toBe('Property name "__proto__" is reserved');
+    expect(validateProperty('x'.repeat(65), { type: 'string', value: 'x' })).toContain('is longer than 64 characters');
+  });
+});
+
+describe('mergeProperties', () => {
+  const current = {
+    owner: { type: 'string', value: 'sam' },
+    priority: { type: 'enum', value: 'low', options: ['low', 'high'] },
+  };
+
+  it('sets, updates and removes properties without touching the others', () => {
+    const { properties, error } = mergeProperties(current, {
+      owner: null,
+      priority: 'high',
+      due: { type: 'date', value: '2025-01-31' },
+    });
+
+    expect(error).toBeUndefined();
+    expect(properties).toEqual({
+      priority: { type: 'enum', value: 'high', options: ['low', 'high'] },
+      due: { type: 'date', value: '2025-01-31' },
+    });
+    expect(current.owner).toEqual({ type: 'string', value: 'sam' });
+  });
+
+  it('infers string, number and boolean types for new bare values', () => {
+    const { properties } = mergeProperties(undefined, { team: 'core', points: 5, done: true });
+
+    expect(properties).toEqual({
+      team: { type: 'string', value: 'core' },
+      points: { type: 'number', value: 5 },
+      done: { type: 'boolean', value: true },
+    });
+  });
+
+  it('keeps the existing type when a bare value updates a property', () => {
+    expect(mergeProperties(current, { priority: 'urgent' }))
+      .toEqual({ error: 'Property "priority" must be one of: low, high' });
+    expect(mergeProperties(current, { owner: 7 }))
+      .toEqual({ error: 'Property "owner" must be a string' });
+  });
+
+  it('rejects changes that are not an object of names to values', () => {
+    expect(mergeProperties(current, ['owner'])).toEqual({ error: 'properties must be an object of property names to values' });
+    expect(mergeProperties(current, { tags: ['a'] }).error).toBe('Property "tags" needs a type: string, number, boolean, date, url, enum');
+  });
+});
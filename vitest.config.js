@@ -37,6 +37,10 @@ export default defineConfig({
             'tests/toolExecution*.test.js',
             'tests/undo-redo-autosave.test.js',
           ],
+          // Offline runs use the file backend with a store owned by this project
+          env: {
+            FLOW_STORE_PATH: 'tests/test-data/backend-flow-store.json',
+          },
           // Run integration/E2E tests sequentially to avoid file conflicts
           pool: 'forks',
           poolOptions: {
@@ -81,6 +85,9 @@ export default defineConfig({
           name: 'security',
           environment: 'node',
           globals: true,
+          env: {
+            FLOW_STORE_PATH: 'tests/test-data/security-flow-store.json',
+          },
           include: [
             'tests/security/**/*.test.js',
           ],